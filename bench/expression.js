@@ -0,0 +1,23 @@
+// Compiled conditions against parsing the condition on every call (the parse
+// cache disabled). Requires a build: `npm run bench` runs tsc first.
+const { ExpressionEvaluator } = require('../dist');
+const { measure, report } = require('./timing');
+
+const expression = 'country in ["AE", "SA", "BH"] && amount > 500000 && (income - debt) / income >= 0.4 || score >= 80';
+const facts = Array.from({ length: 5000 }, (_, i) => ({
+  country: i % 2 ? 'AE' : 'US',
+  amount: i * 50,
+  income: 20000 + i,
+  debt: i % 9000,
+  score: i % 100,
+}));
+
+const reparse = new ExpressionEvaluator({ cacheSize: 0 });
+const cached = new ExpressionEvaluator();
+const compiled = new ExpressionEvaluator().compile(expression);
+
+report('ExpressionEvaluator', [
+  measure('evaluate(), parse per call', facts.length, () => facts.forEach(f => reparse.evaluate(expression, f))),
+  measure('evaluate(), parse cache', facts.length, () => facts.forEach(f => cached.evaluate(expression, f))),
+  measure('compile()', facts.length, () => facts.forEach(f => compiled(f))),
+]);
@@ -0,0 +1,36 @@
+// Indexed against linear rule matching on a bulk-screening rule set.
+// Requires a build: `npm run bench` runs tsc first.
+const { RuleEngine } = require('../dist');
+const { measure, report } = require('./timing');
+
+const rule = (id, condition, action, priority) => ({ id, name: id, condition, action, reason: id, priority });
+
+// Sanctions list, tariff bands and product rules
+const rules = [];
+for (let i = 0; i < 2000; i++) rules.push(rule(`SAN${i}`, `name === "Person ${i}"`, 'REJECTED', 1));
+for (let i = 0; i < 2000; i++) {
+  rules.push(rule(`TAR${i}`, `hsCode === ${i % 200} && value >= ${i * 100} && value < ${(i + 1) * 100}`, 'REVIEW', 2));
+}
+for (let i = 0; i < 1000; i++) rules.push(rule(`PRD${i}`, `product in ["P${i}", "Q${i}"] && qty > 10`, 'REVIEW', 3));
+
+// Deterministic pseudo-random facts so runs are comparable
+let seed = 7;
+const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const facts = Array.from({ length: 500 }, () => ({
+  name: `Person ${Math.floor(random() * 40000)}`,
+  hsCode: Math.floor(random() * 400),
+  value: Math.floor(random() * 400000),
+  product: `P${Math.floor(random() * 5000)}`,
+  qty: Math.floor(random() * 20),
+}));
+
+const [linear, indexed] = [false, true].map(index => {
+  const engine = new RuleEngine({ index });
+  engine.loadRules(rules);
+  return engine;
+});
+
+report(`RuleEngine.evaluateBatch — ${rules.length} rules`, [
+  measure('linear', facts.length, () => linear.evaluateBatch(facts)),
+  measure('indexed', facts.length, () => indexed.evaluateBatch(facts)),
+]);
@@ -0,0 +1,30 @@
+// Shared timing helper for the benchmarks in this directory. Run with `npm run bench`.
+
+/**
+ * Run `fn` (which handles `ops` operations per call) repeatedly for at least
+ * `minMs` after a warm-up call, and return its throughput.
+ */
+function measure(label, ops, fn, { minMs = 1000 } = {}) {
+  fn();
+  let runs = 0;
+  const start = process.hrtime.bigint();
+  let ms = 0;
+  while (ms < minMs) {
+    fn();
+    runs++;
+    ms = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return { label, opsPerSec: (ops * runs * 1000) / ms };
+}
+
+/** Print measurements as aligned `label  ops/sec` lines, with speed-up over the first. */
+function report(title, results) {
+  const width = Math.max(...results.map(r => r.label.length));
+  console.log(`\n${title}`);
+  for (const r of results) {
+    const ratio = r === results[0] ? '' : `  (${(r.opsPerSec / results[0].opsPerSec).toFixed(1)}x)`;
+    console.log(`  ${r.label.padEnd(width)}  ${Math.round(r.opsPerSec).toLocaleString('en-US').padStart(12)} ops/sec${ratio}`);
+  }
+}
+
+module.exports = { measure, report };
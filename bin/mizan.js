@@ -31,7 +31,10 @@ const [,, command, ...args] = process.argv;
 async function main() {
   switch (command) {
     case 'init': return cmdInit(args[0]);
-    case 'validate': return cmdValidate(args[0]);
+    case 'validate': return cmdValidate(args[0], args[1]);
+    case 'coverage': return cmdCoverage(args[0], args[1]);
+    case 'backtest': return cmdBacktest(args[0], args[1]);
+    case 'test': return cmdTest(args);
     case 'decide': return cmdDecide(args[0], args[1]);
     case 'parse': return cmdParse(args[0]);
     case 'setup': return cmdSetup();
@@ -70,7 +73,10 @@ ${c.bold}Commands:${c.reset}
   ${c.cyan}setup${c.reset}                  Interactive environment setup
   ${c.cyan}doctor${c.reset}                 Check environment health
   ${c.cyan}studio${c.reset}                 Launch Mizan Studio (web dashboard)
-  ${c.cyan}validate${c.reset} <rules.json>  Validate rules for conflicts
+  ${c.cyan}validate${c.reset} <rules> [facts] Validate syntax, fields, conflicts and unreachable rules
+  ${c.cyan}coverage${c.reset} <rules> [schema] List fact regions no rule decides
+  ${c.cyan}backtest${c.reset} <rules> <audit> Replay an audit log against candidate rules
+  ${c.cyan}test${c.reset} <rules> [tests]     Run rule test cases (--junit <file>, --json <file>)
   ${c.cyan}decide${c.reset} <rules> <facts> Run engine and print decision
   ${c.cyan}parse${c.reset} <policy.txt>     Extract rules from policy text
   ${c.cyan}help${c.reset}                   Show this help message
@@ -306,33 +312,187 @@ main().catch(console.error);
   print(`  npx mizan setup`);
 }
 
-function cmdValidate(file) {
-  if (!file) { print('Usage: mizan validate <rules.json>', c.red); process.exit(1); }
+// Flatten a sample facts object into dot-notation field names
+function factFields(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([k, v]) =>
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? [prefix + k, ...factFields(v, `${prefix}${k}.`)]
+      : [prefix + k]
+  );
+}
+
+function cmdValidate(file, factsFile) {
+  if (!file) { print('Usage: mizan validate <rules.json> [facts.json]', c.red); process.exit(1); }
   console.log(logo);
 
   const { RuleEngine } = require('../dist/RuleEngine');
+  const { formatDiagnostic } = require('../dist/ExpressionDiagnostics');
   const rules = JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
 
   print(`\n📋 Validating ${rules.length} rules...`, c.cyan);
 
   const engine = new RuleEngine();
-  engine.loadRules(rules);
-  const conflicts = engine.detectConflicts();
+  const knownFields = factsFile
+    ? factFields(JSON.parse(fs.readFileSync(path.resolve(factsFile), 'utf-8')))
+    : undefined;
+  const invalid = engine.validateRules(rules.filter(r => typeof r.condition === 'string'), knownFields);
+  let allValid = true;
 
   for (const rule of rules) {
     const hasId = !!rule.id;
     const hasCondition = !!rule.condition;
     const hasAction = ['APPROVED', 'REJECTED', 'REVIEW'].includes(rule.action);
-    const ok = hasId && hasCondition && hasAction;
+    const problems = invalid.find(r => r.rule === rule);
+    const ok = hasId && hasCondition && hasAction && !problems;
+    if (!ok) allValid = false;
     print(`  ${ok ? '✅' : '❌'} ${rule.id || '??'}: ${rule.name || 'unnamed'}${ok ? '' : ' — INVALID'}`, ok ? c.green : c.red);
+    for (const d of problems ? problems.diagnostics : []) {
+      print(formatDiagnostic(rule.condition, d).replace(/^/gm, '      '), c.red);
+    }
   }
 
-  if (conflicts.length > 0) {
-    print(`\n⚠️  ${conflicts.length} conflict(s) found:`, c.yellow);
-    for (const cf of conflicts) print(`  ⚡ ${cf.description}`, c.yellow);
+  if (!allValid) {
+    print(`\n❌ Fix the invalid rules above before checking for conflicts`, c.red);
+    process.exit(1);
+  }
+
+  engine.loadRules(rules);
+  const { overlaps, shadowed, contradictions, unanalyzed } = engine.analyze();
+
+  if (overlaps.length > 0) {
+    print(`\n⚠️  ${overlaps.length} conflict(s) found:`, c.yellow);
+    for (const cf of overlaps) print(`  ⚡ ${cf.description}`, c.yellow);
   } else {
     print(`\n✅ No conflicts found`, c.green);
   }
+  if (shadowed.length > 0) {
+    print(`\n⚠️  ${shadowed.length} unreachable rule(s):`, c.yellow);
+    for (const s of shadowed) print(`  🚫 ${s.description}`, c.yellow);
+  }
+  if (contradictions.length > 0) {
+    print(`\n⚠️  ${contradictions.length} contradictory condition(s):`, c.yellow);
+    for (const x of contradictions) print(`  🚫 ${x.description}`, c.yellow);
+  }
+  if (unanalyzed.length > 0) {
+    print(`\n   Skipped (too complex to analyze): ${unanalyzed.map(r => r.id).join(', ')}`, c.gray);
+  }
+}
+
+function cmdCoverage(rulesFile, schemaFile) {
+  if (!rulesFile) { print('Usage: mizan coverage <rules.json> [schema.json]', c.red); process.exit(1); }
+  console.log(logo);
+
+  const { CoverageAnalyzer } = require('../dist/analysis');
+  const rules = JSON.parse(fs.readFileSync(path.resolve(rulesFile), 'utf-8'));
+  const schema = schemaFile ? JSON.parse(fs.readFileSync(path.resolve(schemaFile), 'utf-8')) : undefined;
+
+  print(`\n🗺️  Checking coverage of ${rules.length} rules${schema ? '' : ' (field types inferred from conditions)'}...`, c.cyan);
+  const report = new CoverageAnalyzer({ schema }).analyze(rules);
+
+  if (report.unanalyzed.length > 0) {
+    print(`   Skipped (invalid or too complex): ${report.unanalyzed.map(r => r.id).join(', ')}`, c.gray);
+  }
+  if (report.complete) {
+    print(`\n✅ Every fact combination is decided by a rule`, c.green);
+    return;
+  }
+
+  print(`\n⚠️  ${report.gaps.length}${report.truncated ? '+' : ''} gap(s) — these facts fall through to manual REVIEW:`, c.yellow);
+  for (const gap of report.gaps) {
+    print(`  🕳️  ${gap.description}`, c.yellow);
+    print(`      e.g. ${JSON.stringify(gap.sample)}`, c.gray);
+  }
+}
+
+function cmdBacktest(rulesFile, auditFile) {
+  if (!rulesFile || !auditFile) { print('Usage: mizan backtest <rules.json> <audit.jsonl>', c.red); process.exit(1); }
+  if (!fs.existsSync(path.resolve(auditFile))) { print(`Audit log not found: ${auditFile}`, c.red); process.exit(1); }
+  console.log(logo);
+
+  const { RuleEngine } = require('../dist/RuleEngine');
+  const { AuditLogger } = require('../dist/AuditLogger');
+  const { Backtester } = require('../dist/Backtester');
+  const rules = JSON.parse(fs.readFileSync(path.resolve(rulesFile), 'utf-8'));
+
+  const candidate = new RuleEngine();
+  candidate.loadRules(rules);
+  const report = new Backtester(candidate).runFromLog(new AuditLogger(path.resolve(auditFile)));
+  const pct = (n) => `${(n * 100).toFixed(1)}%`;
+
+  print(`\n🔁 Replayed ${report.replayed} of ${report.total} audited decisions against ${rules.length} candidate rules`, c.cyan);
+  if (report.errors.length > 0) {
+    print(`   ${report.errors.length} could not be evaluated (first: ${report.errors[0].entryId} — ${report.errors[0].error})`, c.gray);
+  }
+
+  const sign = report.approvalRate.delta > 0 ? '+' : '';
+  print(`\n📈 Approval rate: ${pct(report.approvalRate.before)} → ${pct(report.approvalRate.after)} (${sign}${(report.approvalRate.delta * 100).toFixed(1)} pts)`, c.bold);
+
+  if (report.flipped === 0) {
+    print(`\n✅ No decision would change`, c.green);
+    return;
+  }
+
+  print(`\n⚠️  ${report.flipped} decision(s) would change:`, c.yellow);
+  for (const [transition, count] of Object.entries(report.transitions)) print(`  ${transition}: ${count}`, c.yellow);
+
+  print(`\n📋 By candidate rule:`, c.cyan);
+  for (const impact of report.byRule) {
+    const label = impact.ruleId ? `${impact.ruleId}: ${impact.ruleName}` : '(no rule matched)';
+    const detail = Object.entries(impact.transitions).map(([t, n]) => `${t} ×${n}`).join(', ');
+    print(`  ${label} — ${impact.flips} flip(s): ${detail}`);
+  }
+
+  print(`\n🔍 Examples:`, c.cyan);
+  for (const ex of report.examples) {
+    print(`  ${ex.entryId} (${ex.timestamp}): ${ex.before.result} → ${ex.after.result}`);
+    print(`      ${JSON.stringify(ex.input)}`, c.gray);
+  }
+}
+
+function cmdTest(args) {
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    if (i < 0) return undefined;
+    const [, value] = args.splice(i, 2);
+    return value;
+  };
+  const junitFile = flag('--junit');
+  const jsonFile = flag('--json');
+  const [rulesFile, testsArg] = args;
+  if (!rulesFile) { print('Usage: mizan test <rules.json> [tests.json] [--junit report.xml] [--json report.json]', c.red); process.exit(1); }
+  // rules.json → rules.test.json
+  const testsFile = testsArg || rulesFile.replace(/(\.json)?$/, '.test.json');
+  if (!fs.existsSync(path.resolve(testsFile))) { print(`Test cases not found: ${testsFile}`, c.red); process.exit(1); }
+  console.log(logo);
+
+  const { RuleEngine } = require('../dist/RuleEngine');
+  const { RuleTestRunner, toJUnitXML } = require('../dist/RuleTestRunner');
+  const rules = JSON.parse(fs.readFileSync(path.resolve(rulesFile), 'utf-8'));
+  const cases = JSON.parse(fs.readFileSync(path.resolve(testsFile), 'utf-8'));
+
+  const engine = new RuleEngine();
+  engine.loadRules(rules);
+  const report = new RuleTestRunner(engine).run(cases);
+
+  print(`\n🧪 Running ${report.total} test case(s) against ${rules.length} rules...`, c.cyan);
+  for (const test of report.cases) {
+    print(`  ${test.passed ? '✅' : '❌'} ${test.name}`, test.passed ? c.green : c.red);
+    for (const failure of test.failures) print(`      ${failure}`, c.red);
+    for (const line of test.trace || []) print(`      ${line}`, c.gray);
+  }
+
+  const { coverage } = report;
+  print(`\n📋 Rule coverage: ${coverage.exercised.length}/${coverage.rules} (${(coverage.ratio * 100).toFixed(1)}%)`, c.bold);
+  for (const rule of coverage.unexercised) print(`  ⚪ ${rule.id}: ${rule.name} — no test case exercises it`, c.yellow);
+
+  if (junitFile) fs.writeFileSync(path.resolve(junitFile), toJUnitXML(report, path.basename(testsFile)));
+  if (jsonFile) fs.writeFileSync(path.resolve(jsonFile), JSON.stringify(report, null, 2));
+
+  if (report.failed > 0) {
+    print(`\n❌ ${report.failed} of ${report.total} test case(s) failed`, c.red);
+    process.exit(1);
+  }
+  print(`\n✅ All ${report.total} test case(s) passed`, c.green);
 }
 
 function cmdDecide(rulesFile, factsFile) {
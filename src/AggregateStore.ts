@@ -0,0 +1,250 @@
+/**
+ * AggregateStore — Keyed event history for velocity and aggregate rules.
+ *
+ * Rule conditions only see the current facts; policies such as "more than 3
+ * REJECTED decisions for this customer in 24h" or "over 500000 moved from
+ * this account in 7 days" need history. The store keeps events (past facts
+ * and decisions) bucketed by the key fields it is created with, and exposes
+ * windowed `count` / `sum` / `avg` to conditions:
+ *
+ *   count("customerId", customerId, "24h", "result", "REJECTED") > 3
+ *   sum("amount", "accountId", accountId, "7d") > 500000
+ *
+ * Windows are sliding and end at the evaluation moment: `(now - window, now]`,
+ * with durations written as `"90s"`, `"30m"`, `"24h"`, `"7d"`, `"2w"` or
+ * milliseconds. Trailing `field, value` pairs narrow the events counted.
+ * Events arrive from an `AuditLogger` (`follow()` / `recordAudit()`) or an
+ * explicit feed (`record()`); those older than `retention` are dropped.
+ *
+ * @example
+ * const store = new AggregateStore({ keys: ['customerId', 'accountId'] });
+ * store.follow(logger);                 // every logged decision becomes an event
+ * engine.useAggregates(store);          // before loadRules, so conditions see the functions
+ * store.count('customerId', 'C1', '24h', { result: 'REJECTED' });  // 2
+ *
+ * @module AggregateStore
+ */
+
+import { AuditEntry } from './types';
+import { Clock, EvaluationContext, ExpressionFunction, systemClock } from './ExpressionFunctions';
+import type { AuditLogger } from './AuditLogger';
+
+export interface AggregateStoreOptions {
+  /** Fact fields events are bucketed by, e.g. `['customerId', 'accountId']` (dotted paths allowed) */
+  keys: string[];
+  /** Time source for recording and for queries made outside the engine. Default: system clock */
+  clock?: Clock;
+  /** Events older than this are dropped, e.g. `'90d'`. Default: '30d' */
+  retention?: string | number;
+}
+
+/** Fields an event must have to be aggregated, e.g. `{ result: 'REJECTED' }`. */
+export type AggregateFilter = Record<string, unknown>;
+
+type StoredEvent = { at: number; data: Record<string, unknown> };
+
+const UNIT_MS: Record<string, number> = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/** Window length in ms from `"24h"`-style text or a number of ms. */
+export function parseWindow(window: unknown): number {
+  if (typeof window === 'number' && window > 0 && Number.isFinite(window)) return window;
+  const match = typeof window === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)\s*$/.exec(window) : null;
+  if (!match || Number(match[1]) <= 0) {
+    throw new TypeError(`Invalid window ${JSON.stringify(window)} — expected e.g. "30m", "24h", "7d" or milliseconds`);
+  }
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+function toTime(at: Date | string | number): number {
+  const t = at instanceof Date ? at.getTime() : typeof at === 'number' ? at : Date.parse(at);
+  if (Number.isNaN(t)) throw new Error(`Invalid event time: ${String(at)}`);
+  return t;
+}
+
+function readField(data: Record<string, unknown>, field: string): unknown {
+  let value: unknown = data;
+  for (const part of field.split('.')) {
+    if (value == null || typeof value !== 'object') return undefined;
+    value = (value as Record<string, unknown>)[part];
+  }
+  return value;
+}
+
+/** First index in `events` (sorted by time) whose time is greater than `t`. */
+function firstAfter(events: StoredEvent[], t: number): number {
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].at <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/** `[field, value, field, value, ...]` condition arguments as a filter. */
+function filterOf(fn: string, pairs: unknown[]): AggregateFilter | undefined {
+  if (pairs.length === 0) return undefined;
+  if (pairs.length % 2 !== 0) throw new TypeError(`${fn}() filters come in field, value pairs`);
+  const filter: AggregateFilter = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    if (typeof pairs[i] !== 'string') throw new TypeError(`${fn}() filter fields must be strings`);
+    filter[pairs[i] as string] = pairs[i + 1];
+  }
+  return filter;
+}
+
+export class AggregateStore {
+  private keys: string[];
+  private clock: Clock;
+  private retention: number;
+  /** key field → key value → events, oldest first */
+  private buckets = new Map<string, Map<unknown, StoredEvent[]>>();
+
+  constructor(options: AggregateStoreOptions) {
+    if (!options?.keys?.length) throw new Error('AggregateStore needs at least one key field');
+    this.keys = [...options.keys];
+    this.clock = options.clock ?? systemClock;
+    this.retention = parseWindow(options.retention ?? '30d');
+    for (const key of this.keys) this.buckets.set(key, new Map());
+  }
+
+  /**
+   * Add an event — typically the facts of a transaction — at `at` (default:
+   * the store clock's now). It is filed under each key field it has a string
+   * or number value for; events with none are ignored.
+   */
+  record(event: Record<string, unknown>, at: Date | string | number = this.clock()): this {
+    const stored: StoredEvent = { at: toTime(at), data: event };
+    const cutoff = this.clock().getTime() - this.retention;
+    if (stored.at <= cutoff) return this;
+
+    for (const key of this.keys) {
+      const value = readField(event, key);
+      if (typeof value !== 'string' && typeof value !== 'number') continue;
+      const bucket = this.buckets.get(key)!;
+      const events = bucket.get(value) ?? [];
+      // Events usually arrive in order; late ones are inserted in place
+      events.splice(firstAfter(events, stored.at), 0, stored);
+      const expired = firstAfter(events, cutoff);
+      if (expired > 0) events.splice(0, expired);
+      bucket.set(value, events);
+    }
+    return this;
+  }
+
+  /**
+   * Add logged decisions as events: the input facts plus the decision's
+   * `result`, deciding `ruleId` and `score`, at the entry's timestamp.
+   */
+  recordAudit(entries: AuditEntry | AuditEntry[]): this {
+    for (const entry of Array.isArray(entries) ? entries : [entries]) {
+      this.record(
+        { ...entry.input, result: entry.output.result, ruleId: entry.rule?.id ?? null, score: entry.output.score },
+        entry.timestamp
+      );
+    }
+    return this;
+  }
+
+  /** Record every decision `logger` logs from now on. Returns a function that stops following. */
+  follow(logger: AuditLogger): () => void {
+    return logger.onLog(entry => this.recordAudit(entry));
+  }
+
+  /** Events for `key === value` in the window ending at `now`, narrowed by `filter`. */
+  private window(key: string, value: unknown, window: unknown, filter: AggregateFilter | undefined, now: number): StoredEvent[] {
+    const bucket = this.buckets.get(key);
+    if (!bucket) throw new Error(`"${key}" is not a key of this AggregateStore (keys: ${this.keys.join(', ')})`);
+    const events = bucket.get(value) ?? [];
+    const selected = events.slice(firstAfter(events, now - parseWindow(window)), firstAfter(events, now));
+    if (!filter) return selected;
+    const tests = Object.entries(filter);
+    return selected.filter(e => tests.every(([field, expected]) => readField(e.data, field) === expected));
+  }
+
+  /** Numeric values of `field` in the window; events without a number there are skipped. */
+  private numbers(field: string, key: string, value: unknown, window: unknown, filter: AggregateFilter | undefined, now: number): number[] {
+    const values: number[] = [];
+    for (const e of this.window(key, value, window, filter, now)) {
+      const n = readField(e.data, field);
+      if (typeof n === 'number' && !Number.isNaN(n)) values.push(n);
+    }
+    return values;
+  }
+
+  /** Events for `key === value` in the last `window`. */
+  count(key: string, value: unknown, window: string | number, filter?: AggregateFilter, now: Date = this.clock()): number {
+    return this.window(key, value, window, filter, now.getTime()).length;
+  }
+
+  /** Sum of `field` over events for `key === value` in the last `window`. */
+  sum(field: string, key: string, value: unknown, window: string | number, filter?: AggregateFilter, now: Date = this.clock()): number {
+    return this.numbers(field, key, value, window, filter, now.getTime()).reduce((a, b) => a + b, 0);
+  }
+
+  /** Average of `field` over events for `key === value` in the last `window`; 0 when there are none. */
+  avg(field: string, key: string, value: unknown, window: string | number, filter?: AggregateFilter, now: Date = this.clock()): number {
+    const values = this.numbers(field, key, value, window, filter, now.getTime());
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  /**
+   * `count`, `sum` and `avg` as condition functions, with windows ending at
+   * the evaluation moment (`clock()` when called outside an evaluation), so
+   * `engine.evaluate(facts, { asOf })` sees the history as it was then. They read
+   * the store's current events, the documented exception to pure condition
+   * functions: events recorded later, even with earlier times, change results.
+   */
+  functions(clock: Clock = this.clock): Record<string, ExpressionFunction> {
+    const text = (fn: string, arg: unknown, what: string): string => {
+      if (typeof arg !== 'string') throw new TypeError(`${fn}() expects the ${what} name as a string`);
+      return arg;
+    };
+    const store = this;
+    const now = (context: EvaluationContext | void) => (context ? context.now : clock)();
+    return {
+      count(key, value, window, ...pairs) {
+        return store.count(text('count', key, 'key'), value, window as string, filterOf('count', pairs), now(this));
+      },
+      sum(field, key, value, window, ...pairs) {
+        return store.sum(text('sum', field, 'field'), text('sum', key, 'key'), value, window as string, filterOf('sum', pairs), now(this));
+      },
+      avg(field, key, value, window, ...pairs) {
+        return store.avg(text('avg', field, 'field'), text('avg', key, 'key'), value, window as string, filterOf('avg', pairs), now(this));
+      },
+    };
+  }
+
+  /** Drop events older than the retention period. */
+  prune(): this {
+    const cutoff = this.clock().getTime() - this.retention;
+    for (const bucket of this.buckets.values()) {
+      for (const [value, events] of bucket) {
+        const expired = firstAfter(events, cutoff);
+        if (expired === events.length) bucket.delete(value);
+        else if (expired > 0) events.splice(0, expired);
+      }
+    }
+    return this;
+  }
+
+  /** Number of events filed under `key` (each event is counted once per key it has). */
+  size(key: string = this.keys[0]): number {
+    let total = 0;
+    for (const events of this.buckets.get(key)?.values() ?? []) total += events.length;
+    return total;
+  }
+
+  clear(): this {
+    for (const bucket of this.buckets.values()) bucket.clear();
+    return this;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * AuditCheckpoint — Signed Merkle checkpoints over the audit hash chain.
+ *
+ * Re-running the SHA-256 chain only proves the log is intact to whoever
+ * trusts the person running it, and proving one decision that way means
+ * handing over the whole log. A checkpoint fixes a batch of entries under a
+ * Merkle root signed with an Ed25519 key; once published, any single entry
+ * can be proven against it with an inclusion proof — the entry plus one
+ * sibling hash per tree level — without revealing any other entry.
+ *
+ * The tree follows RFC 6962's domain separation: leaves are
+ * `SHA-256(0x00 || entry hash)`, inner nodes `SHA-256(0x01 || left || right)`;
+ * an odd node at the end of a level is promoted unchanged. Checkpoints are
+ * chained: each signs the hash of the one before it.
+ *
+ * @example
+ * // Regulator side — needs only the proof and the published public key
+ * const proof = logger.proveEntry('audit-123');
+ * verifyInclusionProof(proof, publicKeyPem);   // true
+ *
+ * @module AuditCheckpoint
+ */
+
+import { AuditEntry } from './types';
+import * as crypto from 'crypto';
+
+export interface AuditCheckpoint {
+  /** 1 for the first checkpoint of a log */
+  seq: number;
+  /** Entries covered, consecutive in log order */
+  size: number;
+  firstHash: string;
+  lastHash: string;
+  /** Merkle root over the entries' hashes */
+  root: string;
+  /** `checkpointHash()` of the previous checkpoint; zeros for the first */
+  previousCheckpoint: string;
+  createdAt: string;
+  /** First 16 hex digits of the SHA-256 of the signer's public key (DER) */
+  keyId: string;
+  algorithm: 'Ed25519';
+  /** Base64 Ed25519 signature over the other fields */
+  signature: string;
+}
+
+/** One step from a node towards the root: the sibling's hash and which side it is on. */
+export interface MerkleStep {
+  hash: string;
+  side: 'left' | 'right';
+}
+
+/** Everything needed to check one decision against a signed checkpoint. */
+export interface AuditInclusionProof {
+  entry: AuditEntry;
+  /** Position of the entry in the checkpoint's batch */
+  index: number;
+  path: MerkleStep[];
+  checkpoint: AuditCheckpoint;
+}
+
+export const GENESIS_CHECKPOINT = '0'.repeat(64);
+
+const sha256 = (...parts: Buffer[]) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+function leaf(entryHash: string): Buffer {
+  return sha256(Buffer.from([0]), Buffer.from(entryHash, 'hex'));
+}
+
+function node(left: Buffer, right: Buffer): Buffer {
+  return sha256(Buffer.from([1]), left, right);
+}
+
+function nextLevel(level: Buffer[]): Buffer[] {
+  const next: Buffer[] = [];
+  for (let i = 0; i < level.length; i += 2) next.push(i + 1 < level.length ? node(level[i], level[i + 1]) : level[i]);
+  return next;
+}
+
+/** Merkle root over entry hashes, in log order. */
+export function merkleRoot(entryHashes: string[]): string {
+  if (entryHashes.length === 0) throw new Error('Cannot build a Merkle root over no entries');
+  let level = entryHashes.map(leaf);
+  while (level.length > 1) level = nextLevel(level);
+  return level[0].toString('hex');
+}
+
+/** Sibling hashes from the leaf at `index` up to the root. */
+export function merklePath(entryHashes: string[], index: number): MerkleStep[] {
+  if (index < 0 || index >= entryHashes.length) throw new RangeError(`No entry ${index} in a batch of ${entryHashes.length}`);
+  const path: MerkleStep[] = [];
+  let level = entryHashes.map(leaf);
+  let i = index;
+  while (level.length > 1) {
+    const sibling = i ^ 1;
+    if (sibling < level.length) path.push({ hash: level[sibling].toString('hex'), side: sibling < i ? 'left' : 'right' });
+    level = nextLevel(level);
+    i >>= 1;
+  }
+  return path;
+}
+
+/**
+ * Root implied by an entry hash and its path, or undefined when the path does
+ * not have the shape of leaf `index` in a tree of `size` leaves.
+ */
+function rootFromPath(entryHash: string, path: MerkleStep[], index: number, size: number): string | undefined {
+  let hash = leaf(entryHash);
+  let step = 0;
+  for (let i = index, n = size; n > 1; i >>= 1, n = Math.ceil(n / 2)) {
+    const sibling = i ^ 1;
+    if (sibling >= n) continue;
+    const { hash: siblingHash, side } = path[step++] ?? {};
+    if (side !== (sibling < i ? 'left' : 'right') || typeof siblingHash !== 'string') return undefined;
+    hash = side === 'left' ? node(Buffer.from(siblingHash, 'hex'), hash) : node(hash, Buffer.from(siblingHash, 'hex'));
+  }
+  return step === path.length ? hash.toString('hex') : undefined;
+}
+
+/** The signed bytes: every field but the signature, in a fixed order. */
+function checkpointBody(c: Omit<AuditCheckpoint, 'signature'>): Buffer {
+  return Buffer.from(JSON.stringify([
+    c.seq, c.size, c.firstHash, c.lastHash, c.root, c.previousCheckpoint, c.createdAt, c.keyId, c.algorithm,
+  ]));
+}
+
+/** Hash a checkpoint is chained by — covers its signature too. */
+export function checkpointHash(checkpoint: AuditCheckpoint): string {
+  return sha256(checkpointBody(checkpoint), Buffer.from(checkpoint.signature, 'base64')).toString('hex');
+}
+
+/** Short identifier of an Ed25519 public key (derived from a private key if given one). */
+export function keyIdOf(key: crypto.KeyObject | string): string {
+  const object = typeof key === 'string' ? crypto.createPublicKey(key) : key;
+  const publicKey = object.type === 'private' ? crypto.createPublicKey(object) : object;
+  return sha256(publicKey.export({ type: 'spki', format: 'der' })).toString('hex').slice(0, 16);
+}
+
+/** Parse and check an Ed25519 private key (KeyObject or PEM). */
+export function ed25519PrivateKey(key: crypto.KeyObject | string): crypto.KeyObject {
+  const object = typeof key === 'string' ? crypto.createPrivateKey(key) : key;
+  if (object.type !== 'private' || object.asymmetricKeyType !== 'ed25519') {
+    throw new Error('Audit checkpoints need an Ed25519 private key');
+  }
+  return object;
+}
+
+/**
+ * Sign a checkpoint over a batch of entry hashes (consecutive, in log order).
+ */
+export function signCheckpoint(
+  entryHashes: string[],
+  privateKey: crypto.KeyObject | string,
+  options: { seq: number; previousCheckpoint: string; createdAt: Date }
+): AuditCheckpoint {
+  const key = ed25519PrivateKey(privateKey);
+  const body: Omit<AuditCheckpoint, 'signature'> = {
+    seq: options.seq,
+    size: entryHashes.length,
+    firstHash: entryHashes[0],
+    lastHash: entryHashes[entryHashes.length - 1],
+    root: merkleRoot(entryHashes),
+    previousCheckpoint: options.previousCheckpoint,
+    createdAt: options.createdAt.toISOString(),
+    keyId: keyIdOf(key),
+    algorithm: 'Ed25519',
+  };
+  return { ...body, signature: crypto.sign(null, checkpointBody(body), key).toString('base64') };
+}
+
+/** Whether `checkpoint` was signed by the holder of `publicKey` and is unaltered. */
+export function verifyCheckpoint(checkpoint: AuditCheckpoint, publicKey: crypto.KeyObject | string): boolean {
+  try {
+    if (checkpoint.algorithm !== 'Ed25519' || checkpoint.keyId !== keyIdOf(publicKey)) return false;
+    return crypto.verify(null, checkpointBody(checkpoint), publicKey, Buffer.from(checkpoint.signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/** Hash of an audit entry, recomputed from its content as `AuditLogger` chains it. */
+export function auditEntryHash(entry: AuditEntry): string {
+  const { hash: _hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(entry.previousHash + JSON.stringify(rest)).digest('hex');
+}
+
+/**
+ * Verify one decision against a published checkpoint: the entry's content
+ * matches its hash, the hash is a leaf under the checkpoint's Merkle root,
+ * and the checkpoint is signed by `publicKey`.
+ */
+export function verifyInclusionProof(proof: AuditInclusionProof, publicKey: crypto.KeyObject | string): boolean {
+  try {
+    const { entry, index, path, checkpoint } = proof;
+    if (auditEntryHash(entry) !== entry.hash) return false;
+    if (!Number.isInteger(index) || index < 0 || index >= checkpoint.size) return false;
+    return rootFromPath(entry.hash, path, index, checkpoint.size) === checkpoint.root && verifyCheckpoint(checkpoint, publicKey);
+  } catch {
+    return false;
+  }
+}
@@ -1,35 +1,274 @@
 import { AuditEntry, Decision, Rule } from './types';
+import { Clock, systemClock } from './ExpressionFunctions';
+import { parseWindow } from './AggregateStore';
+import {
+  AuditCheckpoint,
+  AuditInclusionProof,
+  GENESIS_CHECKPOINT,
+  auditEntryHash,
+  checkpointHash,
+  ed25519PrivateKey,
+  merklePath,
+  merkleRoot,
+  signCheckpoint,
+  verifyCheckpoint,
+} from './AuditCheckpoint';
 import * as crypto from 'crypto';
 import * as fs from 'fs';
 import * as path from 'path';
+import * as zlib from 'zlib';
+import { StringDecoder } from 'string_decoder';
+
+export interface AuditLoggerOptions {
+  /** Path to the active audit JSONL file. Default: `data/audit.jsonl` */
+  filePath?: string;
+  /** Load every entry from disk into memory on startup (see `loadFromDisk`). Default: false */
+  preload?: boolean;
+  /** Time source for entry timestamps, rotation and retention. Default: system clock */
+  clock?: Clock;
+  /**
+   * Close the active file as a numbered segment (`audit.000001.jsonl`) once it
+   * would exceed `maxBytes`, or when an entry falls in a new UTC `every` period.
+   * Default: no rotation
+   */
+  rotation?: { maxBytes?: number; every?: 'hour' | 'day' | 'month' };
+  /**
+   * What happens to closed segments as they age (from their last entry):
+   * after `archiveAfter` they move to `archiveDir` (default `<dir>/archive`),
+   * gzipped when `compress` is set; after `deleteAfter` they are deleted unless
+   * under legal hold. Durations as `'30d'`, `'12h'` or milliseconds.
+   */
+  retention?: { archiveAfter?: string | number; deleteAfter?: string | number; compress?: boolean; archiveDir?: string };
+  /**
+   * Sign a Merkle checkpoint over the entries logged since the last one (see
+   * `AuditCheckpoint`) every `every` entries, appended to
+   * `<name>.checkpoints.jsonl`. Without `every`, call `checkpoint()` yourself.
+   */
+  checkpoint?: { privateKey: crypto.KeyObject | string; every?: number };
+}
+
+/** A closed segment of the audit log, as recorded in the manifest. */
+export interface AuditSegment {
+  seq: number;
+  /** Path relative to the manifest's directory */
+  file: string;
+  entries: number;
+  bytes: number;
+  /** Hash preceding the segment's first entry — the previous segment's `lastHash` */
+  previousHash: string;
+  firstHash: string;
+  lastHash: string;
+  startedAt: string;
+  endedAt: string;
+  status: 'closed' | 'archived' | 'deleted';
+  compressed: boolean;
+  legalHold?: boolean;
+  deletedAt?: string;
+}
+
+/** `<name>.manifest.json` next to the active file: closed segments, oldest first, and the legal hold. */
+export interface AuditManifest {
+  version: 1;
+  /** Blocks deletion of every segment */
+  legalHold: boolean;
+  legalHoldReason?: string;
+  segments: AuditSegment[];
+}
+
+/** Segments archived, deleted and kept under legal hold by one retention pass (file paths). */
+export interface AuditRetentionResult {
+  archived: string[];
+  deleted: string[];
+  held: string[];
+}
+
+/**
+ * Thrown when deleting a segment that is under legal hold.
+ */
+export class LegalHoldError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'LegalHoldError';
+  }
+}
+
+const GENESIS_HASH = '0'.repeat(64);
+const READ_CHUNK = 64 * 1024;
+
+/**
+ * Call `fn` with each non-empty line of a JSONL file, reading it in chunks
+ * (gzipped segments are inflated one segment at a time). Stops early when
+ * `fn` returns false.
+ */
+function forEachLine(file: string, compressed: boolean, fn: (line: string) => boolean | void): void {
+  if (compressed) {
+    for (const line of zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').split('\n')) {
+      if (line.trim() && fn(line) === false) return;
+    }
+    return;
+  }
+  const fd = fs.openSync(file, 'r');
+  try {
+    const decoder = new StringDecoder('utf8');
+    const buffer = Buffer.alloc(READ_CHUNK);
+    let rest = '';
+    let n: number;
+    while ((n = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + decoder.write(buffer.subarray(0, n))).split('\n');
+      rest = lines.pop()!;
+      for (const line of lines) {
+        if (line.trim() && fn(line) === false) return;
+      }
+    }
+    rest += decoder.end();
+    if (rest.trim()) fn(rest);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function periodOf(timestamp: string, every: 'hour' | 'day' | 'month'): string {
+  return timestamp.slice(0, every === 'hour' ? 13 : every === 'day' ? 10 : 7);
+}
+
+function matches(e: AuditEntry, filter?: { startDate?: string; endDate?: string; result?: string }): boolean {
+  if (!filter) return true;
+  if (filter.startDate && e.timestamp < filter.startDate) return false;
+  if (filter.endDate && e.timestamp > filter.endDate) return false;
+  if (filter.result && e.output.result !== filter.result) return false;
+  return true;
+}
 
 export class AuditLogger {
   private entries: AuditEntry[] = [];
-  private previousHash: string = '0'.repeat(64);
+  private previousHash: string = GENESIS_HASH;
   private filePath: string;
+  private listeners: Array<(entry: AuditEntry) => void> = [];
+  private clock: Clock;
+  private rotation?: AuditLoggerOptions['rotation'];
+  private retention?: { archiveAfter?: number; deleteAfter?: number; compress: boolean; archiveDir: string };
+  private manifestPath: string;
+  private manifest: AuditManifest;
+  /** Size and first timestamp of the active file, read from disk on first use */
+  private active?: { bytes: number; startedAt?: string };
+  private checkpointKey?: crypto.KeyObject;
+  private checkpointEvery?: number;
+  private checkpointsPath: string;
+  private lastCheckpoint?: AuditCheckpoint;
+  /** Hashes of the entries logged since the last checkpoint */
+  private pendingHashes: string[] = [];
 
   /**
-   * @param filePath - Path to the audit JSONL file. Defaults to `data/audit.jsonl`.
-   * @param preload  - If true, loads all existing entries from disk into memory on startup.
-   *                   Enables in-memory query after restart. Default: false (chain-only restore).
+   * @param options - Path to the audit JSONL file (default `data/audit.jsonl`), or `AuditLoggerOptions`.
+   * @param preload - If true, loads all existing entries from disk into memory on startup.
+   *                  Enables in-memory query after restart. Default: false (chain-only restore).
    */
-  constructor(filePath?: string, preload = false) {
-    this.filePath = filePath || path.join(process.cwd(), 'data', 'audit.jsonl');
-    if (preload) {
+  constructor(options?: string | AuditLoggerOptions, preload = false) {
+    const opts: AuditLoggerOptions = typeof options === 'string' ? { filePath: options } : options ?? {};
+    this.filePath = opts.filePath || path.join(process.cwd(), 'data', 'audit.jsonl');
+    this.clock = opts.clock ?? systemClock;
+    this.rotation = opts.rotation;
+    const dir = path.dirname(this.filePath);
+    if (opts.retention) {
+      this.retention = {
+        archiveAfter: opts.retention.archiveAfter !== undefined ? parseWindow(opts.retention.archiveAfter) : undefined,
+        deleteAfter: opts.retention.deleteAfter !== undefined ? parseWindow(opts.retention.deleteAfter) : undefined,
+        compress: opts.retention.compress ?? false,
+        archiveDir: path.resolve(dir, opts.retention.archiveDir ?? 'archive'),
+      };
+    }
+    this.manifestPath = path.join(dir, `${path.basename(this.filePath, '.jsonl')}.manifest.json`);
+    this.manifest = this.readManifest() ?? { version: 1, legalHold: false, segments: [] };
+    this.checkpointsPath = path.join(dir, `${path.basename(this.filePath, '.jsonl')}.checkpoints.jsonl`);
+
+    if (preload || opts.preload) {
       this.loadFromDisk();
     } else {
       this.restoreChainFromDisk();
     }
+
+    if (opts.checkpoint) {
+      this.checkpointKey = ed25519PrivateKey(opts.checkpoint.privateKey);
+      this.checkpointEvery = opts.checkpoint.every;
+      this.restorePendingHashes();
+    }
+  }
+
+  /**
+   * Collect the hashes of the entries after the last checkpoint. That anchor
+   * is an entry on disk or the end of a deleted segment; with no checkpoint
+   * yet, checkpointing starts after the last deleted segment, since a batch
+   * cannot span entries that are gone.
+   * @throws Error when the anchor is missing, or entries after it were
+   *         deleted before a checkpoint covered them
+   */
+  private restorePendingHashes(): void {
+    const checkpoints = this.getCheckpoints();
+    const last = (this.lastCheckpoint = checkpoints[checkpoints.length - 1]);
+    let collecting = !last;
+    let lost: AuditSegment | undefined;
+    const collect = (line: string): void => {
+      const { hash } = JSON.parse(line) as AuditEntry;
+      if (collecting) this.pendingHashes.push(hash);
+      if (hash === last?.lastHash) collecting = true;
+    };
+    try {
+      for (const segment of this.manifest.segments) {
+        if (segment.status !== 'deleted') {
+          forEachLine(this.segmentPath(segment), segment.compressed, collect);
+        } else if (!last) {
+          this.pendingHashes = [];
+        } else if (collecting) {
+          lost = segment;
+          break;
+        } else {
+          collecting = segment.lastHash === last.lastHash;
+        }
+      }
+      if (!lost && fs.existsSync(this.filePath)) forEachLine(this.filePath, false, collect);
+    } catch {
+      // Corrupt file — checkpoints cover entries logged from now on
+      this.pendingHashes = [];
+      return;
+    }
+    if (lost) {
+      throw new Error(`Cannot resume audit checkpoints: ${lost.file} was deleted before a checkpoint covered its entries`);
+    }
+    if (!collecting) {
+      throw new Error(`Cannot resume audit checkpoints: checkpoint ${last!.seq} ends at an entry missing from disk or inside a deleted segment`);
+    }
+  }
+
+  private readManifest(): AuditManifest | undefined {
+    try {
+      if (!fs.existsSync(this.manifestPath)) return undefined;
+      return JSON.parse(fs.readFileSync(this.manifestPath, 'utf8')) as AuditManifest;
+    } catch {
+      return undefined;
+    }
   }
 
-  // Restore previousHash from the last line of the audit file on startup
+  private saveManifest(): void {
+    const tmp = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.manifest, null, 2) + '\n');
+    fs.renameSync(tmp, this.manifestPath);
+  }
+
+  private segmentPath(segment: AuditSegment): string {
+    return path.resolve(path.dirname(this.manifestPath), segment.file);
+  }
+
+  // Restore previousHash from the last entry of the active file, or the last segment's
   private restoreChainFromDisk(): void {
+    const segments = this.manifest.segments;
+    if (segments.length > 0) this.previousHash = segments[segments.length - 1].lastHash;
     try {
       if (!fs.existsSync(this.filePath)) return;
-      const content = fs.readFileSync(this.filePath, 'utf8').trim();
-      if (!content) return;
-      const lines = content.split('\n').filter(l => l.trim());
-      const lastLine = lines[lines.length - 1];
+      let lastLine: string | undefined;
+      forEachLine(this.filePath, false, line => {
+        lastLine = line;
+      });
+      if (!lastLine) return;
       const lastEntry: AuditEntry = JSON.parse(lastLine);
       if (lastEntry?.hash) {
         this.previousHash = lastEntry.hash;
@@ -44,13 +283,23 @@ export class AuditLogger {
     return crypto.createHash('sha256').update(data).digest('hex');
   }
 
+  /**
+   * Append a decision to the chain. The decision's rule-set hash/version and
+   * obligations, and an explained decision's `trace`, are copied to top-level
+   * entry fields, so the hash covers them.
+   */
   log(decision: Decision, input: Record<string, unknown> = {}): AuditEntry {
+    const { trace, ...output } = decision;
     const partial = {
       id: decision.auditId || crypto.randomUUID(),
-      timestamp: new Date().toISOString(),
+      timestamp: this.clock().toISOString(),
       input,
-      output: decision,
+      output: trace ? output : decision,
       rule: decision.matchedRule,
+      ...(decision.ruleSetHash ? { ruleSetHash: decision.ruleSetHash } : {}),
+      ...(decision.ruleSetVersion ? { ruleSetVersion: decision.ruleSetVersion } : {}),
+      ...(decision.obligations ? { obligations: decision.obligations } : {}),
+      ...(trace ? { trace } : {}),
       previousHash: this.previousHash,
     };
 
@@ -60,27 +309,60 @@ export class AuditLogger {
     this.entries.push(entry);
     this.previousHash = hash;
 
-    // Append to file
+    // Append to file, closing the active segment first when rotation is due.
+    // Segment housekeeping never costs an entry: if rotation fails the entry
+    // goes to the unrotated file, and retention failures are retried later.
     try {
       const dir = path.dirname(this.filePath);
       if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+      const line = JSON.stringify(entry) + '\n';
+      const bytes = Buffer.byteLength(line);
+      if (this.rotationDue(entry.timestamp, bytes)) {
+        let rotated = false;
+        try {
+          rotated = this.closeSegment() !== undefined;
+        } catch {
+          // keep appending to the active file; rotation is retried on the next entry
+        }
+        if (rotated && this.retention) {
+          try {
+            this.applyRetention();
+          } catch {
+            // retried at the next rotation or applyRetention() call
+          }
+        }
+      }
+      fs.appendFileSync(this.filePath, line);
+      const active = this.activeFile();
+      active.bytes += bytes;
+      active.startedAt ??= entry.timestamp;
     } catch {
       // silent — in-memory still works
     }
 
+    if (this.checkpointKey) {
+      this.pendingHashes.push(hash);
+      if (this.checkpointEvery !== undefined && this.pendingHashes.length >= this.checkpointEvery) this.checkpoint();
+    }
+
+    for (const listener of this.listeners) listener(entry);
     return entry;
   }
 
+  /**
+   * Call `listener` with every entry logged from now on (e.g. to feed an
+   * `AggregateStore`). Returns a function that removes the listener.
+   */
+  onLog(listener: (entry: AuditEntry) => void): () => void {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
   query(filter?: { startDate?: string; endDate?: string; result?: string }): AuditEntry[] {
     if (!filter) return [...this.entries];
-
-    return this.entries.filter(e => {
-      if (filter.startDate && e.timestamp < filter.startDate) return false;
-      if (filter.endDate && e.timestamp > filter.endDate) return false;
-      if (filter.result && e.output.result !== filter.result) return false;
-      return true;
-    });
+    return this.entries.filter(e => matches(e, filter));
   }
 
   exportCSV(): string {
@@ -115,44 +397,78 @@ export class AuditLogger {
 
   /**
    * Full audit verification including genesis hash.
-   * Loads ALL entries from disk and verifies from genesis '000...'.
-   * Use for compliance auditing — slower but complete.
+   * Streams every segment in manifest order, then the active file, and
+   * verifies from genesis '000...': each entry's hash, each segment's
+   * first/last hash and entry count against the manifest, and that every
+   * segment continues the previous one. Segments deleted by retention are
+   * bridged by their manifest hashes. Use for compliance auditing — slower
+   * but complete.
    */
   verifyFull(): boolean {
     try {
-      if (!fs.existsSync(this.filePath)) return this.entries.length === 0;
-      const content = fs.readFileSync(this.filePath, 'utf8').trim();
-      if (!content) return this.entries.length === 0;
-      const lines = content.split('\n').filter(l => l.trim());
-      const allEntries: AuditEntry[] = lines.map(l => JSON.parse(l));
-      let prevHash = '0'.repeat(64);
-      for (const entry of allEntries) {
-        const { hash, ...rest } = entry;
-        const expected = this.computeHash(prevHash, rest as any);
-        if (expected !== hash) return false;
-        prevHash = hash;
+      const manifest = this.readManifest() ?? { version: 1, legalHold: false, segments: [] };
+      if (manifest.segments.length === 0 && !fs.existsSync(this.filePath)) return this.entries.length === 0;
+
+      let prevHash = GENESIS_HASH;
+      const verifyFile = (file: string, compressed: boolean): { ok: boolean; count: number; first?: string } => {
+        let ok = true;
+        let count = 0;
+        let first: string | undefined;
+        forEachLine(file, compressed, line => {
+          const { hash, ...rest } = JSON.parse(line) as AuditEntry;
+          if (this.computeHash(prevHash, rest as any) !== hash) return (ok = false);
+          first ??= hash;
+          prevHash = hash;
+          count++;
+        });
+        return { ok, count, first };
+      };
+
+      for (const segment of manifest.segments) {
+        if (segment.previousHash !== prevHash) return false;
+        if (segment.status === 'deleted') {
+          prevHash = segment.lastHash;
+          continue;
+        }
+        const { ok, count, first } = verifyFile(this.segmentPath(segment), segment.compressed);
+        if (!ok || count !== segment.entries || first !== segment.firstHash || prevHash !== segment.lastHash) return false;
       }
-      return true;
+      return !fs.existsSync(this.filePath) || verifyFile(this.filePath, false).ok;
     } catch {
       return false;
     }
   }
 
+  /** Stream the entries of every segment still on disk, oldest first, then the active file. */
+  private forEachEntryOnDisk(fn: (entry: AuditEntry) => boolean | void): void {
+    let stopped = false;
+    const each = (line: string) => {
+      stopped = fn(JSON.parse(line) as AuditEntry) === false;
+      return !stopped;
+    };
+    for (const segment of this.manifest.segments) {
+      if (segment.status !== 'deleted') forEachLine(this.segmentPath(segment), segment.compressed, each);
+      if (stopped) return;
+    }
+    if (fs.existsSync(this.filePath)) forEachLine(this.filePath, false, each);
+  }
+
   /**
-   * Load all entries from disk into this.entries.
+   * Load all entries from disk — every segment still on disk, then the
+   * active file — into this.entries.
    * Useful after a restart to make `query()` return the full history.
    * Also restores the hash chain pointer from the last entry.
    */
   loadFromDisk(): void {
     try {
-      if (!fs.existsSync(this.filePath)) return;
-      const content = fs.readFileSync(this.filePath, 'utf8').trim();
-      if (!content) return;
-      const lines = content.split('\n').filter(l => l.trim());
-      this.entries = lines.map(l => JSON.parse(l) as AuditEntry);
-      if (this.entries.length > 0) {
-        this.previousHash = this.entries[this.entries.length - 1].hash;
-      }
+      const entries: AuditEntry[] = [];
+      this.forEachEntryOnDisk(entry => {
+        entries.push(entry);
+      });
+      this.entries = entries;
+      const segments = this.manifest.segments;
+      if (entries.length > 0) this.previousHash = entries[entries.length - 1].hash;
+      else if (segments.length > 0) this.previousHash = segments[segments.length - 1].lastHash;
     } catch {
       // Corrupt file — reset to empty, chain starts fresh
       this.entries = [];
@@ -162,30 +478,364 @@ export class AuditLogger {
   /**
    * Query entries from disk directly (bypasses in-memory state).
    * Safe to call after a restart even if `loadFromDisk()` was not used.
-   * Returns all entries from the JSONL file matching the optional filter.
+   * Streams every segment still on disk and the active file, returning the
+   * entries matching the optional filter.
    */
   queryFromDisk(filter?: { startDate?: string; endDate?: string; result?: string }): AuditEntry[] {
     try {
-      if (!fs.existsSync(this.filePath)) return [];
-      const content = fs.readFileSync(this.filePath, 'utf8').trim();
-      if (!content) return [];
-      const entries: AuditEntry[] = content
-        .split('\n')
-        .filter(l => l.trim())
-        .map(l => JSON.parse(l) as AuditEntry);
-
-      if (!filter) return entries;
-      return entries.filter(e => {
-        if (filter.startDate && e.timestamp < filter.startDate) return false;
-        if (filter.endDate   && e.timestamp > filter.endDate)   return false;
-        if (filter.result    && e.output.result !== filter.result) return false;
-        return true;
+      const entries: AuditEntry[] = [];
+      this.forEachEntryOnDisk(entry => {
+        if (matches(entry, filter)) entries.push(entry);
       });
+      return entries;
     } catch {
       return [];
     }
   }
 
+  // ── Segments, retention and legal hold ──────────────────────────────────────
+
+  private activeFile(): { bytes: number; startedAt?: string } {
+    if (!this.active) {
+      this.active = { bytes: 0 };
+      if (fs.existsSync(this.filePath)) {
+        this.active.bytes = fs.statSync(this.filePath).size;
+        forEachLine(this.filePath, false, line => {
+          this.active!.startedAt = (JSON.parse(line) as AuditEntry).timestamp;
+          return false;
+        });
+      }
+    }
+    return this.active;
+  }
+
+  private rotationDue(timestamp: string, bytes: number): boolean {
+    if (!this.rotation) return false;
+    const active = this.activeFile();
+    if (active.bytes === 0) return false;
+    const { maxBytes, every } = this.rotation;
+    return (maxBytes !== undefined && active.bytes + bytes > maxBytes) ||
+      (every !== undefined && active.startedAt !== undefined && periodOf(active.startedAt, every) !== periodOf(timestamp, every));
+  }
+
+  /**
+   * Close the active file as the next numbered segment and record it in the
+   * manifest; the hash chain continues in the new active file. Applies the
+   * retention policy, if any. Returns the new segment, or undefined when the
+   * active file is empty.
+   */
+  rotate(): AuditSegment | undefined {
+    const segment = this.closeSegment();
+    if (segment && this.retention) this.applyRetention();
+    return segment;
+  }
+
+  /** Rename the active file to the next segment and record it; undone if the manifest cannot be saved. */
+  private closeSegment(): AuditSegment | undefined {
+    if (!fs.existsSync(this.filePath) || fs.statSync(this.filePath).size === 0) return undefined;
+
+    let first: AuditEntry | undefined;
+    let last: AuditEntry | undefined;
+    let entries = 0;
+    forEachLine(this.filePath, false, line => {
+      last = JSON.parse(line) as AuditEntry;
+      first ??= last;
+      entries++;
+    });
+    if (!first || !last) return undefined;
+
+    const segments = this.manifest.segments;
+    const seq = (segments.length > 0 ? segments[segments.length - 1].seq : 0) + 1;
+    const name = `${path.basename(this.filePath, '.jsonl')}.${String(seq).padStart(6, '0')}.jsonl`;
+    const file = path.join(path.dirname(this.filePath), name);
+    const bytes = fs.statSync(this.filePath).size;
+    fs.renameSync(this.filePath, file);
+
+    const segment: AuditSegment = {
+      seq,
+      file: name,
+      entries,
+      bytes,
+      previousHash: first.previousHash,
+      firstHash: first.hash,
+      lastHash: last.hash,
+      startedAt: first.timestamp,
+      endedAt: last.timestamp,
+      status: 'closed',
+      compressed: false,
+    };
+    segments.push(segment);
+    try {
+      this.saveManifest();
+    } catch (err) {
+      // A segment missing from the manifest would break the chain on disk
+      segments.pop();
+      fs.renameSync(file, this.filePath);
+      throw err;
+    }
+    this.active = { bytes: 0 };
+    return { ...segment };
+  }
+
+  /**
+   * Archive, compress and delete closed segments by age per the `retention`
+   * option. Segments under legal hold are archived but never deleted.
+   */
+  applyRetention(): AuditRetentionResult {
+    const result: AuditRetentionResult = { archived: [], deleted: [], held: [] };
+    if (!this.retention) return result;
+    const now = this.clock().getTime();
+
+    // Record whatever was moved or deleted even when a later segment fails
+    try {
+      this.retainSegments(result, now);
+    } finally {
+      if (result.archived.length > 0 || result.deleted.length > 0) this.saveManifest();
+    }
+    return result;
+  }
+
+  private retainSegments(result: AuditRetentionResult, now: number): void {
+    const { archiveAfter, deleteAfter, compress, archiveDir } = this.retention!;
+    for (const segment of this.manifest.segments) {
+      if (segment.status === 'deleted') continue;
+      const age = now - Date.parse(segment.endedAt);
+
+      if (deleteAfter !== undefined && age >= deleteAfter) {
+        if (this.isHeld(segment)) {
+          result.held.push(segment.file);
+        } else {
+          this.removeSegment(segment);
+          result.deleted.push(segment.file);
+          continue;
+        }
+      }
+
+      if (archiveAfter !== undefined && age >= archiveAfter && segment.status === 'closed') {
+        const from = this.segmentPath(segment);
+        const to = path.join(archiveDir, path.basename(from) + (compress ? '.gz' : ''));
+        if (!fs.existsSync(archiveDir)) fs.mkdirSync(archiveDir, { recursive: true });
+        if (compress) {
+          fs.writeFileSync(to, zlib.gzipSync(fs.readFileSync(from)));
+          fs.unlinkSync(from);
+        } else {
+          fs.renameSync(from, to);
+        }
+        Object.assign(segment, {
+          file: path.relative(path.dirname(this.manifestPath), to),
+          status: 'archived',
+          compressed: compress,
+        });
+        result.archived.push(segment.file);
+      }
+    }
+  }
+
+  private isHeld(segment: AuditSegment): boolean {
+    return this.manifest.legalHold || segment.legalHold === true;
+  }
+
+  private removeSegment(segment: AuditSegment): void {
+    // Sign entries no checkpoint covers yet while they can still be read
+    if (this.checkpointKey && this.pendingHashes.includes(segment.lastHash)) this.checkpoint();
+    const file = this.segmentPath(segment);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    segment.status = 'deleted';
+    segment.deletedAt = this.clock().toISOString();
+  }
+
+  /**
+   * Place or lift a legal hold — on every segment, or on one segment by `seq`.
+   * Held segments cannot be deleted by retention or `deleteSegment()`.
+   */
+  setLegalHold(hold: boolean, options: { segment?: number; reason?: string } = {}): this {
+    if (options.segment !== undefined) {
+      const segment = this.manifest.segments.find(s => s.seq === options.segment);
+      if (!segment) throw new Error(`No audit segment ${options.segment}`);
+      segment.legalHold = hold;
+    } else {
+      this.manifest.legalHold = hold;
+      if (hold && options.reason) this.manifest.legalHoldReason = options.reason;
+      else delete this.manifest.legalHoldReason;
+    }
+    this.saveManifest();
+    return this;
+  }
+
+  /**
+   * Delete a closed segment's file now. Its hashes stay in the manifest, so
+   * `verifyFull()` still checks the chain across it.
+   * @throws LegalHoldError when the segment is under legal hold
+   */
+  deleteSegment(seq: number): this {
+    const segment = this.manifest.segments.find(s => s.seq === seq);
+    if (!segment) throw new Error(`No audit segment ${seq}`);
+    if (segment.status === 'deleted') return this;
+    if (this.isHeld(segment)) {
+      throw new LegalHoldError(`Audit segment ${seq} (${segment.file}) is under legal hold and cannot be deleted`);
+    }
+    this.removeSegment(segment);
+    this.saveManifest();
+    return this;
+  }
+
+  /** The segment manifest: closed segments, oldest first, and the legal hold. */
+  getManifest(): AuditManifest {
+    return JSON.parse(JSON.stringify(this.manifest));
+  }
+
+  // ── Signed checkpoints ──────────────────────────────────────────────────────
+
+  /**
+   * Sign a checkpoint over the entries logged since the last one and append
+   * it to the checkpoints file. Returns undefined when there are none.
+   * @throws Error when the logger has no checkpoint key
+   */
+  checkpoint(): AuditCheckpoint | undefined {
+    if (!this.checkpointKey) throw new Error('No checkpoint key — pass { checkpoint: { privateKey } } to AuditLogger');
+    if (this.pendingHashes.length === 0) return undefined;
+
+    const checkpoint = signCheckpoint(this.pendingHashes, this.checkpointKey, {
+      seq: (this.lastCheckpoint?.seq ?? 0) + 1,
+      previousCheckpoint: this.lastCheckpoint ? checkpointHash(this.lastCheckpoint) : GENESIS_CHECKPOINT,
+      createdAt: this.clock(),
+    });
+    try {
+      fs.appendFileSync(this.checkpointsPath, JSON.stringify(checkpoint) + '\n');
+    } catch {
+      // silent — the checkpoint is still returned for publishing
+    }
+    this.lastCheckpoint = checkpoint;
+    this.pendingHashes = [];
+    return checkpoint;
+  }
+
+  /** Every checkpoint on disk, oldest first. */
+  getCheckpoints(): AuditCheckpoint[] {
+    const checkpoints: AuditCheckpoint[] = [];
+    try {
+      if (fs.existsSync(this.checkpointsPath)) {
+        forEachLine(this.checkpointsPath, false, line => {
+          checkpoints.push(JSON.parse(line) as AuditCheckpoint);
+        });
+      }
+    } catch {
+      // Corrupt file — return what was readable
+    }
+    return checkpoints;
+  }
+
+  /**
+   * Inclusion proof for one entry: the entry, the sibling hashes from it to
+   * its checkpoint's Merkle root, and the signed checkpoint. Anyone holding
+   * the public key can check it with `verifyInclusionProof()` without seeing
+   * any other entry.
+   * @throws Error when no checkpoint on disk covers the entry
+   */
+  proveEntry(id: string): AuditInclusionProof {
+    const byFirstHash = new Map(this.getCheckpoints().map(c => [c.firstHash, c]));
+    let batch: { checkpoint: AuditCheckpoint; hashes: string[]; target?: { entry: AuditEntry; index: number } } | undefined;
+    let proof: AuditInclusionProof | undefined;
+
+    this.forEachEntryOnDisk(entry => {
+      if (!batch) {
+        const checkpoint = byFirstHash.get(entry.hash);
+        if (!checkpoint) return;
+        batch = { checkpoint, hashes: [] };
+      }
+      if (entry.id === id) batch.target = { entry, index: batch.hashes.length };
+      batch.hashes.push(entry.hash);
+      if (batch.hashes.length < batch.checkpoint.size) return;
+      if (batch.target) {
+        const { entry: target, index } = batch.target;
+        proof = { entry: target, index, path: merklePath(batch.hashes, index), checkpoint: batch.checkpoint };
+        return false;
+      }
+      batch = undefined;
+    });
+
+    if (!proof) throw new Error(`Audit entry ${id} is not covered by a checkpoint on disk`);
+    return proof;
+  }
+
+  /**
+   * Check every checkpoint on disk: signed by `publicKey`, chained to the one
+   * before it, and covering the next `size` entries of the log back to back,
+   * from `firstHash` to `lastHash`, under its Merkle root. Entry hashes are
+   * recomputed from their content. Entries in segments deleted by retention
+   * are bridged by their manifest hashes, so a checkpoint reaching into one
+   * is checked for its ends, signature and chaining only. Entries before the
+   * first checkpoint's `firstHash` — logged, or deleted, before checkpointing
+   * started — are skipped; when that anchor is found neither on disk nor at
+   * the start of a deleted segment, verification fails.
+   */
+  verifyCheckpoints(publicKey: crypto.KeyObject | string): boolean {
+    const checkpoints = this.getCheckpoints();
+    let previous = GENESIS_CHECKPOINT;
+    for (const [i, checkpoint] of checkpoints.entries()) {
+      if (checkpoint.seq !== i + 1 || checkpoint.previousCheckpoint !== previous) return false;
+      if (!verifyCheckpoint(checkpoint, publicKey)) return false;
+      previous = checkpointHash(checkpoint);
+    }
+
+    // The batch being matched: checkpoints[next], of which `hashes` were read and `bridged` fell in deleted segments
+    let next = 0;
+    let hashes: string[] = [];
+    let bridged = 0;
+    let anchored = checkpoints.length === 0;
+    let ok = true;
+    const batchDone = (): void => {
+      next++;
+      hashes = [];
+      bridged = 0;
+    };
+    const onEntry = (line: string): boolean => {
+      if (next === checkpoints.length) return false;
+      const checkpoint = checkpoints[next];
+      const hash = auditEntryHash(JSON.parse(line) as AuditEntry);
+      if (!anchored && hash !== checkpoint.firstHash) return true;
+      anchored = true;
+      const position = hashes.length + bridged;
+      if (position === 0 && hash !== checkpoint.firstHash) return (ok = false);
+      hashes.push(hash);
+      if (position + 1 < checkpoint.size) return true;
+      if (hash !== checkpoint.lastHash) return (ok = false);
+      if (bridged === 0 && merkleRoot(hashes) !== checkpoint.root) return (ok = false);
+      batchDone();
+      return true;
+    };
+    const onDeleted = (segment: AuditSegment): boolean => {
+      if (!anchored && segment.firstHash !== checkpoints[0].firstHash) return true;
+      anchored = true;
+      let remaining = segment.entries;
+      while (remaining > 0 && next < checkpoints.length) {
+        const checkpoint = checkpoints[next];
+        const position = hashes.length + bridged;
+        if (position === 0 && remaining === segment.entries && segment.firstHash !== checkpoint.firstHash) return false;
+        const taken = Math.min(remaining, checkpoint.size - position);
+        bridged += taken;
+        remaining -= taken;
+        if (hashes.length + bridged < checkpoint.size) break;
+        if (remaining === 0 && segment.lastHash !== checkpoint.lastHash) return false;
+        batchDone();
+      }
+      return true;
+    };
+
+    try {
+      for (const segment of this.manifest.segments) {
+        if (segment.status === 'deleted') ok = onDeleted(segment);
+        else forEachLine(this.segmentPath(segment), segment.compressed, onEntry);
+        if (!ok) return false;
+      }
+      if (fs.existsSync(this.filePath)) forEachLine(this.filePath, false, onEntry);
+    } catch {
+      return false;
+    }
+    // A checkpoint left unmatched (or never anchored) covers entries missing from the log
+    return ok && next === checkpoints.length;
+  }
+
   /**
    * Number of entries currently in memory.
    * After a restart (without preload), this is the count since the process started.
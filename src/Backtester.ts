@@ -0,0 +1,157 @@
+/**
+ * Backtester — Replay audited decisions against a candidate rule set.
+ *
+ * Re-evaluates the facts of historical `AuditEntry` records with a candidate
+ * `RuleEngine` and reports what would have changed: decisions that flip, the
+ * candidate rules responsible, the approval-rate delta and example cases.
+ *
+ * Each entry is replayed as of its own timestamp, so date helpers such as
+ * `daysBetween(kycDate, now())` see the same "now" as the original decision.
+ *
+ * @example
+ * const candidate = new RuleEngine();
+ * candidate.loadRules(proposedRules);
+ * const report = new Backtester(candidate).runFromLog(new AuditLogger('data/audit.jsonl'));
+ * console.log(report.flipped, report.approvalRate.delta);
+ *
+ * @module Backtester
+ */
+
+import { AuditEntry, Decision } from './types';
+import { RuleEngine } from './RuleEngine';
+import { AuditLogger } from './AuditLogger';
+
+export interface BacktesterOptions {
+  /** Max example flips listed in the report. Default: 10 */
+  maxExamples?: number;
+  /**
+   * Evaluate every entry at this moment instead of at its own timestamp —
+   * e.g. the effective date of a candidate whose rules carry `validFrom`.
+   */
+  asOf?: Date | string;
+}
+
+/** One decision that changed under the candidate rules. */
+export interface BacktestFlip {
+  entryId: string;
+  timestamp: string;
+  input: Record<string, unknown>;
+  before: { result: Decision['result']; ruleId: string | null };
+  after: { result: Decision['result']; ruleId: string | null };
+}
+
+/** Flips attributed to the candidate rule that now decides them. */
+export interface BacktestRuleImpact {
+  /** `null` when no candidate rule matched (fell through to REVIEW) */
+  ruleId: string | null;
+  ruleName: string | null;
+  flips: number;
+  /** Counts per transition, e.g. `{ 'APPROVED → REJECTED': 3 }` */
+  transitions: Record<string, number>;
+}
+
+export interface BacktestReport {
+  /** Entries read */
+  total: number;
+  /** Entries re-evaluated without error */
+  replayed: number;
+  flipped: number;
+  /** Counts per transition across all rules, e.g. `{ 'APPROVED → REVIEW': 12 }` */
+  transitions: Record<string, number>;
+  /** Most flips first */
+  byRule: BacktestRuleImpact[];
+  /** Share of replayed entries APPROVED (0–1), before and after */
+  approvalRate: { before: number; after: number; delta: number };
+  examples: BacktestFlip[];
+  /** Entries the candidate could not evaluate (invalid facts, strict-mode errors) */
+  errors: Array<{ entryId: string; error: string }>;
+}
+
+export class Backtester {
+  private candidate: RuleEngine;
+  private maxExamples: number;
+  private asOf?: Date | string;
+
+  constructor(candidate: RuleEngine, options: BacktesterOptions = {}) {
+    this.candidate = candidate;
+    this.maxExamples = options.maxExamples ?? 10;
+    this.asOf = options.asOf;
+  }
+
+  /**
+   * Replay entries read from an audit log file (see `AuditLogger.queryFromDisk`).
+   */
+  runFromLog(logger: AuditLogger, filter?: { startDate?: string; endDate?: string; result?: string }): BacktestReport {
+    return this.run(logger.queryFromDisk(filter));
+  }
+
+  /**
+   * Replay the given audit entries against the candidate engine.
+   */
+  run(entries: AuditEntry[]): BacktestReport {
+    const transitions: Record<string, number> = {};
+    const byRule = new Map<string | null, BacktestRuleImpact>();
+    const examples: BacktestFlip[] = [];
+    const errors: BacktestReport['errors'] = [];
+    let replayed = 0;
+    let flipped = 0;
+    let approvedBefore = 0;
+    let approvedAfter = 0;
+
+    for (const entry of entries) {
+      let after: Decision;
+      try {
+        after = this.candidate.evaluate({ ...entry.input }, { asOf: this.asOf ?? entry.timestamp });
+      } catch (err) {
+        errors.push({ entryId: entry.id, error: (err as Error).message });
+        continue;
+      }
+
+      replayed++;
+      if (entry.output.result === 'APPROVED') approvedBefore++;
+      if (after.result === 'APPROVED') approvedAfter++;
+      if (after.result === entry.output.result) continue;
+
+      flipped++;
+      const transition = `${entry.output.result} → ${after.result}`;
+      transitions[transition] = (transitions[transition] ?? 0) + 1;
+
+      const ruleId = after.matchedRule?.id ?? null;
+      const impact = byRule.get(ruleId) ?? {
+        ruleId,
+        ruleName: after.matchedRule?.name ?? null,
+        flips: 0,
+        transitions: {},
+      };
+      impact.flips++;
+      impact.transitions[transition] = (impact.transitions[transition] ?? 0) + 1;
+      byRule.set(ruleId, impact);
+
+      if (examples.length < this.maxExamples) {
+        examples.push({
+          entryId: entry.id,
+          timestamp: entry.timestamp,
+          input: entry.input,
+          before: { result: entry.output.result, ruleId: entry.rule?.id ?? null },
+          after: { result: after.result, ruleId },
+        });
+      }
+    }
+
+    const rate = (n: number) => (replayed > 0 ? n / replayed : 0);
+    return {
+      total: entries.length,
+      replayed,
+      flipped,
+      transitions,
+      byRule: [...byRule.values()].sort((a, b) => b.flips - a.flips),
+      approvalRate: {
+        before: rate(approvedBefore),
+        after: rate(approvedAfter),
+        delta: rate(approvedAfter) - rate(approvedBefore),
+      },
+      examples,
+      errors,
+    };
+  }
+}
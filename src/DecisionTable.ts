@@ -0,0 +1,666 @@
+/**
+ * DecisionTable — Import and export rules as decision tables (CSV and DMN 1.3).
+ *
+ * A decision table has one column per input (a fact path such as `amount` or
+ * `customer.country`) plus output columns for the action and reason. Every
+ * row is a rule whose input cells are ANDed; each cell is a DMN unary test:
+ *
+ *   -            any value (an empty cell too)
+ *   > 1000       also <, <=, >=
+ *   [1..10]      range; ( or ] excludes the start, ) or [ the end
+ *   "AE", "SA"   any of these values (numbers, true, false, null too)
+ *   not("AE")    none of these
+ *
+ * CSV tables have `action` and input columns, plus optional `id`, `name`,
+ * `reason` and `priority` columns (rows without a priority keep their order).
+ * A bare word such as `AE` is read as a string. Consecutive rows with the same
+ * `id` become one rule whose condition ORs the rows:
+ *
+ *   id,amount,country,action,reason
+ *   CASH,> 1000000,-,REJECTED,Over the cash limit
+ *   GCC,[1000..1000000],"AE, SA",APPROVED,GCC customer
+ *
+ * DMN decision tables with the FIRST, UNIQUE or PRIORITY hit policy map onto
+ * rule priorities: table order, table order after checking that no two rows
+ * overlap, and the order of the action output's `outputValues`.
+ *
+ * Exporting goes through the region analysis, so only conditions built from
+ * comparisons with literals, `in` lists and truthiness tests can be written
+ * as a table; anything else throws `DecisionTableError`. Table inputs are
+ * typed, so `amount > 5` is a plain range, without the coercion of `null`,
+ * booleans and strings the analyzers account for.
+ *
+ * @example
+ * const rules = rulesFromCSV(fs.readFileSync('policy.csv', 'utf-8'));
+ * engine.loadRules(rules);
+ * fs.writeFileSync('policy.dmn', rulesToDMN(engine.getRules(), { id: 'aml', name: 'AML screening' }));
+ *
+ * @module DecisionTable
+ */
+
+import { Rule } from './types';
+import { parseExpression } from './ExpressionParser';
+import { inferSchema } from './analysis/CoverageAnalyzer';
+import {
+  ATOM_PREFIX,
+  FieldDomain,
+  Interval,
+  Region,
+  RegionLimitError,
+  Scalar,
+  TRUTHY,
+  and,
+  complementDomain,
+  domainEquals,
+  regionOf,
+  simplify,
+} from './analysis/Region';
+
+export interface DecisionTableCSVOptions {
+  /** Cell separator, e.g. ';' for spreadsheets saved in European locales. Default: ',' */
+  delimiter?: string;
+}
+
+export interface DMNImportOptions {
+  /** Id or name of the decision to import. Default: the first decision with a decision table */
+  decision?: string;
+}
+
+export interface DMNExportOptions {
+  /** Decision id. Default: 'rules' */
+  id?: string;
+  /** Decision name. Default: the id */
+  name?: string;
+}
+
+export class DecisionTableError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DecisionTableError';
+  }
+}
+
+const ACTIONS: readonly Rule['action'][] = ['APPROVED', 'REJECTED', 'REVIEW'];
+const RESERVED = ['id', 'name', 'action', 'reason', 'priority'];
+const FACT_PATH = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+const BARE_WORD = /^[A-Za-z_][\w .\/-]*$/;
+const HIT_POLICIES = ['FIRST', 'UNIQUE', 'PRIORITY'];
+
+/** One table row, before rows sharing an id are merged. */
+interface Row {
+  where: string;
+  id?: string;
+  name?: string;
+  condition: string;
+  action: Rule['action'];
+  reason?: string;
+  priority: number;
+}
+
+// ── Unary tests → conditions ──────────────────────────────────────────────────
+
+/** Split on top-level commas, leaving quoted strings and brackets intact. */
+function splitList(text: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '\\') i++;
+      else if (ch === '"') quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || (ch === ']' && depth > 0)) {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts;
+}
+
+function parseLiteral(text: string, bareStrings: boolean): Scalar | undefined {
+  if (/^"(?:[^"\\]|\\.)*"$/.test(text)) {
+    try {
+      return JSON.parse(text) as string;
+    } catch {
+      return text.slice(1, -1);
+    }
+  }
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (bareStrings && /^[^"'<>=[\]()]+$/.test(text)) return text;
+  return undefined;
+}
+
+function parseNumber(text: string): number {
+  const value = parseLiteral(text, false);
+  if (typeof value !== 'number') throw new DecisionTableError(`expected a number, got "${text}"`);
+  return value;
+}
+
+function testCondition(subject: string, test: string, bareStrings: boolean): string {
+  const compare = /^(<=|>=|<|>)\s*(.+)$/.exec(test);
+  if (compare) return `${subject} ${compare[1]} ${parseNumber(compare[2])}`;
+
+  const range = /^([[\](])\s*(.+?)\s*\.\.\s*(.+?)\s*([[\])])$/.exec(test);
+  if (range) {
+    const lo = parseNumber(range[2]);
+    const hi = parseNumber(range[3]);
+    return `${subject} ${range[1] === '[' ? '>=' : '>'} ${lo} && ${subject} ${range[4] === ']' ? '<=' : '<'} ${hi}`;
+  }
+
+  const value = parseLiteral(test, bareStrings);
+  if (value === undefined) throw new DecisionTableError(`cannot read "${test}"`);
+  return `${subject} === ${JSON.stringify(value)}`;
+}
+
+/** Condition for one cell, or null when the cell allows any value. */
+function cellCondition(subject: string, cell: string, bareStrings: boolean): string | null {
+  const text = cell.trim();
+  if (text === '' || text === '-') return null;
+
+  const negated = /^not\s*\((.*)\)$/s.exec(text);
+  if (negated) {
+    const inner = cellCondition(subject, negated[1], bareStrings);
+    if (inner === null) throw new DecisionTableError(`not() needs at least one test`);
+    return inner.startsWith(`${subject} === `) ? inner.replace(' === ', ' !== ') : `!(${inner})`;
+  }
+
+  const tests = splitList(text);
+  const values = tests.map(t => parseLiteral(t, bareStrings));
+  if (values.every(v => v !== undefined)) {
+    return values.length === 1
+      ? `${subject} === ${JSON.stringify(values[0])}`
+      : `${subject} in [${values.map(v => JSON.stringify(v)).join(', ')}]`;
+  }
+  const parts = tests.map(t => testCondition(subject, t, bareStrings));
+  return parts.length === 1 ? parts[0] : `(${parts.join(' || ')})`;
+}
+
+/** Fact path or expression an input column tests. */
+function inputSubject(header: string, where: string): string {
+  const text = header.trim();
+  if (FACT_PATH.test(text)) return text;
+  try {
+    parseExpression(text);
+  } catch (err) {
+    throw new DecisionTableError(`${where}: input "${header}" is not a fact name or expression (${(err as Error).message})`);
+  }
+  return `(${text})`;
+}
+
+function rowCondition(subjects: string[], cells: string[], where: string, bareStrings: boolean): string {
+  const parts: string[] = [];
+  subjects.forEach((subject, i) => {
+    try {
+      const part = cellCondition(subject, cells[i] ?? '', bareStrings);
+      if (part !== null) parts.push(part);
+    } catch (err) {
+      throw new DecisionTableError(`${where}, input "${subject}": ${(err as Error).message}`);
+    }
+  });
+  return parts.length > 0 ? parts.join(' && ') : 'true';
+}
+
+function parseAction(text: string, where: string): Rule['action'] {
+  const action = text.trim().replace(/^"(.*)"$/, '$1').toUpperCase();
+  if (!ACTIONS.includes(action as Rule['action'])) {
+    throw new DecisionTableError(`${where}: action must be one of ${ACTIONS.join(', ')}, got "${text.trim()}"`);
+  }
+  return action as Rule['action'];
+}
+
+/**
+ * Turn rows into rules: consecutive rows with the same id become one rule
+ * whose condition ORs theirs.
+ */
+function toRules(rows: Row[]): Rule[] {
+  const rules: Rule[] = [];
+  let last: { rule: Rule; row: Row } | undefined;
+  for (const row of rows) {
+    if (last && row.id !== undefined && row.id === last.row.id) {
+      if (row.action !== last.rule.action || (row.reason !== undefined && row.reason !== last.rule.reason)) {
+        throw new DecisionTableError(`${row.where}: rule "${row.id}" continues with a different action or reason`);
+      }
+      last.rule.condition = last.rule.condition === 'true' || row.condition === 'true'
+        ? 'true'
+        : `${last.rule.condition} || ${row.condition}`;
+      continue;
+    }
+    const id = row.id ?? `R${rules.length + 1}`;
+    const rule: Rule = {
+      id,
+      name: row.name ?? id,
+      condition: row.condition,
+      action: row.action,
+      reason: row.reason ?? row.name ?? id,
+      priority: row.priority,
+    };
+    rules.push(rule);
+    last = { rule, row };
+  }
+
+  const seen = new Set<string>();
+  for (const rule of rules) {
+    if (seen.has(rule.id)) throw new DecisionTableError(`Duplicate rule id "${rule.id}"`);
+    seen.add(rule.id);
+  }
+  return rules;
+}
+
+// ── Conditions → unary tests ──────────────────────────────────────────────────
+
+function isAllNumbers(list: Interval[]): boolean {
+  return list.length === 1 && list[0].lo === -Infinity && list[0].hi === Infinity;
+}
+
+function intervalCell(iv: Interval): string {
+  if (iv.lo === iv.hi) return String(iv.lo);
+  if (iv.lo === -Infinity) return `${iv.hiOpen ? '<' : '<='} ${iv.hi}`;
+  if (iv.hi === Infinity) return `${iv.loOpen ? '>' : '>='} ${iv.lo}`;
+  return `${iv.loOpen ? '(' : '['}${iv.lo}..${iv.hi}${iv.hiOpen ? ')' : ']'}`;
+}
+
+function valueCell(value: Scalar, bareStrings: boolean): string {
+  if (typeof value === 'string') {
+    const bare = bareStrings && BARE_WORD.test(value) && value === value.trim() &&
+      !['true', 'false', 'null'].includes(value);
+    return bare ? value : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * The unary test for a field domain, or null when a table cell cannot hold
+ * it. A numeric range that also lets every non-number through (`!(amount > 5)`)
+ * is written as the range alone — table inputs are typed — and a bare
+ * truthiness test (`pep`, `!pep`) as `true` / `false`.
+ */
+function domainCell(domain: FieldDomain, bareStrings: boolean): string | null {
+  if (domainEquals(domain, TRUTHY)) return 'true';
+  if (domainEquals(domain, complementDomain(TRUTHY))) return 'false';
+
+  const { only, except } = domain.values;
+  const allNumbers = isAllNumbers(domain.numbers);
+  const tests = allNumbers ? [] : domain.numbers.map(intervalCell);
+  if (only) {
+    if (allNumbers) return null;
+    tests.push(...[...only].map(v => valueCell(v, bareStrings)));
+  } else if (except.size > 0) {
+    return allNumbers ? `not(${[...except].map(v => valueCell(v, bareStrings)).join(', ')})` : null;
+  }
+  return tests.length > 0 ? tests.join(', ') : null;
+}
+
+/** Rules as table rows (one per box of each condition), in priority order. */
+function tableRows(rules: Rule[], bareStrings: boolean): { inputs: string[]; rows: Array<{ rule: Rule; cells: Map<string, string> }> } {
+  const inputs: string[] = [];
+  const rows: Array<{ rule: Rule; cells: Map<string, string> }> = [];
+
+  for (const rule of [...rules].sort((a, b) => a.priority - b.priority)) {
+    const fail = (why: string) =>
+      new DecisionTableError(`Rule "${rule.id}" cannot be written as a decision table: ${why}`);
+    let region: Region;
+    try {
+      region = simplify(regionOf(parseExpression(rule.condition), { coerce: false }));
+    } catch (err) {
+      throw fail(err instanceof RegionLimitError ? 'condition too complex' : (err as Error).message);
+    }
+    if (region.length === 0) throw fail('condition never matches');
+
+    for (const box of region) {
+      const cells = new Map<string, string>();
+      for (const [field, domain] of box) {
+        if (field.startsWith(ATOM_PREFIX)) throw fail(`"${field.slice(ATOM_PREFIX.length)}" is not a table test`);
+        const cell = domainCell(domain, bareStrings);
+        if (cell === null) throw fail(`the values allowed for "${field}" do not fit one cell`);
+        if (!inputs.includes(field)) inputs.push(field);
+        cells.set(field, cell);
+      }
+      rows.push({ rule, cells });
+    }
+  }
+  return { inputs, rows };
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+function parseCSV(text: string, delimiter: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new DecisionTableError('Unterminated quoted cell');
+  if (cell !== '' || record.length > 0) records.push([...record, cell]);
+  return records;
+}
+
+function csvCell(value: string, delimiter: string): string {
+  return value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim()
+    ? `"${value.replace(/"/g, '""')}"`
+    : value;
+}
+
+/**
+ * Read rules from a CSV decision table. The header names the `action` column,
+ * the input columns and optionally `id`, `name`, `reason` and `priority`.
+ */
+export function rulesFromCSV(text: string, options: DecisionTableCSVOptions = {}): Rule[] {
+  const records = parseCSV(text.replace(/^\uFEFF/, ''), options.delimiter ?? ',')
+    .filter(r => r.some(cell => cell.trim() !== ''));
+  if (records.length === 0) throw new DecisionTableError('Decision table is empty');
+
+  const header = records[0].map(h => h.trim());
+  const column = (name: string) => header.findIndex(h => h.toLowerCase() === name);
+  const [idCol, nameCol, actionCol, reasonCol, priorityCol] = RESERVED.map(column);
+  if (actionCol < 0) throw new DecisionTableError('Decision table has no "action" column');
+  const inputCols = header.map((_, i) => i).filter(i => !RESERVED.includes(header[i].toLowerCase()));
+  const subjects = inputCols.map(i => inputSubject(header[i], 'Header'));
+
+  const rows = records.slice(1).map((record, n): Row => {
+    const where = `Row ${n + 2}`;
+    const cell = (col: number) => (col >= 0 ? (record[col] ?? '').trim() : '');
+    let priority = n + 1;
+    if (cell(priorityCol) !== '') {
+      priority = Number(cell(priorityCol));
+      if (!Number.isFinite(priority)) throw new DecisionTableError(`${where}: priority must be a number, got "${cell(priorityCol)}"`);
+    }
+    return {
+      where,
+      id: cell(idCol) || undefined,
+      name: cell(nameCol) || undefined,
+      condition: rowCondition(subjects, inputCols.map(cell), where, true),
+      action: parseAction(cell(actionCol), where),
+      reason: cell(reasonCol) || undefined,
+      priority,
+    };
+  });
+  return toRules(rows);
+}
+
+/**
+ * Write rules as a CSV decision table with `id`, `name`, one column per fact
+ * tested, `action`, `reason` and `priority`. Rules whose condition is a
+ * disjunction take one row each for its cases.
+ */
+export function rulesToCSV(rules: Rule[], options: DecisionTableCSVOptions = {}): string {
+  const delimiter = options.delimiter ?? ',';
+  const { inputs, rows } = tableRows(rules, true);
+  const clash = inputs.find(f => RESERVED.includes(f.toLowerCase()));
+  if (clash) throw new DecisionTableError(`Fact "${clash}" has the name of an output column`);
+
+  const lines = [['id', 'name', ...inputs, 'action', 'reason', 'priority']];
+  for (const { rule, cells } of rows) {
+    lines.push([
+      rule.id, rule.name, ...inputs.map(f => cells.get(f) ?? '-'), rule.action, rule.reason, String(rule.priority),
+    ]);
+  }
+  return lines.map(line => line.map(v => csvCell(v, delimiter)).join(delimiter)).join('\n');
+}
+
+// ── DMN ───────────────────────────────────────────────────────────────────────
+
+interface XmlElement {
+  /** Local name, without namespace prefix */
+  name: string;
+  attrs: Record<string, string>;
+  children: XmlElement[];
+  text: string;
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (_, e: string) =>
+    e === 'lt' ? '<' : e === 'gt' ? '>' : e === 'amp' ? '&' : e === 'quot' ? '"' : e === 'apos' ? "'" :
+    String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10)));
+}
+
+function escapeXml(text: string, attribute = false): string {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return attribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+const localName = (name: string) => name.slice(name.indexOf(':') + 1);
+
+/** Minimal XML reader: elements, attributes, text, CDATA; skips comments, PIs and DOCTYPE. */
+function parseXML(xml: string): XmlElement {
+  const root: XmlElement = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tag = /<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  let i = 0;
+
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+    const top = stack[stack.length - 1];
+    top.text += decodeEntities(xml.slice(i, lt < 0 ? xml.length : lt));
+    if (lt < 0) break;
+
+    const skipTo = (end: string) => {
+      const at = xml.indexOf(end, lt);
+      if (at < 0) throw new DecisionTableError(`Malformed XML at offset ${lt}`);
+      return at + end.length;
+    };
+    if (xml.startsWith('<!--', lt)) {
+      i = skipTo('-->');
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      i = skipTo(']]>');
+      top.text += xml.slice(lt + 9, i - 3);
+    } else if (xml.startsWith('<?', lt) || xml.startsWith('<!', lt)) {
+      i = skipTo('>');
+    } else if (xml.startsWith('</', lt)) {
+      i = skipTo('>');
+      const name = localName(xml.slice(lt + 2, i - 1).trim());
+      if (stack.length === 1 || top.name !== name) throw new DecisionTableError(`Malformed XML: unexpected </${name}>`);
+      stack.pop();
+    } else {
+      tag.lastIndex = lt;
+      const m = tag.exec(xml);
+      if (!m) throw new DecisionTableError(`Malformed XML at offset ${lt}`);
+      const attrs: Record<string, string> = {};
+      for (const a of m[2].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      }
+      const element: XmlElement = { name: localName(m[1]), attrs, children: [], text: '' };
+      top.children.push(element);
+      if (!m[3]) stack.push(element);
+      i = tag.lastIndex;
+    }
+  }
+  if (stack.length > 1) throw new DecisionTableError(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  return root;
+}
+
+const childrenOf = (el: XmlElement, name: string) => el.children.filter(c => c.name === name);
+
+function descendants(el: XmlElement, name: string): XmlElement[] {
+  return el.children.flatMap(c => (c.name === name ? [c, ...descendants(c, name)] : descendants(c, name)));
+}
+
+/** Text of an element's `<text>` child. */
+function textOf(el: XmlElement | undefined): string {
+  return el ? (childrenOf(el, 'text')[0]?.text ?? '').trim() : '';
+}
+
+function literalText(text: string): string | undefined {
+  if (text === '') return undefined;
+  const value = parseLiteral(text, true);
+  return value === undefined || value === null ? text : String(value);
+}
+
+/**
+ * Read rules from a DMN 1.3 decision table. Inputs are the table's input
+ * expressions; outputs named `action` (or the only output) and `reason` fill
+ * the rule, and rule annotations named `id` and `name` name it (falling back
+ * to the table rule's `id` attribute and description).
+ */
+export function rulesFromDMN(xml: string, options: DMNImportOptions = {}): Rule[] {
+  const decisions = descendants(parseXML(xml), 'decision');
+  const decision = options.decision !== undefined
+    ? decisions.find(d => d.attrs.id === options.decision || d.attrs.name === options.decision)
+    : decisions.find(d => childrenOf(d, 'decisionTable').length > 0);
+  if (!decision) {
+    throw new DecisionTableError(options.decision !== undefined
+      ? `No decision "${options.decision}" in DMN file`
+      : 'No decision table in DMN file');
+  }
+  const table = childrenOf(decision, 'decisionTable')[0];
+  const label = decision.attrs.name ?? decision.attrs.id;
+  if (!table) throw new DecisionTableError(`Decision "${label}" is not a decision table`);
+
+  const hitPolicy = (table.attrs.hitPolicy ?? 'UNIQUE').toUpperCase();
+  if (!HIT_POLICIES.includes(hitPolicy)) {
+    throw new DecisionTableError(`Hit policy ${hitPolicy} is not supported (use ${HIT_POLICIES.join(', ')})`);
+  }
+
+  const subjects = childrenOf(table, 'input').map((input, i) => {
+    const expression = textOf(childrenOf(input, 'inputExpression')[0]);
+    if (!expression) throw new DecisionTableError(`Input ${i + 1} of "${label}" has no input expression`);
+    return inputSubject(expression, `Decision "${label}"`);
+  });
+  const outputs = childrenOf(table, 'output');
+  const outputIndex = (name: string) => outputs.findIndex(o => (o.attrs.name ?? o.attrs.label ?? '').toLowerCase() === name);
+  const actionOut = outputs.length === 1 ? 0 : outputIndex('action');
+  const reasonOut = outputIndex('reason');
+  if (actionOut < 0) throw new DecisionTableError(`Decision "${label}" has no "action" output`);
+  const annotations = childrenOf(table, 'annotation').map(a => (a.attrs.name ?? '').toLowerCase());
+
+  let rows = childrenOf(table, 'rule').map((rule, n): Row => {
+    const where = `Rule ${rule.attrs.id ?? n + 1}`;
+    const entries = childrenOf(rule, 'inputEntry').map(textOf);
+    if (entries.length !== subjects.length) {
+      throw new DecisionTableError(`${where}: ${entries.length} input entries for ${subjects.length} inputs`);
+    }
+    const outs = childrenOf(rule, 'outputEntry').map(textOf);
+    const notes = childrenOf(rule, 'annotationEntry').map(textOf);
+    const note = (name: string) => literalText(notes[annotations.indexOf(name)] ?? '');
+    return {
+      where,
+      id: note('id') ?? rule.attrs.id,
+      name: note('name') ?? (childrenOf(rule, 'description')[0]?.text.trim() || undefined),
+      condition: rowCondition(subjects, entries, where, false),
+      action: parseAction(outs[actionOut] ?? '', where),
+      reason: reasonOut >= 0 ? literalText(outs[reasonOut] ?? '') : undefined,
+      priority: n + 1,
+    };
+  });
+
+  if (hitPolicy === 'UNIQUE') {
+    assertUnique(rows);
+  } else if (hitPolicy === 'PRIORITY') {
+    const listed = textOf(childrenOf(outputs[actionOut], 'outputValues')[0]);
+    // Without outputValues, the most restrictive action wins
+    const order = listed ? splitList(listed).map(v => parseAction(v, `Decision "${label}" outputValues`)) : ['REJECTED', 'REVIEW', 'APPROVED'];
+    const rank = (row: Row) => {
+      const r = order.indexOf(row.action);
+      if (r < 0) throw new DecisionTableError(`${row.where}: action ${row.action} is not in the output values`);
+      return r;
+    };
+    rows = rows
+      .map(row => ({ row, rank: rank(row) }))
+      .sort((a, b) => a.rank - b.rank || a.row.priority - b.row.priority)
+      .map(({ row }, n) => ({ ...row, priority: n + 1 }));
+  }
+  return toRules(rows);
+}
+
+/** Hit policy UNIQUE: no two rows may match the same facts. */
+function assertUnique(rows: Row[]): void {
+  const regions = rows.map(row => {
+    try {
+      return regionOf(parseExpression(row.condition), { coerce: false });
+    } catch {
+      return null;
+    }
+  });
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      if (!regions[i] || !regions[j]) continue;
+      try {
+        if (and(regions[i]!, regions[j]!).length > 0) {
+          throw new DecisionTableError(`${rows[i].where} and ${rows[j].where} overlap, which hit policy UNIQUE does not allow`);
+        }
+      } catch (err) {
+        if (!(err instanceof RegionLimitError)) throw err;
+      }
+    }
+  }
+}
+
+/**
+ * Write rules as a DMN 1.3 decision with a FIRST hit-policy decision table,
+ * rows in priority order, `action` and `reason` outputs and `id` / `name`
+ * rule annotations.
+ */
+export function rulesToDMN(rules: Rule[], options: DMNExportOptions = {}): string {
+  const id = options.id ?? 'rules';
+  const name = options.name ?? id;
+  const { inputs, rows } = tableRows(rules, false);
+  const types = inferSchema(rules);
+  const text = (value: string) => `<text>${escapeXml(value)}</text>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="${escapeXml(id, true)}_definitions" name="${escapeXml(name, true)}" namespace="urn:mizan:${escapeXml(id, true)}">`,
+    `  <decision id="${escapeXml(id, true)}" name="${escapeXml(name, true)}">`,
+    `    <decisionTable id="${escapeXml(id, true)}_table" hitPolicy="FIRST">`,
+  ];
+  inputs.forEach((field, i) => {
+    const typeRef = types[field] ? ` typeRef="${types[field].type}"` : '';
+    lines.push(
+      `      <input id="input_${i + 1}" label="${escapeXml(field, true)}">`,
+      `        <inputExpression id="inputExpression_${i + 1}"${typeRef}>${text(field)}</inputExpression>`,
+      '      </input>'
+    );
+  });
+  lines.push(
+    '      <output id="output_action" name="action" typeRef="string">',
+    `        <outputValues>${text(ACTIONS.map(a => JSON.stringify(a)).join(','))}</outputValues>`,
+    '      </output>',
+    '      <output id="output_reason" name="reason" typeRef="string"/>',
+    '      <annotation name="id"/>',
+    '      <annotation name="name"/>'
+  );
+  rows.forEach(({ rule, cells }, n) => {
+    lines.push(`      <rule id="rule_${n + 1}">`);
+    inputs.forEach(field => lines.push(`        <inputEntry>${text(cells.get(field) ?? '-')}</inputEntry>`));
+    lines.push(
+      `        <outputEntry>${text(JSON.stringify(rule.action))}</outputEntry>`,
+      `        <outputEntry>${text(JSON.stringify(rule.reason))}</outputEntry>`,
+      `        <annotationEntry>${text(rule.id)}</annotationEntry>`,
+      `        <annotationEntry>${text(rule.name)}</annotationEntry>`,
+      '      </rule>'
+    );
+  });
+  lines.push('    </decisionTable>', '  </decision>', '</definitions>');
+  return lines.join('\n');
+}
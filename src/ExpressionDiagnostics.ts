@@ -0,0 +1,125 @@
+/**
+ * ExpressionDiagnostics — Structured, positioned errors for rule conditions.
+ *
+ * Every parse or evaluation problem is described by an `ExpressionDiagnostic`
+ * (kind, character offset, offending token, optional suggestion) and carried
+ * by an `ExpressionError`. `formatDiagnostic()` renders the caret-style
+ * message shown by `RuleEngine.loadRules` and `mizan validate`:
+ *
+ *   error[unknown-identifier]: Unknown fact 'scroe'
+ *     scroe >= 80
+ *     ^^^^^
+ *     did you mean 'score'?
+ *
+ * @module ExpressionDiagnostics
+ */
+
+export type DiagnosticKind =
+  | 'syntax'
+  | 'unknown-identifier'
+  | 'unknown-function'
+  | 'type-mismatch'
+  | 'runtime';
+
+export interface ExpressionDiagnostic {
+  kind: DiagnosticKind;
+  message: string;
+  /** Character offset of the offending token in the expression */
+  offset: number;
+  /** Length of the offending token (at least 1) */
+  length: number;
+  /** Source text of the offending token ('' until the source is known) */
+  token: string;
+  /** Human-readable fix, e.g. "did you mean 'score'?" */
+  suggestion?: string;
+}
+
+export interface ExpressionValidationResult {
+  valid: boolean;
+  diagnostics: ExpressionDiagnostic[];
+}
+
+export class ExpressionError extends Error {
+  readonly diagnostic: ExpressionDiagnostic;
+
+  constructor(
+    kind: DiagnosticKind,
+    message: string,
+    start: number,
+    end: number,
+    suggestion?: string
+  ) {
+    super(message);
+    this.name = 'ExpressionError';
+    this.diagnostic = {
+      kind,
+      message,
+      offset: start,
+      length: Math.max(1, end - start),
+      token: '',
+      ...(suggestion ? { suggestion } : {}),
+    };
+  }
+
+  /**
+   * Fill in the offending token from the expression source. Idempotent.
+   */
+  attachSource(expression: string): this {
+    const d = this.diagnostic;
+    if (!d.token) d.token = expression.slice(d.offset, d.offset + d.length);
+    return this;
+  }
+}
+
+/**
+ * Render a diagnostic as a caret-style message pointing into the expression.
+ */
+export function formatDiagnostic(expression: string, diagnostic: ExpressionDiagnostic): string {
+  const offset = Math.min(diagnostic.offset, expression.length);
+  const length = Math.max(1, Math.min(diagnostic.length, expression.length - offset));
+  const lines = [
+    `error[${diagnostic.kind}]: ${diagnostic.message}`,
+    `  ${expression}`,
+    `  ${' '.repeat(offset)}${'^'.repeat(length)}`,
+  ];
+  if (diagnostic.suggestion) lines.push(`  ${diagnostic.suggestion}`);
+  return lines.join('\n');
+}
+
+// Optimal-string-alignment distance: insertions, deletions, substitutions and
+// adjacent transpositions each cost 1, so 'scroe' → 'score' is one edit.
+function editDistance(a: string, b: string): number {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  const d: number[][] = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Return the closest candidate to `name` (edit distance ≤ 1/3 of its length,
+ * minimum 1), or undefined when nothing is close enough.
+ */
+export function closestMatch(name: string, candidates: Iterable<string>): string | undefined {
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  let best: string | undefined;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const d = editDistance(name, candidate);
+    if (d <= limit && d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
@@ -4,10 +4,34 @@
  * Replaces `new Function()` usage in RuleEngine. Parses and evaluates boolean
  * expressions against a facts object WITHOUT using eval or Function constructor.
  *
+ * Each expression is parsed once into an immutable AST (see ExpressionParser)
+ * and cached; evaluation walks the tree and keeps no per-call state on the
+ * instance, so one evaluator can be shared and re-entered freely.
+ *
+ * By default a failing condition evaluates to `false`. In strict mode
+ * (`{ strict: true }`) it throws an `ExpressionError` instead, carrying a
+ * positioned diagnostic — unknown facts (with a "did you mean" suggestion),
+ * type mismatches such as `"abc" > 5`, and runtime errors. `validate()` checks
+ * an expression statically without any facts.
+ *
+ * `evaluateTruth()` / `compileTruth()` use three-valued (Kleene) logic: a
+ * comparison that references a missing fact is `'unknown'` rather than false,
+ * `false && unknown` is false, `true || unknown` is true, and the result lists
+ * the facts that would be needed to decide. Explicit null checks
+ * (`x === null`, `x != null`) treat a missing fact as null and stay decidable.
+ * With `{ threeValued: false }` they fall back to `evaluate()`'s two values.
+ * `explain()` additionally records each sub-expression's value.
+ *
  * Supported syntax:
  *   Literals  : 123, 3.14, "string", 'string', true, false, null
  *   Identifiers: score, user.role (dot notation supported)
+ *   Arithmetic : +, -, *, /, % and unary minus (numbers only)
  *   Comparison : >, >=, <, <=, ===, ==, !==, !=
+ *   Membership : in, contains
+ *   String     : startsWith, endsWith, matches (regex — safe mode by default)
+ *   Arrays     : ["AE", "SA", 3]
+ *   Functions  : len(documents), lower(status), daysBetween(kycDate, now())
+ *                — see ExpressionFunctions for the built-in library
  *   Logical   : &&, ||, !
  *   Grouping  : (expr)
  *
@@ -18,235 +42,821 @@
  *   score >= 30 && score < 80
  *   !(status === "blocked")
  *   user.role === "admin"
+ *   income - monthlyDebt > 5000
+ *   loanAmount / propertyValue <= 0.8
+ *   country in ["AE", "SA", "BH"]
+ *   tags contains "pep"
+ *   email endsWith "@gov.ae"
+ *   name matches "^[A-Z]"
+ *   daysBetween(kycDate, now()) > 365
  *
  * @module ExpressionEvaluator
  */
 
-// ── Token types ────────────────────────────────────────────────────────────────
-
-type TNumber  = { type: 'NUMBER';  value: number };
-type TString  = { type: 'STRING';  value: string };
-type TBool    = { type: 'BOOL';    value: boolean };
-type TNull    = { type: 'NULL' };
-type TIdent   = { type: 'IDENT';   value: string };
-type TOp      = { type: 'OP';      value: '>' | '>=' | '<' | '<=' | '===' | '==' | '!==' | '!=' };
-type TLogic   = { type: 'LOGIC';   value: '&&' | '||' };
-type TNot     = { type: 'NOT' };
-type TLParen  = { type: 'LPAREN' };
-type TRParen  = { type: 'RPAREN' };
-type TEOF     = { type: 'EOF' };
-
-type Token = TNumber | TString | TBool | TNull | TIdent | TOp | TLogic | TNot | TLParen | TRParen | TEOF;
-
-// ── Tokeniser ──────────────────────────────────────────────────────────────────
-
-function tokenize(input: string): Token[] {
-  const tokens: Token[] = [];
-  let i = 0;
-  const s = input.trim();
-
-  while (i < s.length) {
-    // Whitespace
-    if (/\s/.test(s[i])) { i++; continue; }
-
-    // String literals (" or ')
-    if (s[i] === '"' || s[i] === "'") {
-      const q = s[i++];
-      let str = '';
-      while (i < s.length && s[i] !== q) {
-        str += s[i] === '\\' ? s[++i] : s[i];
+import {
+  BUILTIN_FUNCTION_NAMES,
+  Clock,
+  EvaluationContext,
+  ExpressionFunction,
+  createBuiltinFunctions,
+  systemClock,
+} from './ExpressionFunctions';
+import { ArithOp, ExprNode, KeywordOp, parseExpression } from './ExpressionParser';
+import {
+  ExpressionDiagnostic,
+  ExpressionError,
+  ExpressionValidationResult,
+  closestMatch,
+} from './ExpressionDiagnostics';
+
+/** Options for {@link ExpressionEvaluator}. */
+export interface ExpressionEvaluatorOptions {
+  /**
+   * Regex policy for the `matches` operator.
+   * - `'safe'` (default): rejects patterns prone to catastrophic backtracking
+   *   (nested quantifiers, quantified alternation, back-references) and caps
+   *   pattern and input length.
+   * - `'unrestricted'`: any valid JavaScript pattern — only for trusted rules.
+   */
+  regex?: 'safe' | 'unrestricted';
+  /** Max pattern length in safe mode. Default: 256 */
+  maxPatternLength?: number;
+  /** Max length of the string tested by `matches` in safe mode. Default: 10000 */
+  maxMatchInputLength?: number;
+  /** Custom functions callable from conditions, in addition to the built-ins. */
+  functions?: Record<string, ExpressionFunction>;
+  /** Clock used by date helpers such as `now()`. Default: system time. */
+  clock?: Clock;
+  /**
+   * Max number of parsed expressions kept by `evaluate()`, and of compiled
+   * `matches` patterns. 0 disables the caches. Default: 1000
+   */
+  cacheSize?: number;
+  /**
+   * Throw an `ExpressionError` on any failure instead of returning `false`,
+   * and treat missing facts and mismatched comparison types as errors.
+   * Default: false
+   */
+  strict?: boolean;
+  /**
+   * Three-valued logic in `evaluateTruth()`, `compileTruth()` and `explain()`.
+   * When false they decide as `evaluate()` does: a missing fact reads as
+   * `undefined`, so `amount > 1000` is false and `!(amount > 1000)` true, and
+   * `missingFacts` stays empty. Default: true
+   */
+  threeValued?: boolean;
+}
+
+/** Result of three-valued evaluation: true, false, or undecidable for lack of facts. */
+export type Truth = boolean | 'unknown';
+
+export interface TruthResult {
+  value: Truth;
+  /** Facts whose absence made the result unknown (empty when decided) */
+  missingFacts: string[];
+}
+
+/** One evaluated sub-expression, e.g. `score >= 80 → 72 >= 80 → false`. */
+export interface TraceStep {
+  /** Source text of the sub-expression */
+  expression: string;
+  /** The operation with its operand values filled in */
+  evaluated: string;
+  /** Result as text: JSON for values, `unknown` when undecided */
+  result: string;
+}
+
+/** Three-valued result plus the steps that produced it. */
+export interface TruthExplanation extends TruthResult {
+  steps: TraceStep[];
+  /** Set when evaluation failed (non-strict mode reports the rule as false) */
+  error?: string;
+}
+
+/** Marker value for a sub-expression that depends on a missing fact. */
+const UNKNOWN = Symbol('unknown');
+/** Marker for the right operand of a short-circuited `&&` / `||`. */
+const SKIPPED = Symbol('skipped');
+
+type TraceContext = { source: string; steps: TraceStep[] };
+
+function showValue(value: unknown): string {
+  if (value === UNKNOWN) return 'unknown';
+  if (value === SKIPPED) return '…';
+  if (value === undefined) return 'undefined';
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+}
+
+function recordStep(trace: TraceContext, node: ExprNode, evaluated: string, value: unknown): void {
+  trace.steps.push({
+    expression: trace.source.slice(node.start, node.end),
+    evaluated,
+    result: showValue(value),
+  });
+}
+
+/**
+ * Render a trace step on one line: `score >= 80 → 72 >= 80 → false`.
+ */
+export function formatTraceStep(step: TraceStep): string {
+  return step.expression === step.evaluated
+    ? `${step.expression} → ${step.result}`
+    : `${step.expression} → ${step.evaluated} → ${step.result}`;
+}
+
+function typeName(value: unknown): string {
+  if (value === null) return 'null';
+  if (value === undefined) return 'undefined';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function toExpressionError(err: unknown, node: ExprNode): ExpressionError {
+  if (err instanceof ExpressionError) return err;
+  const message = err instanceof Error ? err.message : String(err);
+  return new ExpressionError(err instanceof TypeError ? 'type-mismatch' : 'runtime', message, node.start, node.end);
+}
+
+function isKnownField(name: string, knownFields: string[]): boolean {
+  return knownFields.some(f => f === name || name.startsWith(f + '.') || f.startsWith(name + '.'));
+}
+
+/** Stand-in for an operand whose type is only known at evaluation time. */
+const PLACEHOLDER = Symbol('unknown operand');
+
+/**
+ * Strict-mode operand checks. With `partial`, PLACEHOLDER operands are skipped
+ * (used by static validation where only literal operands are known).
+ */
+function checkStrictTypes(op: string, left: unknown, right: unknown, partial = false): void {
+  const known = (v: unknown) => v !== PLACEHOLDER;
+  const bothKnown = known(left) && known(right);
+  switch (op) {
+    case '>': case '>=': case '<': case '<=': {
+      for (const v of [left, right]) {
+        if (known(v) && typeof v !== 'number' && typeof v !== 'string') {
+          throw new TypeError(`Cannot compare ${typeName(v)} using '${op}'`);
+        }
+      }
+      if (bothKnown && typeof left !== typeof right) {
+        throw new TypeError(`Cannot compare ${typeName(left)} with ${typeName(right)} using '${op}'`);
+      }
+      return;
+    }
+    case '===': case '!==':
+      if (bothKnown && left != null && right != null && typeName(left) !== typeName(right)) {
+        throw new TypeError(`Comparing ${typeName(left)} with ${typeName(right)} using '${op}' is always ${op.startsWith('!') ? 'true' : 'false'}`);
+      }
+      return;
+    case '+': case '-': case '*': case '/': case '%':
+      if (partial) {
+        for (const v of [left, right]) {
+          if (known(v) && typeof v !== 'number') {
+            throw new TypeError(`Arithmetic operator '${op}' requires numeric operands, got ${typeName(v)}`);
+          }
+        }
+      }
+      return;
+    case 'in':
+      if (partial && known(right) && !Array.isArray(right) && typeof right !== 'string') {
+        throw new TypeError(`'in' requires an array or string on the right-hand side, got ${typeName(right)}`);
+      }
+      return;
+    case 'startsWith': case 'endsWith': case 'matches':
+      if (partial) {
+        for (const v of [left, right]) {
+          if (known(v) && typeof v !== 'string') {
+            throw new TypeError(`'${op}' requires string operands, got ${typeName(v)}`);
+          }
+        }
+      }
+      return;
+  }
+}
+
+// ── Arithmetic ─────────────────────────────────────────────────────────────────
+// Operands must be numbers — no implicit string concatenation or coercion, so a
+// missing fact or a string value makes the rule fail instead of silently
+// producing NaN.
+
+function applyArithmetic(op: ArithOp, left: unknown, right: unknown): number {
+  if (typeof left !== 'number' || typeof right !== 'number') {
+    throw new TypeError(`Arithmetic operator '${op}' requires numeric operands, got ${typeName(left)} and ${typeName(right)}`);
+  }
+  switch (op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/':
+      if (right === 0) throw new Error('Division by zero');
+      return left / right;
+    case '%':
+      if (right === 0) throw new Error('Division by zero');
+      return left % right;
+  }
+}
+
+// ── Membership & string operators ──────────────────────────────────────────────
+
+function applyKeywordOp(op: Exclude<KeywordOp, 'matches'>, left: unknown, right: unknown): boolean {
+  switch (op) {
+    case 'in':
+      if (Array.isArray(right)) return right.includes(left);
+      if (typeof right === 'string' && typeof left === 'string') return right.includes(left);
+      throw new TypeError(`'in' requires an array or string on the right-hand side, got ${typeName(right)}`);
+    case 'contains':
+      if (Array.isArray(left)) return left.includes(right);
+      if (typeof left === 'string' && typeof right === 'string') return left.includes(right);
+      throw new TypeError(`'contains' requires an array or string on the left-hand side, got ${typeName(left)}`);
+    case 'startsWith':
+    case 'endsWith':
+      if (typeof left !== 'string' || typeof right !== 'string') {
+        throw new TypeError(`'${op}' requires string operands, got ${typeName(left)} and ${typeName(right)}`);
+      }
+      return op === 'startsWith' ? left.startsWith(right) : left.endsWith(right);
+  }
+}
+
+// ── Safe regex ─────────────────────────────────────────────────────────────────
+// Conservative star-height check: a quantified group may not itself contain a
+// quantifier or an alternation, and back-references are rejected. This rules
+// out the classic ReDoS shapes — (a+)+, (a|aa)*, (.*a){10} — while allowing the
+// anchored, single-level patterns rule authors actually write.
+
+function isSafeRegex(pattern: string): boolean {
+  type Group = { quantified: boolean; alternation: boolean };
+  const stack: Group[] = [{ quantified: false, alternation: false }];
+  let lastGroup: Group | null = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const top = stack[stack.length - 1];
+
+    if (ch === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] ?? '')) return false; // back-reference
+      i++;
+      lastGroup = null;
+      continue;
+    }
+    if (ch === '[') {
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
         i++;
       }
-      if (i >= s.length) throw new Error('Unterminated string literal');
-      i++; // closing quote
-      tokens.push({ type: 'STRING', value: str });
+      lastGroup = null;
       continue;
     }
-
-    // Number literal (positive only — unary minus handled by parser)
-    if (/[0-9]/.test(s[i])) {
-      const m = s.slice(i).match(/^[0-9]+(\.[0-9]+)?/)!;
-      tokens.push({ type: 'NUMBER', value: parseFloat(m[0]) });
-      i += m[0].length;
+    if (ch === '(') {
+      if (pattern[i + 1] === '?') {
+        i++;
+        if (pattern[i + 1] === '<' && pattern[i + 2] !== '=' && pattern[i + 2] !== '!') {
+          i = pattern.indexOf('>', i); // named group
+          if (i === -1) return false;
+        } else {
+          i += pattern[i + 1] === '<' ? 2 : 1; // (?: (?= (?! (?<= (?<!
+        }
+      }
+      stack.push({ quantified: false, alternation: false });
+      lastGroup = null;
       continue;
     }
-
-    // Multi-char operators (longest match first)
-    const slice3 = s.slice(i, i + 3);
-    const slice2 = s.slice(i, i + 2);
-
-    if (slice3 === '===') { tokens.push({ type: 'OP', value: '===' }); i += 3; continue; }
-    if (slice3 === '!==') { tokens.push({ type: 'OP', value: '!==' }); i += 3; continue; }
-    if (slice2 === '>=')  { tokens.push({ type: 'OP', value: '>=' });  i += 2; continue; }
-    if (slice2 === '<=')  { tokens.push({ type: 'OP', value: '<=' });  i += 2; continue; }
-    if (slice2 === '!=')  { tokens.push({ type: 'OP', value: '!=' });  i += 2; continue; }
-    if (slice2 === '==')  { tokens.push({ type: 'OP', value: '==' });  i += 2; continue; }
-    if (slice2 === '&&')  { tokens.push({ type: 'LOGIC', value: '&&' }); i += 2; continue; }
-    if (slice2 === '||')  { tokens.push({ type: 'LOGIC', value: '||' }); i += 2; continue; }
-
-    if (s[i] === '>')  { tokens.push({ type: 'OP', value: '>' });  i++; continue; }
-    if (s[i] === '<')  { tokens.push({ type: 'OP', value: '<' });  i++; continue; }
-    if (s[i] === '!')  { tokens.push({ type: 'NOT' });              i++; continue; }
-    if (s[i] === '(')  { tokens.push({ type: 'LPAREN' });           i++; continue; }
-    if (s[i] === ')')  { tokens.push({ type: 'RPAREN' });           i++; continue; }
-
-    // Identifiers and keywords
-    const idMatch = s.slice(i).match(/^[a-zA-Z_$][a-zA-Z0-9_$.]*/)
-    if (idMatch) {
-      const id = idMatch[0];
-      if      (id === 'true')      tokens.push({ type: 'BOOL', value: true });
-      else if (id === 'false')     tokens.push({ type: 'BOOL', value: false });
-      else if (id === 'null')      tokens.push({ type: 'NULL' });
-      else if (id === 'undefined') tokens.push({ type: 'NULL' });
-      else                         tokens.push({ type: 'IDENT', value: id });
-      i += id.length;
+    if (ch === ')') {
+      const group = stack.pop();
+      if (!group || stack.length === 0) return false;
+      stack[stack.length - 1].quantified ||= group.quantified;
+      lastGroup = group;
       continue;
     }
-
-    throw new Error(`Unexpected character '${s[i]}' at position ${i} in expression: "${input}"`);
+    if (ch === '|') {
+      top.alternation = true;
+      lastGroup = null;
+      continue;
+    }
+    if (ch === '*' || ch === '+' || ch === '?' || ch === '{') {
+      if (ch === '{') {
+        const close = pattern.indexOf('}', i);
+        if (close !== -1) i = close;
+      }
+      if (lastGroup && (lastGroup.quantified || lastGroup.alternation)) return false;
+      top.quantified = true;
+      lastGroup = null;
+      continue;
+    }
+    lastGroup = null;
   }
 
-  tokens.push({ type: 'EOF' });
-  return tokens;
+  return stack.length === 1;
 }
 
-// ── Parser / Evaluator ─────────────────────────────────────────────────────────
-//
-// Grammar (precedence low → high):
-//   expr       ::= orExpr
-//   orExpr     ::= andExpr  ( '||' andExpr  )*
-//   andExpr    ::= notExpr  ( '&&' notExpr  )*
-//   notExpr    ::= '!' notExpr | cmpExpr
-//   cmpExpr    ::= primary  ( OP primary )?
-//   primary    ::= '(' expr ')' | NUMBER | STRING | BOOL | NULL | IDENT
+// ── Evaluator ──────────────────────────────────────────────────────────────────
 
 export class ExpressionEvaluator {
-  private tokens: Token[] = [];
-  private pos = 0;
+  private options: Required<Omit<ExpressionEvaluatorOptions, 'functions' | 'clock'>>;
+  private regexCache = new Map<string, RegExp>();
+  private astCache = new Map<string, ExprNode>();
+  private functions: Record<string, ExpressionFunction>;
+  /** Used when a caller passes no context: the moment is the clock's now */
+  private defaultContext: EvaluationContext;
+
+  constructor(options: ExpressionEvaluatorOptions = {}) {
+    this.options = {
+      regex: options.regex ?? 'safe',
+      maxPatternLength: options.maxPatternLength ?? 256,
+      maxMatchInputLength: options.maxMatchInputLength ?? 10000,
+      cacheSize: options.cacheSize ?? 1000,
+      strict: options.strict ?? false,
+      threeValued: options.threeValued ?? true,
+    };
+    const clock = options.clock ?? systemClock;
+    this.functions = createBuiltinFunctions(clock);
+    this.defaultContext = { now: clock };
+    for (const [name, fn] of Object.entries(options.functions ?? {})) {
+      this.registerFunction(name, fn);
+    }
+  }
+
+  /**
+   * Register a custom function callable from conditions as `name(args...)`.
+   * Functions must be pure — the same arguments always give the same result
+   * (see `ExpressionFunctions` for the `AggregateStore` exception).
+   * Built-in names are reserved and cannot be replaced.
+   */
+  registerFunction(name: string, fn: ExpressionFunction): this {
+    if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+      throw new Error(`Invalid function name: "${name}"`);
+    }
+    if (BUILTIN_FUNCTION_NAMES.includes(name)) {
+      throw new Error(`Cannot override built-in function: ${name}()`);
+    }
+    this.functions[name] = fn;
+    return this;
+  }
+
+  /**
+   * Whether a function with this name is available to conditions.
+   */
+  hasFunction(name: string): boolean {
+    return Object.prototype.hasOwnProperty.call(this.functions, name);
+  }
+
+  /** Whether this evaluator runs in strict mode. */
+  get strict(): boolean {
+    return this.options.strict;
+  }
 
   /**
    * Evaluate a boolean expression string against the given facts object.
    * Returns true/false — never throws for normal rule evaluation (returns false on error).
+   * In strict mode, throws an `ExpressionError` instead of returning false on error.
    *
    * @param expression - e.g. 'score >= 80 && country === "AE"'
    * @param facts      - { score: 95, country: 'AE' }
    */
-  evaluate(expression: string, facts: Record<string, unknown>): boolean {
+  evaluate(expression: string, facts: Record<string, unknown>, context?: EvaluationContext): boolean {
     try {
-      this.tokens = tokenize(expression);
-      this.pos = 0;
-      const result = this.parseOr(facts);
-      if (this.tokens[this.pos].type !== 'EOF') {
-        throw new Error(`Trailing tokens at position ${this.pos}`);
-      }
-      return Boolean(result);
+      return Boolean(this.evaluateNode(this.parse(expression), facts, context));
     } catch (err) {
-      // Surface the error for debugging in development
-      if (process.env.NODE_ENV === 'development') {
-        console.warn(`[ExpressionEvaluator] ${(err as Error).message}`);
-      }
+      this.recover(err, expression);
       return false;
     }
   }
 
   /**
-   * Compile an expression into a reusable function (avoids re-tokenising on every call).
-   * The returned function captures no closures over mutable state.
+   * Shared error path of every evaluation entry point, so a bad condition is
+   * reported the same way however it is run: rethrown in strict mode,
+   * otherwise surfaced with a warning in development and treated as no match.
    */
-  compile(expression: string): (facts: Record<string, unknown>) => boolean {
-    // Pre-validate by tokenising once
-    tokenize(expression); // throws if syntax error
-    return (facts: Record<string, unknown>) => this.evaluate(expression, facts);
+  private recover(err: unknown, expression: string): void {
+    if (err instanceof ExpressionError) err.attachSource(expression);
+    if (this.options.strict) throw err;
+    if (process.env.NODE_ENV === 'development') {
+      console.warn(`[ExpressionEvaluator] ${(err as Error).message}`);
+    }
   }
 
-  // ── Private parser methods ──────────────────────────────────────────────────
+  /**
+   * Compile an expression into a reusable function. The expression is parsed
+   * exactly once; the returned function only walks the immutable AST.
+   * Throws on syntax errors and unknown functions — fail fast at load time.
+   */
+  compile(expression: string): (facts: Record<string, unknown>, context?: EvaluationContext) => boolean {
+    const ast = this.parseForCompile(expression);
+    return (facts: Record<string, unknown>, context?: EvaluationContext) => {
+      try {
+        return Boolean(this.evaluateNode(ast, facts, context));
+      } catch (err) {
+        this.recover(err, expression);
+        return false;
+      }
+    };
+  }
 
-  private peek(): Token { return this.tokens[this.pos]; }
+  /**
+   * Evaluate an expression with three-valued logic. A condition that cannot be
+   * decided because facts are missing yields `{ value: 'unknown', missingFacts }`.
+   * Errors behave as in `evaluate()`: false, or thrown in strict mode.
+   *
+   * @example
+   * ev.evaluateTruth('amount > 1000 || vip', { vip: true })   // → { value: true, missingFacts: [] }
+   * ev.evaluateTruth('amount > 1000 && vip', { vip: true })   // → { value: 'unknown', missingFacts: ['amount'] }
+   */
+  evaluateTruth(expression: string, facts: Record<string, unknown>, context?: EvaluationContext): TruthResult {
+    try {
+      return this.truthOf(this.parse(expression), facts, context);
+    } catch (err) {
+      this.recover(err, expression);
+      return { value: false, missingFacts: [] };
+    }
+  }
 
-  private consume(): Token { return this.tokens[this.pos++]; }
+  /**
+   * Three-valued counterpart of `compile()`.
+   */
+  compileTruth(expression: string): (facts: Record<string, unknown>, context?: EvaluationContext) => TruthResult {
+    const ast = this.parseForCompile(expression);
+    return (facts: Record<string, unknown>, context?: EvaluationContext) => {
+      try {
+        return this.truthOf(ast, facts, context);
+      } catch (err) {
+        this.recover(err, expression);
+        return { value: false, missingFacts: [] };
+      }
+    };
+  }
 
-  private parseOr(facts: Record<string, unknown>): boolean {
-    let left = this.parseAnd(facts);
-    while (this.peek().type === 'LOGIC' && (this.peek() as TLogic).value === '||') {
-      this.consume();
-      const right = this.parseAnd(facts);
-      left = left || right;
+  /**
+   * Like `evaluateTruth()`, but also records the value of every operator and
+   * function call, innermost first. Slower — intended for explanations and
+   * audits, not the hot path.
+   *
+   * @example
+   * ev.explain('score >= 80 && country === "AE"', { score: 72, country: 'AE' }).steps.map(formatTraceStep)
+   * // → ['score >= 80 → 72 >= 80 → false', 'score >= 80 && country === "AE" → false && … → false']
+   */
+  explain(expression: string, facts: Record<string, unknown>, context?: EvaluationContext): TruthExplanation {
+    const trace: TraceContext = { source: expression, steps: [] };
+    try {
+      return { ...this.truthOf(this.parse(expression), facts, context, trace), steps: trace.steps };
+    } catch (err) {
+      this.recover(err, expression);
+      return { value: false, missingFacts: [], steps: trace.steps, error: (err as Error).message };
     }
-    return left;
   }
 
-  private parseAnd(facts: Record<string, unknown>): boolean {
-    let left = this.parseNot(facts);
-    while (this.peek().type === 'LOGIC' && (this.peek() as TLogic).value === '&&') {
-      this.consume();
-      const right = this.parseNot(facts);
-      left = left && right;
+  /**
+   * Statically check an expression without evaluating it. Reports syntax
+   * errors, unknown functions, type mismatches between literals, unsafe or
+   * invalid regex literals, and — when `knownFields` is given — unknown facts
+   * with a "did you mean" suggestion.
+   *
+   * @example
+   * ev.validate('scroe >= 80', { knownFields: ['score'] })
+   * // → { valid: false, diagnostics: [{ kind: 'unknown-identifier', offset: 0, token: 'scroe',
+   * //      suggestion: "did you mean 'score'?", ... }] }
+   */
+  validate(expression: string, options: { knownFields?: Iterable<string> } = {}): ExpressionValidationResult {
+    let ast: ExprNode;
+    try {
+      ast = this.parse(expression);
+    } catch (err) {
+      const diagnostic = err instanceof ExpressionError
+        ? err.attachSource(expression).diagnostic
+        : { kind: 'syntax' as const, message: (err as Error).message, offset: 0, length: expression.length, token: expression };
+      return { valid: false, diagnostics: [diagnostic] };
     }
-    return left;
+    const known = options.knownFields ? [...options.knownFields] : undefined;
+    const diagnostics = this.staticDiagnostics(ast, known).map(d => ({
+      ...d,
+      token: expression.slice(d.offset, d.offset + d.length),
+    }));
+    return { valid: diagnostics.length === 0, diagnostics };
   }
 
-  private parseNot(facts: Record<string, unknown>): boolean {
-    if (this.peek().type === 'NOT') {
-      this.consume();
-      return !this.parseNot(facts);
+  /**
+   * Parse an expression into its AST, reusing a cached tree when available.
+   */
+  parse(expression: string): ExprNode {
+    const cached = this.astCache.get(expression);
+    if (cached) return cached;
+    const ast = parseExpression(expression);
+    this.remember(this.astCache, expression, ast);
+    return ast;
+  }
+
+  /**
+   * Evaluate a parsed AST node against facts. Returns the raw value — callers
+   * decide how to coerce it. Throws an `ExpressionError` on runtime errors
+   * (type mismatch etc.); its token is filled in by `evaluate()`/`compile()`.
+   * Functions see `context` (default: the evaluator's clock) as `this`.
+   */
+  evaluateNode(node: ExprNode, facts: Record<string, unknown>, context?: EvaluationContext): unknown {
+    return this.walk(node, facts, context ?? this.defaultContext);
+  }
+
+  // ── Private helpers ─────────────────────────────────────────────────────────
+
+  private parseForCompile(expression: string): ExprNode {
+    const ast = this.parse(expression);
+    const unknownFn = this.staticDiagnostics(ast).find(d => d.kind === 'unknown-function');
+    if (unknownFn) {
+      throw new ExpressionError('unknown-function', unknownFn.message, unknownFn.offset,
+        unknownFn.offset + unknownFn.length, unknownFn.suggestion).attachSource(expression);
     }
-    return this.parseComparison(facts);
+    return ast;
+  }
+
+  private truthOf(
+    ast: ExprNode,
+    facts: Record<string, unknown>,
+    context: EvaluationContext = this.defaultContext,
+    trace?: TraceContext
+  ): TruthResult {
+    const missing = this.options.threeValued ? new Set<string>() : undefined;
+    const value = this.walk(ast, facts, context, missing, trace);
+    return value === UNKNOWN
+      ? { value: 'unknown', missingFacts: [...missing!] }
+      : { value: Boolean(value), missingFacts: [] };
   }
 
-  private parseComparison(facts: Record<string, unknown>): boolean {
-    const left = this.parsePrimary(facts);
-
-    if (this.peek().type === 'OP') {
-      const op = (this.consume() as TOp).value;
-      const right = this.parsePrimary(facts);
-
-      /* eslint-disable eqeqeq */
-      switch (op) {
-        case '>':   return (left as number)  > (right as number);
-        case '>=':  return (left as number)  >= (right as number);
-        case '<':   return (left as number)  < (right as number);
-        case '<=':  return (left as number)  <= (right as number);
-        case '===': return left === right;
-        case '==':  return left == right;
-        case '!==': return left !== right;
-        case '!=':  return left != right;
-        default:    throw new Error(`Unknown comparison operator: ${op}`);
+  /**
+   * Tree walk behind `evaluateNode()`. With a `missing` set, absent facts
+   * evaluate to UNKNOWN (recorded in the set) and propagate through operators
+   * using Kleene logic. A node adds to `missing` only when it returns UNKNOWN.
+   * With a `trace`, every operator and call records a step after evaluating.
+   */
+  private walk(
+    node: ExprNode,
+    facts: Record<string, unknown>,
+    context: EvaluationContext,
+    missing?: Set<string>,
+    trace?: TraceContext
+  ): unknown {
+    switch (node.kind) {
+      case 'literal':
+        return node.value;
+
+      case 'identifier': {
+        let val: unknown = facts[node.path[0]];
+        for (let i = 1; i < node.path.length; i++) {
+          if (val == null) break;
+          val = (val as Record<string, unknown>)[node.path[i]];
+        }
+        if (val === undefined) {
+          if (this.options.strict) throw this.unknownFact(node, facts);
+          if (missing) {
+            missing.add(node.name);
+            return UNKNOWN;
+          }
+        }
+        return val;
+      }
+
+      case 'array': {
+        const items = node.items.map(item => this.walk(item, facts, context, missing, trace));
+        return items.includes(UNKNOWN) ? UNKNOWN : items;
+      }
+
+      case 'call': {
+        if (!this.hasFunction(node.name)) {
+          throw new ExpressionError('unknown-function', `Unknown function: ${node.name}()`, node.start, node.end);
+        }
+        const args = node.args.map(arg => this.walk(arg, facts, context, missing, trace));
+        let value: unknown = UNKNOWN;
+        if (!args.includes(UNKNOWN)) {
+          try {
+            value = this.functions[node.name].apply(context, args);
+          } catch (err) {
+            throw toExpressionError(err, node);
+          }
+        }
+        if (trace) recordStep(trace, node, `${node.name}(${args.map(showValue).join(', ')})`, value);
+        return value;
+      }
+
+      case 'unary': {
+        const operand = this.walk(node.operand, facts, context, missing, trace);
+        if (operand === UNKNOWN) {
+          if (trace && node.op === '!') recordStep(trace, node, `!${showValue(operand)}`, UNKNOWN);
+          return UNKNOWN;
+        }
+        if (node.op === '!') {
+          if (trace) recordStep(trace, node, `!${showValue(operand)}`, !operand);
+          return !operand;
+        }
+        if (typeof operand !== 'number') {
+          throw new ExpressionError('type-mismatch',
+            `Unary '${node.op}' requires a numeric operand, got ${typeName(operand)}`, node.start, node.end);
+        }
+        return node.op === '-' ? -operand : operand;
       }
-      /* eslint-enable eqeqeq */
-    }
 
-    return Boolean(left);
+      case 'logical': {
+        let value: unknown;
+        let left: unknown;
+        let right: unknown = SKIPPED;
+        if (!missing) {
+          left = this.walk(node.left, facts, context, undefined, trace);
+          const decided = node.op === '&&' ? !left : Boolean(left);
+          value = decided ? left : (right = this.walk(node.right, facts, context, undefined, trace));
+        } else {
+          // Kleene logic: a decisive operand (false for &&, true for ||) wins
+          // over an unknown one, and its sibling's missing facts are irrelevant
+          const decisive = (v: unknown) => v !== UNKNOWN && (node.op === '&&' ? !v : Boolean(v));
+          const leftMissing = new Set<string>();
+          const rightMissing = new Set<string>();
+          left = this.walk(node.left, facts, context, leftMissing, trace);
+          if (decisive(left)) {
+            value = left;
+          } else {
+            right = this.walk(node.right, facts, context, rightMissing, trace);
+            if (decisive(right) || (left !== UNKNOWN && right !== UNKNOWN)) {
+              value = right;
+            } else {
+              for (const name of [...leftMissing, ...rightMissing]) missing.add(name);
+              value = UNKNOWN;
+            }
+          }
+        }
+        if (trace) recordStep(trace, node, `${showValue(left)} ${node.op} ${showValue(right)}`, value);
+        return value;
+      }
+
+      case 'binary': {
+        const operandMissing = missing && new Set<string>();
+        let left = this.walk(node.left, facts, context, operandMissing, trace);
+        let right = this.walk(node.right, facts, context, operandMissing, trace);
+        let value: unknown = UNKNOWN;
+        if (left === UNKNOWN || right === UNKNOWN) {
+          // `x === null` / `x != null` on a missing fact is an explicit null
+          // check: treat the missing fact as null. Anything else is unknown.
+          const isEquality = node.op === '===' || node.op === '!==' || node.op === '==' || node.op === '!=';
+          if (isEquality && (left === null || right === null)) {
+            if (left === UNKNOWN) left = null;
+            if (right === UNKNOWN) right = null;
+          } else {
+            for (const name of operandMissing ?? []) missing?.add(name);
+          }
+        }
+        if (left !== UNKNOWN && right !== UNKNOWN) {
+          try {
+            value = this.applyBinary(node.op, left, right);
+          } catch (err) {
+            throw toExpressionError(err, node);
+          }
+        }
+        if (trace) recordStep(trace, node, `${showValue(left)} ${node.op} ${showValue(right)}`, value);
+        return value;
+      }
+    }
   }
 
-  private parsePrimary(facts: Record<string, unknown>): unknown {
-    const tok = this.peek();
+  private applyBinary(op: Extract<ExprNode, { kind: 'binary' }>['op'], left: unknown, right: unknown): unknown {
+    if (this.options.strict) checkStrictTypes(op, left, right);
+
+    /* eslint-disable eqeqeq */
+    switch (op) {
+      case '+': case '-': case '*': case '/': case '%':
+        return applyArithmetic(op, left, right);
+      case '>':   return (left as number)  > (right as number);
+      case '>=':  return (left as number)  >= (right as number);
+      case '<':   return (left as number)  < (right as number);
+      case '<=':  return (left as number)  <= (right as number);
+      case '===': return left === right;
+      case '==':  return left == right;
+      case '!==': return left !== right;
+      case '!=':  return left != right;
+      case 'matches': return this.matchRegex(left, right);
+      case 'in':
+      case 'contains':
+      case 'startsWith':
+      case 'endsWith':
+        return applyKeywordOp(op, left, right);
+    }
+    /* eslint-enable eqeqeq */
+  }
 
-    if (tok.type === 'LPAREN') {
-      this.consume();
-      const val = this.parseOr(facts);
-      if (this.peek().type !== 'RPAREN') throw new Error('Missing closing parenthesis');
-      this.consume();
-      return val;
+  private unknownFact(node: Extract<ExprNode, { kind: 'identifier' }>, facts: Record<string, unknown>): ExpressionError {
+    // Suggest from the keys at the level where the lookup failed
+    let scope: unknown = facts;
+    let i = 0;
+    for (; i < node.path.length - 1; i++) {
+      const next = (scope as Record<string, unknown>)[node.path[i]];
+      if (next == null || typeof next !== 'object') break;
+      scope = next;
     }
+    const candidates = scope && typeof scope === 'object' ? Object.keys(scope) : [];
+    const match = closestMatch(node.path[i], candidates);
+    const prefix = node.path.slice(0, i).join('.');
+    return new ExpressionError('unknown-identifier', `Unknown fact '${node.name}'`, node.start, node.end,
+      match ? `did you mean '${prefix ? `${prefix}.${match}` : match}'?` : undefined);
+  }
+
+  /**
+   * Checks that need no facts: unknown functions and fields, literal type
+   * mismatches and regex literals. Tokens are filled in by the caller.
+   */
+  private staticDiagnostics(root: ExprNode, knownFields?: string[]): ExpressionDiagnostic[] {
+    const out: ExpressionDiagnostic[] = [];
+    const add = (kind: ExpressionDiagnostic['kind'], message: string, node: ExprNode, suggestion?: string) => {
+      out.push({
+        kind, message, offset: node.start, length: Math.max(1, node.end - node.start), token: '',
+        ...(suggestion ? { suggestion } : {}),
+      });
+    };
+
+    const visit = (node: ExprNode): void => {
+      switch (node.kind) {
+        case 'identifier':
+          if (knownFields && !isKnownField(node.name, knownFields)) {
+            const match = closestMatch(node.name, knownFields);
+            add('unknown-identifier', `Unknown fact '${node.name}'`, node, match ? `did you mean '${match}'?` : undefined);
+          }
+          return;
+        case 'call':
+          if (!this.hasFunction(node.name)) {
+            const match = closestMatch(node.name, Object.keys(this.functions));
+            add('unknown-function', `Unknown function: ${node.name}()`, node, match ? `did you mean '${match}()'?` : undefined);
+          }
+          node.args.forEach(visit);
+          return;
+        case 'array':
+          node.items.forEach(visit);
+          return;
+        case 'unary':
+          if (node.op !== '!' && node.operand.kind === 'literal' && typeof node.operand.value !== 'number') {
+            add('type-mismatch', `Unary '${node.op}' requires a numeric operand, got ${typeName(node.operand.value)}`, node);
+          }
+          visit(node.operand);
+          return;
+        case 'logical':
+          visit(node.left);
+          visit(node.right);
+          return;
+        case 'binary': {
+          visit(node.left);
+          visit(node.right);
+          const l = node.left.kind === 'literal' ? node.left.value : undefined;
+          const r = node.right.kind === 'literal' ? node.right.value : undefined;
+          const hasL = node.left.kind === 'literal';
+          const hasR = node.right.kind === 'literal';
+          try {
+            if (hasL) checkStrictTypes(node.op, l, hasR ? r : PLACEHOLDER, true);
+            if (hasR) checkStrictTypes(node.op, hasL ? l : PLACEHOLDER, r, true);
+          } catch (err) {
+            add('type-mismatch', (err as Error).message, node);
+          }
+          if (node.op === 'matches' && hasR && typeof r === 'string') {
+            try {
+              this.compileRegex(r);
+            } catch (err) {
+              add('syntax', (err as Error).message, node.right);
+            }
+          }
+          return;
+        }
+      }
+    };
 
-    if (tok.type === 'NUMBER') { this.consume(); return tok.value; }
-    if (tok.type === 'STRING') { this.consume(); return tok.value; }
-    if (tok.type === 'BOOL')   { this.consume(); return tok.value; }
-    if (tok.type === 'NULL')   { this.consume(); return null; }
-
-    if (tok.type === 'IDENT') {
-      this.consume();
-      // Support dot notation: user.role, request.amount
-      const parts = tok.value.split('.');
-      let val: unknown = facts[parts[0]];
-      for (let i = 1; i < parts.length; i++) {
-        if (val == null) return undefined;
-        val = (val as Record<string, unknown>)[parts[i]];
+    visit(root);
+    return out;
+  }
+
+  /** Add to a bounded cache, evicting the oldest entry (Map preserves insertion order) past `cacheSize`. */
+  private remember<T>(cache: Map<string, T>, key: string, value: T): void {
+    if (this.options.cacheSize <= 0) return;
+    if (cache.size >= this.options.cacheSize) cache.delete(cache.keys().next().value as string);
+    cache.set(key, value);
+  }
+
+  private compileRegex(pattern: string): RegExp {
+    let re = this.regexCache.get(pattern);
+    if (!re) {
+      if (this.options.regex === 'safe') {
+        if (pattern.length > this.options.maxPatternLength) {
+          throw new Error(`Regex pattern exceeds ${this.options.maxPatternLength} characters`);
+        }
+        if (!isSafeRegex(pattern)) {
+          throw new Error(`Regex pattern rejected by safe mode (nested quantifiers or back-references): ${pattern}`);
+        }
       }
-      return val;
+      re = new RegExp(pattern);
+      // Patterns can come from facts, so the cache is bounded like the AST cache
+      this.remember(this.regexCache, pattern, re);
     }
+    return re;
+  }
 
-    throw new Error(`Unexpected token type '${tok.type}' at position ${this.pos}`);
+  private matchRegex(input: unknown, pattern: unknown): boolean {
+    if (typeof input !== 'string' || typeof pattern !== 'string') {
+      throw new TypeError(`'matches' requires string operands, got ${typeName(input)} and ${typeName(pattern)}`);
+    }
+    const safe = this.options.regex === 'safe';
+    if (safe && input.length > this.options.maxMatchInputLength) {
+      throw new Error(`'matches' input exceeds ${this.options.maxMatchInputLength} characters`);
+    }
+    return this.compileRegex(pattern).test(input);
   }
 }
 
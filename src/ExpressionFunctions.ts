@@ -0,0 +1,159 @@
+/**
+ * ExpressionFunctions — Pure helper functions callable from rule conditions.
+ *
+ * The default library is fixed; engines add their own helpers through
+ * `ExpressionEvaluator.registerFunction()` / `RuleEngine.registerFunction()`.
+ * Built-in names cannot be overridden, so a condition such as `len(x) > 3`
+ * means the same thing in every rule set.
+ *
+ * Built-ins:
+ *   len(x)              length of a string or array, key count of an object
+ *   lower(s), upper(s), trim(s)
+ *   abs(n), round(n, digits?), floor(n), ceil(n)
+ *   min(a, b, ...), max(a, b, ...)   also accept a single array argument
+ *   now()               current time as an ISO-8601 string (from the clock)
+ *   daysBetween(a, b)   whole days from date a to date b (negative if b < a)
+ *   isEmiratesId(id)    784-YYYY-NNNNNNN-C format with a valid Luhn check digit
+ *
+ * Date helpers read the evaluation moment — `asOf`, else an injectable clock —
+ * so tests stay deterministic:
+ *   new RuleEngine({ clock: () => new Date('2026-01-01T00:00:00Z') })
+ *
+ * Custom functions must be pure, with one explicit exception: the windowed
+ * `count` / `sum` / `avg` that `RuleEngine.useAggregates()` registers read an
+ * `AggregateStore`, whose history grows as events are recorded. They are
+ * deterministic for a given store state and evaluation moment (windows end
+ * at `asOf`), so one decision and its explain trace agree; re-running a
+ * decision later may see late-recorded events. Only parsed ASTs are cached,
+ * never function results.
+ *
+ * @module ExpressionFunctions
+ */
+
+/** Source of the current time for date helpers. */
+export type Clock = () => Date;
+
+/**
+ * Passed by each evaluation to the functions it calls, as `this`. It belongs
+ * to that one call, so nested or interleaved evaluations never see each
+ * other's moment.
+ */
+export interface EvaluationContext {
+  /** The evaluation moment — `asOf` when the caller gave one */
+  now: Clock;
+}
+
+/**
+ * A pure function callable from a rule condition (the `AggregateStore`
+ * functions are the documented exception). Throwing fails the condition;
+ * throw a `TypeError` for bad argument types so strict mode reports a type mismatch.
+ * Functions that need the evaluation moment read `this.now()`.
+ */
+export type ExpressionFunction = (this: EvaluationContext | void, ...args: unknown[]) => unknown;
+
+export const systemClock: Clock = () => new Date();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function expectString(fn: string, value: unknown): string {
+  if (typeof value !== 'string') throw new TypeError(`${fn}() expects a string`);
+  return value;
+}
+
+function expectNumber(fn: string, value: unknown): number {
+  if (typeof value !== 'number' || Number.isNaN(value)) throw new TypeError(`${fn}() expects a number`);
+  return value;
+}
+
+function toTime(fn: string, value: unknown): number {
+  const t =
+    value instanceof Date ? value.getTime() :
+    typeof value === 'number' ? value :
+    typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(t)) throw new TypeError(`${fn}() expects a date, got ${JSON.stringify(value)}`);
+  return t;
+}
+
+function numericArgs(fn: string, args: unknown[]): number[] {
+  const values = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+  if (values.length === 0) throw new Error(`${fn}() expects at least one number`);
+  return values.map(v => expectNumber(fn, v));
+}
+
+function luhnValid(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Build the default function library. `now()` reads the evaluation context,
+ * falling back to `clock` when called outside an evaluation.
+ */
+export function createBuiltinFunctions(clock: Clock = systemClock): Record<string, ExpressionFunction> {
+  return {
+    len: (x) => {
+      if (typeof x === 'string' || Array.isArray(x)) return x.length;
+      if (x !== null && typeof x === 'object') return Object.keys(x).length;
+      throw new TypeError('len() expects a string, array or object');
+    },
+    lower: (s) => expectString('lower', s).toLowerCase(),
+    upper: (s) => expectString('upper', s).toUpperCase(),
+    trim:  (s) => expectString('trim', s).trim(),
+
+    abs:   (n) => Math.abs(expectNumber('abs', n)),
+    floor: (n) => Math.floor(expectNumber('floor', n)),
+    ceil:  (n) => Math.ceil(expectNumber('ceil', n)),
+    round: (n, digits = 0) => {
+      const f = Math.pow(10, expectNumber('round', digits));
+      return Math.round(expectNumber('round', n) * f) / f;
+    },
+    min: (...args) => Math.min(...numericArgs('min', args)),
+    max: (...args) => Math.max(...numericArgs('max', args)),
+
+    now(this: EvaluationContext | void) {
+      return (this ? this.now : clock)().toISOString();
+    },
+    daysBetween: (a, b) => Math.trunc((toTime('daysBetween', b) - toTime('daysBetween', a)) / DAY_MS),
+
+    isEmiratesId: (id) => {
+      if (typeof id !== 'string') return false;
+      const digits = id.replace(/[\s-]/g, '');
+      return /^784\d{12}$/.test(digits) && luhnValid(digits);
+    },
+  };
+}
+
+/** Value types used by static type checking (see FactSchema). */
+export type ValueType = 'number' | 'string' | 'boolean' | 'null' | 'array' | 'object' | 'any';
+
+/**
+ * Argument and return types of the built-ins, for static type checking.
+ * `args[i]` lists the accepted types of argument i; the last entry applies to
+ * any further (variadic) arguments.
+ */
+export const BUILTIN_SIGNATURES: Record<string, { args: ValueType[][]; returns: ValueType }> = {
+  len:          { args: [['string', 'array', 'object']], returns: 'number' },
+  lower:        { args: [['string']], returns: 'string' },
+  upper:        { args: [['string']], returns: 'string' },
+  trim:         { args: [['string']], returns: 'string' },
+  abs:          { args: [['number']], returns: 'number' },
+  floor:        { args: [['number']], returns: 'number' },
+  ceil:         { args: [['number']], returns: 'number' },
+  round:        { args: [['number'], ['number']], returns: 'number' },
+  min:          { args: [['number', 'array']], returns: 'number' },
+  max:          { args: [['number', 'array']], returns: 'number' },
+  now:          { args: [], returns: 'string' },
+  daysBetween:  { args: [['string', 'number'], ['string', 'number']], returns: 'number' },
+  isEmiratesId: { args: [['string']], returns: 'boolean' },
+};
+
+/** Names of the built-in functions — reserved, cannot be re-registered. */
+export const BUILTIN_FUNCTION_NAMES: readonly string[] = Object.keys(createBuiltinFunctions());
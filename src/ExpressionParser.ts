@@ -0,0 +1,366 @@
+/**
+ * ExpressionParser — Tokeniser and recursive-descent parser for rule conditions.
+ *
+ * Turns a condition string into an immutable AST (`ExprNode`). Parsing happens
+ * once per condition; `ExpressionEvaluator` walks the tree for every facts
+ * object, and the static analysers read the same tree.
+ *
+ * Every node carries `start`/`end` character offsets into the source string,
+ * and every syntax error is an `ExpressionError` pointing at the offending token.
+ *
+ * @module ExpressionParser
+ */
+
+import { ExpressionError } from './ExpressionDiagnostics';
+
+// ── Token types ────────────────────────────────────────────────────────────────
+
+export type CompareOp = '>' | '>=' | '<' | '<=' | '===' | '==' | '!==' | '!=';
+export type KeywordOp = 'in' | 'contains' | 'startsWith' | 'endsWith' | 'matches';
+export type ArithOp   = '+' | '-' | '*' | '/' | '%';
+export type LogicOp   = '&&' | '||';
+
+type Span = { start: number; end: number };
+
+type TNumber  = Span & { type: 'NUMBER';  value: number };
+type TString  = Span & { type: 'STRING';  value: string };
+type TBool    = Span & { type: 'BOOL';    value: boolean };
+type TNull    = Span & { type: 'NULL' };
+type TIdent   = Span & { type: 'IDENT';   value: string };
+type TOp      = Span & { type: 'OP';      value: CompareOp | KeywordOp };
+type TArith   = Span & { type: 'ARITH';   value: ArithOp };
+type TLogic   = Span & { type: 'LOGIC';   value: LogicOp };
+type TNot     = Span & { type: 'NOT' };
+type TLParen  = Span & { type: 'LPAREN' };
+type TRParen  = Span & { type: 'RPAREN' };
+type TLBrack  = Span & { type: 'LBRACKET' };
+type TRBrack  = Span & { type: 'RBRACKET' };
+type TComma   = Span & { type: 'COMMA' };
+type TEOF     = Span & { type: 'EOF' };
+
+export type Token = TNumber | TString | TBool | TNull | TIdent | TOp | TArith | TLogic | TNot | TLParen | TRParen | TLBrack | TRBrack | TComma | TEOF;
+
+const KEYWORD_OPS: readonly string[] = ['in', 'contains', 'startsWith', 'endsWith', 'matches'];
+
+// ── AST ────────────────────────────────────────────────────────────────────────
+
+export type LiteralNode    = Span & { kind: 'literal';    value: string | number | boolean | null };
+export type IdentifierNode = Span & { kind: 'identifier'; name: string; path: readonly string[] };
+export type ArrayNode      = Span & { kind: 'array';      items: readonly ExprNode[] };
+export type CallNode       = Span & { kind: 'call';       name: string; args: readonly ExprNode[] };
+export type UnaryNode      = Span & { kind: 'unary';      op: '!' | '-' | '+'; operand: ExprNode };
+export type BinaryNode     = Span & { kind: 'binary';     op: ArithOp | CompareOp | KeywordOp; left: ExprNode; right: ExprNode };
+export type LogicalNode    = Span & { kind: 'logical';    op: LogicOp; left: ExprNode; right: ExprNode };
+
+export type ExprNode =
+  | LiteralNode
+  | IdentifierNode
+  | ArrayNode
+  | CallNode
+  | UnaryNode
+  | BinaryNode
+  | LogicalNode;
+
+// ── Tokeniser ──────────────────────────────────────────────────────────────────
+
+export function tokenize(input: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  const s = input;
+
+  while (i < s.length) {
+    // Whitespace
+    if (/\s/.test(s[i])) { i++; continue; }
+
+    const start = i;
+
+    // String literals (" or ')
+    if (s[i] === '"' || s[i] === "'") {
+      const q = s[i++];
+      let str = '';
+      while (i < s.length && s[i] !== q) {
+        str += s[i] === '\\' ? s[++i] : s[i];
+        i++;
+      }
+      if (i >= s.length) {
+        throw new ExpressionError('syntax', 'Unterminated string literal', start, s.length, `close the string with ${q}`);
+      }
+      i++; // closing quote
+      tokens.push({ type: 'STRING', value: str, start, end: i });
+      continue;
+    }
+
+    // Number literal (positive only — unary minus handled by parser)
+    if (/[0-9]/.test(s[i])) {
+      const m = s.slice(i).match(/^[0-9]+(\.[0-9]+)?/)!;
+      i += m[0].length;
+      tokens.push({ type: 'NUMBER', value: parseFloat(m[0]), start, end: i });
+      continue;
+    }
+
+    // Multi-char operators (longest match first)
+    const slice3 = s.slice(i, i + 3);
+    const slice2 = s.slice(i, i + 2);
+
+    if (slice3 === '===' || slice3 === '!==') {
+      tokens.push({ type: 'OP', value: slice3, start, end: i += 3 });
+      continue;
+    }
+    if (slice2 === '>=' || slice2 === '<=' || slice2 === '!=' || slice2 === '==') {
+      tokens.push({ type: 'OP', value: slice2, start, end: i += 2 });
+      continue;
+    }
+    if (slice2 === '&&' || slice2 === '||') {
+      tokens.push({ type: 'LOGIC', value: slice2, start, end: i += 2 });
+      continue;
+    }
+
+    const end = i + 1;
+    if (s[i] === '>' || s[i] === '<') { tokens.push({ type: 'OP', value: s[i] as CompareOp, start, end }); i++; continue; }
+    if (s[i] === '!')  { tokens.push({ type: 'NOT', start, end });      i++; continue; }
+    if (s[i] === '(')  { tokens.push({ type: 'LPAREN', start, end });   i++; continue; }
+    if (s[i] === ')')  { tokens.push({ type: 'RPAREN', start, end });   i++; continue; }
+    if (s[i] === '[')  { tokens.push({ type: 'LBRACKET', start, end }); i++; continue; }
+    if (s[i] === ']')  { tokens.push({ type: 'RBRACKET', start, end }); i++; continue; }
+    if (s[i] === ',')  { tokens.push({ type: 'COMMA', start, end });    i++; continue; }
+    if (s[i] === '+' || s[i] === '-' || s[i] === '*' || s[i] === '/' || s[i] === '%') {
+      tokens.push({ type: 'ARITH', value: s[i] as ArithOp, start, end });
+      i++;
+      continue;
+    }
+
+    // Identifiers and keywords
+    const idMatch = s.slice(i).match(/^[a-zA-Z_$][a-zA-Z0-9_$.]*/);
+    if (idMatch) {
+      const id = idMatch[0];
+      const span = { start, end: i + id.length };
+      if      (id === 'true')      tokens.push({ type: 'BOOL', value: true, ...span });
+      else if (id === 'false')     tokens.push({ type: 'BOOL', value: false, ...span });
+      else if (id === 'null')      tokens.push({ type: 'NULL', ...span });
+      else if (id === 'undefined') tokens.push({ type: 'NULL', ...span });
+      else if (KEYWORD_OPS.includes(id)) tokens.push({ type: 'OP', value: id as KeywordOp, ...span });
+      else                         tokens.push({ type: 'IDENT', value: id, ...span });
+      i += id.length;
+      continue;
+    }
+
+    const suggestion =
+      s[i] === '=' ? "use '===' to compare values" :
+      s[i] === '&' ? "use '&&' for logical AND" :
+      s[i] === '|' ? "use '||' for logical OR" : undefined;
+    throw new ExpressionError(
+      'syntax',
+      `Unexpected character '${s[i]}' at position ${i} in expression: "${input}"`,
+      i, i + 1, suggestion
+    );
+  }
+
+  tokens.push({ type: 'EOF', start: s.length, end: s.length });
+  return tokens;
+}
+
+// ── Parser ─────────────────────────────────────────────────────────────────────
+//
+// Grammar (precedence low → high):
+//   expr       ::= orExpr
+//   orExpr     ::= andExpr  ( '||' andExpr  )*
+//   andExpr    ::= notExpr  ( '&&' notExpr  )*
+//   notExpr    ::= '!' notExpr | cmpExpr
+//   cmpExpr    ::= addExpr  ( OP addExpr )?          OP includes in/contains/startsWith/endsWith/matches
+//   addExpr    ::= mulExpr  ( ('+' | '-') mulExpr )*
+//   mulExpr    ::= unary    ( ('*' | '/' | '%') unary )*
+//   unary      ::= '-' unary | '+' unary | primary
+//   primary    ::= '(' expr ')' | array | call | NUMBER | STRING | BOOL | NULL | IDENT
+//   array      ::= '[' ( expr ( ',' expr )* )? ']'
+//   call       ::= IDENT '(' ( expr ( ',' expr )* )? ')'
+//
+// The parser state lives in a per-call object, so parsing is re-entrant.
+
+class Parser {
+  private pos = 0;
+
+  constructor(private readonly tokens: Token[], private readonly source: string) {}
+
+  parse(): ExprNode {
+    const node = this.parseOr();
+    const tok = this.peek();
+    if (tok.type !== 'EOF') {
+      throw this.error(`Unexpected ${this.describe(tok)} after end of expression`, tok,
+        tok.type === 'IDENT' || tok.type === 'OP' ? "combine conditions with '&&' or '||'" : undefined);
+    }
+    return node;
+  }
+
+  private describe(tok: Token): string {
+    return tok.type === 'EOF' ? 'end of expression' : `token '${this.source.slice(tok.start, tok.end)}'`;
+  }
+
+  private error(message: string, tok: Token, suggestion?: string): ExpressionError {
+    return new ExpressionError('syntax', `${message} at position ${tok.start}`, tok.start, tok.end, suggestion);
+  }
+
+  private peek(): Token { return this.tokens[this.pos]; }
+
+  private consume(): Token { return this.tokens[this.pos++]; }
+
+  private parseOr(): ExprNode {
+    let left = this.parseAnd();
+    while (this.peek().type === 'LOGIC' && (this.peek() as TLogic).value === '||') {
+      this.consume();
+      const right = this.parseAnd();
+      left = { kind: 'logical', op: '||', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  private parseAnd(): ExprNode {
+    let left = this.parseNot();
+    while (this.peek().type === 'LOGIC' && (this.peek() as TLogic).value === '&&') {
+      this.consume();
+      const right = this.parseNot();
+      left = { kind: 'logical', op: '&&', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  private parseNot(): ExprNode {
+    const tok = this.peek();
+    if (tok.type === 'NOT') {
+      this.consume();
+      const operand = this.parseNot();
+      return { kind: 'unary', op: '!', operand, start: tok.start, end: operand.end };
+    }
+    return this.parseComparison();
+  }
+
+  private parseComparison(): ExprNode {
+    const left = this.parseAdditive();
+
+    if (this.peek().type === 'OP') {
+      const op = (this.consume() as TOp).value;
+      const right = this.parseAdditive();
+      return { kind: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+
+    return left;
+  }
+
+  private isArith(...ops: ArithOp[]): boolean {
+    const tok = this.peek();
+    return tok.type === 'ARITH' && ops.includes(tok.value);
+  }
+
+  private parseAdditive(): ExprNode {
+    let left = this.parseMultiplicative();
+    while (this.isArith('+', '-')) {
+      const op = (this.consume() as TArith).value;
+      const right = this.parseMultiplicative();
+      left = { kind: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  private parseMultiplicative(): ExprNode {
+    let left = this.parseUnary();
+    while (this.isArith('*', '/', '%')) {
+      const op = (this.consume() as TArith).value;
+      const right = this.parseUnary();
+      left = { kind: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  private parseUnary(): ExprNode {
+    const tok = this.peek();
+    if (tok.type === 'ARITH' && (tok.value === '-' || tok.value === '+')) {
+      this.consume();
+      const operand = this.parseUnary();
+      return { kind: 'unary', op: tok.value, operand, start: tok.start, end: operand.end };
+    }
+    return this.parsePrimary();
+  }
+
+  private parseList(close: 'RPAREN' | 'RBRACKET'): ExprNode[] {
+    const items: ExprNode[] = [];
+    if (this.peek().type !== close) {
+      items.push(this.parseOr());
+      while (this.peek().type === 'COMMA') {
+        this.consume();
+        items.push(this.parseOr());
+      }
+    }
+    return items;
+  }
+
+  private parsePrimary(): ExprNode {
+    const tok = this.peek();
+
+    if (tok.type === 'LPAREN') {
+      this.consume();
+      const inner = this.parseOr();
+      const close = this.peek();
+      if (close.type !== 'RPAREN') throw this.error(`Missing closing parenthesis, found ${this.describe(close)}`, close, "add ')'");
+      this.consume();
+      return { ...inner, start: tok.start, end: close.end };
+    }
+
+    if (tok.type === 'LBRACKET') {
+      this.consume();
+      const items = this.parseList('RBRACKET');
+      const close = this.peek();
+      if (close.type !== 'RBRACKET') throw this.error(`Missing closing bracket, found ${this.describe(close)}`, close, "add ']'");
+      this.consume();
+      return { kind: 'array', items, start: tok.start, end: close.end };
+    }
+
+    if (tok.type === 'NUMBER' || tok.type === 'STRING' || tok.type === 'BOOL') {
+      this.consume();
+      return { kind: 'literal', value: tok.value, start: tok.start, end: tok.end };
+    }
+    if (tok.type === 'NULL') {
+      this.consume();
+      return { kind: 'literal', value: null, start: tok.start, end: tok.end };
+    }
+
+    if (tok.type === 'IDENT' && this.tokens[this.pos + 1]?.type === 'LPAREN') {
+      this.consume();
+      this.consume();
+      const args = this.parseList('RPAREN');
+      const close = this.peek();
+      if (close.type !== 'RPAREN') {
+        throw this.error(`Missing closing parenthesis in call to ${tok.value}(), found ${this.describe(close)}`, close, "add ')'");
+      }
+      this.consume();
+      return { kind: 'call', name: tok.value, args, start: tok.start, end: close.end };
+    }
+
+    if (tok.type === 'IDENT') {
+      this.consume();
+      // Support dot notation: user.role, request.amount
+      return { kind: 'identifier', name: tok.value, path: tok.value.split('.'), start: tok.start, end: tok.end };
+    }
+
+    throw this.error(`Expected a value but found ${this.describe(tok)}`, tok,
+      tok.type === 'OP' ? 'operators need a value on both sides' : undefined);
+  }
+}
+
+function deepFreeze<T>(node: T): T {
+  if (node && typeof node === 'object' && !Object.isFrozen(node)) {
+    Object.freeze(node);
+    for (const value of Object.values(node as object)) deepFreeze(value);
+  }
+  return node;
+}
+
+/**
+ * Parse a condition string into an immutable AST. Throws on syntax errors.
+ */
+export function parseExpression(expression: string): ExprNode {
+  try {
+    return deepFreeze(new Parser(tokenize(expression), expression).parse());
+  } catch (err) {
+    if (err instanceof ExpressionError) err.attachSource(expression);
+    throw err;
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * FactSchema — Declared shape of the facts a rule set decides on.
+ *
+ * A schema lists every fact field with its type (and optionally enum values,
+ * numeric bounds, nested fields). `RuleEngine` uses it twice:
+ *
+ *   1. At `loadRules()` — every condition is type-checked against the schema,
+ *      catching unknown fields, `"AE" > 5`-style mismatches, `>` on booleans
+ *      and enum typos before the rules go live.
+ *   2. At `evaluate()` — incoming facts are validated, optionally coercing
+ *      strings such as `"1000"` to `1000`.
+ *
+ * @example
+ * const schema: FactSchema = {
+ *   amount:  { type: 'number', required: true, min: 0 },
+ *   country: { type: 'string', enum: ['AE', 'SA', 'US'] },
+ *   pep:     { type: 'boolean' },
+ *   kycDate: { type: 'date' },
+ *   user:    { type: 'object', fields: { role: { type: 'string' } } },
+ * };
+ *
+ * @module FactSchema
+ */
+
+import { ExprNode } from './ExpressionParser';
+import { ExpressionDiagnostic, closestMatch } from './ExpressionDiagnostics';
+import { BUILTIN_SIGNATURES, ValueType } from './ExpressionFunctions';
+
+export type FactType = 'number' | 'string' | 'boolean' | 'date' | 'array' | 'object';
+
+export interface FieldSchema {
+  type: FactType;
+  /** Must be present (and not null) in every facts object. Default: false */
+  required?: boolean;
+  /** Allowed values for string/number fields */
+  enum?: Array<string | number>;
+  /** Inclusive numeric bounds */
+  min?: number;
+  max?: number;
+  /** Element schema for `array` fields */
+  items?: FieldSchema;
+  /** Nested fields for `object` fields */
+  fields?: FactSchema;
+  description?: string;
+}
+
+export type FactSchema = Record<string, FieldSchema>;
+
+export interface FactIssue {
+  /** Dot-notation path of the offending field */
+  path: string;
+  message: string;
+}
+
+export interface FactValidationResult {
+  valid: boolean;
+  /** Facts after coercion (a copy — the input is never mutated) */
+  facts: Record<string, unknown>;
+  issues: FactIssue[];
+}
+
+/**
+ * Thrown by `RuleEngine.evaluate()` when facts do not match the engine's schema.
+ */
+export class FactValidationError extends Error {
+  readonly issues: FactIssue[];
+
+  constructor(issues: FactIssue[]) {
+    super(`Invalid facts:\n${issues.map(i => `  ${i.path}: ${i.message}`).join('\n')}`);
+    this.name = 'FactValidationError';
+    this.issues = issues;
+  }
+}
+
+// ── Fact validation ────────────────────────────────────────────────────────────
+
+function coerceValue(value: unknown, type: FactType): unknown {
+  if (typeof value !== 'string') return value;
+  const s = value.trim();
+  if (type === 'number' && s !== '' && !Number.isNaN(Number(s))) return Number(s);
+  if (type === 'boolean' && (s === 'true' || s === 'false')) return s === 'true';
+  return value;
+}
+
+function checkField(
+  value: unknown,
+  spec: FieldSchema,
+  path: string,
+  coerce: boolean,
+  issues: FactIssue[]
+): unknown {
+  if (coerce) value = coerceValue(value, spec.type);
+
+  switch (spec.type) {
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        issues.push({ path, message: `expected number, got ${JSON.stringify(value)}` });
+        return value;
+      }
+      if (spec.min !== undefined && value < spec.min) issues.push({ path, message: `must be >= ${spec.min}` });
+      if (spec.max !== undefined && value > spec.max) issues.push({ path, message: `must be <= ${spec.max}` });
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        issues.push({ path, message: `expected string, got ${JSON.stringify(value)}` });
+        return value;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        issues.push({ path, message: `expected boolean, got ${JSON.stringify(value)}` });
+        return value;
+      }
+      break;
+    case 'date':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        issues.push({ path, message: `expected ISO date string, got ${JSON.stringify(value)}` });
+        return value;
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        issues.push({ path, message: `expected array, got ${JSON.stringify(value)}` });
+        return value;
+      }
+      if (spec.items) {
+        const items = spec.items;
+        value = value.map((v, i) => checkField(v, items, `${path}[${i}]`, coerce, issues));
+      }
+      break;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        issues.push({ path, message: `expected object, got ${JSON.stringify(value)}` });
+        return value;
+      }
+      if (spec.fields) value = checkObject(value as Record<string, unknown>, spec.fields, `${path}.`, coerce, issues);
+      break;
+  }
+
+  if (spec.enum && !spec.enum.includes(value as string | number)) {
+    issues.push({ path, message: `must be one of ${spec.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  return value;
+}
+
+function checkObject(
+  obj: Record<string, unknown>,
+  schema: FactSchema,
+  prefix: string,
+  coerce: boolean,
+  issues: FactIssue[]
+): Record<string, unknown> {
+  const out: Record<string, unknown> = { ...obj };
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = obj[name];
+    if (value === undefined || value === null) {
+      if (spec.required) issues.push({ path: prefix + name, message: 'is required' });
+      continue;
+    }
+    out[name] = checkField(value, spec, prefix + name, coerce, issues);
+  }
+  return out;
+}
+
+/**
+ * Validate a facts object against a schema. Fields not in the schema are
+ * passed through untouched. With `coerce`, numeric and boolean strings are
+ * converted (`"1000"` → 1000, `"true"` → true) before checking.
+ */
+export function validateFacts(
+  facts: Record<string, unknown>,
+  schema: FactSchema,
+  options: { coerce?: boolean } = {}
+): FactValidationResult {
+  const issues: FactIssue[] = [];
+  const out = checkObject(facts, schema, '', options.coerce ?? false, issues);
+  return { valid: issues.length === 0, facts: out, issues };
+}
+
+// ── Static type checking ───────────────────────────────────────────────────────
+
+type Inferred = { type: ValueType; field?: FieldSchema };
+
+function toValueType(t: FactType): ValueType {
+  return t === 'date' ? 'string' : t;
+}
+
+function literalType(value: unknown): ValueType {
+  if (value === null) return 'null';
+  return typeof value as ValueType;
+}
+
+/**
+ * Resolve a dot-notation path in the schema. Returns the field spec, `null`
+ * when the path is unknown, or `undefined` when it descends into an object
+ * without declared fields (anything goes below that point).
+ */
+export function resolveField(schema: FactSchema, path: readonly string[]): FieldSchema | null | undefined {
+  let fields: FactSchema | undefined = schema;
+  let spec: FieldSchema | undefined;
+  for (const part of path) {
+    if (!fields) return spec?.type === 'object' ? undefined : null;
+    spec = fields[part];
+    if (!spec) return null;
+    fields = spec.type === 'object' ? spec.fields : undefined;
+  }
+  return spec;
+}
+
+/**
+ * Type-check a parsed condition against a facts schema. Returns diagnostics
+ * (tokens left empty — fill them from the source with the node offsets).
+ * Custom functions are typed as `any`; unknown functions are left to
+ * `ExpressionEvaluator.validate()`.
+ */
+export function typeCheckExpression(root: ExprNode, schema: FactSchema): ExpressionDiagnostic[] {
+  const out: ExpressionDiagnostic[] = [];
+  const add = (kind: ExpressionDiagnostic['kind'], message: string, node: ExprNode, suggestion?: string) => {
+    out.push({
+      kind, message, offset: node.start, length: Math.max(1, node.end - node.start), token: '',
+      ...(suggestion ? { suggestion } : {}),
+    });
+  };
+  const known = (t: ValueType) => t !== 'any';
+
+  const checkEnum = (field: FieldSchema | undefined, literal: ExprNode) => {
+    if (!field?.enum || literal.kind !== 'literal' || literal.value === null) return;
+    if (!field.enum.includes(literal.value as string | number)) {
+      const match = typeof literal.value === 'string'
+        ? closestMatch(literal.value, field.enum.filter((v): v is string => typeof v === 'string'))
+        : undefined;
+      add('type-mismatch', `${JSON.stringify(literal.value)} is not one of ${field.enum.map(v => JSON.stringify(v)).join(', ')}`,
+        literal, match ? `did you mean ${JSON.stringify(match)}?` : undefined);
+    }
+  };
+
+  const infer = (node: ExprNode): Inferred => {
+    switch (node.kind) {
+      case 'literal':
+        return { type: literalType(node.value) };
+
+      case 'identifier': {
+        const spec = resolveField(schema, node.path);
+        if (spec === null) {
+          // Suggest from the fields at the level where resolution failed
+          let fields: FactSchema | undefined = schema;
+          let i = 0;
+          for (; i < node.path.length - 1 && fields?.[node.path[i]]; i++) fields = fields[node.path[i]].fields;
+          const match = fields ? closestMatch(node.path[i], Object.keys(fields)) : undefined;
+          const prefix = node.path.slice(0, i).join('.');
+          add('unknown-identifier', `Unknown fact '${node.name}' (not in schema)`, node,
+            match ? `did you mean '${prefix ? `${prefix}.${match}` : match}'?` : undefined);
+          return { type: 'any' };
+        }
+        if (spec === undefined) return { type: 'any' };
+        return { type: toValueType(spec.type), field: spec };
+      }
+
+      case 'array': {
+        const items = node.items.map(infer);
+        const first = items[0]?.type;
+        const same = items.every(i => i.type === first);
+        return { type: 'array', field: { type: 'array', items: same && first && first !== 'any' && first !== 'null' ? { type: first as FactType } : undefined } };
+      }
+
+      case 'call': {
+        const args = node.args.map(infer);
+        const sig = BUILTIN_SIGNATURES[node.name];
+        if (!sig) return { type: 'any' };
+        args.forEach((arg, i) => {
+          const accepted = sig.args[Math.min(i, sig.args.length - 1)];
+          if (accepted && known(arg.type) && !accepted.includes(arg.type)) {
+            add('type-mismatch', `${node.name}() does not accept ${arg.type} (expects ${accepted.join(' | ')})`, node.args[i]);
+          }
+        });
+        return { type: sig.returns };
+      }
+
+      case 'unary': {
+        const operand = infer(node.operand);
+        if (node.op === '!') return { type: 'boolean' };
+        if (known(operand.type) && operand.type !== 'number') {
+          add('type-mismatch', `Unary '${node.op}' requires a number, got ${operand.type}`, node);
+        }
+        return { type: 'number' };
+      }
+
+      case 'logical':
+        infer(node.left);
+        infer(node.right);
+        return { type: 'boolean' };
+
+      case 'binary': {
+        const l = infer(node.left);
+        const r = infer(node.right);
+        const bothKnown = known(l.type) && known(r.type);
+        switch (node.op) {
+          case '+': case '-': case '*': case '/': case '%':
+            for (const [side, t] of [[node.left, l], [node.right, r]] as const) {
+              if (known(t.type) && t.type !== 'number') {
+                add('type-mismatch', `Arithmetic operator '${node.op}' requires numbers, got ${t.type}`, side);
+              }
+            }
+            return { type: 'number' };
+
+          case '>': case '>=': case '<': case '<=':
+            for (const t of [l, r]) {
+              if (known(t.type) && t.type !== 'number' && t.type !== 'string') {
+                add('type-mismatch', `Cannot use '${node.op}' on ${t.type}`, node);
+                return { type: 'boolean' };
+              }
+            }
+            if (bothKnown && l.type !== r.type) {
+              add('type-mismatch', `Cannot compare ${l.type} with ${r.type} using '${node.op}'`, node);
+            }
+            return { type: 'boolean' };
+
+          case '===': case '!==': case '==': case '!=':
+            if (bothKnown && l.type !== 'null' && r.type !== 'null' && l.type !== r.type) {
+              add('type-mismatch', `Comparing ${l.type} with ${r.type} using '${node.op}' never matches`, node);
+            }
+            checkEnum(l.field, node.right);
+            checkEnum(r.field, node.left);
+            return { type: 'boolean' };
+
+          case 'in':
+            if (known(r.type) && r.type !== 'array' && r.type !== 'string') {
+              add('type-mismatch', `'in' requires an array or string on the right, got ${r.type}`, node.right);
+            } else if (r.type === 'array') {
+              const itemType = r.field?.items ? toValueType(r.field.items.type) : 'any';
+              if (known(l.type) && known(itemType) && l.type !== itemType) {
+                add('type-mismatch', `Looking up ${l.type} in an array of ${itemType} never matches`, node);
+              }
+              if (node.right.kind === 'array') node.right.items.forEach(item => checkEnum(l.field, item));
+            }
+            return { type: 'boolean' };
+
+          case 'contains':
+            if (known(l.type) && l.type !== 'array' && l.type !== 'string') {
+              add('type-mismatch', `'contains' requires an array or string on the left, got ${l.type}`, node.left);
+            } else if (l.type === 'array' && l.field?.items) {
+              checkEnum(l.field.items, node.right);
+            }
+            return { type: 'boolean' };
+
+          case 'startsWith': case 'endsWith': case 'matches':
+            for (const [side, t] of [[node.left, l], [node.right, r]] as const) {
+              if (known(t.type) && t.type !== 'string') {
+                add('type-mismatch', `'${node.op}' requires strings, got ${t.type}`, side);
+              }
+            }
+            return { type: 'boolean' };
+        }
+      }
+    }
+  };
+
+  infer(root);
+  return out;
+}
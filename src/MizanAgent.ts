@@ -1,10 +1,37 @@
-import { Rule, Decision, AgentResponse, AuditEntry, LLMAdapter } from './types';
+import { Rule, Decision, DecisionObligation, AgentResponse, AuditEntry, LLMAdapter } from './types';
 import { RuleEngine } from './RuleEngine';
 import { AuditLogger } from './AuditLogger';
 import { ToolRegistry, Tool, ToolResult } from './ToolRegistry';
 import { MemoryModule, MemoryEntry } from './MemoryModule';
 import { config } from './config';
 import { UAEComplianceLayer } from './compliance';
+import { ShadowEvaluator } from './ShadowEvaluator';
+
+/**
+ * Fulfils one obligation of a decision (send the notification, request the
+ * document...). Return false — or throw — when it cannot be met.
+ */
+export type ObligationHandler = (
+  obligation: DecisionObligation,
+  context: { decision: Decision; input: Record<string, unknown> }
+) => boolean | Promise<boolean>;
+
+/**
+ * Thrown by `MizanAgent.run()` / `runStream()` when an obligation handler
+ * reports an obligation as unmet. The decision is logged first, so
+ * `auditEntry` records which obligations failed.
+ */
+export class ObligationError extends Error {
+  readonly unmet: DecisionObligation[];
+  readonly auditEntry: AuditEntry;
+
+  constructor(unmet: DecisionObligation[], auditEntry: AuditEntry) {
+    super(`Unmet obligation${unmet.length > 1 ? 's' : ''}: ${unmet.map(o => o.error ? `${o.id} (${o.error})` : o.id).join(', ')}`);
+    this.name = 'ObligationError';
+    this.unmet = unmet;
+    this.auditEntry = auditEntry;
+  }
+}
 
 export abstract class MizanAgent {
   protected engine: RuleEngine;
@@ -13,6 +40,7 @@ export abstract class MizanAgent {
   protected tools: ToolRegistry;
   protected memory: MemoryModule;
   protected compliance: UAEComplianceLayer | null;
+  protected onObligation: ObligationHandler | null;
 
   constructor(options?: {
     rules?: Rule[];
@@ -20,6 +48,10 @@ export abstract class MizanAgent {
     auditPath?: string;
     memoryPath?: string;
     compliance?: UAEComplianceLayer;
+    /** Challenger rules evaluated in shadow on every pre/post-check */
+    shadow?: ShadowEvaluator;
+    /** Fulfils decision obligations before each decision is logged; unmet ones fail the run */
+    onObligation?: ObligationHandler;
   }) {
     this.engine = new RuleEngine();
     this.logger = new AuditLogger(options?.auditPath || config.auditPath);
@@ -27,10 +59,14 @@ export abstract class MizanAgent {
     this.tools = new ToolRegistry();
     this.memory = new MemoryModule({ path: options?.memoryPath });
     this.compliance = options?.compliance || null;
+    this.onObligation = options?.onObligation || null;
 
     if (options?.rules) {
       this.engine.loadRules(options.rules);
     }
+    if (options?.shadow) {
+      this.engine.setShadow(options.shadow);
+    }
   }
 
   abstract think(input: Record<string, unknown>): Promise<string>;
@@ -59,8 +95,7 @@ export abstract class MizanAgent {
     // Pre-check
     const preDecision = this.engine.evaluate(input);
     decisions.push(preDecision);
-    const preAudit = this.logger.log(preDecision, input);
-    this.applyCompliance(input, preDecision, preAudit);
+    const preAudit = await this.record(preDecision, input);
     auditTrail.push(preAudit);
 
     if (preDecision.result === 'REJECTED') {
@@ -78,8 +113,7 @@ export abstract class MizanAgent {
     const postFacts = { ...input, llmOutput: output };
     const postDecision = this.engine.evaluate(postFacts);
     decisions.push(postDecision);
-    const postAudit = this.logger.log(postDecision, postFacts);
-    this.applyCompliance(postFacts, postDecision, postAudit);
+    const postAudit = await this.record(postDecision, postFacts);
     auditTrail.push(postAudit);
 
     return { output, decisions, auditTrail };
@@ -92,8 +126,7 @@ export abstract class MizanAgent {
   ): Promise<void> {
     // Pre-check
     const preDecision = this.engine.evaluate(input);
-    const preAudit = this.logger.log(preDecision, input);
-    this.applyCompliance(input, preDecision, preAudit);
+    const preAudit = await this.record(preDecision, input);
 
     if (preDecision.result === 'REJECTED') {
       const msg = `Blocked by rule: ${preDecision.reason}`;
@@ -121,8 +154,7 @@ export abstract class MizanAgent {
       const output = chunks.join('');
       const postFacts = { ...input, llmOutput: output };
       const postDecision = this.engine.evaluate(postFacts);
-      const postAudit = this.logger.log(postDecision, postFacts);
-      this.applyCompliance(postFacts, postDecision, postAudit);
+      const postAudit = await this.record(postDecision, postFacts);
       if (onDone) {
         onDone({
           output,
@@ -142,8 +174,7 @@ export abstract class MizanAgent {
 
     const postFacts = { ...input, llmOutput: output };
     const postDecision = this.engine.evaluate(postFacts);
-    const postAudit = this.logger.log(postDecision, postFacts);
-    this.applyCompliance(postFacts, postDecision, postAudit);
+    const postAudit = await this.record(postDecision, postFacts);
     if (onDone) {
       onDone({
         output,
@@ -153,6 +184,36 @@ export abstract class MizanAgent {
     }
   }
 
+  /**
+   * Fulfil a decision's obligations with the `onObligation` handler, recording
+   * `fulfilled` (and `error`) on each. Override to fulfil obligations in a
+   * subclass. Returns the unmet obligations.
+   */
+  protected async fulfilObligations(decision: Decision, input: Record<string, unknown>): Promise<DecisionObligation[]> {
+    const handler = this.onObligation;
+    if (!handler || !decision.obligations) return [];
+    const unmet: DecisionObligation[] = [];
+    for (const obligation of decision.obligations) {
+      try {
+        obligation.fulfilled = Boolean(await handler(obligation, { decision, input }));
+      } catch (err) {
+        obligation.fulfilled = false;
+        obligation.error = (err as Error).message;
+      }
+      if (!obligation.fulfilled) unmet.push(obligation);
+    }
+    return unmet;
+  }
+
+  // Fulfil obligations, then log — so the audit entry records the outcome
+  private async record(decision: Decision, facts: Record<string, unknown>): Promise<AuditEntry> {
+    const unmet = await this.fulfilObligations(decision, facts);
+    const entry = this.logger.log(decision, facts);
+    this.applyCompliance(facts, decision, entry);
+    if (unmet.length > 0) throw new ObligationError(unmet, entry);
+    return entry;
+  }
+
   private applyCompliance(input: Record<string, unknown>, decision: Decision, auditEntry: AuditEntry): void {
     if (!this.compliance) return;
     const report = this.compliance.evaluate(input, decision, auditEntry);
@@ -1,49 +1,488 @@
-import { Rule, Decision, Conflict } from './types';
-import { ExpressionEvaluator } from './ExpressionEvaluator';
+import {
+  Rule,
+  Decision,
+  DecisionObligation,
+  Conflict,
+  RuleTrace,
+  DerivationRule,
+  DerivationTrace,
+  ScoringRule,
+  ScoreContribution,
+  ScorecardResult,
+} from './types';
+import { ExpressionEvaluator, TruthExplanation, TruthResult } from './ExpressionEvaluator';
+import { Clock, EvaluationContext, ExpressionFunction } from './ExpressionFunctions';
+import { ExpressionDiagnostic, formatDiagnostic } from './ExpressionDiagnostics';
+import { FactSchema, FactValidationError, typeCheckExpression, validateFacts } from './FactSchema';
+import {
+  Counterfactual,
+  CounterfactualExplainer,
+  CoverageAnalyzer,
+  CoverageReport,
+  RuleAnalyzer,
+  RuleAnalysis,
+} from './analysis';
+import { RuleSet, RuleSetError, RuleSetVersion, hashRules } from './RuleSet';
+import { RuleIndex } from './RuleIndex';
+import type { ShadowEvaluator } from './ShadowEvaluator';
+import type { AggregateStore } from './AggregateStore';
 import * as crypto from 'crypto';
 
 type CompiledRule = {
   rule: Rule;
-  test: (facts: Record<string, unknown>) => boolean;
+  test: (facts: Record<string, unknown>, context: EvaluationContext) => TruthResult;
+  /** Validity window as epoch ms: from inclusive, to exclusive */
+  from: number;
+  to: number;
 };
 
-const _evaluator = new ExpressionEvaluator();
+/**
+ * How the engine turns matching rules into one decision:
+ * - `'first-match'` (default): the highest-priority matching rule decides;
+ *   evaluation stops there
+ * - `'most-restrictive'`: every rule is tested; REJECTED beats REVIEW beats
+ *   APPROVED, ties go to the higher-priority rule
+ * - `'unanimous'`: APPROVED only if every matching rule approves; any other
+ *   matching rule vetoes the decision to REJECTED
+ * - `'weighted'`: the weighted average of matching rules' scores
+ *   (`rule.weight`, default 1) is mapped to a result via `thresholds`
+ */
+export type ResolutionStrategy = 'first-match' | 'most-restrictive' | 'unanimous' | 'weighted';
+
+export interface RuleEngineOptions {
+  /** Custom functions callable from rule conditions, e.g. `{ riskBand: (s) => ... }`. */
+  functions?: Record<string, ExpressionFunction>;
+  /** Clock for date helpers (`now()`, `daysBetween`). Inject a fixed clock in tests. */
+  clock?: Clock;
+  /**
+   * Strict mode: a condition that fails at evaluation time (unknown fact, type
+   * mismatch, runtime error) throws an `ExpressionError` from `evaluate()`
+   * instead of being skipped as "did not match". Default: false
+   */
+  strict?: boolean;
+  /**
+   * Declared shape of the facts. When set, `loadRules` type-checks every
+   * condition against it and `evaluate` rejects facts that do not match
+   * (throwing a `FactValidationError`).
+   */
+  schema?: FactSchema;
+  /** Coerce numeric/boolean strings (`"1000"` → 1000) before validating facts. Default: false */
+  coerceFacts?: boolean;
+  /**
+   * Decide conditions with three-valued logic: a comparison on a missing fact
+   * is unknown rather than false, and `onUnknown` says what happens to a rule
+   * that cannot be decided. When off, a missing fact reads as `undefined` as
+   * in 1.2 — `amount > 1000` is false, while `country !== "AE"` and
+   * `!(amount > 1000)` match — and `Decision.missingFacts` is never set.
+   * Default: false, or true when `onUnknown` is given
+   */
+  threeValued?: boolean;
+  /**
+   * What to do when a rule cannot be decided because facts it references are
+   * missing (with `threeValued`, a missing `amount` is unknown rather than
+   * "small"):
+   * - `'skip'` (default): move on to the next rule; the missing facts are
+   *   still listed in `Decision.missingFacts`
+   * - `'review'`: stop and return REVIEW with a "needs data" reason instead of
+   *   falling through to a lower-priority rule
+   */
+  onUnknown?: 'skip' | 'review';
+  /** Conflict-resolution strategy when several rules match. Default: 'first-match' */
+  strategy?: ResolutionStrategy;
+  /**
+   * Bucket rules by their equality and numeric-range tests (see `RuleIndex`)
+   * so `evaluate` only tests rules the facts can match. Decisions are the same
+   * either way; strict mode and `explain` always test every rule. Default: true
+   */
+  index?: boolean;
+  /**
+   * Score thresholds for the `'weighted'` strategy and the scorecard (unless
+   * `loadScorecard` sets its own): score >= approve → APPROVED,
+   * score <= reject → REJECTED, otherwise REVIEW. Default: { approve: 70, reject: 30 }
+   */
+  thresholds?: { approve: number; reject: number };
+}
+
+/** Per-call options for `RuleEngine.evaluate()`. */
+export interface EvaluateOptions {
+  /**
+   * Record every rule tested and the value of each sub-expression in
+   * `Decision.trace` (e.g. `score >= 80 → 72 >= 80 → false`). Default: false
+   */
+  explain?: boolean;
+  /**
+   * Evaluate under the rules in force at this moment (`validFrom`/`validTo`),
+   * with date helpers such as `now()` reading it too — re-run a past decision
+   * as it would have been made then. Default: the engine clock's current time
+   */
+  asOf?: Date | string;
+}
+
+/** Problems found in one rule's condition. */
+export interface RuleDiagnostics<R extends Rule | DerivationRule | ScoringRule = Rule> {
+  rule: R;
+  diagnostics: ExpressionDiagnostic[];
+}
+
+/**
+ * Thrown by `loadRules` / `addRule` / `loadDerivations` / `loadScorecard` when
+ * one or more conditions are invalid. The message lists every problem in caret
+ * style; `results` holds the structured diagnostics.
+ */
+export class RuleValidationError extends Error {
+  readonly results: RuleDiagnostics<Rule | DerivationRule | ScoringRule>[];
+
+  constructor(results: RuleDiagnostics<Rule | DerivationRule | ScoringRule>[]) {
+    const details = results.map(({ rule, diagnostics }) =>
+      diagnostics.map(d => `Rule "${rule.id}" (${rule.name}):\n${formatDiagnostic(rule.condition, d)}`).join('\n')
+    );
+    super(`Invalid rule condition${results.length > 1 ? 's' : ''}:\n${details.join('\n')}`);
+    this.name = 'RuleValidationError';
+    this.results = results;
+  }
+}
 
 /**
  * Compile a condition string into a safe, reusable test function.
  * Uses ExpressionEvaluator — no `new Function()` or `eval()`.
  *
  * Supported syntax: comparison operators (>, >=, <, <=, ===, ==, !==, !=),
- * logical operators (&&, ||, !), parentheses, string/number/boolean literals,
+ * arithmetic (+, -, *, /, %, unary minus), membership and string operators
+ * (in, contains, startsWith, endsWith, matches), logical operators (&&, ||, !),
+ * parentheses, array literals, string/number/boolean literals,
  * and dot-notation identifiers for nested fact access.
+ *
+ * The compiled test is three-valued: it reports `'unknown'` (with the missing
+ * facts) when the condition cannot be decided.
+ */
+function compileCondition(
+  evaluator: ExpressionEvaluator,
+  condition: string
+): (facts: Record<string, unknown>, context?: EvaluationContext) => TruthResult {
+  return evaluator.compileTruth(condition);
+}
+
+/**
+ * Thrown by `evaluate()` when derivation rules keep reassigning the same facts
+ * without reaching a fixed point (e.g. A sets `tier` to "HIGH" when it is
+ * "LOW", B sets it back). `cycle` lists the derivation ids that repeat.
+ */
+export class DerivationCycleError extends Error {
+  readonly cycle: string[];
+
+  constructor(cycle: string[]) {
+    super(`Derivation cycle: ${cycle.map(id => `"${id}"`).join(' → ')} keep reassigning the same facts`);
+    this.name = 'DerivationCycleError';
+    this.cycle = cycle;
+  }
+}
+
+type CompiledDerivation = {
+  rule: DerivationRule;
+  test: (facts: Record<string, unknown>, context: EvaluationContext) => TruthResult;
+};
+
+type Scorecard = {
+  base: number;
+  thresholds?: { approve: number; reject: number };
+  rules: Array<{ rule: ScoringRule; test: (facts: Record<string, unknown>, context: EvaluationContext) => TruthResult }>;
+};
+
+/** Backstop for derivation chains whose states never repeat. */
+const MAX_DERIVATIONS = 1000;
+
+const FACT_NAME = /^[A-Za-z_$][\w$]*$/;
+
+const RESTRICTIVENESS: Record<Rule['action'], number> = { APPROVED: 0, REVIEW: 1, REJECTED: 2 };
+
+function band(score: number, thresholds: { approve: number; reject: number }): Decision['result'] {
+  return score >= thresholds.approve ? 'APPROVED' : score <= thresholds.reject ? 'REJECTED' : 'REVIEW';
+}
+
+function ruleScore(rule: Rule): number {
+  const defaultScore =
+    rule.action === 'APPROVED' ? 85 :
+    rule.action === 'REJECTED' ? 15 : 50;
+  return rule.score ?? defaultScore;
+}
+
+/**
+ * Merge the obligations (or advice) of the given rules; the same id with the
+ * same params is listed once, with every rule that asked for it.
  */
-function compileCondition(condition: string): (facts: Record<string, unknown>) => boolean {
-  // Pre-validate at load time — throws early on syntax errors
-  return _evaluator.compile(condition);
+function collectObligations(rules: Rule[], key: 'obligations' | 'advice'): DecisionObligation[] {
+  const merged = new Map<string, DecisionObligation>();
+  for (const rule of rules) {
+    for (const obligation of rule[key] ?? []) {
+      const id = `${obligation.id}:${JSON.stringify(obligation.params ?? {})}`;
+      const existing = merged.get(id);
+      if (existing) existing.ruleIds.push(rule.id);
+      else merged.set(id, { ...obligation, ruleIds: [rule.id] });
+    }
+  }
+  return [...merged.values()];
+}
+
+function parseDate(rule: Rule, field: 'validFrom' | 'validTo'): number | undefined {
+  const value = rule[field];
+  if (value === undefined) return undefined;
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`Rule "${rule.id}": invalid ${field} date "${value}"`);
+  return t;
+}
+
+function compileRule(evaluator: ExpressionEvaluator, rule: Rule): CompiledRule {
+  const from = parseDate(rule, 'validFrom') ?? -Infinity;
+  const to = parseDate(rule, 'validTo') ?? Infinity;
+  if (from >= to) throw new Error(`Rule "${rule.id}": validFrom must be before validTo`);
+  return { rule, test: compileCondition(evaluator, rule.condition), from, to };
+}
+
+function traceRule(rule: Rule, explained: TruthExplanation): RuleTrace {
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    priority: rule.priority,
+    condition: rule.condition,
+    outcome:
+      explained.error ? 'error' :
+      explained.value === 'unknown' ? 'unknown' :
+      explained.value ? 'matched' : 'not-matched',
+    steps: explained.steps,
+    ...(explained.missingFacts.length > 0 ? { missingFacts: explained.missingFacts } : {}),
+    ...(explained.error ? { error: explained.error } : {}),
+  };
 }
 
 export class RuleEngine {
   private compiled: CompiledRule[] = [];
+  private evaluator: ExpressionEvaluator;
+  private schema?: FactSchema;
+  private coerceFacts: boolean;
+  private onUnknown: 'skip' | 'review';
+  private strategy: ResolutionStrategy;
+  private thresholds: { approve: number; reject: number };
+  private clock: Clock;
+  private disabledGroups = new Set<string>();
+  private ruleSet?: RuleSet;
+  private ruleSetHash = hashRules([]);
+  private ruleSetVersion?: string;
+  private shadow?: ShadowEvaluator;
+  private derivations: CompiledDerivation[] = [];
+  /** Every fact some derivation can assign, sorted — the state checked for cycles */
+  private derivedNames: string[] = [];
+  private scorecard?: Scorecard;
+  private indexRules: boolean;
+  /** Built on first use after the rules change */
+  private index?: RuleIndex;
+
+  constructor(options: RuleEngineOptions = {}) {
+    this.schema = options.schema;
+    this.coerceFacts = options.coerceFacts ?? false;
+    this.onUnknown = options.onUnknown ?? 'skip';
+    this.strategy = options.strategy ?? 'first-match';
+    this.thresholds = options.thresholds ?? { approve: 70, reject: 30 };
+    this.clock = options.clock ?? (() => new Date());
+    this.indexRules = options.index ?? true;
+    this.evaluator = new ExpressionEvaluator({
+      functions: options.functions,
+      clock: this.clock,
+      strict: options.strict,
+      threeValued: options.threeValued ?? options.onUnknown !== undefined,
+    });
+  }
+
+  /**
+   * Register a custom function for this engine's rule conditions.
+   * Built-in names (len, lower, daysBetween, ...) are reserved.
+   */
+  registerFunction(name: string, fn: ExpressionFunction): this {
+    this.evaluator.registerFunction(name, fn);
+    return this;
+  }
+
+  /**
+   * Register the store's windowed `count`, `sum` and `avg` for rule conditions
+   * (see `AggregateStore`). Windows end at the evaluation moment — `asOf` when
+   * given — so call this before `loadRules`. Unlike other custom functions
+   * these are not pure: results follow the events recorded so far.
+   */
+  useAggregates(store: AggregateStore): this {
+    for (const [name, fn] of Object.entries(store.functions(this.clock))) {
+      this.evaluator.registerFunction(name, fn);
+    }
+    return this;
+  }
+
+  /**
+   * Statically validate rule conditions without loading them. Returns only the
+   * rules that have problems — an empty array means every condition is valid.
+   *
+   * When the engine has a schema, conditions are also type-checked against it.
+   *
+   * @param knownFields - Optional list of fact names; unknown names are reported
+   *                      with a "did you mean" suggestion.
+   */
+  validateRules(rules: Rule[], knownFields?: string[]): RuleDiagnostics[] {
+    const results: RuleDiagnostics[] = [];
+    for (const rule of rules) {
+      const diagnostics = this.validateCondition(rule.condition, knownFields);
+      if (diagnostics.length > 0) results.push({ rule, diagnostics });
+    }
+    return results;
+  }
+
+  private validateCondition(condition: string, knownFields?: string[]): ExpressionDiagnostic[] {
+    const { diagnostics } = this.evaluator.validate(condition, { knownFields });
+    if (!this.schema || diagnostics.some(d => d.kind === 'syntax')) return diagnostics;
+
+    const seen = new Set(diagnostics.map(d => `${d.kind}:${d.offset}:${d.length}`));
+    for (const d of typeCheckExpression(this.evaluator.parse(condition), this.schema)) {
+      const key = `${d.kind}:${d.offset}:${d.length}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      diagnostics.push({ ...d, token: condition.slice(d.offset, d.offset + d.length) });
+    }
+    return diagnostics.sort((a, b) => a.offset - b.offset);
+  }
 
   /**
    * Load and compile a set of rules. Rules are sorted by priority (ascending).
-   * Throws on invalid condition syntax — fail fast at load time, not eval time.
+   * Throws a `RuleValidationError` on invalid conditions — fail fast at load
+   * time, not eval time — and an `Error` on unparseable `validFrom`/`validTo`.
    */
   loadRules(rules: Rule[]): void {
-    this.compiled = rules
+    this.install(rules);
+    this.ruleSet = undefined;
+    this.ruleSetVersion = undefined;
+  }
+
+  /**
+   * Load the current version of a `RuleSet`. Decisions then carry its
+   * `ruleSetVersion` as well as the `ruleSetHash`, and `rollback()` becomes
+   * available.
+   */
+  loadRuleSet(ruleSet: RuleSet): void {
+    const version = ruleSet.current();
+    if (!version) throw new RuleSetError(`Rule set "${ruleSet.name}" has no published version`);
+    this.install(version.rules.map(rule => ({ ...rule })));
+    this.ruleSet = ruleSet;
+    this.ruleSetVersion = version.version;
+  }
+
+  /**
+   * Roll the loaded rule set back to an earlier version (by default the one
+   * before the current version) and reload its rules.
+   */
+  rollback(version?: string): RuleSetVersion {
+    if (!this.ruleSet) throw new RuleSetError('No rule set loaded — use loadRuleSet() before rollback()');
+    const ruleSet = this.ruleSet;
+    const previous = ruleSet.current()!.version;
+    const target = ruleSet.rollback(version);
+    try {
+      this.loadRuleSet(ruleSet);
+    } catch (err) {
+      // A version that no longer compiles leaves both engine and rule set as they were
+      ruleSet.rollback(previous);
+      throw err;
+    }
+    return target;
+  }
+
+  /**
+   * Identify the rules in force: content hash, plus the version and name when
+   * they were loaded from a `RuleSet` and not modified since.
+   */
+  getRuleSetInfo(): { hash: string; version?: string; name?: string } {
+    return {
+      hash: this.ruleSetHash,
+      ...(this.ruleSetVersion ? { version: this.ruleSetVersion, name: this.ruleSet?.name } : {}),
+    };
+  }
+
+  private install(rules: Rule[]): void {
+    const invalid = this.validateRules(rules);
+    if (invalid.length > 0) throw new RuleValidationError(invalid);
+    // Sort a copy: the caller's array (and a RuleSet version's) keeps its order
+    this.compiled = [...rules]
       .sort((a, b) => a.priority - b.priority)
-      .map(rule => ({
-        rule,
-        test: compileCondition(rule.condition),
-      }));
+      .map(rule => compileRule(this.evaluator, rule));
+    this.index = undefined;
+    this.ruleSetHash = hashRules(rules);
   }
 
   /**
-   * Append a single rule to the engine and re-sort by priority.
+   * Append a single rule to the engine and re-sort by priority. The rules no
+   * longer match a published version, so decisions carry only the new hash.
    */
   addRule(rule: Rule): void {
-    this.compiled.push({ rule, test: compileCondition(rule.condition) });
+    const invalid = this.validateRules([rule]);
+    if (invalid.length > 0) throw new RuleValidationError(invalid);
+    this.compiled.push(compileRule(this.evaluator, rule));
     this.compiled.sort((a, b) => a.rule.priority - b.rule.priority);
+    this.index = undefined;
+    this.ruleSetHash = hashRules(this.getRules());
+    this.ruleSetVersion = undefined;
+  }
+
+  /**
+   * Load derivation rules, replacing any loaded before. On every `evaluate()`
+   * they run to a fixed point — in priority order, re-passing while any fires —
+   * and the facts they assign are visible to decision rules. A derivation
+   * fires when its condition holds and it would change at least one fact.
+   */
+  loadDerivations(rules: DerivationRule[]): void {
+    const invalid: RuleDiagnostics<DerivationRule>[] = [];
+    for (const rule of rules) {
+      const diagnostics = this.validateCondition(rule.condition);
+      if (diagnostics.length > 0) invalid.push({ rule, diagnostics });
+      const names = Object.keys(rule.set ?? {});
+      if (names.length === 0) throw new Error(`Derivation "${rule.id}": set must assign at least one fact`);
+      const bad = names.find(name => !FACT_NAME.test(name));
+      if (bad) throw new Error(`Derivation "${rule.id}": "${bad}" is not a valid fact name`);
+    }
+    if (invalid.length > 0) throw new RuleValidationError(invalid);
+
+    this.derivations = [...rules]
+      .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0))
+      .map(rule => ({ rule, test: compileCondition(this.evaluator, rule.condition) }));
+    this.derivedNames = [...new Set(rules.flatMap(r => Object.keys(r.set)))].sort();
+  }
+
+  getDerivations(): DerivationRule[] {
+    return this.derivations.map(d => d.rule);
+  }
+
+  /**
+   * Load scorecard rules, replacing any loaded before. When no decision rule
+   * matches, the score is `base` plus the points of every matching scoring
+   * rule, mapped to a result by `thresholds` (default: the engine's) — decision
+   * rules act as knock-outs ahead of the scorecard. `Decision.scorecard` keeps
+   * the per-rule breakdown. Pass an empty list to remove the scorecard.
+   */
+  loadScorecard(
+    rules: ScoringRule[],
+    options: { base?: number; thresholds?: { approve: number; reject: number } } = {}
+  ): void {
+    const invalid: RuleDiagnostics<ScoringRule>[] = [];
+    for (const rule of rules) {
+      if (typeof rule.points !== 'number' || !Number.isFinite(rule.points)) {
+        throw new Error(`Scoring rule "${rule.id}": points must be a finite number`);
+      }
+      const diagnostics = this.validateCondition(rule.condition);
+      if (diagnostics.length > 0) invalid.push({ rule, diagnostics });
+    }
+    if (invalid.length > 0) throw new RuleValidationError(invalid);
+
+    this.scorecard = rules.length === 0 ? undefined : {
+      base: options.base ?? 0,
+      thresholds: options.thresholds,
+      rules: rules.map(rule => ({ rule, test: compileCondition(this.evaluator, rule.condition) })),
+    };
+  }
+
+  getScorecard(): ScoringRule[] {
+    return this.scorecard?.rules.map(r => r.rule) ?? [];
   }
 
   /**
@@ -54,67 +493,412 @@ export class RuleEngine {
   }
 
   /**
-   * Evaluate facts against the loaded rules. Returns the first matching rule's
-   * Decision, or a REVIEW decision if no rule matches.
+   * Rules that take part in evaluation at the given moment: `active` is not
+   * false, the group is enabled, and `asOf` falls in the validity window.
+   */
+  getActiveRules(asOf: Date | string = this.clock()): Rule[] {
+    const t = new Date(asOf).getTime();
+    return this.compiled.filter(c => this.inForce(c, t)).map(c => c.rule);
+  }
+
+  /**
+   * Switch a named rule group back on (groups are enabled by default).
+   */
+  enableGroup(group: string): this {
+    this.disabledGroups.delete(group);
+    return this;
+  }
+
+  /**
+   * Switch off every rule in a named group until `enableGroup` is called.
+   */
+  disableGroup(group: string): this {
+    this.disabledGroups.add(group);
+    return this;
+  }
+
+  isGroupEnabled(group: string): boolean {
+    return !this.disabledGroups.has(group);
+  }
+
+  private inForce(c: CompiledRule, t: number): boolean {
+    if (c.rule.active === false) return false;
+    if (c.rule.group !== undefined && this.disabledGroups.has(c.rule.group)) return false;
+    return t >= c.from && t < c.to;
+  }
+
+  /**
+   * Evaluate facts against the loaded rules and resolve the matching rules
+   * with the engine's strategy (first match by default). Returns a REVIEW
+   * decision if no rule matches. `Decision.matchedRules` lists every rule that
+   * matched (with first-match, only the deciding one).
    *
    * Score semantics:
    *   APPROVED → rule.score ?? 85
    *   REJECTED → rule.score ?? 15
    *   REVIEW   → rule.score ?? 50
+   *
+   * With a schema, facts are validated (and optionally coerced) first; invalid
+   * facts throw a `FactValidationError`.
+   *
+   * With `threeValued`, a rule whose condition is unknown because of missing facts is skipped, or
+   * — with `onUnknown: 'review'` — ends evaluation with a "needs data" REVIEW.
+   * Either way the missing facts are listed in `Decision.missingFacts`.
+   *
+   * With `{ explain: true }` the decision carries a `trace` of every rule
+   * tested — why higher-priority rules did not fire, not just which one did.
+   *
+   * Inactive rules, rules in disabled groups and rules outside their
+   * `validFrom`/`validTo` window at `asOf` (default: now) are not tested.
    */
-  evaluate(facts: Record<string, unknown>): Decision {
+  evaluate(facts: Record<string, unknown>, options: EvaluateOptions = {}): Decision {
     const auditId = crypto.randomUUID();
+    const input = facts;
 
-    for (const { rule, test } of this.compiled) {
-      try {
-        if (test(facts)) {
-          const defaultScore =
-            rule.action === 'APPROVED' ? 85 :
-            rule.action === 'REJECTED' ? 15 : 50;
+    if (this.schema) {
+      const checked = validateFacts(facts, this.schema, { coerce: this.coerceFacts });
+      if (!checked.valid) throw new FactValidationError(checked.issues);
+      facts = checked.facts;
+    }
+
+    const asOf = options.asOf !== undefined ? new Date(options.asOf) : undefined;
+    if (asOf && Number.isNaN(asOf.getTime())) throw new Error(`Invalid asOf date: ${String(options.asOf)}`);
+    // The moment travels with this call, so nested evaluations keep their own
+    const context: EvaluationContext = { now: asOf ? () => asOf : this.clock };
+    const explain = options.explain ?? false;
+    const derived = this.derive(facts, explain, context);
+    const decision = this.decide(derived.facts, auditId, explain, context);
+    if (derived.fired.length > 0) {
+      decision.derivedFacts = Object.fromEntries(this.derivedNames
+        .filter(name => derived.fired.some(f => name in f.assigned))
+        .map(name => [name, derived.facts[name]]));
+      if (explain) decision.derivations = derived.fired;
+    }
+    this.shadow?.compare(decision, input, { asOf });
+    return decision;
+  }
+
+  /**
+   * Evaluate many facts objects — bulk screening. Every decision is made as
+   * of the same moment (`options.asOf`, default: now), so a batch that runs
+   * across a `validFrom` boundary still sees one set of rules. Throws on the
+   * first invalid facts, like `evaluate()`.
+   */
+  evaluateBatch(factsArray: Array<Record<string, unknown>>, options: EvaluateOptions = {}): Decision[] {
+    const asOf = options.asOf ?? this.clock();
+    return factsArray.map(facts => this.evaluate(facts, { ...options, asOf }));
+  }
+
+  /**
+   * Run a challenger rule set in shadow on every `evaluate()`: the returned
+   * decision is always this engine's, divergences go to the shadow's log and
+   * stats. Pass `null` to stop shadowing.
+   */
+  setShadow(shadow: ShadowEvaluator | null): this {
+    this.shadow = shadow ?? undefined;
+    return this;
+  }
+
+  /**
+   * Run derivation rules to a fixed point over a copy of the facts.
+   */
+  private derive(
+    input: Record<string, unknown>,
+    explain: boolean,
+    context: EvaluationContext
+  ): { facts: Record<string, unknown>; fired: DerivationTrace[] } {
+    const facts = { ...input };
+    const fired: DerivationTrace[] = [];
+    if (this.derivations.length === 0) return { facts, fired };
+
+    const state = () => JSON.stringify(this.derivedNames.map(name => [name in facts, facts[name] ?? null]));
+    const seen = new Map<string, number>([[state(), 0]]);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const { rule, test } of this.derivations) {
+        const updates = Object.entries(rule.set).filter(([name, value]) => !Object.is(facts[name], value));
+        if (updates.length === 0) continue;
+
+        let truth: TruthResult;
+        let steps: DerivationTrace['steps'];
+        if (explain) {
+          const explained = this.evaluator.explain(rule.condition, facts, context);
+          if (explained.error) continue;
+          truth = explained;
+          steps = explained.steps;
+        } else {
+          try {
+            truth = test(facts, context);
+          } catch (err) {
+            if (this.evaluator.strict) throw err;
+            continue;
+          }
+        }
+        if (truth.value !== true) continue;
 
+        for (const [name, value] of updates) facts[name] = value;
+        fired.push({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          assigned: Object.fromEntries(updates),
+          ...(steps ? { steps } : {}),
+        });
+        const key = state();
+        const first = seen.get(key);
+        if (first !== undefined || fired.length >= MAX_DERIVATIONS) {
+          throw new DerivationCycleError(fired.slice(first ?? 0).map(f => f.ruleId));
+        }
+        seen.set(key, fired.length);
+        changed = true;
+      }
+    }
+    return { facts, fired };
+  }
+
+  private decide(facts: Record<string, unknown>, auditId: string, explain: boolean, context: EvaluationContext): Decision {
+    const now = context.now().getTime();
+    const missing = new Set<string>();
+    const matched: Rule[] = [];
+    const trace: RuleTrace[] | undefined = explain ? [] : undefined;
+    const details = () => ({
+      matchedRules: [...matched],
+      ...(missing.size > 0 ? { missingFacts: [...missing] } : {}),
+      ruleSetHash: this.ruleSetHash,
+      ...(this.ruleSetVersion ? { ruleSetVersion: this.ruleSetVersion } : {}),
+      ...(trace ? { trace } : {}),
+    });
+
+    for (const compiled of this.candidates(facts, explain)) {
+      if (!this.inForce(compiled, now)) continue;
+      const { rule, test } = compiled;
+      let truth: TruthResult;
+      if (trace) {
+        const explained = this.evaluator.explain(rule.condition, facts, context);
+        trace.push(traceRule(rule, explained));
+        if (explained.error) continue;
+        truth = explained;
+      } else {
+        try {
+          truth = test(facts, context);
+        } catch (err) {
+          // Skip rules whose conditions throw at runtime (e.g. type mismatch)
+          // unless strict mode asked for the error
+          if (this.evaluator.strict) throw err;
+          continue;
+        }
+      }
+
+      if (truth.value === 'unknown') {
+        for (const name of truth.missingFacts) missing.add(name);
+        if (this.onUnknown === 'review') {
           return {
-            result: rule.action,
-            matchedRule: rule,
-            reason: rule.reason,
-            score: rule.score ?? defaultScore,
+            result: 'REVIEW',
+            matchedRule: null,
+            reason: `Needs data: ${truth.missingFacts.join(', ')} — rule "${rule.name}" cannot be decided`,
+            score: 50,
             auditId,
+            ...details(),
           };
         }
-      } catch {
-        // Skip rules whose conditions throw at runtime (e.g. type mismatch)
+        continue;
+      }
+
+      if (truth.value) {
+        matched.push(rule);
+        if (this.strategy === 'first-match') break;
+      }
+    }
+
+    if (matched.length > 0) {
+      const resolved = this.resolve(matched);
+      // Rules that produced the result contribute their obligations; when none
+      // match it (weighted average, unanimous veto) the deciding rule does
+      const agreeing = this.strategy === 'first-match' ? [] : matched.filter(r => r.action === resolved.result);
+      const contributing = agreeing.length > 0 ? agreeing : [resolved.matchedRule!];
+      const obligations = collectObligations(contributing, 'obligations');
+      const advice = collectObligations(contributing, 'advice');
+      return {
+        ...resolved,
+        auditId,
+        ...details(),
+        ...(obligations.length > 0 ? { obligations } : {}),
+        ...(advice.length > 0 ? { advice } : {}),
+      };
+    }
+
+    if (this.scorecard) {
+      const { card, undecided } = this.score(this.scorecard, facts, missing, context);
+      if (undecided && this.onUnknown === 'review') {
+        return {
+          result: 'REVIEW',
+          matchedRule: null,
+          reason: `Needs data: ${[...missing].join(', ')} — scoring rule "${undecided.name}" cannot be decided`,
+          score: card.total,
+          auditId,
+          ...details(),
+          scorecard: card,
+        };
       }
+      const { approve, reject } = card.thresholds;
+      return {
+        result: band(card.total, card.thresholds),
+        matchedRule: null,
+        reason: `Scorecard: ${card.total} points (approve at ${approve}+, reject at ${reject} or less)`,
+        score: card.total,
+        auditId,
+        ...details(),
+        scorecard: card,
+      };
     }
 
     return {
       result: 'REVIEW',
       matchedRule: null,
-      reason: 'No matching rule found — manual review required',
+      reason: missing.size > 0
+        ? `No matching rule found — needs data: ${[...missing].join(', ')}`
+        : 'No matching rule found — manual review required',
       score: 50,
       auditId,
+      ...details(),
     };
   }
 
   /**
-   * Detect conflicting rules: same condition, different actions.
+   * The compiled rules `facts` can match, in priority order: index candidates,
+   * or every rule when the index is off, in strict mode and when explaining.
    */
-  detectConflicts(): Conflict[] {
-    const conflicts: Conflict[] = [];
-    const rules = this.compiled.map(c => c.rule);
-
-    for (let i = 0; i < rules.length; i++) {
-      for (let j = i + 1; j < rules.length; j++) {
-        const a = rules[i];
-        const b = rules[j];
-        if (a.condition === b.condition && a.action !== b.action) {
-          conflicts.push({
-            ruleA: a,
-            ruleB: b,
-            description: `Rules "${a.name}" and "${b.name}" have the same condition but different actions`,
-          });
+  private candidates(facts: Record<string, unknown>, explain: boolean): CompiledRule[] {
+    if (!this.indexRules || explain || this.evaluator.strict) return this.compiled;
+    this.index ??= new RuleIndex(this.getRules());
+    return this.index.candidates(facts).map(i => this.compiled[i]);
+  }
+
+  /**
+   * Add up the scorecard. Undecidable scoring rules contribute no points; their
+   * missing facts are added to `missing`.
+   */
+  private score(
+    scorecard: Scorecard,
+    facts: Record<string, unknown>,
+    missing: Set<string>,
+    context: EvaluationContext
+  ): { card: ScorecardResult; undecided?: ScoringRule } {
+    let total = scorecard.base;
+    let undecided: ScoringRule | undefined;
+    const contributions = scorecard.rules.map(({ rule, test }): ScoreContribution => {
+      let outcome: ScoreContribution['outcome'];
+      try {
+        const truth = test(facts, context);
+        if (truth.value === 'unknown') {
+          for (const name of truth.missingFacts) missing.add(name);
+          undecided ??= rule;
+          outcome = 'unknown';
+        } else {
+          outcome = truth.value ? 'matched' : 'not-matched';
         }
+      } catch (err) {
+        if (this.evaluator.strict) throw err;
+        outcome = 'error';
+      }
+      const points = outcome === 'matched' ? rule.points : 0;
+      total += points;
+      return { ruleId: rule.id, ruleName: rule.name, outcome, points };
+    });
+    return {
+      card: { base: scorecard.base, total, thresholds: scorecard.thresholds ?? this.thresholds, contributions },
+      undecided,
+    };
+  }
+
+  /**
+   * Combine the matching rules (in priority order) into one outcome.
+   */
+  private resolve(matched: Rule[]): Pick<Decision, 'result' | 'matchedRule' | 'reason' | 'score'> {
+    const decide = (rule: Rule) => ({ result: rule.action, matchedRule: rule, reason: rule.reason, score: ruleScore(rule) });
+
+    switch (this.strategy) {
+      case 'first-match':
+        return decide(matched[0]);
+
+      case 'most-restrictive':
+        return decide(matched.reduce((best, r) =>
+          RESTRICTIVENESS[r.action] > RESTRICTIVENESS[best.action] ? r : best));
+
+      case 'unanimous': {
+        const veto = matched.find(r => r.action !== 'APPROVED');
+        if (!veto) return decide(matched[0]);
+        return {
+          result: 'REJECTED',
+          matchedRule: veto,
+          reason: `Not unanimous — rule "${veto.name}" returned ${veto.action}: ${veto.reason}`,
+          score: veto.action === 'REJECTED' ? ruleScore(veto) : 15,
+        };
+      }
+
+      case 'weighted': {
+        let total = 0;
+        let weights = 0;
+        for (const r of matched) {
+          const weight = r.weight ?? 1;
+          total += ruleScore(r) * weight;
+          weights += weight;
+        }
+        const score = weights > 0 ? Math.round((total / weights) * 100) / 100 : 50;
+        const result = band(score, this.thresholds);
+        const heaviest = matched.reduce((best, r) => ((r.weight ?? 1) > (best.weight ?? 1) ? r : best));
+        return {
+          result,
+          matchedRule: heaviest,
+          reason: `Weighted score ${score} from ${matched.length} matching rule${matched.length > 1 ? 's' : ''}`,
+          score,
+        };
       }
     }
+  }
 
-    return conflicts;
+  /**
+   * Statically analyze the loaded rules: overlapping rules with different
+   * actions, rules shadowed by higher-priority rules (first-match only) and
+   * contradictory conditions. See `RuleAnalyzer`.
+   */
+  analyze(): RuleAnalysis {
+    return new RuleAnalyzer({ strategy: this.strategy }).analyze(this.getActiveRules());
+  }
+
+  /**
+   * Find fact regions no loaded rule decides, using the engine's schema for
+   * field domains (inferred from the conditions when there is none).
+   */
+  coverage(options: { maxGaps?: number } = {}): CoverageReport {
+    return new CoverageAnalyzer({ schema: this.schema, maxGaps: options.maxGaps }).analyze(this.getActiveRules());
+  }
+
+  /**
+   * The smallest changes to `facts` that would have produced a different
+   * result than `decision` — e.g. "amount <= 750000 would yield APPROVED" —
+   * in English and Arabic. Facts derived for the decision count as given.
+   */
+  counterfactuals(
+    decision: Decision,
+    facts: Record<string, unknown>,
+    options: { max?: number; results?: Decision['result'][]; asOf?: Date | string } = {}
+  ): Counterfactual[] {
+    return new CounterfactualExplainer({
+      strategy: this.strategy,
+      max: options.max,
+      results: options.results,
+      fallThrough: !this.scorecard,
+      evaluator: this.evaluator,
+    }).explain(this.getActiveRules(options.asOf), decision, { ...facts, ...decision.derivedFacts });
+  }
+
+  /**
+   * Detect conflicting rules: rules with different actions whose conditions
+   * can match the same facts — semantically, so `amount > 100` and
+   * `amount >= 101` conflict, not only identical condition strings.
+   */
+  detectConflicts(): Conflict[] {
+    return this.analyze().overlaps;
   }
 }
@@ -0,0 +1,233 @@
+/**
+ * RuleIndex — Candidate-rule lookup for large rule sets.
+ *
+ * Buckets rules by one top-level test of their condition — an equality
+ * (`country === "AE"`, `product in ["GOLD", "SILVER"]`) or a numeric range
+ * (`amount >= 1000 && amount < 5000`) on a fact — so evaluation only tests
+ * the rules whose bucket the facts fall in, plus the rules with no indexable
+ * test. Equalities are preferred, and among them the fact most rules test.
+ *
+ * A rule is left out only when its indexed test is certainly false: the fact
+ * is present, and for ranges a number. Since that test is ANDed with the rest
+ * of the condition, the rule could not have matched, been unknown or listed
+ * missing facts — so results are the same as testing every rule. Conditions
+ * that throw count as "did not match" in non-strict mode; strict engines and
+ * explained evaluations do not use the index.
+ *
+ * @example
+ * const index = new RuleIndex(rules);    // rules in evaluation order
+ * index.candidates({ country: 'AE', amount: 2500 });  // → [0, 7, 12] positions in `rules`
+ * index.stats();   // { rules: 5000, indexed: 4980, fields: { country: { equality: 3000, range: 0 }, ... } }
+ *
+ * @module RuleIndex
+ */
+
+import { Rule } from './types';
+import { ExprNode, parseExpression } from './ExpressionParser';
+
+type Value = string | number | boolean | null;
+
+/** One indexable test: the values a fact must equal, or the numbers it must lie between. */
+type Key =
+  | { field: string; path: readonly string[]; kind: 'equality'; values: Value[] }
+  | { field: string; path: readonly string[]; kind: 'range'; lo: number; hi: number; loOpen: boolean; hiOpen: boolean };
+
+type FieldIndex = {
+  path: readonly string[];
+  /** Rule positions per value */
+  equality: Map<Value, number[]>;
+  /** Every rule indexed by equality on this field, for facts that are missing */
+  equalityAll: number[];
+  /** Sorted finite range endpoints; slot 2i+1 is the point bounds[i], even slots the gaps between */
+  bounds: number[];
+  slots: number[][];
+  rangeAll: number[];
+};
+
+export interface RuleIndexStats {
+  rules: number;
+  /** Rules placed in a bucket (the rest are tested for every facts object) */
+  indexed: number;
+  fields: Record<string, { equality: number; range: number }>;
+}
+
+function literalValue(node: ExprNode): Value | undefined {
+  if (node.kind === 'literal') return node.value;
+  if (node.kind === 'unary' && node.op === '-' && node.operand.kind === 'literal' && typeof node.operand.value === 'number') {
+    return -node.operand.value;
+  }
+  return undefined;
+}
+
+function conjuncts(node: ExprNode): ExprNode[] {
+  return node.kind === 'logical' && node.op === '&&' ? [...conjuncts(node.left), ...conjuncts(node.right)] : [node];
+}
+
+const FLIP = { '>': '<', '>=': '<=', '<': '>', '<=': '>=' } as const;
+
+/** Indexable tests among a condition's top-level conjuncts, numeric ones merged per field. */
+function keysOf(condition: string): Key[] {
+  let ast: ExprNode;
+  try {
+    ast = parseExpression(condition);
+  } catch {
+    return [];
+  }
+
+  const keys: Key[] = [];
+  const ranges = new Map<string, Extract<Key, { kind: 'range' }>>();
+  for (const node of conjuncts(ast)) {
+    if (node.kind !== 'binary') continue;
+
+    if (node.op === 'in' && node.left.kind === 'identifier' && node.right.kind === 'array') {
+      const values = node.right.items.map(literalValue);
+      if (values.every((v): v is Value => v !== undefined)) {
+        keys.push({ field: node.left.name, path: node.left.path, kind: 'equality', values });
+      }
+      continue;
+    }
+
+    let { op } = node;
+    let field = node.left;
+    let value = literalValue(node.right);
+    if (field.kind !== 'identifier' || value === undefined) {
+      field = node.right;
+      value = literalValue(node.left);
+      if (op in FLIP) op = FLIP[op as keyof typeof FLIP];
+    }
+    if (field.kind !== 'identifier' || value === undefined) continue;
+
+    if (op === '===') {
+      keys.push({ field: field.name, path: field.path, kind: 'equality', values: [value] });
+    } else if ((op === '>' || op === '>=' || op === '<' || op === '<=') && typeof value === 'number') {
+      const range = ranges.get(field.name) ??
+        { field: field.name, path: field.path, kind: 'range', lo: -Infinity, hi: Infinity, loOpen: true, hiOpen: true };
+      if (op === '>' || op === '>=') {
+        if (value > range.lo || (value === range.lo && op === '>')) Object.assign(range, { lo: value, loOpen: op === '>' });
+      } else if (value < range.hi || (value === range.hi && op === '<')) {
+        Object.assign(range, { hi: value, hiOpen: op === '<' });
+      }
+      ranges.set(field.name, range);
+    }
+  }
+  return [...keys, ...ranges.values()];
+}
+
+/** Same lookup as the evaluator's identifiers: stops at null, undefined when absent. */
+function readFact(facts: Record<string, unknown>, path: readonly string[]): unknown {
+  let value: unknown = facts[path[0]];
+  for (let i = 1; i < path.length; i++) {
+    if (value == null) break;
+    value = (value as Record<string, unknown>)[path[i]];
+  }
+  return value;
+}
+
+function append(out: number[], list: number[]): void {
+  for (const position of list) out.push(position);
+}
+
+/** Slot of a number among sorted bounds: 2i+1 when it equals bounds[i], else the even slot of its gap. */
+function slotOf(bounds: number[], n: number): number {
+  let lo = 0;
+  let hi = bounds.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bounds[mid] < n) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo < bounds.length && bounds[lo] === n ? 2 * lo + 1 : 2 * lo;
+}
+
+export class RuleIndex {
+  private size: number;
+  private fields = new Map<string, FieldIndex>();
+  /** Rules with no indexable test — always candidates */
+  private unindexed: number[] = [];
+
+  /**
+   * @param rules - Rules in evaluation order; candidates are positions in this array.
+   */
+  constructor(rules: Rule[]) {
+    this.size = rules.length;
+    const keys = rules.map(rule => keysOf(rule.condition));
+
+    // Prefer equality over range, then the field most rules test
+    const usage = new Map<string, number>();
+    for (const list of keys) for (const field of new Set(list.map(k => k.field))) usage.set(field, (usage.get(field) ?? 0) + 1);
+    const rank = (k: Key) => (k.kind === 'equality' ? 1e9 : 0) + usage.get(k.field)!;
+
+    const ranged = new Map<string, Array<{ position: number; key: Extract<Key, { kind: 'range' }> }>>();
+    keys.forEach((list, position) => {
+      if (list.length === 0) {
+        this.unindexed.push(position);
+        return;
+      }
+      const key = list.reduce((best, k) => (rank(k) > rank(best) ? k : best));
+      const index = this.field(key.field, key.path);
+      if (key.kind === 'equality') {
+        for (const value of new Set(key.values)) {
+          const bucket = index.equality.get(value);
+          if (bucket) bucket.push(position);
+          else index.equality.set(value, [position]);
+        }
+        index.equalityAll.push(position);
+      } else {
+        const list = ranged.get(key.field) ?? [];
+        list.push({ position, key });
+        ranged.set(key.field, list);
+        index.rangeAll.push(position);
+      }
+    });
+
+    for (const [field, list] of ranged) {
+      const index = this.fields.get(field)!;
+      index.bounds = [...new Set(list.flatMap(({ key }) => [key.lo, key.hi]).filter(Number.isFinite))].sort((a, b) => a - b);
+      index.slots = Array.from({ length: 2 * index.bounds.length + 1 }, () => []);
+      for (const { position, key } of list) {
+        const first = key.lo === -Infinity ? 0 : slotOf(index.bounds, key.lo) + (key.loOpen ? 1 : 0);
+        const last = key.hi === Infinity ? index.slots.length - 1 : slotOf(index.bounds, key.hi) - (key.hiOpen ? 1 : 0);
+        for (let s = first; s <= last; s++) index.slots[s].push(position);
+      }
+    }
+  }
+
+  private field(name: string, path: readonly string[]): FieldIndex {
+    let index = this.fields.get(name);
+    if (!index) {
+      index = { path, equality: new Map(), equalityAll: [], bounds: [], slots: [[]], rangeAll: [] };
+      this.fields.set(name, index);
+    }
+    return index;
+  }
+
+  /**
+   * Positions of the rules that may match `facts`, ascending. Every other
+   * rule's indexed test is false for these facts.
+   */
+  candidates(facts: Record<string, unknown>): number[] {
+    const out = [...this.unindexed];
+    for (const index of this.fields.values()) {
+      const value = readFact(facts, index.path);
+      if (value === undefined) {
+        append(out, index.equalityAll);
+        append(out, index.rangeAll);
+        continue;
+      }
+      const bucket = index.equality.get(value as Value);
+      if (bucket) append(out, bucket);
+      if (index.rangeAll.length === 0) continue;
+      // Non-numbers compare with JavaScript coercion — leave those to the evaluator
+      append(out, typeof value === 'number' && !Number.isNaN(value) ? index.slots[slotOf(index.bounds, value)] : index.rangeAll);
+    }
+    return out.sort((a, b) => a - b);
+  }
+
+  stats(): RuleIndexStats {
+    const fields: RuleIndexStats['fields'] = {};
+    for (const [name, index] of this.fields) {
+      fields[name] = { equality: index.equalityAll.length, range: index.rangeAll.length };
+    }
+    return { rules: this.size, indexed: this.size - this.unindexed.length, fields };
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * RuleSet — Versioned rule sets with content hashes, history and rollback.
+ *
+ * Each published version carries a semantic version, author/changelog
+ * metadata and a SHA-256 hash of its rules (canonical JSON in evaluation
+ * order), so a decision stamped with `ruleSetHash` can be traced to the exact
+ * rules in force. Versions are immutable; rolling back re-activates an older
+ * version without rewriting history.
+ *
+ * @example
+ * const policy = new RuleSet('aml');
+ * policy.publish(rules, { version: '1.0.0', author: 'compliance', changelog: 'Initial policy' });
+ * policy.publish(stricter, { version: '1.1.0', author: 'compliance', changelog: 'Lower cash limit' });
+ *
+ * engine.loadRuleSet(policy);   // decisions carry ruleSetVersion '1.1.0' + hash
+ * engine.rollback();            // back to 1.0.0
+ *
+ * @module RuleSet
+ */
+
+import { Rule } from './types';
+import { Clock } from './ExpressionFunctions';
+import * as crypto from 'crypto';
+
+export interface RuleSetMetadata {
+  /** Semantic version, e.g. `1.2.0` or `2.0.0-rc.1` — must increase with every publish */
+  version: string;
+  author?: string;
+  changelog?: string;
+}
+
+/** One immutable published version of a rule set. */
+export interface RuleSetVersion extends RuleSetMetadata {
+  /** SHA-256 of the rules' canonical JSON, in priority order */
+  hash: string;
+  publishedAt: string;
+  rules: readonly Rule[];
+}
+
+/** Serialized form of a `RuleSet` (see `toJSON` / `RuleSet.fromJSON`). */
+export interface RuleSetJSON {
+  name: string;
+  current: string | null;
+  versions: RuleSetVersion[];
+}
+
+export class RuleSetError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RuleSetError';
+  }
+}
+
+const SEMVER = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Compare two semantic versions: negative if `a < b`, 0 if equal, positive if
+ * `a > b`. A pre-release sorts before its release (`1.0.0-rc.1 < 1.0.0`).
+ */
+export function compareVersions(a: string, b: string): number {
+  const pa = SEMVER.exec(a);
+  const pb = SEMVER.exec(b);
+  if (!pa || !pb) throw new RuleSetError(`Invalid semantic version: "${pa ? b : a}"`);
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(pa[i]) - Number(pb[i]);
+    if (diff !== 0) return diff;
+  }
+  if (pa[4] === pb[4]) return 0;
+  if (pa[4] === undefined) return 1;
+  if (pb[4] === undefined) return -1;
+  return pa[4].localeCompare(pb[4], 'en', { numeric: true });
+}
+
+function canonicalJSON(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value as Record<string, unknown>)
+      .filter(([, v]) => v !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalJSON(v)}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content hash of a list of rules: SHA-256 of their canonical JSON (sorted
+ * keys) in evaluation order. Key order in the source file does not matter;
+ * any change to a rule, or to the order rules are tested in, does.
+ */
+export function hashRules(rules: readonly Rule[]): string {
+  const ordered = [...rules].sort((a, b) => a.priority - b.priority);
+  return crypto.createHash('sha256').update(canonicalJSON(ordered)).digest('hex');
+}
+
+function freezeVersion(version: RuleSetVersion): RuleSetVersion {
+  const rules = version.rules.map(rule => Object.freeze({ ...rule }));
+  return Object.freeze({ ...version, rules: Object.freeze(rules) });
+}
+
+export class RuleSet {
+  readonly name: string;
+  private versions: RuleSetVersion[] = [];
+  private currentIndex = -1;
+  private clock: Clock;
+
+  constructor(name: string, options: { clock?: Clock } = {}) {
+    this.name = name;
+    this.clock = options.clock ?? (() => new Date());
+  }
+
+  /**
+   * Publish a new version and make it current. The version must be a valid
+   * semantic version greater than every version published before.
+   */
+  publish(rules: Rule[], metadata: RuleSetMetadata): RuleSetVersion {
+    const latest = this.versions[this.versions.length - 1];
+    if (!SEMVER.test(metadata.version)) {
+      throw new RuleSetError(`Invalid semantic version: "${metadata.version}"`);
+    }
+    if (latest && compareVersions(metadata.version, latest.version) <= 0) {
+      throw new RuleSetError(
+        `Version ${metadata.version} of rule set "${this.name}" must be greater than ${latest.version}`
+      );
+    }
+
+    const version = freezeVersion({
+      version: metadata.version,
+      ...(metadata.author !== undefined ? { author: metadata.author } : {}),
+      ...(metadata.changelog !== undefined ? { changelog: metadata.changelog } : {}),
+      hash: hashRules(rules),
+      publishedAt: this.clock().toISOString(),
+      rules,
+    });
+    this.versions.push(version);
+    this.currentIndex = this.versions.length - 1;
+    return version;
+  }
+
+  /**
+   * The version currently in force, or `undefined` before the first publish.
+   */
+  current(): RuleSetVersion | undefined {
+    return this.versions[this.currentIndex];
+  }
+
+  /**
+   * Every published version, oldest first.
+   */
+  history(): RuleSetVersion[] {
+    return [...this.versions];
+  }
+
+  /**
+   * Look up a published version by version string or content hash.
+   */
+  get(versionOrHash: string): RuleSetVersion | undefined {
+    return this.versions.find(v => v.version === versionOrHash || v.hash === versionOrHash);
+  }
+
+  /**
+   * Make an earlier version current again — by default the one published
+   * before the current version. History is kept; later versions can be
+   * re-activated with `rollback('<version>')` too.
+   */
+  rollback(version?: string): RuleSetVersion {
+    let index: number;
+    if (version === undefined) {
+      index = this.currentIndex - 1;
+      if (index < 0) throw new RuleSetError(`Rule set "${this.name}" has no earlier version to roll back to`);
+    } else {
+      index = this.versions.findIndex(v => v.version === version);
+      if (index < 0) throw new RuleSetError(`Rule set "${this.name}" has no version ${version}`);
+    }
+    this.currentIndex = index;
+    return this.versions[index];
+  }
+
+  toJSON(): RuleSetJSON {
+    return {
+      name: this.name,
+      current: this.current()?.version ?? null,
+      versions: this.history(),
+    };
+  }
+
+  /**
+   * Restore a rule set saved with `JSON.stringify(ruleSet)`. Every version's
+   * hash is recomputed and must match, so tampered history is rejected.
+   */
+  static fromJSON(json: RuleSetJSON, options: { clock?: Clock } = {}): RuleSet {
+    const set = new RuleSet(json.name, options);
+    for (const version of json.versions) {
+      if (hashRules(version.rules) !== version.hash) {
+        throw new RuleSetError(`Rule set "${json.name}" version ${version.version}: hash does not match its rules`);
+      }
+      set.versions.push(freezeVersion(version));
+    }
+    set.currentIndex = json.current === null ? -1 : set.versions.findIndex(v => v.version === json.current);
+    if (json.current !== null && set.currentIndex < 0) {
+      throw new RuleSetError(`Rule set "${json.name}" has no version ${json.current}`);
+    }
+    return set;
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * RuleTestRunner — Test cases for rule files, run through `RuleEngine`.
+ *
+ * A test suite is a JSON array kept next to the rules (`rules.test.json` for
+ * `rules.json`): facts in, and the expected result, deciding rule id and
+ * score bounds out. Every case is evaluated with `{ explain: true }`, so a
+ * failure comes with the decision trace that explains it. The report also
+ * lists rule coverage — rules no case exercises — and renders as JUnit XML
+ * for CI gating.
+ *
+ * @example
+ * const report = new RuleTestRunner(engine).run([
+ *   { name: 'large cash is rejected', facts: { amount: 2000000 }, expect: { result: 'REJECTED', ruleId: 'CASH' } },
+ *   { name: 'small GCC is approved', facts: { amount: 500, country: 'AE' }, expect: { result: 'APPROVED', score: { min: 80 } } },
+ * ]);
+ * report.failed;                          // 0
+ * report.coverage.unexercised;            // [{ id: 'PEP', name: 'PEP review' }]
+ * fs.writeFileSync('junit.xml', toJUnitXML(report));
+ *
+ * @module RuleTestRunner
+ */
+
+import { Decision, RuleTrace } from './types';
+import { RuleEngine } from './RuleEngine';
+import { formatTraceStep } from './ExpressionEvaluator';
+
+export interface RuleTestCase {
+  name: string;
+  facts: Record<string, unknown>;
+  expect: {
+    result?: Decision['result'];
+    /** Id of the rule expected to decide; `null` when no rule should match */
+    ruleId?: string | null;
+    /** Inclusive score bounds */
+    score?: { min?: number; max?: number };
+  };
+  /** Evaluate as of this date (see `EvaluateOptions.asOf`) */
+  asOf?: string;
+}
+
+export interface RuleTestCaseResult {
+  name: string;
+  passed: boolean;
+  /** One line per unmet expectation, e.g. `result: expected REJECTED, got APPROVED` */
+  failures: string[];
+  /** What the engine decided (absent when evaluation threw) */
+  actual?: { result: Decision['result']; ruleId: string | null; score: number };
+  /** Formatted decision trace — failed cases only */
+  trace?: string[];
+  durationMs: number;
+}
+
+export interface RuleTestReport {
+  total: number;
+  passed: number;
+  failed: number;
+  cases: RuleTestCaseResult[];
+  coverage: {
+    /** Rules in force at some case's `asOf` (now for cases without one) */
+    rules: number;
+    /** Ids of rules that matched in at least one case */
+    exercised: string[];
+    unexercised: Array<{ id: string; name: string }>;
+    /** exercised / rules (1 when there are no rules) */
+    ratio: number;
+  };
+  durationMs: number;
+}
+
+/** Decision trace as readable lines: each rule tested, then its sub-expression steps. */
+export function formatTrace(trace: RuleTrace[]): string[] {
+  const lines: string[] = [];
+  for (const rule of trace) {
+    lines.push(`${rule.ruleId} (${rule.ruleName}) — ${rule.outcome}: ${rule.condition}`);
+    for (const step of rule.steps) lines.push(`    ${formatTraceStep(step)}`);
+    if (rule.missingFacts) lines.push(`    missing facts: ${rule.missingFacts.join(', ')}`);
+    if (rule.error) lines.push(`    error: ${rule.error}`);
+  }
+  return lines;
+}
+
+function checkCase(test: RuleTestCase, decision: Decision): string[] {
+  const failures: string[] = [];
+  const { result, ruleId, score } = test.expect ?? {};
+  const actualRule = decision.matchedRule?.id ?? null;
+  if (result !== undefined && decision.result !== result) {
+    failures.push(`result: expected ${result}, got ${decision.result}`);
+  }
+  if (ruleId !== undefined && actualRule !== ruleId) {
+    failures.push(`rule: expected ${ruleId ?? 'no rule'}, got ${actualRule ?? 'no rule'}`);
+  }
+  if (score?.min !== undefined && decision.score < score.min) {
+    failures.push(`score: expected at least ${score.min}, got ${decision.score}`);
+  }
+  if (score?.max !== undefined && decision.score > score.max) {
+    failures.push(`score: expected at most ${score.max}, got ${decision.score}`);
+  }
+  return failures;
+}
+
+export class RuleTestRunner {
+  private engine: RuleEngine;
+
+  constructor(engine: RuleEngine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Run every case through the engine. Cases whose evaluation throws (invalid
+   * facts under a schema, strict-mode errors) fail with the error message.
+   */
+  run(cases: RuleTestCase[]): RuleTestReport {
+    const started = Date.now();
+    const exercised = new Set<string>();
+    const inForce = new Set<string>();
+    const results: RuleTestCaseResult[] = [];
+
+    for (const test of cases) {
+      for (const rule of this.engine.getActiveRules(test.asOf)) inForce.add(rule.id);
+      const caseStarted = Date.now();
+      let decision: Decision;
+      try {
+        decision = this.engine.evaluate(test.facts ?? {}, { explain: true, asOf: test.asOf });
+      } catch (err) {
+        results.push({
+          name: test.name,
+          passed: false,
+          failures: [`error: ${(err as Error).message}`],
+          durationMs: Date.now() - caseStarted,
+        });
+        continue;
+      }
+
+      for (const rule of decision.matchedRules ?? (decision.matchedRule ? [decision.matchedRule] : [])) {
+        exercised.add(rule.id);
+      }
+      const failures = checkCase(test, decision);
+      results.push({
+        name: test.name,
+        passed: failures.length === 0,
+        failures,
+        actual: { result: decision.result, ruleId: decision.matchedRule?.id ?? null, score: decision.score },
+        ...(failures.length > 0 ? { trace: formatTrace(decision.trace ?? []) } : {}),
+        durationMs: Date.now() - caseStarted,
+      });
+    }
+
+    // Coverage counts the rules each case could have hit, as of its own `asOf`
+    const rules = cases.length > 0
+      ? this.engine.getRules().filter(r => inForce.has(r.id))
+      : this.engine.getActiveRules();
+    const passed = results.filter(r => r.passed).length;
+    return {
+      total: results.length,
+      passed,
+      failed: results.length - passed,
+      cases: results,
+      coverage: {
+        rules: rules.length,
+        exercised: rules.filter(r => exercised.has(r.id)).map(r => r.id),
+        unexercised: rules.filter(r => !exercised.has(r.id)).map(r => ({ id: r.id, name: r.name })),
+        ratio: rules.length > 0 ? rules.filter(r => exercised.has(r.id)).length / rules.length : 1,
+      },
+      durationMs: Date.now() - started,
+    };
+  }
+}
+
+function escapeXml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a report as JUnit XML, one `<testcase>` per case. Failures carry the
+ * unmet expectations and the decision trace; unexercised rules are listed as
+ * suite properties.
+ */
+export function toJUnitXML(report: RuleTestReport, suiteName = 'rules'): string {
+  const seconds = (ms: number) => (ms / 1000).toFixed(3);
+  const errors = report.cases.filter(c => !c.actual).length;
+  const failures = report.failed - errors;
+  const counts = `tests="${report.total}" failures="${failures}" errors="${errors}" time="${seconds(report.durationMs)}"`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" ${counts}>`,
+    `  <testsuite name="${escapeXml(suiteName)}" ${counts}>`,
+    '    <properties>',
+    `      <property name="coverage.ratio" value="${report.coverage.ratio.toFixed(4)}"/>`,
+    `      <property name="coverage.unexercised" value="${escapeXml(report.coverage.unexercised.map(r => r.id).join(','))}"/>`,
+    '    </properties>',
+  ];
+  for (const test of report.cases) {
+    const open = `    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(suiteName)}" time="${seconds(test.durationMs)}"`;
+    if (test.passed) {
+      lines.push(`${open}/>`);
+      continue;
+    }
+    const tag = test.actual ? 'failure' : 'error';
+    const body = [...test.failures, ...(test.trace && test.trace.length > 0 ? ['', ...test.trace] : [])].join('\n');
+    lines.push(
+      `${open}>`,
+      `      <${tag} message="${escapeXml(test.failures.join('; '))}">${escapeXml(body)}</${tag}>`,
+      '    </testcase>'
+    );
+  }
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n');
+}
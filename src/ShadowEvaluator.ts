@@ -0,0 +1,187 @@
+/**
+ * ShadowEvaluator — Run a challenger rule set alongside the live (champion) one.
+ *
+ * Attached to a `RuleEngine` with `setShadow()`, every `evaluate()` — and so
+ * every `MizanAgent.run()` pre/post-check — also evaluates the same facts with
+ * the challenger engine. Only the champion's decision is returned; when the
+ * challenger would have decided differently the divergence is appended to a
+ * separate shadow log (JSONL) and counted in per-rule stats. Challenger errors
+ * are counted, never thrown.
+ *
+ * @example
+ * const challenger = new RuleEngine();
+ * challenger.loadRules(proposedRules);
+ * const shadow = new ShadowEvaluator(challenger, { logPath: 'data/shadow.jsonl' });
+ * engine.setShadow(shadow);
+ * // ... live traffic ...
+ * shadow.stats();  // { evaluated: 5210, diverged: 48, divergenceRate: 0.0092, byRule: [...] }
+ *
+ * @module ShadowEvaluator
+ */
+
+import type { Decision } from './types';
+import type { RuleEngine } from './RuleEngine';
+import { Clock, systemClock } from './ExpressionFunctions';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export interface ShadowEvaluatorOptions {
+  /** Shadow log file (JSONL). `null` keeps divergences in memory only. Default: `data/shadow.jsonl` */
+  logPath?: string | null;
+  /** Max divergences kept in memory for `getDivergences()`. Default: 100 */
+  maxRecent?: number;
+  /** Time source for divergence timestamps. Inject a fixed clock in tests. Default: system clock */
+  clock?: Clock;
+}
+
+/** One decision where the challenger disagreed with the champion. */
+export interface ShadowDivergence {
+  id: string;
+  timestamp: string;
+  /** Audit id of the champion decision */
+  auditId: string;
+  input: Record<string, unknown>;
+  champion: { result: Decision['result']; ruleId: string | null; ruleSetHash?: string };
+  challenger: { result: Decision['result']; ruleId: string | null; ruleSetHash?: string };
+}
+
+/** Divergences attributed to the challenger rule that decided them. */
+export interface ShadowRuleStats {
+  /** `null` when no challenger rule matched */
+  ruleId: string | null;
+  ruleName: string | null;
+  divergences: number;
+  /** Counts per transition, e.g. `{ 'APPROVED → REVIEW': 3 }` */
+  transitions: Record<string, number>;
+}
+
+export interface ShadowStats {
+  /** Decisions compared */
+  evaluated: number;
+  diverged: number;
+  /** diverged / evaluated (0 when nothing was compared) */
+  divergenceRate: number;
+  /** Counts per transition (champion → challenger) */
+  transitions: Record<string, number>;
+  /** Most divergences first */
+  byRule: ShadowRuleStats[];
+  /** Challenger evaluations that threw */
+  errors: number;
+}
+
+export class ShadowEvaluator {
+  private challenger: RuleEngine;
+  private logPath: string | null;
+  private maxRecent: number;
+  private clock: Clock;
+  private recent: ShadowDivergence[] = [];
+  private evaluated = 0;
+  private diverged = 0;
+  private errors = 0;
+  private transitions: Record<string, number> = {};
+  private byRule = new Map<string | null, ShadowRuleStats>();
+
+  constructor(challenger: RuleEngine, options: ShadowEvaluatorOptions = {}) {
+    this.challenger = challenger;
+    this.logPath = options.logPath === undefined
+      ? path.join(process.cwd(), 'data', 'shadow.jsonl')
+      : options.logPath;
+    this.maxRecent = options.maxRecent ?? 100;
+    this.clock = options.clock ?? systemClock;
+  }
+
+  /**
+   * Evaluate `facts` with the challenger and record a divergence from the
+   * champion's decision. Returns the divergence, or null when both agree or
+   * the challenger failed.
+   */
+  compare(
+    champion: Decision,
+    facts: Record<string, unknown>,
+    options: { asOf?: Date | string } = {}
+  ): ShadowDivergence | null {
+    let challenger: Decision;
+    try {
+      challenger = this.challenger.evaluate(facts, { asOf: options.asOf });
+    } catch {
+      this.errors++;
+      return null;
+    }
+
+    this.evaluated++;
+    if (challenger.result === champion.result) return null;
+
+    this.diverged++;
+    const transition = `${champion.result} → ${challenger.result}`;
+    this.transitions[transition] = (this.transitions[transition] ?? 0) + 1;
+
+    const ruleId = challenger.matchedRule?.id ?? null;
+    const stats = this.byRule.get(ruleId) ?? {
+      ruleId,
+      ruleName: challenger.matchedRule?.name ?? null,
+      divergences: 0,
+      transitions: {},
+    };
+    stats.divergences++;
+    stats.transitions[transition] = (stats.transitions[transition] ?? 0) + 1;
+    this.byRule.set(ruleId, stats);
+
+    const divergence: ShadowDivergence = {
+      id: crypto.randomUUID(),
+      timestamp: this.clock().toISOString(),
+      auditId: champion.auditId,
+      input: facts,
+      champion: { result: champion.result, ruleId: champion.matchedRule?.id ?? null, ruleSetHash: champion.ruleSetHash },
+      challenger: { result: challenger.result, ruleId, ruleSetHash: challenger.ruleSetHash },
+    };
+    this.recent.push(divergence);
+    if (this.recent.length > this.maxRecent) this.recent.shift();
+    this.append(divergence);
+    return divergence;
+  }
+
+  stats(): ShadowStats {
+    return {
+      evaluated: this.evaluated,
+      diverged: this.diverged,
+      divergenceRate: this.evaluated > 0 ? this.diverged / this.evaluated : 0,
+      transitions: { ...this.transitions },
+      byRule: [...this.byRule.values()]
+        .map(s => ({ ...s, transitions: { ...s.transitions } }))
+        .sort((a, b) => b.divergences - a.divergences),
+      errors: this.errors,
+    };
+  }
+
+  /**
+   * The most recent divergences (up to `maxRecent`), oldest first. The shadow
+   * log file holds the full history.
+   */
+  getDivergences(): ShadowDivergence[] {
+    return [...this.recent];
+  }
+
+  /**
+   * Clear the in-memory stats and recent divergences (the log file is kept).
+   */
+  reset(): void {
+    this.recent = [];
+    this.evaluated = 0;
+    this.diverged = 0;
+    this.errors = 0;
+    this.transitions = {};
+    this.byRule.clear();
+  }
+
+  private append(divergence: ShadowDivergence): void {
+    if (!this.logPath) return;
+    try {
+      const dir = path.dirname(this.logPath);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(this.logPath, JSON.stringify(divergence) + '\n');
+    } catch {
+      // silent — in-memory stats still work
+    }
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * CounterfactualExplainer — The smallest fact changes that flip a decision.
+ *
+ * For every rule, builds the region of facts in which that rule decides the
+ * outcome under the resolution strategy (its condition holds and no rule that
+ * would take precedence matches), then measures how far the actual facts are
+ * from each box of that region. The closest boxes — fewest changed facts,
+ * then smallest change, then the more favourable result — become
+ * counterfactuals with English and Arabic text:
+ *
+ *   amount <= 750000 would yield APPROVED
+ *   لو كان amount <= 750000 لكانت النتيجة موافقة (APPROVED)
+ *
+ * Conditions on opaque sub-expressions (function calls, string operators) are
+ * checked against the actual facts and listed when they would have to change.
+ *
+ * @example
+ * const options = new CounterfactualExplainer().explain(rules, decision, facts);
+ * options[0].text.en;  // 'amount <= 750000 would yield APPROVED'
+ *
+ * @module analysis/CounterfactualExplainer
+ */
+
+import { Decision, Rule } from '../types';
+import { parseExpression } from '../ExpressionParser';
+import { ExpressionEvaluator } from '../ExpressionEvaluator';
+import type { ResolutionStrategy } from '../RuleEngine';
+import {
+  ANY_VALUE,
+  ATOM_PREFIX,
+  Box,
+  COERCED_PREFIX,
+  FieldDomain,
+  Interval,
+  Region,
+  RegionLimitError,
+  Scalar,
+  and,
+  coercionHas,
+  domainHas,
+  not,
+  or,
+  refineDomain,
+  regionOf,
+  sampleValue,
+} from './Region';
+import { describeCoerced, describeInterval, describeValues, fmt } from './describe';
+import { Counterfactual, FactChange } from './types';
+
+export interface CounterfactualExplainerOptions {
+  /** Resolution strategy the rules run under. `'weighted'` is not supported. Default: 'first-match' */
+  strategy?: ResolutionStrategy;
+  /** Max counterfactuals returned. Default: 5 */
+  max?: number;
+  /** Only look for these results, e.g. `['APPROVED']`. Default: any result but the decision's */
+  results?: Decision['result'][];
+  /**
+   * Consider facts no rule matches, which fall through to manual REVIEW.
+   * Turn off when something else decides those (a scorecard). Default: true
+   */
+  fallThrough?: boolean;
+  /** Evaluates opaque sub-expressions against the facts — pass the engine's to see its custom functions */
+  evaluator?: ExpressionEvaluator;
+}
+
+const RESULT_AR: Record<Decision['result'], string> = {
+  APPROVED: 'موافقة',
+  REJECTED: 'رفض',
+  REVIEW: 'مراجعة يدوية',
+};
+
+const RESTRICTIVENESS: Record<Rule['action'], number> = { APPROVED: 0, REVIEW: 1, REJECTED: 2 };
+
+type Target = { result: Decision['result']; rule: Rule | null; region: Region };
+
+type Candidate = Counterfactual & { distance: number };
+
+function readFact(facts: Record<string, unknown>, field: string): unknown {
+  let value: unknown = facts;
+  for (const part of field.split('.')) {
+    if (value == null || typeof value !== 'object') return undefined;
+    value = (value as Record<string, unknown>)[part];
+  }
+  return value;
+}
+
+function inInterval(iv: Interval, n: number): boolean {
+  return (n > iv.lo || (n === iv.lo && !iv.loOpen)) && (n < iv.hi || (n === iv.hi && !iv.hiOpen));
+}
+
+/** The number in `iv` closest to `n`: the bound itself, or one step inside an open bound. */
+function nearestInInterval(iv: Interval, n: number): number {
+  if (inInterval(iv, n)) return n;
+  const bound = n < iv.lo || n === iv.lo ? iv.lo : iv.hi;
+  const open = bound === iv.lo ? iv.loOpen : iv.hiOpen;
+  if (!open) return bound;
+  const step = (bound === iv.lo ? 1 : -1) * (Number.isInteger(bound) ? 1 : 0.01);
+  return inInterval(iv, bound + step) ? bound + step : (iv.lo + iv.hi) / 2;
+}
+
+/** The value allowed by `domain` closest to `current`, with the constraint it satisfies. */
+function nearestValue(field: string, domain: FieldDomain, current: unknown): { to: Scalar; constraint: string } | undefined {
+  if (typeof current === 'number' && domain.numbers.length > 0) {
+    let best: { to: number; iv: Interval } | undefined;
+    for (const iv of domain.numbers) {
+      const to = nearestInInterval(iv, current);
+      if (!best || Math.abs(to - current) < Math.abs(best.to - current)) best = { to, iv };
+    }
+    return { to: best!.to, constraint: describeInterval(field, best!.iv) };
+  }
+
+  const values = sampleValue({ numbers: [], values: domain.values });
+  if (values !== undefined) {
+    const exactly = typeof values === 'boolean' || values === null || domain.values.only?.size === 1;
+    return { to: values, constraint: exactly ? `${field} === ${fmt(values)}` : describeValues(field, domain.values) };
+  }
+  if (domain.numbers.length === 0) return undefined;
+  const to = sampleValue(domain) as number;
+  return { to, constraint: describeInterval(field, domain.numbers.find(iv => inInterval(iv, to))!) };
+}
+
+function render(result: Decision['result'], constraints: string[]): Counterfactual['text'] {
+  return {
+    en: `${constraints.join(' and ')} would yield ${result}`,
+    ar: `لو كان ${constraints.join(' و ')} لكانت النتيجة ${RESULT_AR[result]} (${result})`,
+  };
+}
+
+export class CounterfactualExplainer {
+  private strategy: ResolutionStrategy;
+  private max: number;
+  private results?: Decision['result'][];
+  private fallThrough: boolean;
+  private evaluator: ExpressionEvaluator;
+
+  constructor(options: CounterfactualExplainerOptions = {}) {
+    this.strategy = options.strategy ?? 'first-match';
+    this.max = options.max ?? 5;
+    this.results = options.results;
+    this.fallThrough = options.fallThrough ?? true;
+    this.evaluator = options.evaluator ?? new ExpressionEvaluator();
+  }
+
+  /**
+   * Search the rule conditions for the smallest changes to `facts` that would
+   * yield a result other than `decision.result`. Closest first; at most one
+   * counterfactual per deciding rule.
+   */
+  explain(rules: Rule[], decision: Pick<Decision, 'result'>, facts: Record<string, unknown>): Counterfactual[] {
+    if (this.strategy === 'weighted') {
+      throw new Error('Counterfactuals are not supported for the weighted strategy');
+    }
+
+    const candidates: Candidate[] = [];
+    for (const target of this.targets(rules)) {
+      if (target.result === decision.result) continue;
+      if (this.results && !this.results.includes(target.result)) continue;
+      let best: Candidate | undefined;
+      for (const box of target.region) {
+        const candidate = this.measure(box, facts, target);
+        if (!candidate) continue;
+        if (!best || candidate.changes.length + candidate.conditions.length < best.changes.length + best.conditions.length ||
+            (candidate.changes.length + candidate.conditions.length === best.changes.length + best.conditions.length &&
+             candidate.distance < best.distance)) {
+          best = candidate;
+        }
+      }
+      if (best) candidates.push(best);
+    }
+
+    const size = (c: Candidate) => c.changes.length + c.conditions.length;
+    const seen = new Set<string>();
+    return candidates
+      .sort((a, b) =>
+        size(a) - size(b) || a.distance - b.distance || RESTRICTIVENESS[a.result] - RESTRICTIVENESS[b.result])
+      .filter(c => !seen.has(c.text.en) && seen.add(c.text.en))
+      .slice(0, this.max)
+      .map(({ distance: _distance, ...counterfactual }) => counterfactual);
+  }
+
+  /**
+   * For every rule, the region where it decides the result: its condition
+   * holds, no earlier rule of equal standing matches and no rule that takes
+   * precedence under the strategy matches. Plus, with `fallThrough`, the
+   * region no rule matches.
+   */
+  private targets(rules: Rule[]): Target[] {
+    const ordered = [...rules].sort((a, b) => a.priority - b.priority);
+    const rank = (rule: Rule) =>
+      this.strategy === 'most-restrictive' ? RESTRICTIVENESS[rule.action] :
+      this.strategy === 'unanimous' ? (rule.action === 'APPROVED' ? 0 : 1) : 0;
+    const resultOf = (rule: Rule): Decision['result'] =>
+      this.strategy === 'unanimous' && rule.action !== 'APPROVED' ? 'REJECTED' : rule.action;
+
+    const regions = ordered.map(rule => {
+      try {
+        return regionOf(parseExpression(rule.condition));
+      } catch {
+        return null;
+      }
+    });
+
+    const targets: Target[] = [];
+    ordered.forEach((rule, i) => {
+      const own = regions[i];
+      if (!own) return;
+      try {
+        let blockers: Region = [];
+        ordered.forEach((other, j) => {
+          const ahead = rank(other) > rank(rule) || (rank(other) === rank(rule) && j < i);
+          // An unanalyzable rule ahead could match anywhere — skip rather than guess
+          if (ahead) blockers = regions[j] ? or(blockers, regions[j]!) : [new Map()];
+        });
+        const region = and(own, not(blockers));
+        if (region.length > 0) targets.push({ result: resultOf(rule), rule, region });
+      } catch (err) {
+        if (!(err instanceof RegionLimitError)) throw err;
+      }
+    });
+
+    if (this.fallThrough && regions.every(r => r !== null)) {
+      try {
+        const none = not(regions.reduce<Region>((acc, r) => or(acc, r!), []));
+        if (none.length > 0) targets.push({ result: 'REVIEW', rule: null, region: none });
+      } catch (err) {
+        if (!(err instanceof RegionLimitError)) throw err;
+      }
+    }
+    return targets;
+  }
+
+  /** Changes needed to move `facts` into `box`, or undefined when impossible. */
+  private measure(box: Box, facts: Record<string, unknown>, target: Target): Candidate | undefined {
+    const changes: FactChange[] = [];
+    const conditions: string[] = [];
+    let distance = 0;
+
+    for (const [field, domain] of box) {
+      if (field.startsWith(ATOM_PREFIX)) {
+        const expression = field.slice(ATOM_PREFIX.length);
+        const wanted = domain.values.only?.has(true) ?? false;
+        let actual: unknown;
+        try {
+          actual = this.evaluator.evaluateTruth(expression, facts).value;
+        } catch {
+          actual = undefined;
+        }
+        if (actual !== wanted) {
+          conditions.push(wanted ? expression : `!(${expression})`);
+          distance += 1;
+        }
+        continue;
+      }
+
+      // `#amount` constrains `Number(amount)` and is checked together with `amount`
+      const name = field.startsWith(COERCED_PREFIX) ? field.slice(COERCED_PREFIX.length) : field;
+      if (name !== field && box.has(name)) continue;
+      const coerced = box.get(COERCED_PREFIX + name);
+      const allowed = refineDomain(box.get(name) ?? ANY_VALUE, coerced);
+      const inside = (value: unknown) => domainHas(allowed, value) && (!coerced || coercionHas(coerced, value));
+
+      const current = readFact(facts, name);
+      if (inside(current)) continue;
+      const nearest = nearestValue(name, allowed, current);
+      if (!nearest || !inside(nearest.to)) return undefined;
+      const text = coerced && typeof nearest.to === 'string' ? describeCoerced(name, coerced) : '';
+      const constraint = text ? `${nearest.constraint} and ${text}` : nearest.constraint;
+      changes.push({ field: name, from: current, to: nearest.to, constraint });
+      distance += typeof current === 'number' && typeof nearest.to === 'number'
+        ? Math.abs(nearest.to - current) / Math.max(Math.abs(current), 1)
+        : 1;
+    }
+
+    if (changes.length === 0 && conditions.length === 0) return undefined;
+    return {
+      result: target.result,
+      rule: target.rule,
+      changes,
+      conditions,
+      text: render(target.result, [...changes.map(c => c.constraint), ...conditions]),
+      distance,
+    };
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * CoverageAnalyzer — Find the fact regions no rule decides.
+ *
+ * Builds the universe of possible facts from the declared schema (numeric
+ * bounds, enums, booleans), subtracts the region of every rule condition and
+ * describes what is left, with a sample facts object per gap:
+ *
+ *   amount between 500000 and 1000000 and country !== "AE"
+ *   → { amount: 500000, country: "other" }
+ *
+ * Without a schema, field types are inferred from how conditions use them
+ * (`amount > 5` → number, `country === "AE"` → string, `pep` → boolean).
+ * Facts are assumed present; missing facts are the job of `onUnknown`.
+ * Relational tests follow the evaluator's coercion, so a field declared as a
+ * string is covered by `amount > 100` whenever it holds `"150"`, and only its
+ * non-numeric strings are left: `isNaN(amount)`.
+ *
+ * @example
+ * const report = new CoverageAnalyzer({ schema }).analyze(rules);
+ * for (const gap of report.gaps) console.log(gap.description, gap.sample);
+ *
+ * @module analysis/CoverageAnalyzer
+ */
+
+import { Rule } from '../types';
+import { ExprNode, parseExpression } from '../ExpressionParser';
+import { FactSchema, FactType, FieldSchema } from '../FactSchema';
+import {
+  ATOM_PREFIX,
+  Box,
+  COERCED_PREFIX,
+  FieldDomain,
+  NON_NUMBERS,
+  Region,
+  RegionLimitError,
+  and,
+  boxAtoms,
+  domainEquals,
+  domainOf,
+  domainRange,
+  not,
+  or,
+  regionOf,
+  sampleFacts,
+  simplify,
+} from './Region';
+import { CoverageGap, CoverageReport } from './types';
+import { describeCoerced, describeDomain } from './describe';
+
+export interface CoverageAnalyzerOptions {
+  /** Declared fact domains. Default: inferred from the conditions */
+  schema?: FactSchema;
+  /** Max gaps listed in the report. Default: 50 */
+  maxGaps?: number;
+}
+
+/** Gaps are merged into fewer, larger regions only below this many boxes. */
+const SIMPLIFY_LIMIT = 300;
+
+function fieldDomain(spec: FieldSchema): FieldDomain | undefined {
+  if (spec.enum) return domainOf(spec.enum);
+  switch (spec.type) {
+    case 'number':  return domainRange(spec.min, spec.max);
+    case 'boolean': return domainOf([true, false]);
+    case 'string':
+    case 'date':    return NON_NUMBERS;
+    default:        return undefined;
+  }
+}
+
+function universeOf(schema: FactSchema, prefix = '', box = new Map<string, FieldDomain>()): Map<string, FieldDomain> {
+  for (const [name, spec] of Object.entries(schema)) {
+    if (spec.type === 'object' && spec.fields) {
+      universeOf(spec.fields, `${prefix}${name}.`, box);
+      continue;
+    }
+    const domain = fieldDomain(spec);
+    if (domain) box.set(prefix + name, domain);
+  }
+  return box;
+}
+
+function literalType(value: unknown): FactType | undefined {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'boolean';
+  return undefined;
+}
+
+/**
+ * Infer a flat schema (dot-notation keys) from how conditions use each field.
+ * Fields used inconsistently are left out.
+ */
+export function inferSchema(rules: Rule[]): FactSchema {
+  const seen = new Map<string, FactType | null>();
+  const note = (name: string, type: FactType | undefined) => {
+    if (!type) return;
+    const prev = seen.get(name);
+    seen.set(name, prev === undefined || prev === type ? type : null);
+  };
+
+  const visit = (node: ExprNode, boolContext: boolean): void => {
+    switch (node.kind) {
+      case 'identifier':
+        if (boolContext) note(node.name, 'boolean');
+        return;
+      case 'logical':
+        visit(node.left, true);
+        visit(node.right, true);
+        return;
+      case 'unary':
+        visit(node.operand, node.op === '!');
+        return;
+      case 'binary': {
+        const { left, right } = node;
+        if (left.kind === 'identifier' && right.kind === 'literal') note(left.name, literalType(right.value));
+        if (right.kind === 'identifier' && left.kind === 'literal') note(right.name, literalType(left.value));
+        if (node.op === 'in' && left.kind === 'identifier' && right.kind === 'array' && right.items[0]?.kind === 'literal') {
+          note(left.name, literalType(right.items[0].value));
+        }
+        if (['>', '>=', '<', '<=', '+', '-', '*', '/', '%'].includes(node.op)) {
+          if (left.kind === 'identifier') note(left.name, 'number');
+          if (right.kind === 'identifier') note(right.name, 'number');
+        }
+        return;
+      }
+      default:
+        return;
+    }
+  };
+
+  for (const rule of rules) {
+    try {
+      visit(parseExpression(rule.condition), true);
+    } catch {
+      // Invalid conditions are reported by validateRules()
+    }
+  }
+
+  const schema: FactSchema = {};
+  for (const [name, type] of seen) if (type) schema[name] = { type };
+  return schema;
+}
+
+// ── Descriptions ──────────────────────────────────────────────────────────────
+
+function describeBox(box: Box, universe: Box): string {
+  const parts: string[] = [];
+  for (const [field, domain] of box) {
+    if (field.startsWith(ATOM_PREFIX)) continue;
+    if (field.startsWith(COERCED_PREFIX)) {
+      const text = describeCoerced(field.slice(COERCED_PREFIX.length), domain);
+      if (text) parts.push(text);
+      continue;
+    }
+    const base = universe.get(field);
+    if (base && domainEquals(domain, base)) continue;
+    const text = describeDomain(field, domain, base);
+    if (text) parts.push(text);
+  }
+  parts.push(...boxAtoms(box));
+  return parts.length > 0 ? parts.join(' and ') : 'any facts';
+}
+
+// ── Analyzer ──────────────────────────────────────────────────────────────────
+
+export class CoverageAnalyzer {
+  private schema?: FactSchema;
+  private maxGaps: number;
+
+  constructor(options: CoverageAnalyzerOptions = {}) {
+    this.schema = options.schema;
+    this.maxGaps = options.maxGaps ?? 50;
+  }
+
+  /**
+   * List the regions of the fact space that no rule matches.
+   */
+  analyze(rules: Rule[]): CoverageReport {
+    const schema = this.schema ?? inferSchema(rules);
+    const universe: Box = universeOf(schema);
+    const unanalyzed: Rule[] = [];
+
+    let covered: Region = [];
+    for (const rule of rules) {
+      try {
+        covered = or(covered, regionOf(parseExpression(rule.condition)));
+      } catch {
+        // Unanalyzable rules are treated as covering nothing
+        unanalyzed.push(rule);
+      }
+    }
+
+    let gapRegion: Region;
+    try {
+      gapRegion = and([universe], not(covered));
+    } catch (err) {
+      if (!(err instanceof RegionLimitError)) throw err;
+      return { complete: false, gaps: [], truncated: true, schema, unanalyzed: rules };
+    }
+    if (gapRegion.length <= SIMPLIFY_LIMIT) gapRegion = simplify(gapRegion);
+
+    const gaps: CoverageGap[] = gapRegion.slice(0, this.maxGaps).map(box => ({
+      description: describeBox(box, universe),
+      sample: sampleFacts(box),
+      conditions: boxAtoms(box),
+    }));
+
+    return {
+      complete: gapRegion.length === 0,
+      gaps,
+      truncated: gapRegion.length > this.maxGaps,
+      schema,
+      unanalyzed,
+    };
+  }
+}
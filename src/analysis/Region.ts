@@ -0,0 +1,596 @@
+/**
+ * Region — Set algebra over fact values, used to reason about conditions
+ * without evaluating them.
+ *
+ * A condition is translated into a `Region`: a union of boxes, where each box
+ * constrains some fields and leaves the rest free. A field's `FieldDomain`
+ * is a union of numeric intervals plus a set of allowed (or excluded)
+ * non-numeric values, which is closed under intersection and complement:
+ *
+ *   amount > 100 && country in ["AE", "SA"]
+ *   → [{ amount: (100, ∞), country: {"AE", "SA"} }]
+ *
+ *   !(amount > 100) || pep === true
+ *   → [{ amount: (-∞, 100] ∪ non-numbers }, { pep: {true} }]
+ *
+ * Relational operators coerce like the evaluator does: `null` and booleans
+ * compare as 0 and 1 and join the numbers in the domain, while strings compare
+ * by their numeric value (`"150" > 100`), a set the algebra cannot enumerate.
+ * Those constrain a pseudo-field `#<field>` standing for `Number(field)`,
+ * whose non-numeric part is NaN:
+ *
+ *   amount >= 0
+ *   → [{ amount: [0, ∞) ∪ {null, false, true} }, { amount: strings, #amount: [0, ∞) }]
+ *
+ * Sub-expressions the algebra cannot model (function calls, arithmetic,
+ * string operators, field-to-field comparisons, loose `==` / `!=`, which
+ * coerce `"1" == 1`) become opaque boolean atoms:
+ * pseudo-fields named `@<canonical expression>`, so the same atom in two rules
+ * is still recognised as the same constraint.
+ *
+ * Results are exact for the modelled operators, assuming every referenced
+ * fact is present. Emptiness and containment are sound for atoms too (they
+ * are treated as independent booleans), so "never matches" and "always
+ * shadowed" findings hold; overlaps involving atoms are "may overlap".
+ *
+ * @module analysis/Region
+ */
+
+import { ExprNode } from '../ExpressionParser';
+
+export type Scalar = string | number | boolean | null;
+
+export interface Interval {
+  lo: number;
+  hi: number;
+  loOpen: boolean;
+  hiOpen: boolean;
+}
+
+export interface FieldDomain {
+  /** Allowed numbers, as sorted, disjoint intervals */
+  numbers: Interval[];
+  /**
+   * Allowed non-numeric values: only those in `only` when set, otherwise
+   * anything except the values in `except`.
+   */
+  values: { only?: ReadonlySet<Scalar>; except: ReadonlySet<Scalar> };
+}
+
+/** Conjunction of per-field constraints; absent fields are unconstrained. */
+export type Box = ReadonlyMap<string, FieldDomain>;
+
+/** Union of boxes. An empty array is the empty region. */
+export type Region = Box[];
+
+/** Thrown when a region grows past the box limit (exponential DNF blow-up). */
+export class RegionLimitError extends Error {
+  constructor(limit: number) {
+    super(`Condition too complex to analyze (more than ${limit} cases)`);
+    this.name = 'RegionLimitError';
+  }
+}
+
+/** Max boxes in one region before analysis gives up. */
+export const MAX_BOXES = 2000;
+
+/** Prefix of pseudo-fields standing for opaque sub-expressions. */
+export const ATOM_PREFIX = '@';
+
+/** Prefix of pseudo-fields standing for a field converted with `Number()`. */
+export const COERCED_PREFIX = '#';
+
+const ALL_NUMBERS: Interval[] = [{ lo: -Infinity, hi: Infinity, loOpen: true, hiOpen: true }];
+const NO_VALUES = { only: new Set<Scalar>(), except: new Set<Scalar>() };
+const ALL_VALUES = { except: new Set<Scalar>() };
+
+/** The region with no constraints (every fact matches). */
+export const EVERYTHING: Region = [new Map()];
+/** The empty region (nothing matches). */
+export const NOTHING: Region = [];
+
+// ── Intervals ──────────────────────────────────────────────────────────────────
+
+function intervalEmpty(iv: Interval): boolean {
+  return iv.lo > iv.hi || (iv.lo === iv.hi && (iv.loOpen || iv.hiOpen));
+}
+
+function normalizeIntervals(list: Interval[]): Interval[] {
+  const sorted = list.filter(iv => !intervalEmpty(iv))
+    .sort((a, b) => a.lo - b.lo || Number(a.loOpen) - Number(b.loOpen));
+  const out: Interval[] = [];
+  for (const iv of sorted) {
+    const last = out[out.length - 1];
+    // Merge when overlapping, or touching with at least one closed end
+    if (last && (iv.lo < last.hi || (iv.lo === last.hi && !(iv.loOpen && last.hiOpen)))) {
+      if (iv.hi > last.hi || (iv.hi === last.hi && !iv.hiOpen)) {
+        out[out.length - 1] = { ...last, hi: iv.hi, hiOpen: iv.hiOpen };
+      }
+    } else {
+      out.push({ ...iv });
+    }
+  }
+  return out;
+}
+
+function intersectIntervals(a: Interval[], b: Interval[]): Interval[] {
+  const out: Interval[] = [];
+  for (const x of a) {
+    for (const y of b) {
+      const lo = Math.max(x.lo, y.lo);
+      const hi = Math.min(x.hi, y.hi);
+      out.push({
+        lo,
+        hi,
+        loOpen: (x.lo === lo && x.loOpen) || (y.lo === lo && y.loOpen),
+        hiOpen: (x.hi === hi && x.hiOpen) || (y.hi === hi && y.hiOpen),
+      });
+    }
+  }
+  return normalizeIntervals(out);
+}
+
+function complementIntervals(list: Interval[]): Interval[] {
+  const out: Interval[] = [];
+  let lo = -Infinity;
+  let loOpen = true;
+  for (const iv of list) {
+    out.push({ lo, hi: iv.lo, loOpen, hiOpen: !iv.loOpen || iv.lo === -Infinity });
+    lo = iv.hi;
+    loOpen = !iv.hiOpen || iv.hi === Infinity;
+  }
+  out.push({ lo, hi: Infinity, loOpen, hiOpen: true });
+  return normalizeIntervals(out.map(iv => ({
+    ...iv,
+    loOpen: iv.lo === -Infinity ? true : iv.loOpen,
+    hiOpen: iv.hi === Infinity ? true : iv.hiOpen,
+  })));
+}
+
+function isAllNumbers(list: Interval[]): boolean {
+  return list.length === 1 && list[0].lo === -Infinity && list[0].hi === Infinity;
+}
+
+// ── Field domains ──────────────────────────────────────────────────────────────
+
+export function domainEmpty(d: FieldDomain): boolean {
+  return d.numbers.length === 0 && d.values.only !== undefined && d.values.only.size === 0;
+}
+
+function domainFull(d: FieldDomain): boolean {
+  return isAllNumbers(d.numbers) && d.values.only === undefined && d.values.except.size === 0;
+}
+
+export function intersectDomains(a: FieldDomain, b: FieldDomain): FieldDomain {
+  const except = new Set([...a.values.except, ...b.values.except]);
+  let only: Set<Scalar> | undefined;
+  if (a.values.only && b.values.only) only = new Set([...a.values.only].filter(v => b.values.only!.has(v)));
+  else if (a.values.only || b.values.only) only = new Set(a.values.only ?? b.values.only);
+  const values = only
+    ? { only: new Set([...only].filter(v => !except.has(v))), except: new Set<Scalar>() }
+    : { except };
+  return { numbers: intersectIntervals(a.numbers, b.numbers), values };
+}
+
+export function complementDomain(d: FieldDomain): FieldDomain {
+  return {
+    numbers: complementIntervals(d.numbers),
+    values: d.values.only
+      ? { except: new Set(d.values.only) }
+      : { only: new Set(d.values.except), except: new Set<Scalar>() },
+  };
+}
+
+export function unionDomains(a: FieldDomain, b: FieldDomain): FieldDomain {
+  return complementDomain(intersectDomains(complementDomain(a), complementDomain(b)));
+}
+
+/** Whether every value allowed by `a` is allowed by `b`. */
+export function domainSubset(a: FieldDomain, b: FieldDomain): boolean {
+  return domainEmpty(intersectDomains(a, complementDomain(b)));
+}
+
+/** Whether a fact value lies in the domain. A missing fact (undefined) never does. */
+export function domainHas(d: FieldDomain, value: unknown): boolean {
+  if (value === undefined) return false;
+  if (typeof value === 'number') {
+    return d.numbers.some(iv =>
+      (value > iv.lo || (value === iv.lo && !iv.loOpen)) && (value < iv.hi || (value === iv.hi && !iv.hiOpen)));
+  }
+  const { only, except } = d.values;
+  return only ? only.has(value as Scalar) : !except.has(value as Scalar);
+}
+
+/** Whether `Number(value)` lies in a coerced domain, whose non-numeric part stands for NaN. */
+export function coercionHas(coerced: FieldDomain, value: unknown): boolean {
+  const n = Number(value);
+  if (!Number.isNaN(n)) return domainHas(coerced, n);
+  return coerced.values.only === undefined || coerced.values.only.size > 0;
+}
+
+/**
+ * A field's domain narrowed by its coerced domain. Exact for numbers, `null`
+ * and booleans; strings still have to be checked with `coercionHas`.
+ */
+export function refineDomain(domain: FieldDomain, coerced?: FieldDomain): FieldDomain {
+  if (!coerced) return domain;
+  const { only, except } = domain.values;
+  const failing = ([null, false, true] as Scalar[]).filter(v => !coercionHas(coerced, v));
+  return {
+    numbers: intersectIntervals(domain.numbers, coerced.numbers),
+    values: only
+      ? { only: new Set([...only].filter(v => coercionHas(coerced, v))), except }
+      : { except: new Set([...except, ...failing]) },
+  };
+}
+
+export function domainEquals(a: FieldDomain, b: FieldDomain): boolean {
+  return domainSubset(a, b) && domainSubset(b, a);
+}
+
+/** Domain of exactly the given values (numbers become point intervals). */
+export function domainOf(values: Scalar[]): FieldDomain {
+  const numbers = values.filter((v): v is number => typeof v === 'number')
+    .map(n => ({ lo: n, hi: n, loOpen: false, hiOpen: false }));
+  return {
+    numbers: normalizeIntervals(numbers),
+    values: { only: new Set(values.filter(v => typeof v !== 'number')), except: new Set<Scalar>() },
+  };
+}
+
+/** Domain of numbers satisfying `x <op> n`. */
+export function domainCompare(op: '>' | '>=' | '<' | '<=', n: number): FieldDomain {
+  const iv: Interval =
+    op === '>'  ? { lo: n, hi: Infinity, loOpen: true, hiOpen: true } :
+    op === '>=' ? { lo: n, hi: Infinity, loOpen: false, hiOpen: true } :
+    op === '<'  ? { lo: -Infinity, hi: n, loOpen: true, hiOpen: true } :
+                  { lo: -Infinity, hi: n, loOpen: true, hiOpen: false };
+  return { numbers: normalizeIntervals([iv]), values: NO_VALUES };
+}
+
+/** Domain of every value except the given ones. */
+export function domainExcept(values: Scalar[]): FieldDomain {
+  return complementDomain(domainOf(values));
+}
+
+/** Domain of truthy values: non-zero numbers and anything but false, null and "". */
+export const TRUTHY: FieldDomain = {
+  numbers: complementIntervals([{ lo: 0, hi: 0, loOpen: false, hiOpen: false }]),
+  values: { except: new Set<Scalar>([false, null, '']) },
+};
+
+/** Domain with no constraint. */
+export const ANY_VALUE: FieldDomain = { numbers: ALL_NUMBERS, values: ALL_VALUES };
+
+/** Domain of every non-numeric value (strings, booleans, null). */
+export const NON_NUMBERS: FieldDomain = { numbers: [], values: ALL_VALUES };
+
+/** Domain of every string. */
+const STRINGS: FieldDomain = { numbers: [], values: { except: new Set<Scalar>([null, false, true]) } };
+
+/** Domain of numbers within optional inclusive bounds. */
+export function domainRange(min?: number, max?: number): FieldDomain {
+  return {
+    numbers: normalizeIntervals([{
+      lo: min ?? -Infinity,
+      hi: max ?? Infinity,
+      loOpen: min === undefined,
+      hiOpen: max === undefined,
+    }]),
+    values: NO_VALUES,
+  };
+}
+
+// ── Regions ───────────────────────────────────────────────────────────────────
+
+function checkSize(region: Region): Region {
+  if (region.length > MAX_BOXES) throw new RegionLimitError(MAX_BOXES);
+  return region;
+}
+
+/** Region constraining a single field. */
+export function fieldRegion(field: string, domain: FieldDomain): Region {
+  if (domainEmpty(domain)) return NOTHING;
+  if (domainFull(domain)) return EVERYTHING;
+  return [new Map([[field, domain]])];
+}
+
+function intersectBoxes(a: Box, b: Box): Box | null {
+  const out = new Map(a);
+  for (const [field, domain] of b) {
+    const existing = out.get(field);
+    const merged = existing ? intersectDomains(existing, domain) : domain;
+    if (domainEmpty(merged)) return null;
+    out.set(field, merged);
+  }
+  // A known `Number(field)` rules out the field's values that convert outside it
+  for (const [field, domain] of out) {
+    const coerced = out.get(COERCED_PREFIX + field);
+    if (!coerced) continue;
+    const refined = refineDomain(domain, coerced);
+    if (domainEmpty(refined)) return null;
+    out.set(field, refined);
+  }
+  return out;
+}
+
+export function and(a: Region, b: Region): Region {
+  const out: Box[] = [];
+  for (const x of a) {
+    for (const y of b) {
+      const box = intersectBoxes(x, y);
+      if (box) out.push(box);
+    }
+  }
+  return checkSize(out);
+}
+
+export function or(a: Region, b: Region): Region {
+  return checkSize([...a, ...b]);
+}
+
+function complementBox(box: Box): Region {
+  // ¬(f1 ∧ f2 ∧ ...) = ¬f1 ∨ ¬f2 ∨ ...
+  const out: Box[] = [];
+  for (const [field, domain] of box) out.push(...fieldRegion(field, complementDomain(domain)));
+  return out;
+}
+
+export function not(region: Region): Region {
+  let out: Region = EVERYTHING;
+  for (const box of region) {
+    out = and(out, complementBox(box));
+    if (out.length === 0) break;
+  }
+  return out;
+}
+
+export function isEmpty(region: Region): boolean {
+  return region.length === 0;
+}
+
+/** Whether every point of `a` is also in `b`. */
+export function isSubset(a: Region, b: Region): boolean {
+  let remaining = a;
+  for (const box of b) {
+    remaining = and(remaining, complementBox(box));
+    if (remaining.length === 0) return true;
+  }
+  return remaining.length === 0;
+}
+
+/** Whether every point of box `a` is also in box `b`. */
+function boxSubset(a: Box, b: Box): boolean {
+  for (const [field, domain] of b) {
+    const own = a.get(field);
+    if (!own ? !domainFull(domain) : !domainSubset(own, domain)) return false;
+  }
+  return true;
+}
+
+/**
+ * Shrink a region without changing the set it describes: boxes contained in
+ * another box are dropped, and boxes that differ in a single field are merged
+ * by uniting that field's domain.
+ */
+export function simplify(region: Region): Region {
+  let boxes = [...region];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    boxes = boxes.filter((box, i) => !boxes.some((other, j) => j !== i && boxSubset(box, other) && (!boxSubset(other, box) || j < i)));
+    outer:
+    for (let i = 0; i < boxes.length; i++) {
+      for (let j = i + 1; j < boxes.length; j++) {
+        const a = boxes[i];
+        const b = boxes[j];
+        const fields = new Set([...a.keys(), ...b.keys()]);
+        const differing = [...fields].filter(f => !domainEquals(a.get(f) ?? ANY_VALUE, b.get(f) ?? ANY_VALUE));
+        if (differing.length !== 1) continue;
+        const [field] = differing;
+        const merged = new Map(a);
+        const domain = unionDomains(a.get(field) ?? ANY_VALUE, b.get(field) ?? ANY_VALUE);
+        if (domainFull(domain)) merged.delete(field);
+        else merged.set(field, domain);
+        boxes.splice(j, 1);
+        boxes[i] = merged;
+        changed = true;
+        break outer;
+      }
+    }
+  }
+  return boxes;
+}
+
+// ── Samples ───────────────────────────────────────────────────────────────────
+
+function pickNumber(iv: Interval): number {
+  if (!iv.loOpen && iv.lo !== -Infinity) return iv.lo;
+  if (!iv.hiOpen && iv.hi !== Infinity) return iv.hi;
+  if (iv.lo === -Infinity && iv.hi === Infinity) return 0;
+  if (iv.lo === -Infinity) return Math.ceil(iv.hi) - 1;
+  if (iv.hi === Infinity) return Math.floor(iv.lo) + 1;
+  const n = Math.floor(iv.lo) + 1;
+  return n < iv.hi ? n : (iv.lo + iv.hi) / 2;
+}
+
+function pickValue(except: ReadonlySet<Scalar>): Scalar {
+  if (except.has(true) && !except.has(false)) return false;
+  if (except.has(false) && !except.has(true)) return true;
+  let candidate = 'other';
+  for (let i = 2; except.has(candidate); i++) candidate = `other${i}`;
+  return candidate;
+}
+
+/**
+ * A representative value of a domain. Fields constrained on non-numeric
+ * values get a non-numeric sample; otherwise numbers are preferred.
+ */
+export function sampleValue(domain: FieldDomain): Scalar | undefined {
+  const { only, except } = domain.values;
+  const prefersValues = (only !== undefined && only.size > 0) || except.size > 0;
+  if (prefersValues || domain.numbers.length === 0) {
+    if (only) return only.size > 0 ? [...only][0] : domain.numbers.length > 0 ? pickNumber(domain.numbers[0]) : undefined;
+    return pickValue(except);
+  }
+  return pickNumber(domain.numbers[0]);
+}
+
+/** A value of `domain` whose `Number()` lies in `coerced`, falling back to numeric strings. */
+function sampleCoerced(domain: FieldDomain, coerced?: FieldDomain): Scalar | undefined {
+  const refined = refineDomain(domain, coerced);
+  const value = sampleValue(refined);
+  if (!coerced || value === undefined || coercionHas(coerced, value)) return value;
+  return coerced.numbers.map(iv => String(pickNumber(iv))).find(text => domainHas(refined, text)) ?? value;
+}
+
+/**
+ * Example facts for a box, in dot-notation keys expanded into nested objects.
+ * Atoms are left out — they cannot be set directly.
+ */
+export function sampleFacts(box: Box): Record<string, unknown> {
+  const facts: Record<string, unknown> = {};
+  for (const [key, domain] of box) {
+    if (key.startsWith(ATOM_PREFIX)) continue;
+    const field = key.startsWith(COERCED_PREFIX) ? key.slice(COERCED_PREFIX.length) : key;
+    if (field !== key && box.has(field)) continue;
+    const value = field !== key
+      ? sampleCoerced(ANY_VALUE, domain)
+      : sampleCoerced(domain, box.get(COERCED_PREFIX + field));
+    if (value === undefined) continue;
+    const path = field.split('.');
+    let target = facts;
+    for (const part of path.slice(0, -1)) {
+      if (typeof target[part] !== 'object' || target[part] === null) target[part] = {};
+      target = target[part] as Record<string, unknown>;
+    }
+    target[path[path.length - 1]] = value;
+  }
+  return facts;
+}
+
+/** Conditions on opaque atoms in a box, e.g. `len(docs) > 2` or `!(len(docs) > 2)`. */
+export function boxAtoms(box: Box): string[] {
+  return [...box]
+    .filter(([field]) => field.startsWith(ATOM_PREFIX))
+    .map(([field, domain]) => (domain.values.only?.has(true) ? '' : '!') + `(${field.slice(ATOM_PREFIX.length)})`);
+}
+
+// ── Conditions → regions ──────────────────────────────────────────────────────
+
+/** Canonical text of an expression, independent of spacing and quoting. */
+export function canonical(node: ExprNode): string {
+  switch (node.kind) {
+    case 'literal':    return JSON.stringify(node.value);
+    case 'identifier': return node.name;
+    case 'array':      return `[${node.items.map(canonical).join(', ')}]`;
+    case 'call':       return `${node.name}(${node.args.map(canonical).join(', ')})`;
+    case 'unary':      return `${node.op}${canonical(node.operand)}`;
+    case 'binary':
+    case 'logical':    return `${wrap(node.left)} ${node.op} ${wrap(node.right)}`;
+  }
+}
+
+function wrap(node: ExprNode): string {
+  return node.kind === 'binary' || node.kind === 'logical' ? `(${canonical(node)})` : canonical(node);
+}
+
+function atom(node: ExprNode): Region {
+  return fieldRegion(ATOM_PREFIX + canonical(node), domainOf([true]));
+}
+
+function literalValue(node: ExprNode): Scalar | undefined {
+  if (node.kind === 'literal') return node.value;
+  if (node.kind === 'unary' && node.op === '-' && node.operand.kind === 'literal' && typeof node.operand.value === 'number') {
+    return -node.operand.value;
+  }
+  return undefined;
+}
+
+const FLIP = { '>': '<', '>=': '<=', '<': '>', '<=': '>=' } as const;
+
+function compare(a: number, op: '>' | '>=' | '<' | '<=', b: number): boolean {
+  return op === '>' ? a > b : op === '>=' ? a >= b : op === '<' ? a < b : a <= b;
+}
+
+/**
+ * `field <op> n` under JavaScript coercion: numbers in the interval, `null`
+ * and booleans by their numeric value, and strings by their `Number()`.
+ */
+function relationalRegion(name: string, op: '>' | '>=' | '<' | '<=', n: number): Region {
+  const { numbers } = domainCompare(op, n);
+  const coerced = ([null, false, true] as Scalar[]).filter(v => compare(Number(v), op, n));
+  return or(
+    fieldRegion(name, { numbers, values: { only: new Set(coerced), except: new Set<Scalar>() } }),
+    and(fieldRegion(name, STRINGS), fieldRegion(COERCED_PREFIX + name, domainCompare(op, n))),
+  );
+}
+
+function comparisonRegion(node: Extract<ExprNode, { kind: 'binary' }>, coerce: boolean): Region {
+  let { op } = node;
+  let field = node.left;
+  let value = literalValue(node.right);
+  if (field.kind !== 'identifier' || value === undefined) {
+    // literal on the left: `100 < amount`
+    field = node.right;
+    value = literalValue(node.left);
+    if (op in FLIP) op = FLIP[op as keyof typeof FLIP];
+  }
+  if (field.kind !== 'identifier' || value === undefined) return atom(node);
+  const name = field.name;
+
+  switch (op) {
+    case '===':
+      return fieldRegion(name, domainOf([value]));
+    case '!==':
+      return fieldRegion(name, domainExcept([value]));
+    case '>': case '>=': case '<': case '<=':
+      if (typeof value !== 'number') return atom(node);
+      return coerce ? relationalRegion(name, op, value) : fieldRegion(name, domainCompare(op, value));
+  }
+  return atom(node);
+}
+
+export interface RegionOptions {
+  /**
+   * Model how `>`, `>=`, `<` and `<=` coerce `null`, booleans and strings.
+   * Turn off when every field compared with a number holds numbers, as in a
+   * typed decision table. Default: true
+   */
+  coerce?: boolean;
+}
+
+/**
+ * Translate a parsed condition into the region of facts it matches.
+ * Throws `RegionLimitError` when the condition is too complex.
+ */
+export function regionOf(node: ExprNode, options: RegionOptions = {}): Region {
+  const coerce = options.coerce ?? true;
+  switch (node.kind) {
+    case 'literal':
+      return node.value ? EVERYTHING : NOTHING;
+
+    case 'identifier':
+      return fieldRegion(node.name, TRUTHY);
+
+    case 'logical':
+      return node.op === '&&'
+        ? and(regionOf(node.left, options), regionOf(node.right, options))
+        : or(regionOf(node.left, options), regionOf(node.right, options));
+
+    case 'unary':
+      return node.op === '!' ? not(regionOf(node.operand, options)) : atom(node);
+
+    case 'binary':
+      if (node.op === 'in' && node.left.kind === 'identifier' && node.right.kind === 'array') {
+        const values = node.right.items.map(literalValue);
+        if (values.every((v): v is Scalar => v !== undefined)) return fieldRegion(node.left.name, domainOf(values));
+      }
+      // Loose `==` / `!=` coerce across types, so they stay opaque atoms
+      if (['===', '!==', '>', '>=', '<', '<='].includes(node.op)) return comparisonRegion(node, coerce);
+      return atom(node);
+
+    default:
+      return atom(node);
+  }
+}
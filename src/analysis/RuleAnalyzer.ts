@@ -0,0 +1,167 @@
+/**
+ * RuleAnalyzer — Static analysis of a rule set over parsed conditions.
+ *
+ * Translates every condition into a `Region` (intervals for numeric
+ * comparisons, value sets for equality and `in`) and reports:
+ *
+ *   - overlaps       two rules with different actions that can match the same
+ *                    facts (e.g. `amount > 100` vs `amount >= 101`), with an
+ *                    example facts object
+ *   - shadowed       rules that can never fire under first-match because
+ *                    higher-priority rules already decide every case they match
+ *   - contradictions conditions no facts can satisfy (`amount > 5 && amount < 3`)
+ *
+ * @example
+ * const report = new RuleAnalyzer().analyze(rules);
+ * for (const o of report.overlaps) console.log(o.description, o.example);
+ *
+ * @module analysis/RuleAnalyzer
+ */
+
+import { Rule } from '../types';
+import { parseExpression } from '../ExpressionParser';
+import type { ResolutionStrategy } from '../RuleEngine';
+import {
+  Region,
+  RegionLimitError,
+  and,
+  boxAtoms,
+  isEmpty,
+  isSubset,
+  regionOf,
+  sampleFacts,
+} from './Region';
+import { ContradictoryRule, RuleAnalysis, RuleOverlap, ShadowedRule } from './types';
+
+export interface RuleAnalyzerOptions {
+  /**
+   * Resolution strategy the rules run under. Shadowing is only reported for
+   * `'first-match'`, where a covered rule is truly unreachable. Default: 'first-match'
+   */
+  strategy?: ResolutionStrategy;
+}
+
+type AnalyzedRule = { rule: Rule; region: Region };
+
+/** Whether the rules together match everything in `region` (false if too complex to tell). */
+function covers(rules: AnalyzedRule[], region: Region): boolean {
+  try {
+    return isSubset(region, rules.flatMap(a => a.region));
+  } catch (err) {
+    if (err instanceof RegionLimitError) return false;
+    throw err;
+  }
+}
+
+export class RuleAnalyzer {
+  private strategy: ResolutionStrategy;
+
+  constructor(options: RuleAnalyzerOptions = {}) {
+    this.strategy = options.strategy ?? 'first-match';
+  }
+
+  /**
+   * Region of facts matched by a rule's condition.
+   * Throws on syntax errors and on conditions too complex to analyze.
+   */
+  regionOf(rule: Rule): Region {
+    return regionOf(parseExpression(rule.condition));
+  }
+
+  /**
+   * Analyze a rule set. Rules are considered in priority order (ascending);
+   * the input array is not modified.
+   */
+  analyze(rules: Rule[]): RuleAnalysis {
+    const sorted = [...rules].sort((a, b) => a.priority - b.priority);
+    const analyzed: AnalyzedRule[] = [];
+    const unanalyzed: Rule[] = [];
+    const contradictions: ContradictoryRule[] = [];
+
+    for (const rule of sorted) {
+      try {
+        const region = this.regionOf(rule);
+        if (isEmpty(region)) {
+          contradictions.push({
+            rule,
+            description: `Rule "${rule.name}" can never match: its condition is contradictory`,
+          });
+        } else {
+          analyzed.push({ rule, region });
+        }
+      } catch {
+        // Syntax errors are reported by validateRules(); complex conditions are skipped
+        unanalyzed.push(rule);
+      }
+    }
+
+    return {
+      overlaps: this.findOverlaps(analyzed),
+      shadowed: this.strategy === 'first-match' ? this.findShadowed(analyzed) : [],
+      contradictions,
+      unanalyzed,
+    };
+  }
+
+  private findOverlaps(analyzed: AnalyzedRule[]): RuleOverlap[] {
+    const overlaps: RuleOverlap[] = [];
+    for (let i = 0; i < analyzed.length; i++) {
+      for (let j = i + 1; j < analyzed.length; j++) {
+        const a = analyzed[i];
+        const b = analyzed[j];
+        if (a.rule.action === b.rule.action) continue;
+
+        let common: Region;
+        try {
+          common = and(a.region, b.region);
+        } catch (err) {
+          if (err instanceof RegionLimitError) continue;
+          throw err;
+        }
+        if (isEmpty(common)) continue;
+
+        const example = sampleFacts(common[0]);
+        const atoms = boxAtoms(common[0]);
+        const description = a.rule.condition === b.rule.condition
+          ? `Rules "${a.rule.name}" and "${b.rule.name}" have the same condition but different actions`
+          : `Rules "${a.rule.name}" (${a.rule.action}) and "${b.rule.name}" (${b.rule.action}) overlap, ` +
+            `e.g. ${JSON.stringify(example)}${atoms.length > 0 ? ` when ${atoms.join(' && ')}` : ''}`;
+        overlaps.push({ ruleA: a.rule, ruleB: b.rule, description, example });
+      }
+    }
+    return overlaps;
+  }
+
+  private findShadowed(analyzed: AnalyzedRule[]): ShadowedRule[] {
+    const shadowed: ShadowedRule[] = [];
+    for (let j = 1; j < analyzed.length; j++) {
+      const { rule, region } = analyzed[j];
+      // Only higher-priority rules that can match some of the same facts matter
+      const earlier = analyzed.slice(0, j).filter(a => {
+        try {
+          return !isEmpty(and(a.region, region));
+        } catch {
+          return true;
+        }
+      });
+      if (earlier.length === 0) continue;
+
+      if (!covers(earlier, region)) continue;
+
+      // Keep only the rules needed to cover it, preferring the ones that fire first
+      let needed = earlier;
+      for (const candidate of [...earlier].reverse()) {
+        const without = needed.filter(a => a !== candidate);
+        if (without.length > 0 && covers(without, region)) needed = without;
+      }
+
+      const names = needed.map(a => `"${a.rule.name}"`).join(', ');
+      shadowed.push({
+        rule,
+        shadowedBy: needed.map(a => a.rule),
+        description: `Rule "${rule.name}" can never fire: every case it matches is decided first by ${names}`,
+      });
+    }
+    return shadowed;
+  }
+}
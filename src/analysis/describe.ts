@@ -0,0 +1,55 @@
+/**
+ * Readable constraints for field domains, shared by the coverage and
+ * counterfactual reports: `amount between 500000 and 1000000`,
+ * `country !== "AE"`, `tier in ["gold", "silver"]`.
+ *
+ * @module analysis/describe
+ */
+
+import { FieldDomain, Interval, Scalar } from './Region';
+
+export function fmt(value: Scalar): string {
+  return JSON.stringify(value);
+}
+
+export function describeInterval(field: string, iv: Interval): string {
+  if (iv.lo === iv.hi) return `${field} === ${iv.lo}`;
+  if (iv.lo === -Infinity) return `${field} ${iv.hiOpen ? '<' : '<='} ${iv.hi}`;
+  if (iv.hi === Infinity) return `${field} ${iv.loOpen ? '>' : '>='} ${iv.lo}`;
+  if (!iv.loOpen && !iv.hiOpen) return `${field} between ${iv.lo} and ${iv.hi}`;
+  return `${iv.lo} ${iv.loOpen ? '<' : '<='} ${field} ${iv.hiOpen ? '<' : '<='} ${iv.hi}`;
+}
+
+/** The non-numeric part of a domain, or '' when it allows any value. */
+export function describeValues(field: string, values: FieldDomain['values']): string {
+  const { only, except } = values;
+  if (only && only.size > 0) {
+    return only.size === 1 ? `${field} === ${fmt([...only][0])}` : `${field} in [${[...only].map(fmt).join(', ')}]`;
+  }
+  if (!only && except.size > 0) {
+    return except.size === 1 ? `${field} !== ${fmt([...except][0])}` : `${field} not in [${[...except].map(fmt).join(', ')}]`;
+  }
+  return '';
+}
+
+/** A constraint on `Number(field)`, whose non-numeric part stands for NaN. */
+export function describeCoerced(field: string, domain: FieldDomain): string {
+  const nan = domain.values.only === undefined || domain.values.only.size > 0;
+  const isAll = domain.numbers.length === 1 && domain.numbers[0].lo === -Infinity && domain.numbers[0].hi === Infinity;
+  if (isAll) return nan ? '' : `!isNaN(${field})`;
+  const parts = domain.numbers.map(iv => describeInterval(`Number(${field})`, iv));
+  if (nan) parts.push(`isNaN(${field})`);
+  return parts.length > 1 ? `(${parts.join(' or ')})` : parts[0] ?? '';
+}
+
+export function describeDomain(field: string, domain: FieldDomain, universe?: FieldDomain): string {
+  const parts: string[] = [];
+  // Only describe the numeric part when the field can be a number here
+  if (domain.numbers.length > 0 && !(universe && universe.numbers.length === 0)) {
+    const isAll = domain.numbers.length === 1 && domain.numbers[0].lo === -Infinity && domain.numbers[0].hi === Infinity;
+    if (!isAll) parts.push(...domain.numbers.map(iv => describeInterval(field, iv)));
+  }
+  const values = describeValues(field, domain.values);
+  if (values) parts.push(values);
+  return parts.length > 1 ? `(${parts.join(' or ')})` : parts[0] ?? '';
+}
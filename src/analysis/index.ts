@@ -0,0 +1,18 @@
+export { RuleAnalyzer } from './RuleAnalyzer';
+export { CoverageAnalyzer, inferSchema } from './CoverageAnalyzer';
+export { CounterfactualExplainer } from './CounterfactualExplainer';
+export { regionOf, sampleFacts, RegionLimitError } from './Region';
+export type { RuleAnalyzerOptions } from './RuleAnalyzer';
+export type { CoverageAnalyzerOptions } from './CoverageAnalyzer';
+export type { CounterfactualExplainerOptions } from './CounterfactualExplainer';
+export type { Region, RegionOptions, Box, FieldDomain, Interval, Scalar } from './Region';
+export type {
+  RuleAnalysis,
+  RuleOverlap,
+  ShadowedRule,
+  ContradictoryRule,
+  CoverageGap,
+  CoverageReport,
+  Counterfactual,
+  FactChange,
+} from './types';
@@ -0,0 +1,76 @@
+import { Conflict, Decision, Rule } from '../types';
+import { FactSchema } from '../FactSchema';
+
+/** Two rules with different actions that can match the same facts. */
+export interface RuleOverlap extends Conflict {
+  /** Facts matched by both rules (opaque sub-expressions such as calls are omitted) */
+  example: Record<string, unknown>;
+}
+
+/** A rule that never fires because higher-priority rules cover it. */
+export interface ShadowedRule {
+  rule: Rule;
+  /** Higher-priority rules that together match everything `rule` matches */
+  shadowedBy: Rule[];
+  description: string;
+}
+
+/** A rule whose condition no facts can satisfy. */
+export interface ContradictoryRule {
+  rule: Rule;
+  description: string;
+}
+
+export interface RuleAnalysis {
+  overlaps: RuleOverlap[];
+  shadowed: ShadowedRule[];
+  contradictions: ContradictoryRule[];
+  /** Rules skipped because their condition is invalid or too complex */
+  unanalyzed: Rule[];
+}
+
+/** A region of the fact space that no rule matches. */
+export interface CoverageGap {
+  /** Readable constraints, e.g. `amount between 500000 and 1000000 and country !== "AE"` */
+  description: string;
+  /** Facts inside the gap — evaluating them falls through to the default REVIEW */
+  sample: Record<string, unknown>;
+  /** Conditions on opaque sub-expressions (calls, string operators) the sample cannot set */
+  conditions: string[];
+}
+
+export interface CoverageReport {
+  /** True when every fact combination in the schema's domains is decided by some rule */
+  complete: boolean;
+  gaps: CoverageGap[];
+  /** More gaps exist than `maxGaps`, or the rule set was too complex to analyze */
+  truncated: boolean;
+  /** The schema the universe was built from (declared or inferred) */
+  schema: FactSchema;
+  /** Rules skipped because their condition is invalid or too complex */
+  unanalyzed: Rule[];
+}
+
+/** One fact that would have to change. */
+export interface FactChange {
+  /** Dot-notation fact name */
+  field: string;
+  /** Actual value (undefined when missing) */
+  from: unknown;
+  /** Closest value satisfying `constraint` */
+  to: unknown;
+  /** What the new value must satisfy, e.g. `amount <= 750000` */
+  constraint: string;
+}
+
+/** A minimal set of fact changes that would yield a different result. */
+export interface Counterfactual {
+  result: Decision['result'];
+  /** Rule that would decide; null when the facts would match no rule */
+  rule: Rule | null;
+  changes: FactChange[];
+  /** Conditions on opaque sub-expressions (calls, string operators) that would also have to change */
+  conditions: string[];
+  /** e.g. `{ en: 'amount <= 750000 would yield APPROVED', ar: 'لو كان amount <= 750000 لكانت النتيجة موافقة (APPROVED)' }` */
+  text: { en: string; ar: string };
+}
@@ -1,19 +1,78 @@
-export { RuleEngine } from './RuleEngine';
-export { ExpressionEvaluator, evaluateExpression } from './ExpressionEvaluator';
-export { AuditLogger } from './AuditLogger';
+export { RuleEngine, RuleValidationError, DerivationCycleError } from './RuleEngine';
+export { ExpressionEvaluator, evaluateExpression, formatTraceStep } from './ExpressionEvaluator';
+export { createBuiltinFunctions } from './ExpressionFunctions';
+export { parseExpression } from './ExpressionParser';
+export { ExpressionError, formatDiagnostic } from './ExpressionDiagnostics';
+export { RuleSet, RuleSetError, hashRules, compareVersions } from './RuleSet';
+export { RuleIndex } from './RuleIndex';
+export { rulesFromCSV, rulesToCSV, rulesFromDMN, rulesToDMN, DecisionTableError } from './DecisionTable';
+export { validateFacts, typeCheckExpression, FactValidationError } from './FactSchema';
+export { AuditLogger, LegalHoldError } from './AuditLogger';
+export { verifyCheckpoint, verifyInclusionProof, merkleRoot, auditEntryHash } from './AuditCheckpoint';
+export { AggregateStore, parseWindow } from './AggregateStore';
+export { Backtester } from './Backtester';
+export { ShadowEvaluator } from './ShadowEvaluator';
+export { RuleTestRunner, toJUnitXML, formatTrace } from './RuleTestRunner';
 export { PolicyParser } from './PolicyParser';
-export { MizanAgent } from './MizanAgent';
+export { MizanAgent, ObligationError } from './MizanAgent';
 export { ToolRegistry } from './ToolRegistry';
 export { MemoryModule } from './MemoryModule';
 export { config } from './config';
 export { OpenAIAdapter, AnthropicAdapter, MockAdapter, autoDetectAdapter } from './adapters';
 export { webSearchTool, calculatorTool, dateTimeTool, httpTool, fileReaderTool } from './tools';
 export { UAEComplianceLayer, PDPLChecker, AIEthicsGuardrails, NESAControls, DubaiAILawChecker } from './compliance';
+export { RuleAnalyzer, CoverageAnalyzer, CounterfactualExplainer, inferSchema, regionOf, sampleFacts, RegionLimitError } from './analysis';
 export { RAGEngine } from './RAGEngine';
 export { SessionMemory } from './SessionMemory';
-export type { Rule, Decision, AuditEntry, Conflict, AgentResponse, LLMAdapter } from './types';
+export type { RuleEngineOptions, RuleDiagnostics, EvaluateOptions, ResolutionStrategy } from './RuleEngine';
+export type { ExpressionEvaluatorOptions, Truth, TruthResult, TruthExplanation, TraceStep } from './ExpressionEvaluator';
+export type { ExpressionFunction, Clock, EvaluationContext } from './ExpressionFunctions';
+export type { ExprNode } from './ExpressionParser';
+export type { ExpressionDiagnostic, ExpressionValidationResult, DiagnosticKind } from './ExpressionDiagnostics';
+export type { RuleSetMetadata, RuleSetVersion, RuleSetJSON } from './RuleSet';
+export type { RuleIndexStats } from './RuleIndex';
+export type { DecisionTableCSVOptions, DMNImportOptions, DMNExportOptions } from './DecisionTable';
+export type { FactSchema, FieldSchema, FactType, FactIssue, FactValidationResult } from './FactSchema';
+export type { AuditLoggerOptions, AuditSegment, AuditManifest, AuditRetentionResult } from './AuditLogger';
+export type { AuditCheckpoint, AuditInclusionProof, MerkleStep } from './AuditCheckpoint';
+export type { AggregateStoreOptions, AggregateFilter } from './AggregateStore';
+export type { ObligationHandler } from './MizanAgent';
+export type {
+  Rule,
+  Obligation,
+  DecisionObligation,
+  Decision,
+  RuleTrace,
+  DerivationRule,
+  DerivationTrace,
+  ScoringRule,
+  ScoreContribution,
+  ScorecardResult,
+  AuditEntry,
+  Conflict,
+  AgentResponse,
+  LLMAdapter,
+} from './types';
+export type { BacktesterOptions, BacktestReport, BacktestFlip, BacktestRuleImpact } from './Backtester';
+export type { RuleTestCase, RuleTestCaseResult, RuleTestReport } from './RuleTestRunner';
+export type { ShadowEvaluatorOptions, ShadowDivergence, ShadowRuleStats, ShadowStats } from './ShadowEvaluator';
 export type { Tool, ToolResult } from './ToolRegistry';
 export type { MemoryEntry } from './MemoryModule';
 export type { UAEComplianceConfig, UAEComplianceReport, ComplianceCheck, UAEFramework } from './compliance';
+export type {
+  RuleAnalyzerOptions,
+  RuleAnalysis,
+  RuleOverlap,
+  ShadowedRule,
+  ContradictoryRule,
+  CoverageAnalyzerOptions,
+  CoverageGap,
+  CoverageReport,
+  CounterfactualExplainerOptions,
+  Counterfactual,
+  FactChange,
+  Region,
+  RegionOptions,
+} from './analysis';
 export type { RagDocument, RagChunk, RagSearchResult, RagAnswer, RagIngestResult } from './RAGEngine';
 export type { Session, MemoryMessage } from './SessionMemory';
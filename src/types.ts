@@ -1,4 +1,25 @@
 import type { UAEComplianceReport } from './compliance';
+import type { TraceStep } from './ExpressionEvaluator';
+
+/**
+ * Something that must happen (obligation) or is recommended (advice) when a
+ * rule contributes to a decision, e.g.
+ * `{ id: 'notify-compliance', description: 'Notify the compliance officer', params: { withinHours: 24 } }`.
+ */
+export interface Obligation {
+  id: string;
+  description?: string;
+  params?: Record<string, unknown>;
+}
+
+/** An obligation or advice on a decision, with the rules that asked for it. */
+export interface DecisionObligation extends Obligation {
+  ruleIds: string[];
+  /** Set by `MizanAgent` when an obligation handler ran */
+  fulfilled?: boolean;
+  /** Why the handler failed, when it threw */
+  error?: string;
+}
 
 export interface Rule {
   id: string;
@@ -9,14 +30,116 @@ export interface Rule {
   priority: number;
   /** Optional custom score override (0–100). Defaults: APPROVED=85, REJECTED=15, REVIEW=50 */
   score?: number;
+  /** Relative weight under the 'weighted' resolution strategy. Default: 1 */
+  weight?: number;
+  /** Set to false to keep the rule loaded but never evaluate it. Default: true */
+  active?: boolean;
+  /** Named group, switched on and off together with `RuleEngine.enableGroup` / `disableGroup` */
+  group?: string;
+  /** ISO date/time the rule takes effect (inclusive) */
+  validFrom?: string;
+  /** ISO date/time the rule stops applying (exclusive) */
+  validTo?: string;
+  /** Must be fulfilled when this rule contributes to the decision */
+  obligations?: Obligation[];
+  /** Recommended, not enforced, when this rule contributes to the decision */
+  advice?: Obligation[];
+}
+
+/**
+ * A forward-chaining rule that classifies rather than decides: when
+ * `condition` holds, the facts in `set` are assigned (e.g. `{ riskTier: 'HIGH' }`)
+ * before decision rules run.
+ */
+export interface DerivationRule {
+  id: string;
+  name: string;
+  condition: string;
+  /** Facts to assign, by top-level name */
+  set: Record<string, string | number | boolean | null>;
+  /** Lower runs first within each pass. Default: 0 */
+  priority?: number;
+}
+
+/** A derivation that fired while deriving facts. */
+export interface DerivationTrace {
+  ruleId: string;
+  ruleName: string;
+  /** Facts the derivation changed */
+  assigned: Record<string, unknown>;
+  /** Sub-expression values of the condition — only with `{ explain: true }` */
+  steps?: TraceStep[];
+}
+
+/**
+ * A scorecard line: when `condition` holds, `points` (negative to subtract)
+ * are added to the score. Used when no decision rule matches.
+ */
+export interface ScoringRule {
+  id: string;
+  name: string;
+  condition: string;
+  points: number;
+}
+
+/** What one scoring rule contributed to a scorecard total. */
+export interface ScoreContribution {
+  ruleId: string;
+  ruleName: string;
+  outcome: 'matched' | 'not-matched' | 'unknown' | 'error';
+  /** Points added — 0 unless matched */
+  points: number;
+}
+
+export interface ScorecardResult {
+  base: number;
+  total: number;
+  thresholds: { approve: number; reject: number };
+  /** Every scoring rule, in load order */
+  contributions: ScoreContribution[];
+}
+
+/** How one rule fared during an explained evaluation. */
+export interface RuleTrace {
+  ruleId: string;
+  ruleName: string;
+  priority: number;
+  condition: string;
+  outcome: 'matched' | 'not-matched' | 'unknown' | 'error';
+  /** Sub-expression values, innermost first */
+  steps: TraceStep[];
+  missingFacts?: string[];
+  error?: string;
 }
 
 export interface Decision {
   result: 'APPROVED' | 'REJECTED' | 'REVIEW';
   matchedRule: Rule | null;
+  /** Every rule that matched, in priority order (first-match stops at the first) */
+  matchedRules?: Rule[];
   reason: string;
   score: number;
   auditId: string;
+  /** Facts that were missing for rules that could not be decided (omitted when none) */
+  missingFacts?: string[];
+  /** Content hash of the rules in force (see `RuleSet`) */
+  ruleSetHash?: string;
+  /** Published `RuleSet` version in force, when loaded with `loadRuleSet()` */
+  ruleSetVersion?: string;
+  /**
+   * Obligations of the rules that produced the result, deduplicated by id and
+   * params (omitted when none)
+   */
+  obligations?: DecisionObligation[];
+  advice?: DecisionObligation[];
+  /** Per-rule breakdown when the scorecard decided (no decision rule matched) */
+  scorecard?: ScorecardResult;
+  /** Facts assigned by derivation rules (omitted when none fired) */
+  derivedFacts?: Record<string, unknown>;
+  /** Derivations that fired, in order — only with `evaluate(facts, { explain: true })` */
+  derivations?: DerivationTrace[];
+  /** Every rule tested, in order — only with `evaluate(facts, { explain: true })` */
+  trace?: RuleTrace[];
   complianceReport?: UAEComplianceReport;
 }
 
@@ -26,6 +149,13 @@ export interface AuditEntry {
   input: Record<string, unknown>;
   output: Decision;
   rule: Rule | null;
+  /** Content hash and version of the rules that produced the decision */
+  ruleSetHash?: string;
+  ruleSetVersion?: string;
+  /** Obligations of the decision, with fulfilment status when a handler ran */
+  obligations?: DecisionObligation[];
+  /** Decision trace, when the decision was explained (covered by the hash) */
+  trace?: RuleTrace[];
   hash: string;
   previousHash: string;
   compliance?: UAEComplianceReport;
@@ -0,0 +1,102 @@
+const { AggregateStore, AuditLogger, RuleEngine, parseWindow } = require('../dist');
+const path = require('path');
+const fs = require('fs');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+const ago = hours => new Date(NOW.getTime() - hours * HOUR);
+
+describe('AggregateStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AggregateStore({ keys: ['customerId', 'account.id'], clock: () => NOW });
+    store
+      .record({ customerId: 'C1', account: { id: 'A1' }, amount: 300000, result: 'REJECTED' }, ago(30))
+      .record({ customerId: 'C1', account: { id: 'A1' }, amount: 150000, result: 'APPROVED' }, ago(20))
+      .record({ customerId: 'C1', account: { id: 'A2' }, amount: 100000, result: 'REJECTED' }, ago(2))
+      // Arrives late, out of order
+      .record({ customerId: 'C1', account: { id: 'A1' }, amount: 'n/a', result: 'REJECTED' }, ago(10))
+      .record({ customerId: 'C2', amount: 5 }, ago(1));
+  });
+
+  test('count, sum and avg over sliding windows per key', () => {
+    expect(store.count('customerId', 'C1', '24h')).toBe(3);
+    expect(store.count('customerId', 'C1', '7d')).toBe(4);
+    expect(store.count('customerId', 'C1', '24h', { result: 'REJECTED' })).toBe(2);
+    expect(store.count('customerId', 'C3', '24h')).toBe(0);
+    // Non-numeric amounts are skipped
+    expect(store.sum('amount', 'account.id', 'A1', '7d')).toBe(450000);
+    expect(store.avg('amount', 'customerId', 'C1', '7d')).toBeCloseTo(550000 / 3);
+    expect(store.avg('amount', 'customerId', 'C1', '1h')).toBe(0);
+    // Windows end at `now`: later events are not seen
+    expect(store.count('customerId', 'C1', '24h', undefined, ago(12))).toBe(2);
+    expect(store.size('customerId')).toBe(5);
+    expect(store.size('account.id')).toBe(4);
+  });
+
+  test('windows and keys are validated', () => {
+    expect(parseWindow('90s')).toBe(90000);
+    expect(parseWindow('2w')).toBe(14 * 24 * HOUR);
+    expect(parseWindow(1500)).toBe(1500);
+    expect(() => parseWindow('soon')).toThrow(TypeError);
+    expect(() => store.count('email', 'x', '1h')).toThrow('"email" is not a key of this AggregateStore');
+    expect(() => new AggregateStore({ keys: [] })).toThrow('at least one key field');
+  });
+
+  test('events past retention are dropped', () => {
+    let now = NOW;
+    const short = new AggregateStore({ keys: ['customerId'], clock: () => now, retention: '1d' });
+    short.record({ customerId: 'C1' }, ago(30)).record({ customerId: 'C1' }, ago(5));
+    expect(short.size()).toBe(1);
+    now = new Date(NOW.getTime() + 20 * HOUR);
+    expect(short.prune().size()).toBe(0);
+  });
+
+  test('rule conditions query the store as of the evaluation moment', () => {
+    const engine = new RuleEngine({ clock: () => NOW });
+    engine.useAggregates(store);
+    engine.loadRules([
+      { id: 'VEL', name: 'Velocity', condition: 'count("customerId", customerId, "24h", "result", "REJECTED") >= 2', action: 'REJECTED', reason: 'Repeated rejections', priority: 1 },
+      { id: 'VOL', name: 'Volume', condition: 'sum("amount", "account.id", account.id, "7d") + amount > 500000', action: 'REVIEW', reason: 'Weekly volume', priority: 2 },
+      { id: 'OK', name: 'OK', condition: 'true', action: 'APPROVED', reason: 'ok', priority: 3 },
+    ]);
+    expect(engine.evaluate({ customerId: 'C1', account: { id: 'A1' }, amount: 10 }).matchedRule.id).toBe('VEL');
+    expect(engine.evaluate({ customerId: 'C2', account: { id: 'A1' }, amount: 60000 }).matchedRule.id).toBe('VOL');
+    expect(engine.evaluate({ customerId: 'C2', account: { id: 'A9' }, amount: 60000 }).matchedRule.id).toBe('OK');
+    // Replaying yesterday: the recent rejection had not happened yet
+    const past = engine.evaluate({ customerId: 'C1', account: { id: 'A9' }, amount: 10 }, { asOf: ago(12) });
+    expect(past.matchedRule.id).toBe('OK');
+  });
+
+  test('bad aggregate arguments fail the condition', () => {
+    const engine = new RuleEngine({ clock: () => NOW, strict: true });
+    engine.useAggregates(store);
+    engine.loadRules([{ id: 'BAD', name: 'Bad', condition: 'count("customerId", customerId, "later") > 1', action: 'REVIEW', reason: 'x', priority: 1 }]);
+    expect(() => engine.evaluate({ customerId: 'C1' })).toThrow('Invalid window');
+  });
+
+  describe('fed from an AuditLogger', () => {
+    const file = path.join(__dirname, '..', 'data', 'test-aggregate-audit.jsonl');
+    afterAll(() => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    test('logged decisions become events', () => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+      const logger = new AuditLogger(file);
+      const live = new AggregateStore({ keys: ['customerId'] });
+      const decision = result => ({ result, matchedRule: null, reason: 'x', score: 10, auditId: `a-${Math.random()}` });
+
+      logger.log(decision('REJECTED'), { customerId: 'C9', amount: 100 });
+      live.recordAudit(logger.getEntries());
+      const stop = live.follow(logger);
+      logger.log(decision('REJECTED'), { customerId: 'C9', amount: 200 });
+      stop();
+      logger.log(decision('REJECTED'), { customerId: 'C9', amount: 400 });
+
+      expect(live.count('customerId', 'C9', '1h', { result: 'REJECTED' })).toBe(2);
+      expect(live.sum('amount', 'customerId', 'C9', '1h')).toBe(300);
+    });
+  });
+});
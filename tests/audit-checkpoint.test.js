@@ -0,0 +1,240 @@
+const { AuditLogger, verifyCheckpoint, verifyInclusionProof, merkleRoot, auditEntryHash } = require('../dist');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+describe('Audit checkpoints', () => {
+  const dir = path.join(__dirname, '..', 'data', 'test-audit-checkpoints');
+  const file = path.join(dir, 'audit.jsonl');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  const decision = result => ({ result, matchedRule: null, reason: 'ok', score: 50 });
+  let n = 0;
+  const log = (logger, customerId) => logger.log({ ...decision('APPROVED'), auditId: `e-${++n}` }, { customerId, amount: n * 100 });
+
+  beforeEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('every batch of entries is signed under a Merkle root, checkpoints chained', () => {
+    const logger = new AuditLogger({ filePath: file, checkpoint: { privateKey, every: 4 } });
+    const entries = Array.from({ length: 10 }, (_, i) => log(logger, `C${i}`));
+
+    let checkpoints = logger.getCheckpoints();
+    expect(checkpoints.map(c => [c.seq, c.size])).toEqual([[1, 4], [2, 4]]);
+    expect(checkpoints[0]).toMatchObject({
+      firstHash: entries[0].hash,
+      lastHash: entries[3].hash,
+      root: merkleRoot(entries.slice(0, 4).map(e => e.hash)),
+      previousCheckpoint: '0'.repeat(64),
+      algorithm: 'Ed25519',
+    });
+    expect(checkpoints[1].previousCheckpoint).not.toBe('0'.repeat(64));
+    expect(verifyCheckpoint(checkpoints[1], publicPem)).toBe(true);
+    expect(verifyCheckpoint({ ...checkpoints[1], size: 5 }, publicPem)).toBe(false);
+
+    expect(logger.checkpoint()).toMatchObject({ seq: 3, size: 2, lastHash: entries[9].hash });
+    expect(logger.checkpoint()).toBeUndefined();
+    expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+  });
+
+  test('one decision is proven against its checkpoint without other entries', () => {
+    const logger = new AuditLogger({ filePath: file, checkpoint: { privateKey, every: 7 } });
+    // Ids with a '-' cannot turn up inside hex hashes or base64 signatures
+    const entries = Array.from({ length: 7 }, (_, i) => log(logger, `cust-${i}`));
+
+    for (const entry of entries) {
+      const proof = logger.proveEntry(entry.id);
+      expect(verifyInclusionProof(JSON.parse(JSON.stringify(proof)), publicPem)).toBe(true);
+    }
+
+    const proof = logger.proveEntry(entries[4].id);
+    expect(proof.index).toBe(4);
+    const text = JSON.stringify(proof);
+    for (const other of entries.filter(e => e !== entries[4])) expect(text).not.toContain(other.input.customerId);
+    expect(auditEntryHash(proof.entry)).toBe(entries[4].hash);
+
+    // Altered decision, shifted position, forged sibling or another signer
+    expect(verifyInclusionProof({ ...proof, entry: { ...proof.entry, input: { ...proof.entry.input, amount: 1 } } }, publicPem)).toBe(false);
+    expect(verifyInclusionProof({ ...proof, index: 5 }, publicPem)).toBe(false);
+    expect(verifyInclusionProof({ ...proof, path: [{ ...proof.path[0], hash: 'ab'.repeat(32) }, ...proof.path.slice(1)] }, publicPem)).toBe(false);
+    const other = crypto.generateKeyPairSync('ed25519').publicKey;
+    expect(verifyInclusionProof(proof, other)).toBe(false);
+
+    expect(() => logger.proveEntry('nope')).toThrow('not covered by a checkpoint');
+  });
+
+  test('checkpointing resumes after a restart and spans rotated segments', () => {
+    const options = { filePath: file, rotation: { maxBytes: 2000 }, checkpoint: { privateKey, every: 5 } };
+    let logger = new AuditLogger(options);
+    for (let i = 0; i < 7; i++) log(logger, `A${i}`);
+
+    logger = new AuditLogger(options);
+    const entries = Array.from({ length: 3 }, (_, i) => log(logger, `B${i}`));
+    const checkpoints = logger.getCheckpoints();
+    expect(checkpoints.map(c => [c.seq, c.size])).toEqual([[1, 5], [2, 5]]);
+    expect(checkpoints[1].lastHash).toBe(entries[2].hash);
+    expect(logger.getManifest().segments.length).toBeGreaterThan(0);
+    expect(verifyInclusionProof(logger.proveEntry(entries[0].id), publicKey)).toBe(true);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+
+    // Rewriting an entry (and its hash) breaks the checkpoint's root
+    const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+    const last = JSON.parse(lines[lines.length - 1]);
+    last.input.amount = 1;
+    last.hash = auditEntryHash(last);
+    lines[lines.length - 1] = JSON.stringify(last);
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    expect(logger.verifyCheckpoints(publicKey)).toBe(false);
+  });
+
+  test('entries of a checkpoint missing from disk fail verification', () => {
+    const logger = new AuditLogger({ filePath: file, checkpoint: { privateKey, every: 3 } });
+    for (let i = 0; i < 9; i++) log(logger, `C${i}`);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+    const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+    const keep = kept => fs.writeFileSync(file, kept.join('\n') + '\n');
+
+    // The whole second batch
+    keep([...lines.slice(0, 3), ...lines.slice(6)]);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(false);
+    // Only the first entry of the second batch
+    keep([...lines.slice(0, 3), ...lines.slice(4)]);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(false);
+    // The last batch
+    keep(lines.slice(0, 6));
+    expect(logger.verifyCheckpoints(publicKey)).toBe(false);
+    // An entry altered without touching its stored hash
+    keep([...lines.slice(0, 4), lines[4].replace('"C4"', '"C9"'), ...lines.slice(5)]);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(false);
+
+    keep(lines);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+  });
+
+  test('checkpoints over segments deleted by retention are bridged by the manifest', () => {
+    let now = new Date('2026-01-01T10:00:00Z');
+    const logger = new AuditLogger({ filePath: file, clock: () => now, rotation: { every: 'day' }, checkpoint: { privateKey, every: 2 } });
+    for (let day = 1; day <= 3; day++) {
+      now = new Date(`2026-01-0${day}T10:00:00Z`);
+      for (let i = 0; i < 3; i++) log(logger, `D${day}-${i}`);
+    }
+    logger.checkpoint();
+    expect(logger.getCheckpoints().map(c => c.size)).toEqual([2, 2, 2, 2, 1]);
+
+    // Day 1 holds the first checkpoint and half of the second
+    logger.deleteSegment(1);
+    expect(logger.verifyFull()).toBe(true);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+
+    logger.deleteSegment(2);
+    expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+  });
+
+  describe('after retention deleted segments', () => {
+    let now;
+    const options = { filePath: file, clock: () => now, rotation: { every: 'day' } };
+    const keyed = { ...options, checkpoint: { privateKey } };
+    const onDay = (logger, day, count) => {
+      now = new Date(`2026-01-0${day}T10:00:00Z`);
+      return Array.from({ length: count }, (_, i) => log(logger, `D${day}-${i}`));
+    };
+
+    test('checkpointing turned on later starts at the retained range', () => {
+      const logger = new AuditLogger(options);
+      onDay(logger, 1, 2);
+      const day2 = onDay(logger, 2, 2);
+      onDay(logger, 3, 1);
+      logger.deleteSegment(1);
+
+      const checkpointing = new AuditLogger(keyed);
+      expect(checkpointing.checkpoint()).toMatchObject({ seq: 1, size: 3, firstHash: day2[0].hash });
+      expect(checkpointing.verifyCheckpoints(publicKey)).toBe(true);
+      checkpointing.deleteSegment(2);
+      expect(checkpointing.verifyCheckpoints(publicKey)).toBe(true);
+    });
+
+    test('a first batch never spans a deleted segment, even one after a held segment', () => {
+      const logger = new AuditLogger(options);
+      onDay(logger, 1, 2);
+      onDay(logger, 2, 2);
+      const day3 = onDay(logger, 3, 1);
+      logger.setLegalHold(true, { segment: 1 });
+      logger.deleteSegment(2);
+
+      const checkpointing = new AuditLogger(keyed);
+      expect(checkpointing.checkpoint()).toMatchObject({ size: 1, firstHash: day3[0].hash });
+      expect(checkpointing.verifyCheckpoints(publicKey)).toBe(true);
+    });
+
+    test('checkpointing resumes after the last checkpointed entry was deleted', () => {
+      let logger = new AuditLogger(keyed);
+      onDay(logger, 1, 3);
+      logger.checkpoint();
+      const pending = onDay(logger, 2, 2);
+      // Retention run by a process without the key
+      new AuditLogger(options).deleteSegment(1);
+
+      logger = new AuditLogger(keyed);
+      expect(logger.checkpoint()).toMatchObject({ seq: 2, size: 2, firstHash: pending[0].hash });
+      expect(logger.verifyCheckpoints(publicKey)).toBe(true);
+    });
+
+    test('resuming fails loudly when entries no checkpoint covers were deleted', () => {
+      const restart = () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.mkdirSync(dir, { recursive: true });
+        return new AuditLogger(keyed);
+      };
+      // The last checkpoint ends inside the deleted day
+      let logger = restart();
+      onDay(logger, 1, 2);
+      logger.checkpoint();
+      onDay(logger, 1, 1);
+      onDay(logger, 2, 1);
+      new AuditLogger(options).deleteSegment(1);
+      expect(() => new AuditLogger(keyed)).toThrow('checkpoint 1 ends at an entry missing from disk or inside a deleted segment');
+
+      // The day after the last checkpoint is deleted
+      logger = restart();
+      onDay(logger, 1, 2);
+      logger.checkpoint();
+      onDay(logger, 2, 2);
+      onDay(logger, 3, 1);
+      new AuditLogger(options).deleteSegment(2);
+      expect(() => new AuditLogger(keyed)).toThrow('audit.000002.jsonl was deleted before a checkpoint covered its entries');
+
+      logger = restart();
+      onDay(logger, 1, 2);
+      logger.checkpoint();
+      onDay(logger, 1, 1);
+      onDay(logger, 2, 1);
+      // A logger holding the key signs them before deleting
+      logger.deleteSegment(1);
+      expect(logger.getCheckpoints().map(c => c.size)).toEqual([2, 2]);
+      expect(new AuditLogger(keyed).verifyCheckpoints(publicKey)).toBe(true);
+    });
+
+    test('a missing anchor fails verification', () => {
+      const logger = new AuditLogger(keyed);
+      onDay(logger, 1, 2);
+      logger.checkpoint();
+      const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+      fs.writeFileSync(file, lines[1] + '\n');
+      expect(logger.verifyCheckpoints(publicKey)).toBe(false);
+      fs.writeFileSync(file, '');
+      expect(() => new AuditLogger(keyed)).toThrow('Cannot resume audit checkpoints');
+    });
+  });
+
+  test('checkpoints need an Ed25519 key', () => {
+    const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey;
+    expect(() => new AuditLogger({ filePath: file, checkpoint: { privateKey: rsa } })).toThrow('Ed25519 private key');
+    expect(() => new AuditLogger({ filePath: file }).checkpoint()).toThrow('No checkpoint key');
+  });
+});
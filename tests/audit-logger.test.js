@@ -1,4 +1,4 @@
-const { AuditLogger } = require('../dist/AuditLogger');
+const { AuditLogger, LegalHoldError } = require('../dist/AuditLogger');
 const path = require('path');
 const fs = require('fs');
 
@@ -109,4 +109,163 @@ describe('AuditLogger', () => {
     logger.log(mockDecision, { x: 2 });
     expect(logger.verifyFull()).toBe(true);
   });
+
+  test('explained decisions store the trace on the entry and the hash covers it', () => {
+    const trace = [{
+      ruleId: 'R1', ruleName: 'Test', priority: 1, condition: 'score >= 80', outcome: 'not-matched',
+      steps: [{ expression: 'score >= 80', evaluated: '72 >= 80', result: 'false' }],
+    }];
+    const entry = logger.log({ ...mockDecision, trace }, { score: 72 });
+    expect(entry.trace).toEqual(trace);
+    expect(entry.output.trace).toBeUndefined();
+    expect(logger.verifyFull()).toBe(true);
+
+    const line = JSON.parse(fs.readFileSync(testFile, 'utf-8').trim());
+    line.trace[0].outcome = 'matched';
+    fs.writeFileSync(testFile, JSON.stringify(line) + '\n');
+    expect(logger.verifyFull()).toBe(false);
+  });
+  test('entries carry the rule-set hash and version, covered by the hash', () => {
+    const entry = logger.log({ ...mockDecision, ruleSetHash: 'a'.repeat(64), ruleSetVersion: '1.2.0' }, { x: 1 });
+    expect(entry.ruleSetHash).toBe('a'.repeat(64));
+    expect(entry.ruleSetVersion).toBe('1.2.0');
+    expect(logger.verifyFull()).toBe(true);
+
+    const line = JSON.parse(fs.readFileSync(testFile, 'utf-8').trim());
+    line.ruleSetVersion = '1.1.0';
+    fs.writeFileSync(testFile, JSON.stringify(line) + '\n');
+    expect(logger.verifyFull()).toBe(false);
+  });
+});
+
+describe('AuditLogger segments', () => {
+  const dir = path.join(__dirname, '..', 'data', 'test-audit-segments');
+  const file = path.join(dir, 'audit.jsonl');
+  const decision = { result: 'APPROVED', matchedRule: null, reason: 'ok', score: 85 };
+  let now;
+  const clock = () => now;
+  const at = iso => { now = new Date(iso); };
+
+  beforeEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    at('2026-01-01T10:00:00Z');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('size-based rotation keeps one hash chain across segments', () => {
+    const logger = new AuditLogger({ filePath: file, clock, rotation: { maxBytes: 1200 } });
+    const entries = Array.from({ length: 8 }, (_, i) => logger.log(decision, { n: i, pad: 'x'.repeat(200) }));
+
+    const { segments } = logger.getManifest();
+    expect(segments.length).toBeGreaterThan(1);
+    expect(segments[0]).toMatchObject({ seq: 1, file: 'audit.000001.jsonl', previousHash: '0'.repeat(64), firstHash: entries[0].hash, status: 'closed' });
+    segments.forEach((segment, i) => {
+      expect(segment.bytes).toBeLessThanOrEqual(1200);
+      if (i > 0) expect(segment.previousHash).toBe(segments[i - 1].lastHash);
+    });
+    expect(fs.statSync(file).size).toBeLessThanOrEqual(1200);
+    expect(logger.verifyFull()).toBe(true);
+
+    const reader = new AuditLogger({ filePath: file });
+    expect(reader.queryFromDisk().map(e => e.input.n)).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    // A restarted logger continues the chain from the active file
+    expect(reader.log(decision).previousHash).toBe(entries[7].hash);
+    expect(new AuditLogger(file, true).size()).toBe(9);
+  });
+
+  test('date-based rotation starts a segment per day, chained after a restart', () => {
+    let logger = new AuditLogger({ filePath: file, clock, rotation: { every: 'day' } });
+    logger.log(decision, { n: 1 });
+    logger.log(decision, { n: 2 });
+    at('2026-01-02T09:00:00Z');
+    const third = logger.log(decision, { n: 3 });
+    expect(logger.getManifest().segments.map(s => [s.startedAt, s.entries])).toEqual([['2026-01-01T10:00:00.000Z', 2]]);
+
+    at('2026-01-03T09:00:00Z');
+    logger = new AuditLogger({ filePath: file, clock, rotation: { every: 'day' } });
+    expect(logger.log(decision, { n: 4 }).previousHash).toBe(third.hash);
+    expect(logger.getManifest().segments).toHaveLength(2);
+    expect(logger.verifyFull()).toBe(true);
+  });
+
+  test('tampering inside a closed segment or with the manifest fails verification', () => {
+    const logger = new AuditLogger({ filePath: file, clock, rotation: { every: 'hour' } });
+    for (let h = 10; h < 13; h++) {
+      at(`2026-01-01T${h}:00:00Z`);
+      logger.log(decision, { h });
+    }
+    expect(logger.verifyFull()).toBe(true);
+
+    const manifestFile = path.join(dir, 'audit.manifest.json');
+    const manifest = fs.readFileSync(manifestFile, 'utf-8');
+    fs.writeFileSync(manifestFile, manifest.replace(/"entries": 1/, '"entries": 2'));
+    expect(logger.verifyFull()).toBe(false);
+    fs.writeFileSync(manifestFile, manifest);
+
+    const segment = path.join(dir, 'audit.000001.jsonl');
+    fs.writeFileSync(segment, fs.readFileSync(segment, 'utf-8').replace('"h":10', '"h":11'));
+    expect(logger.verifyFull()).toBe(false);
+  });
+
+  test('retention archives, compresses and deletes old segments, except under legal hold', () => {
+    const logger = new AuditLogger({
+      filePath: file,
+      clock,
+      rotation: { every: 'day' },
+      retention: { archiveAfter: '2d', compress: true, deleteAfter: '5d' },
+    });
+    for (let day = 1; day <= 4; day++) {
+      at(`2026-01-0${day}T${day < 4 ? 10 : "09"}:00:00Z`);
+      logger.log(decision, { day });
+    }
+    // Rotating on day 4 archived day 1
+    expect(logger.getManifest().segments.map(s => s.status)).toEqual(['archived', 'closed', 'closed']);
+    expect(fs.existsSync(path.join(dir, 'archive', 'audit.000001.jsonl.gz'))).toBe(true);
+    expect(fs.existsSync(path.join(dir, 'audit.000001.jsonl'))).toBe(false);
+    expect(logger.queryFromDisk().map(e => e.input.day)).toEqual([1, 2, 3, 4]);
+
+    logger.setLegalHold(true, { segment: 1 });
+    at('2026-01-08T09:00:00Z');
+    expect(logger.applyRetention()).toEqual({
+      archived: ['archive/audit.000003.jsonl.gz'],
+      deleted: ['audit.000002.jsonl'],
+      held: ['archive/audit.000001.jsonl.gz'],
+    });
+    expect(() => logger.deleteSegment(1)).toThrow(LegalHoldError);
+
+    logger.setLegalHold(true, { reason: 'Case 2026-17' });
+    expect(() => logger.deleteSegment(3)).toThrow('under legal hold');
+    expect(logger.getManifest()).toMatchObject({ legalHold: true, legalHoldReason: 'Case 2026-17' });
+    logger.setLegalHold(false);
+    logger.deleteSegment(3);
+
+    // Deleted segments are bridged by their manifest hashes
+    expect(logger.queryFromDisk().map(e => e.input.day)).toEqual([1, 4]);
+    expect(logger.verifyFull()).toBe(true);
+  });
+
+  test('an entry is still written when retention fails during rotation', () => {
+    // A file where the archive directory should be makes every archive attempt throw
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'archive'), '');
+    const logger = new AuditLogger({
+      filePath: file,
+      clock,
+      rotation: { every: 'day' },
+      retention: { archiveAfter: '1ms' },
+    });
+    logger.log(decision, { day: 1 });
+    at('2026-01-02T09:00:00Z');
+    logger.log(decision, { day: 2 });
+    at('2026-01-03T09:00:00Z');
+    logger.log(decision, { day: 3 });
+
+    expect(() => logger.applyRetention()).toThrow();
+    expect(logger.getManifest().segments.map(s => s.status)).toEqual(['closed', 'closed']);
+    expect(new AuditLogger({ filePath: file }).queryFromDisk().map(e => e.input.day)).toEqual([1, 2, 3]);
+    expect(logger.verifyFull()).toBe(true);
+  });
 });
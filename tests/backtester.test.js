@@ -0,0 +1,97 @@
+const { Backtester, RuleEngine, AuditLogger } = require('../dist');
+const path = require('path');
+const fs = require('fs');
+
+const rule = (id, condition, action = 'APPROVED', priority = 1) => ({
+  id, name: id, condition, action, reason: id, priority,
+});
+
+const champion = [
+  rule('BLOCK', 'sanctioned', 'REJECTED', 0),
+  rule('LIMIT', 'amount <= 50000', 'APPROVED', 1),
+];
+const candidateRules = [
+  rule('BLOCK', 'sanctioned', 'REJECTED', 0),
+  rule('LIMIT', 'amount <= 30000', 'APPROVED', 1),
+  rule('MID', 'amount <= 40000', 'REVIEW', 2),
+];
+
+const facts = [
+  { amount: 10000, sanctioned: false },
+  { amount: 35000, sanctioned: false },
+  { amount: 45000, sanctioned: false },
+  { amount: 45000, sanctioned: true },
+  { amount: 90000, sanctioned: false },
+];
+
+describe('Backtester', () => {
+  const auditFile = path.join(__dirname, '..', 'data', 'test-backtest.jsonl');
+  let logger;
+
+  beforeEach(() => {
+    if (fs.existsSync(auditFile)) fs.unlinkSync(auditFile);
+    logger = new AuditLogger(auditFile);
+    const live = new RuleEngine();
+    live.loadRules(champion.map(r => ({ ...r })));
+    for (const f of facts) logger.log(live.evaluate(f), f);
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(auditFile)) fs.unlinkSync(auditFile);
+  });
+
+  function candidate() {
+    const engine = new RuleEngine();
+    engine.loadRules(candidateRules.map(r => ({ ...r })));
+    return engine;
+  }
+
+  test('reports flips, transitions and the approval-rate delta', () => {
+    const report = new Backtester(candidate()).runFromLog(new AuditLogger(auditFile));
+    expect(report).toMatchObject({ total: 5, replayed: 5, flipped: 2, errors: [] });
+    expect(report.transitions).toEqual({ 'APPROVED → REVIEW': 2 });
+    expect(report.approvalRate.before).toBeCloseTo(0.6);
+    expect(report.approvalRate.after).toBeCloseTo(0.2);
+    expect(report.approvalRate.delta).toBeCloseTo(-0.4);
+  });
+
+  test('attributes flips to the candidate rule that now decides', () => {
+    const { byRule } = new Backtester(candidate()).run(logger.getEntries());
+    expect(byRule).toEqual([
+      { ruleId: 'MID', ruleName: 'MID', flips: 1, transitions: { 'APPROVED → REVIEW': 1 } },
+      { ruleId: null, ruleName: null, flips: 1, transitions: { 'APPROVED → REVIEW': 1 } },
+    ]);
+  });
+
+  test('lists example cases up to maxExamples', () => {
+    const { examples } = new Backtester(candidate(), { maxExamples: 1 }).run(logger.getEntries());
+    expect(examples).toHaveLength(1);
+    expect(examples[0]).toMatchObject({
+      input: { amount: 35000, sanctioned: false },
+      before: { result: 'APPROVED', ruleId: 'LIMIT' },
+      after: { result: 'REVIEW', ruleId: 'MID' },
+    });
+  });
+
+  test('replays each entry as of its own timestamp', () => {
+    const engine = new RuleEngine();
+    engine.loadRules([
+      { ...rule('OLD', 'true', 'APPROVED'), validTo: '2020-01-01' },
+      { ...rule('NEW', 'true', 'REJECTED', 2), validFrom: '2020-01-01' },
+    ]);
+    const entries = logger.getEntries().map(e => ({ ...e, timestamp: '2019-06-01T00:00:00.000Z' }));
+    const early = new Backtester(engine).run(entries);
+    expect(early.byRule.map(r => r.ruleId)).toEqual(['OLD']);
+    const late = new Backtester(engine, { asOf: '2026-01-01' }).run(entries);
+    expect(late.approvalRate.after).toBe(0);
+  });
+
+  test('entries the candidate cannot evaluate are reported as errors', () => {
+    const engine = new RuleEngine({ schema: { amount: { type: 'number', required: true, max: 50000 }, sanctioned: { type: 'boolean' } } });
+    engine.loadRules(candidateRules.map(r => ({ ...r })));
+    const report = new Backtester(engine).run(logger.getEntries());
+    expect(report.replayed).toBe(4);
+    expect(report.errors).toHaveLength(1);
+    expect(report.errors[0].entryId).toBe(logger.getEntries()[4].id);
+  });
+});
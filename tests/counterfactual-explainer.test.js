@@ -0,0 +1,132 @@
+const { CounterfactualExplainer, RuleEngine } = require('../dist');
+
+const rule = (id, condition, action = 'APPROVED', priority = 1) => ({
+  id, name: id, condition, action, reason: id, priority,
+});
+
+const rules = [
+  rule('SAN', 'sanctioned === true', 'REJECTED', 1),
+  rule('BIG', 'amount > 750000', 'REJECTED', 2),
+  rule('OK', 'amount <= 750000 && country in ["AE", "SA"]', 'APPROVED', 3),
+];
+
+function engineWith(options) {
+  const engine = new RuleEngine(options);
+  engine.loadRules(rules.map(r => ({ ...r })));
+  return engine;
+}
+
+describe('CounterfactualExplainer', () => {
+  test('finds the single change that flips a rejection', () => {
+    const engine = engineWith();
+    const facts = { amount: 900000, country: 'AE', sanctioned: false };
+    const d = engine.evaluate(facts);
+    expect(d.result).toBe('REJECTED');
+
+    const [best] = engine.counterfactuals(d, facts);
+    expect(best.result).toBe('APPROVED');
+    expect(best.rule.id).toBe('OK');
+    expect(best.changes).toEqual([{ field: 'amount', from: 900000, to: 750000, constraint: 'amount <= 750000' }]);
+    expect(best.text.en).toBe('amount <= 750000 would yield APPROVED');
+    expect(best.text.ar).toBe('لو كان amount <= 750000 لكانت النتيجة موافقة (APPROVED)');
+  });
+
+  test('the suggested facts really produce the counterfactual result', () => {
+    const engine = engineWith();
+    const facts = { amount: 900000, country: 'US', sanctioned: false };
+    const d = engine.evaluate(facts);
+    for (const cf of engine.counterfactuals(d, facts)) {
+      const changed = { ...facts };
+      for (const c of cf.changes) changed[c.field] = c.to;
+      expect(engine.evaluate(changed).result).toBe(cf.result);
+    }
+  });
+
+  test('prefers fewer changes, then smaller ones', () => {
+    const engine = engineWith();
+    const facts = { amount: 900000, country: 'US', sanctioned: false };
+    const list = engine.counterfactuals(engine.evaluate(facts), facts);
+    expect(list.map(c => c.text.en)).toEqual([
+      'amount <= 750000 would yield REVIEW',
+      'amount <= 750000 and country in ["AE", "SA"] would yield APPROVED',
+    ]);
+    expect(list[0].rule).toBeNull();
+  });
+
+  test('higher-priority rules must stop matching too', () => {
+    const engine = engineWith();
+    const facts = { amount: 100, country: 'AE', sanctioned: true };
+    const [best] = engine.counterfactuals(engine.evaluate(facts), facts);
+    expect(best.text.en).toBe('sanctioned === false would yield APPROVED');
+  });
+
+  test('coerced values still match the earlier rules they compare into', () => {
+    const coercing = [
+      rule('ZERO', 'amount <= 0', 'REJECTED', 1),
+      rule('MISSING', 'amount === null', 'REVIEW', 2),
+      rule('OK', 'amount > 0', 'APPROVED', 3),
+    ];
+    const engine = new RuleEngine();
+    engine.loadRules(coercing);
+    const facts = { amount: '500' };
+    const d = engine.evaluate(facts);
+    expect(d.matchedRule.id).toBe('OK');
+
+    // null <= 0, so MISSING never decides; only a non-numeric string falls through
+    const list = new CounterfactualExplainer().explain(coercing, d, facts);
+    expect(list.map(c => c.text.en)).toEqual([
+      'amount not in [null, false, true] and isNaN(amount) would yield REVIEW',
+      'amount === null would yield REJECTED',
+    ]);
+    expect(list.every(c => c.rule === null || c.rule.id !== 'MISSING')).toBe(true);
+    for (const cf of list) {
+      const changed = { ...facts };
+      for (const c of cf.changes) changed[c.field] = c.to;
+      expect(engine.evaluate(changed).result).toBe(cf.result);
+    }
+  });
+
+  test('missing facts are changes from undefined; ties go to the more favourable result', () => {
+    const engine = engineWith();
+    const facts = { amount: 100, sanctioned: false };
+    const d = engine.evaluate(facts);
+    expect(d.result).toBe('REVIEW');
+    const [best, next] = engine.counterfactuals(d, facts);
+    expect(best.changes).toEqual([{ field: 'country', from: undefined, to: 'AE', constraint: 'country in ["AE", "SA"]' }]);
+    expect(next.text.en).toBe('sanctioned === true would yield REJECTED');
+  });
+
+  test('results restricts the outcomes searched for', () => {
+    const engine = engineWith();
+    const facts = { amount: 100, sanctioned: false };
+    const list = engine.counterfactuals(engine.evaluate(facts), facts, { results: ['REJECTED'] });
+    expect(list.map(c => c.result)).toEqual(['REJECTED', 'REJECTED']);
+  });
+
+  test('opaque conditions are listed when they must change', () => {
+    const explainer = new CounterfactualExplainer();
+    const list = explainer.explain(
+      [rule('DOCS', 'len(docs) >= 3 && amount > 0', 'APPROVED')],
+      { result: 'REVIEW' },
+      { docs: ['id'], amount: 10 }
+    );
+    expect(list[0].conditions).toEqual(['len(docs) >= 3']);
+    expect(list[0].changes).toEqual([]);
+  });
+
+  test('most-restrictive: every rejecting rule must stop matching', () => {
+    const engine = new RuleEngine({ strategy: 'most-restrictive' });
+    engine.loadRules([
+      rule('OK', 'score >= 50', 'APPROVED', 1),
+      rule('RISK', 'risk > 7', 'REJECTED', 2),
+    ]);
+    const facts = { score: 80, risk: 9 };
+    const [best] = engine.counterfactuals(engine.evaluate(facts), facts);
+    expect(best.text.en).toBe('risk <= 7 would yield APPROVED');
+  });
+
+  test('weighted strategy is not supported', () => {
+    expect(() => new CounterfactualExplainer({ strategy: 'weighted' }).explain(rules, { result: 'REVIEW' }, {}))
+      .toThrow('not supported');
+  });
+});
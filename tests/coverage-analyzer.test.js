@@ -0,0 +1,107 @@
+const { CoverageAnalyzer, RuleEngine, inferSchema } = require('../dist');
+
+const rule = (id, condition, action = 'APPROVED', priority = 1) => ({
+  id, name: id, condition, action, reason: id, priority,
+});
+
+const rules = [
+  rule('SMALL', 'amount < 500000', 'APPROVED', 1),
+  rule('LARGE', 'amount > 1000000', 'REJECTED', 2),
+  rule('AE', 'country === "AE" && amount >= 500000', 'REVIEW', 3),
+];
+
+describe('CoverageAnalyzer', () => {
+  test('describes the uncovered region with inferred types', () => {
+    const report = new CoverageAnalyzer().analyze(rules);
+    expect(report.complete).toBe(false);
+    expect(report.gaps).toHaveLength(1);
+    expect(report.gaps[0].description).toBe('amount between 500000 and 1000000 and country !== "AE"');
+    expect(report.gaps[0].sample).toEqual({ amount: 500000, country: 'other' });
+  });
+
+  test('uses declared enums and bounds from the schema', () => {
+    const schema = {
+      amount: { type: 'number', min: 0 },
+      country: { type: 'string', enum: ['AE', 'SA', 'US'] },
+    };
+    const { gaps } = new CoverageAnalyzer({ schema }).analyze(rules);
+    expect(gaps[0].description).toBe('amount between 500000 and 1000000 and country in ["SA", "US"]');
+    expect(gaps[0].sample).toEqual({ amount: 500000, country: 'SA' });
+  });
+
+  test('sample facts really fall through to the default REVIEW', () => {
+    const engine = new RuleEngine();
+    engine.loadRules(rules.map(r => ({ ...r })));
+    for (const gap of new CoverageAnalyzer().analyze(rules).gaps) {
+      const d = engine.evaluate(gap.sample);
+      expect(d.matchedRule).toBeNull();
+    }
+  });
+
+  test('complete rule sets have no gaps', () => {
+    const report = new CoverageAnalyzer({ schema: { pep: { type: 'boolean' }, score: { type: 'number', min: 0, max: 100 } } })
+      .analyze([
+        rule('PEP', 'pep === true', 'REVIEW', 1),
+        rule('HIGH', 'score >= 50', 'APPROVED', 2),
+        rule('LOW', 'score < 50', 'REJECTED', 3),
+      ]);
+    expect(report).toMatchObject({ complete: true, gaps: [], truncated: false });
+  });
+
+  test('bounded schema fields only report gaps inside their bounds', () => {
+    const { gaps } = new CoverageAnalyzer({ schema: { score: { type: 'number', min: 0, max: 100 } } })
+      .analyze([rule('HIGH', 'score > 80')]);
+    expect(gaps.map(g => g.description)).toEqual(['score between 0 and 80']);
+  });
+
+  test('nested schema fields use dot notation', () => {
+    const schema = { user: { type: 'object', fields: { tier: { type: 'string', enum: ['gold', 'silver'] } } } };
+    const { gaps } = new CoverageAnalyzer({ schema }).analyze([rule('G', 'user.tier === "gold"')]);
+    expect(gaps[0].description).toBe('user.tier === "silver"');
+    expect(gaps[0].sample).toEqual({ user: { tier: 'silver' } });
+  });
+
+  test('null and numeric strings reach the numeric rules they coerce into', () => {
+    const schema = { amount: { type: 'string' } };
+    const textRules = [rule('HIGH', 'amount > 100', 'REJECTED', 1), rule('LOW', 'amount <= 100', 'APPROVED', 2)];
+    const { gaps } = new CoverageAnalyzer({ schema }).analyze(textRules);
+    expect(gaps.map(g => [g.description, g.sample])).toEqual([
+      ['amount not in [null, false, true] and isNaN(amount)', { amount: 'other' }],
+    ]);
+
+    const engine = new RuleEngine();
+    engine.loadRules(textRules);
+    expect(engine.evaluate(gaps[0].sample).matchedRule).toBeNull();
+    expect(engine.evaluate({ amount: '150' }).matchedRule.id).toBe('HIGH');
+    expect(engine.evaluate({ amount: null }).matchedRule.id).toBe('LOW');
+  });
+
+  test('opaque conditions are reported alongside the sample', () => {
+    const { gaps } = new CoverageAnalyzer().analyze([rule('DOCS', 'len(docs) >= 3 && amount > 0')]);
+    const opaque = gaps.find(g => g.conditions.length > 0);
+    expect(opaque.conditions).toEqual(['!(len(docs) >= 3)']);
+  });
+
+  test('maxGaps truncates the report', () => {
+    const many = ['A', 'B', 'C', 'D'].map((c, i) => rule(c, `a === ${i} && b === ${i}`));
+    const report = new CoverageAnalyzer({ maxGaps: 1 }).analyze(many);
+    expect(report.gaps).toHaveLength(1);
+    expect(report.truncated).toBe(true);
+  });
+
+  test('inferSchema() reads field types from conditions', () => {
+    expect(inferSchema([rule('X', 'amount > 5 && country in ["AE"] && pep && !blocked && tier === "gold"')])).toEqual({
+      amount: { type: 'number' },
+      country: { type: 'string' },
+      pep: { type: 'boolean' },
+      blocked: { type: 'boolean' },
+      tier: { type: 'string' },
+    });
+  });
+
+  test('RuleEngine.coverage() uses the engine schema', () => {
+    const engine = new RuleEngine({ schema: { score: { type: 'number', min: 0, max: 100 } } });
+    engine.loadRules([rule('HIGH', 'score >= 50')]);
+    expect(engine.coverage().gaps.map(g => g.description)).toEqual(['0 <= score < 50']);
+  });
+});
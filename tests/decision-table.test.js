@@ -0,0 +1,144 @@
+const { RuleEngine, rulesFromCSV, rulesToCSV, rulesFromDMN, rulesToDMN, DecisionTableError } = require('../dist');
+
+const rule = (id, condition, action, priority, reason = id) => ({ id, name: id, condition, action, reason, priority });
+
+const rules = [
+  rule('SAN', 'sanctioned', 'REJECTED', 1),
+  rule('BIG', 'amount > 1000000 || country in ["IR", "KP"]', 'REVIEW', 2, 'Large, or high-risk'),
+  rule('GCC', 'amount >= 1000 && amount <= 1000000 && country in ["AE", "SA"]', 'APPROVED', 3),
+  rule('US', 'country !== "US" && amount < 1000', 'APPROVED', 4),
+];
+
+const cases = [
+  { sanctioned: true, amount: 5000, country: 'AE' },
+  { sanctioned: false, amount: 2000000, country: 'AE' },
+  { sanctioned: false, amount: 10, country: 'KP' },
+  { sanctioned: false, amount: 5000, country: 'SA' },
+  { sanctioned: false, amount: 1000, country: 'AE' },
+  { sanctioned: false, amount: 500, country: 'FR' },
+  { sanctioned: false, amount: 500, country: 'US' },
+];
+
+function decisions(list) {
+  const engine = new RuleEngine();
+  engine.loadRules(list);
+  return cases.map(facts => {
+    const d = engine.evaluate(facts);
+    return `${d.result}:${d.matchedRule?.id ?? '-'}`;
+  });
+}
+
+describe('DecisionTable', () => {
+  test('reads a CSV table into rules', () => {
+    const csv = [
+      'id,amount,country,pep,action,reason,priority',
+      'CASH,> 1000000,-,-,REJECTED,Over the cash limit,1',
+      'GCC,[1000..1000000],"AE, SA",,approved,GCC customer,2',
+      'PEP,(0..1000),not(US),true,REVIEW,"PEP, small amount",3',
+    ].join('\n');
+    expect(rulesFromCSV(csv)).toEqual([
+      rule('CASH', 'amount > 1000000', 'REJECTED', 1, 'Over the cash limit'),
+      rule('GCC', 'amount >= 1000 && amount <= 1000000 && country in ["AE", "SA"]', 'APPROVED', 2, 'GCC customer'),
+      rule('PEP', 'amount > 0 && amount < 1000 && country !== "US" && pep === true', 'REVIEW', 3, 'PEP, small amount'),
+    ]);
+  });
+
+  test('CSV defaults: row order, generated ids, delimiter and mixed lists', () => {
+    const csv = 'score;tier;action\n< 10, >= 90;"gold";REVIEW\n-;-;APPROVED\n';
+    const [first, second] = rulesFromCSV(csv, { delimiter: ';' });
+    expect(first).toMatchObject({ id: 'R1', condition: '(score < 10 || score >= 90) && tier === "gold"', priority: 1 });
+    expect(second).toMatchObject({ id: 'R2', condition: 'true', priority: 2 });
+  });
+
+  test('consecutive CSV rows with the same id become one rule', () => {
+    const csv = 'id,amount,country,action\nBIG,> 100,-,REVIEW\nBIG,-,IR,REVIEW\nOK,-,-,APPROVED';
+    expect(rulesFromCSV(csv).map(r => r.condition)).toEqual(['amount > 100 || country === "IR"', 'true']);
+  });
+
+  test('bad CSV cells and actions name the row', () => {
+    expect(() => rulesFromCSV('amount,action\n> lots,APPROVED')).toThrow('Row 2, input "amount": expected a number, got "lots"');
+    expect(() => rulesFromCSV('amount,action\n> 5,ALLOW')).toThrow(DecisionTableError);
+    expect(() => rulesFromCSV('amount,reason\n> 5,x')).toThrow('no "action" column');
+    expect(() => rulesFromCSV('id,action\nA,APPROVED\nB,REVIEW\nA,REVIEW')).toThrow('Duplicate rule id "A"');
+  });
+
+  test('rules → CSV → rules decides the same cases', () => {
+    const csv = rulesToCSV(rules);
+    expect(csv.split('\n')).toEqual([
+      'id,name,sanctioned,amount,country,action,reason,priority',
+      'SAN,SAN,true,-,-,REJECTED,SAN,1',
+      'BIG,BIG,-,> 1000000,-,REVIEW,"Large, or high-risk",2',
+      'BIG,BIG,-,-,"IR, KP",REVIEW,"Large, or high-risk",2',
+      'GCC,GCC,-,[1000..1000000],"AE, SA",APPROVED,GCC,3',
+      'US,US,-,< 1000,not(US),APPROVED,US,4',
+    ]);
+    expect(decisions(rulesFromCSV(csv))).toEqual(decisions(rules));
+  });
+
+  test('rules → DMN → rules decides the same cases', () => {
+    const xml = rulesToDMN(rules, { id: 'aml', name: 'AML screening' });
+    expect(xml).toContain('<decisionTable id="aml_table" hitPolicy="FIRST">');
+    expect(xml).toContain('<inputEntry><text>&gt; 1000000</text></inputEntry>');
+    const back = rulesFromDMN(xml);
+    expect(back.map(r => r.id)).toEqual(['SAN', 'BIG', 'GCC', 'US']);
+    expect(back[1].reason).toBe('Large, or high-risk');
+    expect(decisions(back)).toEqual(decisions(rules));
+  });
+
+  test('conditions a table cannot hold are rejected', () => {
+    expect(() => rulesToCSV([rule('DOCS', 'len(docs) >= 3', 'APPROVED', 1)])).toThrow(
+      'Rule "DOCS" cannot be written as a decision table: "len(docs) >= 3" is not a table test'
+    );
+  });
+
+  const dmn = (hitPolicy, rows, outputValues = '') => `<?xml version="1.0"?>
+    <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20191111/MODEL/" id="d" name="d" namespace="x">
+      <!-- exported from a modeler -->
+      <dmn:decision id="other" name="Other"><dmn:literalExpression><dmn:text>1</dmn:text></dmn:literalExpression></dmn:decision>
+      <dmn:decision id="risk" name="Risk">
+        <dmn:decisionTable hitPolicy="${hitPolicy}">
+          <dmn:input label="Amount"><dmn:inputExpression typeRef="number"><dmn:text>amount</dmn:text></dmn:inputExpression></dmn:input>
+          <dmn:input label="Country"><dmn:inputExpression typeRef="string"><dmn:text>customer.country</dmn:text></dmn:inputExpression></dmn:input>
+          <dmn:output name="action" typeRef="string">${outputValues}</dmn:output>
+          <dmn:output name="reason" typeRef="string"/>
+          ${rows.map(([id, amount, country, action], i) => `
+          <dmn:rule id="${id}">
+            <dmn:description>Row ${i + 1}</dmn:description>
+            <dmn:inputEntry><dmn:text>${amount}</dmn:text></dmn:inputEntry>
+            <dmn:inputEntry><dmn:text><![CDATA[${country}]]></dmn:text></dmn:inputEntry>
+            <dmn:outputEntry><dmn:text>"${action}"</dmn:text></dmn:outputEntry>
+            <dmn:outputEntry><dmn:text>"${id} applies"</dmn:text></dmn:outputEntry>
+          </dmn:rule>`).join('')}
+        </dmn:decisionTable>
+      </dmn:decision>
+    </dmn:definitions>`;
+
+  test('DMN hit policy FIRST keeps table order', () => {
+    const list = rulesFromDMN(dmn('FIRST', [['big', '&gt;= 1000', '-', 'REVIEW'], ['gcc', '-', '"AE","SA"', 'APPROVED']]));
+    expect(list).toEqual([
+      { id: 'big', name: 'Row 1', condition: 'amount >= 1000', action: 'REVIEW', reason: 'big applies', priority: 1 },
+      { id: 'gcc', name: 'Row 2', condition: 'customer.country in ["AE", "SA"]', action: 'APPROVED', reason: 'gcc applies', priority: 2 },
+    ]);
+  });
+
+  test('DMN hit policy UNIQUE rejects overlapping rows', () => {
+    const rows = [['low', '&lt; 1000', '-', 'APPROVED'], ['high', '&gt;= 1000', '-', 'REVIEW']];
+    expect(rulesFromDMN(dmn('UNIQUE', rows))).toHaveLength(2);
+    expect(() => rulesFromDMN(dmn('UNIQUE', [...rows, ['ir', '-', '"IR"', 'REJECTED']]))).toThrow(
+      'Rule low and Rule ir overlap, which hit policy UNIQUE does not allow'
+    );
+  });
+
+  test('DMN hit policy PRIORITY orders rules by the output values', () => {
+    const rows = [['ok', '-', '-', 'APPROVED'], ['ir', '-', '"IR"', 'REJECTED'], ['big', '&gt; 5', '-', 'REVIEW']];
+    const values = '<dmn:outputValues><dmn:text>"REJECTED","REVIEW","APPROVED"</dmn:text></dmn:outputValues>';
+    const list = rulesFromDMN(dmn('PRIORITY', rows, values), { decision: 'Risk' });
+    expect(list.map(r => [r.reason, r.priority])).toEqual([['ir applies', 1], ['big applies', 2], ['ok applies', 3]]);
+  });
+
+  test('unsupported DMN hit policies and missing decisions throw', () => {
+    expect(() => rulesFromDMN(dmn('COLLECT', []))).toThrow('Hit policy COLLECT is not supported');
+    expect(() => rulesFromDMN(dmn('FIRST', []), { decision: 'nope' })).toThrow('No decision "nope" in DMN file');
+    expect(() => rulesFromDMN('<definitions><decision id="x">')).toThrow('Malformed XML');
+  });
+});
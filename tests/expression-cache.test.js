@@ -0,0 +1,26 @@
+const { ExpressionEvaluator } = require('../dist');
+
+// Compiled and cached evaluation must decide exactly as parsing the condition
+// afresh on every call. Throughput is measured by `npm run bench`, not here.
+describe('ExpressionEvaluator — compile and parse cache correctness', () => {
+  const expression = 'country in ["AE", "SA", "BH"] && amount > 500000 && (income - debt) / income >= 0.4 || score >= 80';
+  const facts = Array.from({ length: 2000 }, (_, i) => ({
+    country: i % 2 ? 'AE' : 'US',
+    amount: i * 500,
+    income: 20000 + i,
+    debt: i % 9000,
+    score: i % 100,
+  }));
+
+  test('compiled and cached paths match per-call parsing on every fact', () => {
+    const reparse = new ExpressionEvaluator({ cacheSize: 0 });
+    const cached = new ExpressionEvaluator();
+    const compiled = cached.compile(expression);
+
+    const expected = facts.map(f => reparse.evaluate(expression, f));
+    expect(expected).toContain(true);
+    expect(expected).toContain(false);
+    expect(facts.map(f => compiled(f))).toEqual(expected);
+    expect(facts.map(f => cached.evaluate(expression, f))).toEqual(expected);
+  });
+});
@@ -0,0 +1,179 @@
+const { ExpressionEvaluator, ExpressionError, formatDiagnostic, RuleEngine, RuleValidationError } = require('../dist');
+
+describe('ExpressionDiagnostics — strict mode and validate()', () => {
+  let ev;
+  let strict;
+
+  beforeEach(() => {
+    ev = new ExpressionEvaluator();
+    strict = new ExpressionEvaluator({ strict: true });
+  });
+
+  // ── validate() ──────────────────────────────────────────────────────────────
+
+  test('valid expression has no diagnostics', () => {
+    expect(ev.validate('score >= 80 && country === "AE"')).toEqual({ valid: true, diagnostics: [] });
+  });
+
+  test('syntax error is positioned at the offending token', () => {
+    const { valid, diagnostics } = ev.validate('score >>> 80');
+    expect(valid).toBe(false);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0]).toMatchObject({ kind: 'syntax', offset: 7, token: '>' });
+  });
+
+  test('single = suggests ===', () => {
+    const [d] = ev.validate('score = 80').diagnostics;
+    expect(d).toMatchObject({ kind: 'syntax', offset: 6, token: '=' });
+    expect(d.suggestion).toContain('===');
+  });
+
+  test('unclosed parenthesis points at end of input', () => {
+    const [d] = ev.validate('(a > 1').diagnostics;
+    expect(d.kind).toBe('syntax');
+    expect(d.offset).toBe(6);
+  });
+
+  test('unknown function with suggestion', () => {
+    const [d] = ev.validate('lenn(docs) > 2').diagnostics;
+    expect(d).toMatchObject({ kind: 'unknown-function', offset: 0, token: 'lenn(docs)' });
+    expect(d.suggestion).toBe("did you mean 'len()'?");
+  });
+
+  test('unknown field with knownFields', () => {
+    const [d] = ev.validate('scroe >= 80', { knownFields: ['score', 'country'] }).diagnostics;
+    expect(d).toMatchObject({ kind: 'unknown-identifier', offset: 0, length: 5, token: 'scroe' });
+    expect(d.suggestion).toBe("did you mean 'score'?");
+  });
+
+  test('nested known fields are accepted', () => {
+    expect(ev.validate('user.role === "admin"', { knownFields: ['user'] }).valid).toBe(true);
+    expect(ev.validate('user.role === "admin"', { knownFields: ['user.role'] }).valid).toBe(true);
+  });
+
+  test('literal type mismatch', () => {
+    const [d] = ev.validate('"abc" > 5').diagnostics;
+    expect(d.kind).toBe('type-mismatch');
+    expect(ev.validate('amount + "10" > 5').diagnostics[0].kind).toBe('type-mismatch');
+    expect(ev.validate('flag > true').diagnostics[0].kind).toBe('type-mismatch');
+  });
+
+  test('unsafe regex literal is reported', () => {
+    const [d] = ev.validate('s matches "(a+)+"').diagnostics;
+    expect(d.kind).toBe('syntax');
+    expect(d.token).toBe('"(a+)+"');
+  });
+
+  test('reports every problem, not just the first', () => {
+    const { diagnostics } = ev.validate('lenn(x) > 1 && "a" > 2');
+    expect(diagnostics.map(d => d.kind)).toEqual(['unknown-function', 'type-mismatch']);
+  });
+
+  // ── formatDiagnostic() ─────────────────────────────────────────────────────
+
+  test('formatDiagnostic renders a caret under the token', () => {
+    const expr = 'scroe >= 80';
+    const [d] = ev.validate(expr, { knownFields: ['score'] }).diagnostics;
+    expect(formatDiagnostic(expr, d)).toBe(
+      "error[unknown-identifier]: Unknown fact 'scroe'\n" +
+      '  scroe >= 80\n' +
+      '  ^^^^^\n' +
+      "  did you mean 'score'?"
+    );
+  });
+
+  // ── strict mode ─────────────────────────────────────────────────────────────
+
+  test('lenient mode still returns false', () => {
+    expect(ev.evaluate('scroe >= 80', { score: 90 })).toBe(false);
+    expect(ev.evaluate('score > "x"', { score: 90 })).toBe(false);
+  });
+
+  test('strict mode throws on unknown fact with suggestion', () => {
+    try {
+      strict.evaluate('scroe >= 80', { score: 90 });
+      throw new Error('expected throw');
+    } catch (err) {
+      expect(err).toBeInstanceOf(ExpressionError);
+      expect(err.diagnostic).toMatchObject({
+        kind: 'unknown-identifier', offset: 0, token: 'scroe', suggestion: "did you mean 'score'?",
+      });
+    }
+  });
+
+  test('strict mode suggests nested paths', () => {
+    expect(() => strict.evaluate('user.rol === "x"', { user: { role: 'x' } }))
+      .toThrow(expect.objectContaining({ diagnostic: expect.objectContaining({ suggestion: "did you mean 'user.role'?" }) }));
+  });
+
+  test('strict mode throws on comparison type mismatch', () => {
+    expect(() => strict.evaluate('score > "x"', { score: 90 })).toThrow("Cannot compare number with string using '>'");
+    expect(() => strict.evaluate('score === "90"', { score: 90 })).toThrow('always false');
+    expect(() => strict.evaluate('flag > 1', { flag: true })).toThrow('Cannot compare boolean');
+  });
+
+  test('strict mode positions runtime errors', () => {
+    try {
+      strict.evaluate('a > 1 && b / c > 2', { a: 2, b: 1, c: 0 });
+      throw new Error('expected throw');
+    } catch (err) {
+      expect(err.diagnostic).toMatchObject({ kind: 'runtime', message: 'Division by zero', offset: 9, token: 'b / c' });
+    }
+  });
+
+  test('strict mode reports function argument type errors as mismatches', () => {
+    expect(() => strict.evaluate('lower(code) === "x"', { code: 5 }))
+      .toThrow(expect.objectContaining({ diagnostic: expect.objectContaining({ kind: 'type-mismatch', token: 'lower(code)' }) }));
+  });
+
+  test('strict mode allows explicit nulls and valid comparisons', () => {
+    expect(strict.evaluate('val === null', { val: null })).toBe(true);
+    expect(strict.evaluate('score >= 80 && name < "m"', { score: 90, name: 'ahmed' })).toBe(true);
+  });
+
+  test('compiled function throws in strict mode', () => {
+    const fn = strict.compile('score >= 80');
+    expect(fn({ score: 90 })).toBe(true);
+    expect(() => fn({})).toThrow(ExpressionError);
+  });
+
+  // ── RuleEngine integration ─────────────────────────────────────────────────
+
+  test('loadRules throws RuleValidationError with caret output', () => {
+    const engine = new RuleEngine();
+    const rules = [
+      { id: 'R1', name: 'Ok', condition: 'score >= 80', action: 'APPROVED', reason: 'ok', priority: 1 },
+      { id: 'R2', name: 'Bad', condition: 'score >>> 30', action: 'REJECTED', reason: 'no', priority: 2 },
+    ];
+    try {
+      engine.loadRules(rules);
+      throw new Error('expected throw');
+    } catch (err) {
+      expect(err).toBeInstanceOf(RuleValidationError);
+      expect(err.results).toHaveLength(1);
+      expect(err.results[0].rule.id).toBe('R2');
+      expect(err.message).toContain('Rule "R2" (Bad)');
+      expect(err.message).toContain('  score >>> 30\n         ^');
+    }
+  });
+
+  test('validateRules returns diagnostics without loading', () => {
+    const engine = new RuleEngine();
+    const results = engine.validateRules([
+      { id: 'R1', name: 'Typo', condition: 'scroe >= 80', action: 'APPROVED', reason: 'ok', priority: 1 },
+    ], ['score']);
+    expect(results[0].diagnostics[0].suggestion).toBe("did you mean 'score'?");
+    expect(engine.getRules()).toHaveLength(0);
+  });
+
+  test('strict RuleEngine surfaces evaluation errors', () => {
+    const rules = [{ id: 'R1', name: 'High', condition: 'scroe >= 80', action: 'APPROVED', reason: 'ok', priority: 1 }];
+    const lenient = new RuleEngine();
+    lenient.loadRules([...rules]);
+    expect(lenient.evaluate({ score: 90 }).result).toBe('REVIEW');
+
+    const engine = new RuleEngine({ strict: true });
+    engine.loadRules([...rules]);
+    expect(() => engine.evaluate({ score: 90 })).toThrow("Unknown fact 'scroe'");
+  });
+});
@@ -1,4 +1,4 @@
-const { ExpressionEvaluator, evaluateExpression } = require('../dist');
+const { ExpressionEvaluator, evaluateExpression, formatTraceStep } = require('../dist');
 
 describe('ExpressionEvaluator — safe boolean expression engine', () => {
   let ev;
@@ -93,6 +93,113 @@ describe('ExpressionEvaluator — safe boolean expression engine', () => {
     })).toBe(false);
   });
 
+  // ── Arithmetic ──────────────────────────────────────────────────────────────
+
+  test('+ and - with facts', () => {
+    expect(ev.evaluate('income - monthlyDebt > 5000', { income: 12000, monthlyDebt: 4000 })).toBe(true);
+    expect(ev.evaluate('income - monthlyDebt > 5000', { income: 8000, monthlyDebt: 4000 })).toBe(false);
+    expect(ev.evaluate('a + b === 10', { a: 4, b: 6 })).toBe(true);
+  });
+
+  test('/ ratio condition', () => {
+    expect(ev.evaluate('loanAmount / propertyValue <= 0.8', { loanAmount: 800000, propertyValue: 1000000 })).toBe(true);
+    expect(ev.evaluate('loanAmount / propertyValue <= 0.8', { loanAmount: 900000, propertyValue: 1000000 })).toBe(false);
+  });
+
+  test('* binds tighter than + and -', () => {
+    expect(ev.evaluate('2 + 3 * 4 === 14', {})).toBe(true);
+    expect(ev.evaluate('10 - 4 / 2 === 8', {})).toBe(true);
+    expect(ev.evaluate('(2 + 3) * 4 === 20', {})).toBe(true);
+  });
+
+  test('- is left-associative', () => {
+    expect(ev.evaluate('10 - 3 - 2 === 5', {})).toBe(true);
+  });
+
+  test('% modulo', () => {
+    expect(ev.evaluate('n % 2 === 0', { n: 8 })).toBe(true);
+    expect(ev.evaluate('n % 2 === 0', { n: 7 })).toBe(false);
+  });
+
+  test('unary minus', () => {
+    expect(ev.evaluate('delta < -5', { delta: -10 })).toBe(true);
+    expect(ev.evaluate('-delta > 5', { delta: -10 })).toBe(true);
+    expect(ev.evaluate('-(a + b) === -3', { a: 1, b: 2 })).toBe(true);
+  });
+
+  test('division by zero returns false', () => {
+    expect(ev.evaluate('a / b > 1', { a: 5, b: 0 })).toBe(false);
+  });
+
+  test('arithmetic on non-numbers returns false', () => {
+    expect(ev.evaluate('a + 1 > 0', { a: 'x' })).toBe(false);
+    expect(ev.evaluate('missing * 2 < 10', {})).toBe(false);
+  });
+
+  // ── Arrays, membership and string operators ─────────────────────────────────
+
+  test('in with array literal', () => {
+    expect(ev.evaluate('country in ["AE", "SA", "BH"]', { country: 'SA' })).toBe(true);
+    expect(ev.evaluate('country in ["AE", "SA", "BH"]', { country: 'US' })).toBe(false);
+    expect(ev.evaluate('code in [1, 2, 3]', { code: 2 })).toBe(true);
+  });
+
+  test('in with array fact', () => {
+    expect(ev.evaluate('country in allowed', { country: 'AE', allowed: ['AE', 'OM'] })).toBe(true);
+  });
+
+  test('empty array literal', () => {
+    expect(ev.evaluate('x in []', { x: 1 })).toBe(false);
+  });
+
+  test('contains on arrays and strings', () => {
+    expect(ev.evaluate('tags contains "pep"', { tags: ['vip', 'pep'] })).toBe(true);
+    expect(ev.evaluate('tags contains "pep"', { tags: ['vip'] })).toBe(false);
+    expect(ev.evaluate('note contains "urgent"', { note: 'this is urgent' })).toBe(true);
+  });
+
+  test('startsWith / endsWith', () => {
+    expect(ev.evaluate('email endsWith "@gov.ae"', { email: 'a@gov.ae' })).toBe(true);
+    expect(ev.evaluate('email endsWith "@gov.ae"', { email: 'a@gmail.com' })).toBe(false);
+    expect(ev.evaluate('iban startsWith "AE"', { iban: 'AE070331234567890123456' })).toBe(true);
+  });
+
+  test('membership operators combine with logic', () => {
+    expect(ev.evaluate('!(country in ["IR", "KP"]) && amount > 100', { country: 'AE', amount: 500 })).toBe(true);
+  });
+
+  test('membership on wrong types returns false', () => {
+    expect(ev.evaluate('country in 5', { country: 'AE' })).toBe(false);
+    expect(ev.evaluate('tags contains "pep"', {})).toBe(false);
+    expect(ev.evaluate('email endsWith "@gov.ae"', { email: 42 })).toBe(false);
+  });
+
+  test('matches regex', () => {
+    expect(ev.evaluate('name matches "^[A-Z]"', { name: 'Ahmed' })).toBe(true);
+    expect(ev.evaluate('name matches "^[A-Z]"', { name: 'ahmed' })).toBe(false);
+    expect(ev.evaluate('id matches "^784-[0-9]{4}-[0-9]{7}-[0-9]$"', { id: '784-1990-1234567-1' })).toBe(true);
+  });
+
+  test('safe mode rejects catastrophic patterns', () => {
+    const evil = 'a'.repeat(40) + '!';
+    expect(ev.evaluate('s matches "^(a+)+$"', { s: evil })).toBe(false);
+    expect(ev.evaluate('s matches "(a|aa)*b"', { s: evil })).toBe(false);
+    expect(ev.evaluate('s matches "(a)\\\\1"', { s: 'aa' })).toBe(false);
+  });
+
+  test('safe mode caps input length', () => {
+    const small = new ExpressionEvaluator({ maxMatchInputLength: 5 });
+    expect(small.evaluate('s matches "a"', { s: 'aaaaaa' })).toBe(false);
+    expect(small.evaluate('s matches "a"', { s: 'aaa' })).toBe(true);
+  });
+
+  test('unrestricted mode allows any valid pattern', () => {
+    const loose = new ExpressionEvaluator({ regex: 'unrestricted' });
+    expect(loose.evaluate('s matches "^(ab)+$"', { s: 'abab' })).toBe(true);
+    expect(ev.evaluate('s matches "^(ab)+$"', { s: 'abab' })).toBe(true);
+    expect(loose.evaluate('s matches "(a)\\\\1"', { s: 'aa' })).toBe(true);
+  });
+
   // ── Complex conditions (UAE rule patterns) ─────────────────────────────────
 
   test('UAE entity large investment rule', () => {
@@ -154,6 +261,134 @@ describe('ExpressionEvaluator — safe boolean expression engine', () => {
     expect(fn({ score: 80 })).toBe(true);
   });
 
+  test('compile() parses once into an immutable AST', () => {
+    const ast = ev.parse('score >= 80 && country === "AE"');
+    expect(ast.kind).toBe('logical');
+    expect(Object.isFrozen(ast)).toBe(true);
+    expect(Object.isFrozen(ast.left)).toBe(true);
+    expect(ev.parse('score >= 80 && country === "AE"')).toBe(ast); // cached
+  });
+
+  test('compile() throws on syntax errors and unknown functions', () => {
+    expect(() => ev.compile('score >')).toThrow();
+    expect(() => ev.compile('(score > 1')).toThrow('Missing closing parenthesis');
+    expect(() => ev.compile('nope(score)')).toThrow('Unknown function');
+  });
+
+  test('compiled functions are re-entrant', () => {
+    const inner = ev.compile('x > 1');
+    ev.registerFunction('check', (x) => inner({ x }));
+    const outer = ev.compile('check(a) && check(b)');
+    expect(outer({ a: 5, b: 3 })).toBe(true);
+    expect(outer({ a: 5, b: 0 })).toBe(false);
+  });
+
+  test('compiled and one-off evaluation warn the same way in development', () => {
+    ev.registerFunction('boom', () => { throw new Error('boom failed'); });
+    const env = process.env.NODE_ENV;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.NODE_ENV = 'development';
+    try {
+      expect(ev.evaluate('boom()', {})).toBe(false);
+      expect(ev.compile('boom()')({})).toBe(false);
+      expect(ev.evaluateTruth('boom()', {}).value).toBe(false);
+      expect(ev.compileTruth('boom()')({}).value).toBe(false);
+      expect(warn.mock.calls).toEqual(Array(4).fill([expect.stringContaining('boom failed')]));
+    } finally {
+      process.env.NODE_ENV = env;
+      warn.mockRestore();
+    }
+  });
+
+  test('&& and || short-circuit', () => {
+    expect(ev.evaluate('b !== 0 && a / b > 1', { a: 5, b: 0 })).toBe(false);
+    expect(ev.evaluate('b === 0 || a / b > 1', { a: 5, b: 0 })).toBe(true);
+  });
+
+  test('cacheSize: 0 disables the parse cache', () => {
+    const uncached = new ExpressionEvaluator({ cacheSize: 0 });
+    expect(uncached.parse('a > 1')).not.toBe(uncached.parse('a > 1'));
+    expect(uncached.evaluate('a > 1', { a: 2 })).toBe(true);
+  });
+
+  test('patterns taken from facts do not grow the regex cache past cacheSize', () => {
+    const small = new ExpressionEvaluator({ cacheSize: 3 });
+    for (let i = 0; i < 10; i++) {
+      expect(small.evaluate('s matches p', { s: `x${i}`, p: `^x${i}$` })).toBe(true);
+    }
+    expect(small.regexCache.size).toBe(3);
+    expect([...small.regexCache.keys()]).toEqual(['^x7$', '^x8$', '^x9$']);
+  });
+
+  // ── Three-valued logic ─────────────────────────────────────────────────────
+
+  test('evaluateTruth(): missing fact makes a comparison unknown', () => {
+    expect(ev.evaluateTruth('amount > 1000', {})).toEqual({ value: 'unknown', missingFacts: ['amount'] });
+    expect(ev.evaluateTruth('!(amount > 1000)', {})).toEqual({ value: 'unknown', missingFacts: ['amount'] });
+    expect(ev.evaluateTruth('amount > 1000', { amount: 5 })).toEqual({ value: false, missingFacts: [] });
+  });
+
+  test('threeValued: false decides missing facts as evaluate() does', () => {
+    const twoValued = new ExpressionEvaluator({ threeValued: false });
+    expect(twoValued.evaluateTruth('!(amount > 1000)', {})).toEqual({ value: true, missingFacts: [] });
+    expect(twoValued.compileTruth('country !== "AE"')({})).toEqual({ value: true, missingFacts: [] });
+    expect(twoValued.explain('amount > 1000', {}).value).toBe(false);
+  });
+
+  test('evaluateTruth(): Kleene && and ||', () => {
+    expect(ev.evaluateTruth('amount > 1 && vip', { vip: false }).value).toBe(false);
+    expect(ev.evaluateTruth('amount > 1 && vip', { vip: true }).value).toBe('unknown');
+    expect(ev.evaluateTruth('amount > 1 || vip', { vip: true }).value).toBe(true);
+    expect(ev.evaluateTruth('amount > 1 || vip', { vip: false }).value).toBe('unknown');
+  });
+
+  test('evaluateTruth(): only facts that matter are reported', () => {
+    const r = ev.evaluateTruth('(a > 1 && b > 1) || c > 1', { b: 0 });
+    expect(r).toEqual({ value: 'unknown', missingFacts: ['c'] });
+    expect(ev.evaluateTruth('user.age >= 18 && len(docs) > 2', {}).missingFacts).toEqual(['user.age', 'docs']);
+  });
+
+  test('evaluateTruth(): explicit null checks treat missing facts as null', () => {
+    expect(ev.evaluateTruth('sanctionHit === null', {})).toEqual({ value: true, missingFacts: [] });
+    expect(ev.evaluateTruth('sanctionHit != null', {})).toEqual({ value: false, missingFacts: [] });
+    expect(ev.evaluateTruth('sanctionHit === "none"', {}).value).toBe('unknown');
+  });
+
+  test('compileTruth() matches evaluateTruth()', () => {
+    const test = ev.compileTruth('amount > 1000 && country === "AE"');
+    expect(test({ amount: 5000, country: 'AE' }).value).toBe(true);
+    expect(test({ country: 'AE' })).toEqual({ value: 'unknown', missingFacts: ['amount'] });
+    expect(() => ev.compileTruth('nope(x)')).toThrow('Unknown function');
+  });
+
+  test('explain() records sub-expression values innermost first', () => {
+    const { value, steps } = ev.explain('score >= 80 && country === "AE"', { score: 72, country: 'AE' });
+    expect(value).toBe(false);
+    expect(steps.map(formatTraceStep)).toEqual([
+      'score >= 80 → 72 >= 80 → false',
+      'score >= 80 && country === "AE" → false && … → false',
+    ]);
+  });
+
+  test('explain() shows arithmetic, calls and unknown operands', () => {
+    const { steps } = ev.explain('income - debt > 5000 || len(docs) >= 3', { income: 9000, debt: 1000, docs: ['a'] });
+    expect(steps.map(formatTraceStep)).toEqual([
+      'income - debt → 9000 - 1000 → 8000',
+      'income - debt > 5000 → 8000 > 5000 → true',
+      'income - debt > 5000 || len(docs) >= 3 → true || … → true',
+    ]);
+    const missing = ev.explain('amount > 10', {});
+    expect(missing.steps.map(formatTraceStep)).toEqual(['amount > 10 → unknown > 10 → unknown']);
+    expect(missing.missingFacts).toEqual(['amount']);
+  });
+
+  test('explain() reports errors without throwing in non-strict mode', () => {
+    const r = ev.explain('a / b > 1', { a: 1, b: 0 });
+    expect(r.value).toBe(false);
+    expect(r.error).toMatch(/zero/i);
+    expect(() => new ExpressionEvaluator({ strict: true }).explain('a / b > 1', { a: 1, b: 0 })).toThrow();
+  });
+
   // ── evaluateExpression() shorthand ─────────────────────────────────────────
 
   test('evaluateExpression() shorthand', () => {
@@ -0,0 +1,97 @@
+const { ExpressionEvaluator, RuleEngine } = require('../dist');
+
+describe('ExpressionFunctions — built-in rule helpers', () => {
+  const fixedClock = () => new Date('2026-03-01T00:00:00.000Z');
+  let ev;
+
+  beforeEach(() => {
+    ev = new ExpressionEvaluator({ clock: fixedClock });
+  });
+
+  test('len() on arrays, strings and objects', () => {
+    expect(ev.evaluate('len(documents) >= 3', { documents: ['a', 'b', 'c'] })).toBe(true);
+    expect(ev.evaluate('len(documents) >= 3', { documents: ['a'] })).toBe(false);
+    expect(ev.evaluate('len(name) === 5', { name: 'Mizan' })).toBe(true);
+    expect(ev.evaluate('len(meta) === 2', { meta: { a: 1, b: 2 } })).toBe(true);
+  });
+
+  test('lower() / upper() / trim()', () => {
+    expect(ev.evaluate('lower(status) === "active"', { status: 'ACTIVE' })).toBe(true);
+    expect(ev.evaluate('upper(country) === "AE"', { country: 'ae' })).toBe(true);
+    expect(ev.evaluate('trim(code) === "X1"', { code: '  X1 ' })).toBe(true);
+  });
+
+  test('abs() / min() / max() / round()', () => {
+    expect(ev.evaluate('abs(delta) > 100', { delta: -150 })).toBe(true);
+    expect(ev.evaluate('min(a, b, c) === 1', { a: 3, b: 1, c: 2 })).toBe(true);
+    expect(ev.evaluate('max(scores) === 9', { scores: [4, 9, 2] })).toBe(true);
+    expect(ev.evaluate('round(ratio, 2) === 0.67', { ratio: 2 / 3 })).toBe(true);
+  });
+
+  test('functions compose with arithmetic', () => {
+    expect(ev.evaluate('max(income - debt, 0) > 5000', { income: 9000, debt: 2000 })).toBe(true);
+  });
+
+  test('now() uses the configured clock', () => {
+    expect(ev.evaluate('now() === "2026-03-01T00:00:00.000Z"', {})).toBe(true);
+  });
+
+  test('daysBetween() with now()', () => {
+    expect(ev.evaluate('daysBetween(kycDate, now()) > 365', { kycDate: '2024-12-01' })).toBe(true);
+    expect(ev.evaluate('daysBetween(kycDate, now()) > 365', { kycDate: '2025-12-01' })).toBe(false);
+    expect(ev.evaluate('daysBetween("2026-01-10", "2026-01-01") === -9', {})).toBe(true);
+  });
+
+  test('isEmiratesId() checks format and check digit', () => {
+    expect(ev.evaluate('isEmiratesId(id)', { id: '784-1990-1234567-6' })).toBe(true);
+    expect(ev.evaluate('isEmiratesId(id)', { id: '784199012345676' })).toBe(true);
+    expect(ev.evaluate('isEmiratesId(id)', { id: '784-1990-1234567-1' })).toBe(false);
+    expect(ev.evaluate('isEmiratesId(id)', { id: '123-1990-1234567-6' })).toBe(false);
+    expect(ev.evaluate('isEmiratesId(id)', { id: 784 })).toBe(false);
+  });
+
+  test('unknown function returns false', () => {
+    expect(ev.evaluate('nope(x) > 1', { x: 5 })).toBe(false);
+  });
+
+  test('bad argument types return false', () => {
+    expect(ev.evaluate('lower(status) === "x"', { status: 5 })).toBe(false);
+    expect(ev.evaluate('daysBetween(d, now()) > 1', { d: 'not a date' })).toBe(false);
+  });
+
+  test('registerFunction() adds custom helpers', () => {
+    ev.registerFunction('double', (n) => n * 2);
+    expect(ev.evaluate('double(x) === 10', { x: 5 })).toBe(true);
+  });
+
+  test('built-in names are reserved', () => {
+    expect(() => ev.registerFunction('len', () => 0)).toThrow('built-in');
+    expect(() => ev.registerFunction('bad name', () => 0)).toThrow('Invalid function name');
+  });
+
+  test('RuleEngine accepts custom functions and a clock', () => {
+    const engine = new RuleEngine({
+      clock: fixedClock,
+      functions: { riskBand: (score) => (score > 70 ? 'HIGH' : 'LOW') },
+    });
+    engine.registerFunction('isGcc', (c) => ['AE', 'SA', 'BH', 'KW', 'OM', 'QA'].includes(c));
+    engine.loadRules([
+      { id: 'R1', name: 'Stale KYC', condition: 'daysBetween(kycDate, now()) > 365', action: 'REVIEW', reason: 'KYC refresh', priority: 1 },
+      { id: 'R2', name: 'High risk', condition: 'riskBand(score) === "HIGH"', action: 'REJECTED', reason: 'High risk', priority: 2 },
+      { id: 'R3', name: 'GCC', condition: 'isGcc(country)', action: 'APPROVED', reason: 'GCC resident', priority: 3 },
+    ]);
+    expect(engine.evaluate({ kycDate: '2024-01-01', score: 10, country: 'AE' }).matchedRule.id).toBe('R1');
+    expect(engine.evaluate({ kycDate: '2026-01-01', score: 90, country: 'AE' }).matchedRule.id).toBe('R2');
+    expect(engine.evaluate({ kycDate: '2026-01-01', score: 10, country: 'OM' }).matchedRule.id).toBe('R3');
+  });
+
+  test('engines keep separate function registries', () => {
+    const a = new RuleEngine();
+    const b = new RuleEngine();
+    a.registerFunction('flag', () => true);
+    a.loadRules([{ id: 'R1', name: 'f', condition: 'flag()', action: 'APPROVED', reason: 'ok', priority: 1 }]);
+    expect(a.evaluate({}).result).toBe('APPROVED');
+    expect(() => b.loadRules([{ id: 'R1', name: 'f', condition: 'flag()', action: 'APPROVED', reason: 'ok', priority: 1 }]))
+      .toThrow('Unknown function: flag()');
+  });
+});
@@ -0,0 +1,177 @@
+const {
+  RuleEngine,
+  RuleValidationError,
+  FactValidationError,
+  validateFacts,
+  typeCheckExpression,
+  parseExpression,
+} = require('../dist');
+
+const schema = {
+  amount:    { type: 'number', required: true, min: 0 },
+  country:   { type: 'string', enum: ['AE', 'SA', 'US'] },
+  pep:       { type: 'boolean' },
+  kycDate:   { type: 'date' },
+  tags:      { type: 'array', items: { type: 'string' } },
+  user:      { type: 'object', fields: { role: { type: 'string' } } },
+  metadata:  { type: 'object' },
+};
+
+const check = (expr) => typeCheckExpression(parseExpression(expr), schema);
+
+describe('FactSchema — validateFacts()', () => {
+  test('accepts facts that match the schema', () => {
+    const result = validateFacts({ amount: 100, country: 'AE', pep: false }, schema);
+    expect(result).toMatchObject({ valid: true, issues: [] });
+  });
+
+  test('reports missing required fields', () => {
+    const { valid, issues } = validateFacts({ country: 'AE' }, schema);
+    expect(valid).toBe(false);
+    expect(issues).toEqual([{ path: 'amount', message: 'is required' }]);
+  });
+
+  test('reports wrong types, enum values and bounds', () => {
+    const { issues } = validateFacts({ amount: -5, country: 'UK', pep: 'yes', kycDate: 'soon' }, schema);
+    expect(issues.map(i => i.path)).toEqual(['amount', 'country', 'pep', 'kycDate']);
+    expect(issues[0].message).toBe('must be >= 0');
+    expect(issues[1].message).toContain('"AE"');
+  });
+
+  test('checks nested objects and array items', () => {
+    const { issues } = validateFacts({ amount: 1, user: { role: 7 }, tags: ['a', 2] }, schema);
+    expect(issues.map(i => i.path)).toEqual(['tags[1]', 'user.role']);
+  });
+
+  test('coerces numeric and boolean strings without mutating the input', () => {
+    const facts = { amount: '1000', pep: 'true' };
+    const result = validateFacts(facts, schema, { coerce: true });
+    expect(result.valid).toBe(true);
+    expect(result.facts).toMatchObject({ amount: 1000, pep: true });
+    expect(facts.amount).toBe('1000');
+  });
+
+  test('without coerce, numeric strings are rejected', () => {
+    expect(validateFacts({ amount: '1000' }, schema).valid).toBe(false);
+  });
+
+  test('passes through fields not in the schema', () => {
+    expect(validateFacts({ amount: 1, extra: 'x' }, schema).facts.extra).toBe('x');
+  });
+});
+
+describe('FactSchema — typeCheckExpression()', () => {
+  test('well-typed conditions produce no diagnostics', () => {
+    expect(check('amount > 500 && country in ["AE", "SA"] && !pep')).toEqual([]);
+    expect(check('user.role === "admin" && tags contains "vip"')).toEqual([]);
+    expect(check('daysBetween(kycDate, now()) > 365 && len(tags) > 0')).toEqual([]);
+  });
+
+  test('unknown field with suggestion', () => {
+    const [d] = check('ammount > 5');
+    expect(d).toMatchObject({ kind: 'unknown-identifier', offset: 0, length: 7 });
+    expect(d.suggestion).toBe("did you mean 'amount'?");
+  });
+
+  test('unknown nested field suggests from the nested level', () => {
+    const [d] = check('user.rol === "admin"');
+    expect(d.kind).toBe('unknown-identifier');
+    expect(d.suggestion).toBe("did you mean 'user.role'?");
+  });
+
+  test('fields below an object without declared fields are accepted', () => {
+    expect(check('metadata.source === "web"')).toEqual([]);
+  });
+
+  test('string compared with number is a type mismatch', () => {
+    const [d] = check('country > 5');
+    expect(d.kind).toBe('type-mismatch');
+    expect(d.message).toContain('string with number');
+  });
+
+  test('relational operator on a boolean', () => {
+    const [d] = check('pep > true');
+    expect(d).toMatchObject({ kind: 'type-mismatch', message: "Cannot use '>' on boolean" });
+  });
+
+  test('arithmetic on a string field', () => {
+    const [d] = check('country * 2 > 1');
+    expect(d.kind).toBe('type-mismatch');
+    expect(d.offset).toBe(0);
+  });
+
+  test('enum typo is flagged with a suggestion', () => {
+    const [d] = check('country === "EA"');
+    expect(d.kind).toBe('type-mismatch');
+    expect(d.offset).toBe(12);
+    expect(d.suggestion).toBe('did you mean "AE"?');
+  });
+
+  test('enum values are checked inside in [...] lists', () => {
+    const diagnostics = check('country in ["AE", "KSA"]');
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].message).toContain('"KSA"');
+  });
+
+  test('built-in function argument types are checked', () => {
+    const [d] = check('lower(amount) === "x"');
+    expect(d.message).toContain('lower() does not accept number');
+  });
+
+  test('comparison with null is always allowed', () => {
+    expect(check('country === null || amount !== null')).toEqual([]);
+  });
+});
+
+describe('RuleEngine — schema option', () => {
+  const rule = (condition, extra = {}) => ({
+    id: 'R1', name: 'Rule', condition, action: 'APPROVED', priority: 1, reason: 'ok', ...extra,
+  });
+
+  test('loadRules rejects conditions that do not type-check', () => {
+    const engine = new RuleEngine({ schema });
+    expect(() => engine.loadRules([rule('country > 5')])).toThrow(RuleValidationError);
+    expect(() => engine.loadRules([rule('ammount > 5')])).toThrow(/did you mean 'amount'/);
+  });
+
+  test('diagnostics carry tokens from the condition source', () => {
+    const engine = new RuleEngine({ schema });
+    const [{ diagnostics }] = engine.validateRules([rule('country === "EA"')]);
+    expect(diagnostics[0].token).toBe('"EA"');
+  });
+
+  test('knownFields and schema do not duplicate unknown-field diagnostics', () => {
+    const engine = new RuleEngine({ schema });
+    const [{ diagnostics }] = engine.validateRules([rule('ammount > 5')], Object.keys(schema));
+    expect(diagnostics).toHaveLength(1);
+  });
+
+  test('syntax errors skip the type check', () => {
+    const engine = new RuleEngine({ schema });
+    const [{ diagnostics }] = engine.validateRules([rule('ammount >')]);
+    expect(diagnostics.map(d => d.kind)).toEqual(['syntax']);
+  });
+
+  test('evaluate throws FactValidationError for invalid facts', () => {
+    const engine = new RuleEngine({ schema });
+    engine.loadRules([rule('amount > 500')]);
+    expect(() => engine.evaluate({ amount: 'lots' })).toThrow(FactValidationError);
+    try {
+      engine.evaluate({});
+    } catch (err) {
+      expect(err.issues).toEqual([{ path: 'amount', message: 'is required' }]);
+    }
+  });
+
+  test('coerceFacts converts string inputs before evaluating', () => {
+    const engine = new RuleEngine({ schema, coerceFacts: true });
+    engine.loadRules([rule('amount > 500')]);
+    expect(engine.evaluate({ amount: '1000' }).result).toBe('APPROVED');
+  });
+
+  test('engines without a schema are unchanged', () => {
+    const engine = new RuleEngine();
+    engine.loadRules([rule('country > 5')]);
+    expect(engine.evaluate({ country: 'AE' }).result).toBe('REVIEW');
+  });
+});
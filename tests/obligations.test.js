@@ -0,0 +1,125 @@
+const { RuleEngine, MizanAgent, ObligationError, AuditLogger } = require('../dist');
+const path = require('path');
+const fs = require('fs');
+
+const INCOME = { id: 'request-proof-of-income', description: 'Request proof of income' };
+const NOTIFY = { id: 'notify-compliance', description: 'Notify compliance officer', params: { withinHours: 24 } };
+
+const rules = [
+  { id: 'LARGE', name: 'Large loan', condition: 'amount > 100000', action: 'APPROVED', reason: 'Large', priority: 1,
+    obligations: [INCOME, NOTIFY], advice: [{ id: 'offer-insurance' }] },
+  { id: 'PEP', name: 'PEP', condition: 'pep', action: 'APPROVED', reason: 'PEP', priority: 2, obligations: [NOTIFY] },
+  { id: 'SAN', name: 'Sanctioned', condition: 'sanctioned', action: 'REJECTED', reason: 'Sanctioned', priority: 3,
+    obligations: [{ id: 'file-str' }] },
+  { id: 'OK', name: 'Default', condition: 'true', action: 'APPROVED', reason: 'OK', priority: 9 },
+];
+
+function engineWith(options) {
+  const engine = new RuleEngine(options);
+  engine.loadRules(rules.map(r => ({ ...r })));
+  return engine;
+}
+
+describe('Decision obligations', () => {
+  test('first-match takes the matched rule\'s obligations and advice', () => {
+    const d = engineWith().evaluate({ amount: 200000, pep: true, sanctioned: false });
+    expect(d.obligations).toEqual([
+      { ...INCOME, ruleIds: ['LARGE'] },
+      { ...NOTIFY, ruleIds: ['LARGE'] },
+    ]);
+    expect(d.advice).toEqual([{ id: 'offer-insurance', ruleIds: ['LARGE'] }]);
+  });
+
+  test('obligations are merged across contributing rules', () => {
+    const d = engineWith({ strategy: 'most-restrictive' }).evaluate({ amount: 200000, pep: true, sanctioned: false });
+    expect(d.result).toBe('APPROVED');
+    expect(d.obligations).toEqual([
+      { ...INCOME, ruleIds: ['LARGE'] },
+      { ...NOTIFY, ruleIds: ['LARGE', 'PEP'] },
+    ]);
+  });
+
+  test('rules that did not produce the result contribute nothing', () => {
+    const d = engineWith({ strategy: 'most-restrictive' }).evaluate({ amount: 200000, pep: true, sanctioned: true });
+    expect(d.result).toBe('REJECTED');
+    expect(d.obligations).toEqual([{ id: 'file-str', ruleIds: ['SAN'] }]);
+    expect(d.advice).toBeUndefined();
+  });
+
+  test('omitted when no contributing rule declares any', () => {
+    const d = engineWith().evaluate({ amount: 10, pep: false, sanctioned: false });
+    expect(d.obligations).toBeUndefined();
+    expect(d.advice).toBeUndefined();
+  });
+
+  test('same id with different params is listed separately', () => {
+    const e = new RuleEngine({ strategy: 'most-restrictive' });
+    e.loadRules([
+      { ...rules[3], id: 'A', obligations: [{ id: 'notify', params: { to: 'ops' } }] },
+      { ...rules[3], id: 'B', obligations: [{ id: 'notify', params: { to: 'risk' } }] },
+    ]);
+    expect(e.evaluate({}).obligations.map(o => o.params.to)).toEqual(['ops', 'risk']);
+  });
+});
+
+describe('MizanAgent obligation hook', () => {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const auditFile = path.join(dataDir, 'test-obligations-audit.jsonl');
+  const memoryFile = path.join(dataDir, 'test-obligations-memory.json');
+
+  class EchoAgent extends MizanAgent {
+    async think() { return 'ok'; }
+  }
+
+  beforeEach(() => {
+    if (fs.existsSync(auditFile)) fs.unlinkSync(auditFile);
+  });
+
+  afterAll(() => {
+    for (const f of [auditFile, memoryFile]) if (fs.existsSync(f)) fs.unlinkSync(f);
+  });
+
+  const agent = (onObligation) => new EchoAgent({
+    rules: rules.map(r => ({ ...r })),
+    auditPath: auditFile,
+    memoryPath: memoryFile,
+    onObligation,
+  });
+
+  test('fulfilled obligations are recorded in the audit entry', async () => {
+    const seen = [];
+    const res = await agent((o, { input }) => { seen.push([o.id, input.amount]); return true; }).run({ amount: 200000 });
+    expect(res.output).toBe('ok');
+    expect(seen).toEqual([
+      ['request-proof-of-income', 200000], ['notify-compliance', 200000],
+      ['request-proof-of-income', 200000], ['notify-compliance', 200000],
+    ]);
+    expect(res.auditTrail[0].obligations.map(o => [o.id, o.fulfilled])).toEqual([
+      ['request-proof-of-income', true], ['notify-compliance', true],
+    ]);
+    expect(new AuditLogger(auditFile).verifyFull()).toBe(true);
+  });
+
+  test('unmet obligations fail the run after logging', async () => {
+    let error;
+    try {
+      await agent(async (o) => {
+        if (o.id === 'notify-compliance') throw new Error('mail server down');
+        return true;
+      }).run({ amount: 200000 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(ObligationError);
+    expect(error.message).toBe('Unmet obligation: notify-compliance (mail server down)');
+    expect(error.unmet.map(o => o.id)).toEqual(['notify-compliance']);
+    expect(error.auditEntry.obligations[1]).toMatchObject({ fulfilled: false, error: 'mail server down' });
+    const logged = fs.readFileSync(auditFile, 'utf-8').trim().split('\n');
+    expect(logged).toHaveLength(1);
+  });
+
+  test('without a handler obligations are recorded but not enforced', async () => {
+    const res = await agent().run({ amount: 200000 });
+    expect(res.auditTrail[0].obligations.map(o => o.fulfilled)).toEqual([undefined, undefined]);
+  });
+});
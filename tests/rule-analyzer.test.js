@@ -0,0 +1,185 @@
+const { RuleAnalyzer, RuleEngine, regionOf, sampleFacts, parseExpression } = require('../dist');
+
+const rule = (id, condition, action = 'APPROVED', priority = 1) => ({
+  id, name: id, condition, action, reason: id, priority,
+});
+
+describe('RuleAnalyzer — regions', () => {
+  const region = (expr) => regionOf(parseExpression(expr));
+
+  test('numeric comparisons become intervals', () => {
+    const [box] = region('amount > 100 && amount <= 500');
+    expect(box.get('amount').numbers).toEqual([{ lo: 100, hi: 500, loOpen: true, hiOpen: false }]);
+  });
+
+  test('literal on the left is flipped', () => {
+    const [box] = region('100 < amount');
+    expect(box.get('amount').numbers[0]).toMatchObject({ lo: 100, loOpen: true });
+  });
+
+  test('contradictions produce an empty region', () => {
+    expect(region('amount > 5 && amount < 3')).toEqual([]);
+    expect(region('country === "AE" && country === "SA"')).toEqual([]);
+    expect(region('country in ["AE", "SA"] && !(country in ["AE", "SA"])')).toEqual([]);
+    expect(region('false')).toEqual([]);
+  });
+
+  test('sample facts satisfy the region', () => {
+    const [box] = region('amount >= 1000 && country in ["AE", "SA"] && pep === false && user.tier === "gold"');
+    expect(sampleFacts(box)).toEqual({ amount: 1000, country: 'AE', pep: false, user: { tier: 'gold' } });
+  });
+
+  test('a string compared with a number is sampled as a numeric string', () => {
+    expect(region('amount > 100').map(sampleFacts)).toEqual([{ amount: 101 }, { amount: '101' }]);
+    expect(region('amount >= 0 && amount < 1').map(sampleFacts)).toEqual([{ amount: null }, { amount: '0' }]);
+  });
+});
+
+describe('RuleAnalyzer — analyze()', () => {
+  const analyzer = new RuleAnalyzer();
+
+  test('overlapping ranges with different actions are reported with an example', () => {
+    const { overlaps } = analyzer.analyze([
+      rule('A', 'amount > 100', 'APPROVED', 1),
+      rule('B', 'amount >= 101', 'REJECTED', 2),
+    ]);
+    expect(overlaps).toHaveLength(1);
+    expect(overlaps[0].example).toEqual({ amount: 101 });
+    expect(overlaps[0].description).toContain('overlap');
+  });
+
+  test('disjoint rules do not overlap', () => {
+    const { overlaps } = analyzer.analyze([
+      rule('A', 'amount > 100', 'APPROVED', 1),
+      rule('B', 'amount <= 100', 'REJECTED', 2),
+      rule('C', 'country === "AE" && amount > 100', 'APPROVED', 3),
+      rule('D', 'country !== "AE" && amount <= 100', 'REVIEW', 4),
+    ]);
+    expect(overlaps.map(o => [o.ruleA.id, o.ruleB.id])).toEqual([['B', 'D']]);
+  });
+
+  test('rules with the same action never conflict', () => {
+    const { overlaps } = analyzer.analyze([
+      rule('A', 'amount > 100', 'APPROVED', 1),
+      rule('B', 'amount > 200', 'APPROVED', 2),
+    ]);
+    expect(overlaps).toEqual([]);
+  });
+
+  test('a rule fully covered by higher-priority rules is shadowed', () => {
+    const { shadowed } = analyzer.analyze([
+      rule('LOW', 'amount <= 100', 'APPROVED', 1),
+      rule('HIGH', 'amount > 100 || country === "AE"', 'REJECTED', 2),
+      rule('AE', 'country === "AE" && amount > 50', 'REVIEW', 3),
+      rule('ANY', 'amount >= 0', 'REVIEW', 4),
+    ]);
+    expect(shadowed.map(s => s.rule.id)).toEqual(['AE', 'ANY']);
+    expect(shadowed[0].shadowedBy.map(r => r.id)).toEqual(['HIGH']);
+    expect(shadowed[1].shadowedBy.map(r => r.id)).toEqual(['LOW', 'HIGH']);
+  });
+
+  test('shadowedBy lists only the rules needed', () => {
+    const { shadowed } = analyzer.analyze([
+      rule('A', 'amount > 0', 'APPROVED', 1),
+      rule('B', 'amount > 10', 'REVIEW', 2),
+      rule('C', 'amount > 20', 'REJECTED', 3),
+    ]);
+    expect(shadowed.map(s => [s.rule.id, s.shadowedBy.map(r => r.id)])).toEqual([['B', ['A']], ['C', ['A']]]);
+  });
+
+  test('partially covered rules are not shadowed', () => {
+    const { shadowed } = analyzer.analyze([
+      rule('A', 'amount > 100', 'APPROVED', 1),
+      rule('B', 'amount > 50', 'REJECTED', 2),
+    ]);
+    expect(shadowed).toEqual([]);
+  });
+
+  test('shadowing is not reported for strategies that test every rule', () => {
+    const rules = [rule('A', 'amount > 0', 'APPROVED', 1), rule('B', 'amount > 10', 'REVIEW', 2)];
+    expect(new RuleAnalyzer({ strategy: 'most-restrictive' }).analyze(rules).shadowed).toEqual([]);
+  });
+
+  test('contradictory conditions are reported', () => {
+    const { contradictions, overlaps } = analyzer.analyze([
+      rule('X', 'amount > 5 && amount < 3', 'REJECTED', 1),
+      rule('Y', 'amount > 0', 'APPROVED', 2),
+    ]);
+    expect(contradictions.map(c => c.rule.id)).toEqual(['X']);
+    expect(overlaps).toEqual([]);
+  });
+
+  test('loose equality is opaque, since it coerces across types', () => {
+    const { contradictions, shadowed } = analyzer.analyze([
+      rule('A', 'x === 1', 'APPROVED', 1),
+      rule('B', 'x == 1 && x === "1"', 'REJECTED', 2),
+      rule('C', 'x != 1 && x === "1"', 'REVIEW', 3),
+    ]);
+    expect(contradictions).toEqual([]);
+    expect(shadowed).toEqual([]);
+    const engine = new RuleEngine();
+    engine.loadRules([rule('B', 'x == 1 && x === "1"', 'REJECTED', 1)]);
+    expect(engine.evaluate({ x: '1' }).result).toBe('REJECTED');
+  });
+
+  test('relational operators coerce null and booleans like the evaluator', () => {
+    const rules = [
+      rule('A', 'amount >= 0', 'APPROVED', 1),
+      rule('B', 'amount === null', 'REJECTED', 2),
+      rule('C', 'flag < 1 && flag === true', 'REVIEW', 3),
+    ];
+    const { overlaps, shadowed, contradictions } = analyzer.analyze(rules);
+    expect(overlaps.map(o => [o.ruleA.id, o.ruleB.id, o.example])).toEqual([['A', 'B', { amount: null }]]);
+    expect(shadowed.map(s => [s.rule.id, s.shadowedBy.map(r => r.id)])).toEqual([['B', ['A']]]);
+    expect(contradictions.map(c => c.rule.id)).toEqual(['C']);
+    const engine = new RuleEngine();
+    engine.loadRules(rules);
+    expect(engine.evaluate({ amount: null }).matchedRule.id).toBe('A');
+  });
+
+  test('relational operators compare strings by their numeric value', () => {
+    const rules = [
+      rule('A', 'amount > 100', 'APPROVED', 1),
+      rule('B', 'amount === "150"', 'REJECTED', 2),
+      rule('C', 'amount === "50" || amount === "abc"', 'REVIEW', 3),
+      rule('D', 'amount > 100 && amount < 50', 'REVIEW', 4),
+    ];
+    const { overlaps, shadowed, contradictions } = analyzer.analyze(rules);
+    expect(overlaps.map(o => [o.ruleA.id, o.ruleB.id, o.example])).toEqual([['A', 'B', { amount: '150' }]]);
+    expect(shadowed.map(s => s.rule.id)).toEqual(['B']);
+    expect(contradictions.map(c => c.rule.id)).toEqual(['D']);
+    const engine = new RuleEngine();
+    engine.loadRules(rules);
+    expect(engine.evaluate({ amount: '150' }).matchedRule.id).toBe('A');
+    expect(engine.evaluate({ amount: '50' }).matchedRule.id).toBe('C');
+  });
+
+  test('opaque sub-expressions are compared by their canonical form', () => {
+    const { overlaps, shadowed } = analyzer.analyze([
+      rule('A', 'len(docs) > 2', 'APPROVED', 1),
+      rule('B', 'len( docs )>2 && amount > 5', 'REJECTED', 2),
+      rule('C', '!(len(docs) > 2) && amount > 5', 'REVIEW', 3),
+    ]);
+    expect(shadowed.map(s => s.rule.id)).toEqual(['B']);
+    expect(overlaps.map(o => [o.ruleA.id, o.ruleB.id])).toEqual([['A', 'B']]);
+  });
+
+  test('invalid conditions are skipped, not thrown', () => {
+    const { unanalyzed } = analyzer.analyze([rule('BAD', 'amount >', 'APPROVED', 1)]);
+    expect(unanalyzed.map(r => r.id)).toEqual(['BAD']);
+  });
+});
+
+describe('RuleEngine — semantic conflicts', () => {
+  test('detectConflicts finds semantically overlapping rules', () => {
+    const engine = new RuleEngine();
+    engine.loadRules([
+      rule('A', 'amount > 100', 'APPROVED', 1),
+      rule('B', 'amount >= 101', 'REJECTED', 2),
+    ]);
+    const conflicts = engine.detectConflicts();
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].ruleA.id).toBe('A');
+    expect(engine.analyze().shadowed.map(s => s.rule.id)).toEqual(['B']);
+  });
+});
@@ -1,4 +1,4 @@
-const { RuleEngine } = require('../dist/RuleEngine');
+const { RuleEngine, RuleValidationError, DerivationCycleError } = require('../dist/RuleEngine');
 
 describe('RuleEngine', () => {
   let engine;
@@ -44,6 +44,14 @@ describe('RuleEngine', () => {
     expect(d.matchedRule.id).toBe('R4');
   });
 
+  test('loadRules leaves the caller\'s array in its order', () => {
+    const given = [rules[2], rules[0], rules[1]];
+    const e2 = new RuleEngine();
+    e2.loadRules(given);
+    expect(given.map(r => r.id)).toEqual(['R3', 'R1', 'R2']);
+    expect(e2.getRules().map(r => r.id)).toEqual(['R1', 'R2', 'R3']);
+  });
+
   test('detectConflicts finds duplicates', () => {
     const e2 = new RuleEngine();
     e2.loadRules([
@@ -61,4 +69,352 @@ describe('RuleEngine', () => {
     const d = e2.evaluate({ country: 'AE', amount: 1000000 });
     expect(d.result).toBe('APPROVED');
   });
+
+  test('evaluates derived ratios in conditions', () => {
+    const e2 = new RuleEngine();
+    e2.loadRules([
+      { id: 'LTV', name: 'High LTV', condition: 'loanAmount / propertyValue > 0.8', action: 'REJECTED', reason: 'LTV above 80%', priority: 1 },
+      { id: 'DTI', name: 'Affordable', condition: 'income - monthlyDebt > 5000', action: 'APPROVED', reason: 'Affordable', priority: 2 },
+    ]);
+    expect(e2.evaluate({ loanAmount: 900, propertyValue: 1000, income: 20000, monthlyDebt: 1000 }).result).toBe('REJECTED');
+    expect(e2.evaluate({ loanAmount: 700, propertyValue: 1000, income: 20000, monthlyDebt: 1000 }).result).toBe('APPROVED');
+  });
+
+  test('missing facts read as undefined unless threeValued is set', () => {
+    const e2 = new RuleEngine();
+    e2.loadRules([
+      { id: 'SMALL', name: 'Small amount', condition: '!(amount > 10000)', action: 'APPROVED', reason: 'Small', priority: 1 },
+      { id: 'FOREIGN', name: 'Foreign', condition: 'country !== "AE"', action: 'REVIEW', reason: 'Foreign', priority: 2 },
+    ]);
+    const d = e2.evaluate({});
+    expect(d.matchedRule.id).toBe('SMALL');
+    expect(d.missingFacts).toBeUndefined();
+    expect(e2.evaluate({ amount: 20000 }).matchedRule.id).toBe('FOREIGN');
+  });
+
+  test('missing facts do not count as a failed comparison', () => {
+    const e2 = new RuleEngine({ threeValued: true });
+    e2.loadRules([
+      { id: 'SMALL', name: 'Small amount', condition: '!(amount > 10000)', action: 'APPROVED', reason: 'Small', priority: 1 },
+    ]);
+    const d = e2.evaluate({});
+    expect(d.result).toBe('REVIEW');
+    expect(d.matchedRule).toBeNull();
+    expect(d.missingFacts).toEqual(['amount']);
+    expect(d.reason).toContain('needs data: amount');
+  });
+
+  test('missingFacts lists undecided rules skipped before a match', () => {
+    const e2 = new RuleEngine({ threeValued: true });
+    e2.loadRules([
+      { id: 'BIG', name: 'Big', condition: 'amount > 10000', action: 'REJECTED', reason: 'Too big', priority: 1 },
+      { id: 'VIP', name: 'VIP', condition: 'vip === true', action: 'APPROVED', reason: 'VIP', priority: 2 },
+    ]);
+    const d = e2.evaluate({ vip: true });
+    expect(d.result).toBe('APPROVED');
+    expect(d.missingFacts).toEqual(['amount']);
+    expect(e2.evaluate({ vip: true, amount: 5 }).missingFacts).toBeUndefined();
+  });
+
+  test("onUnknown: 'review' stops at an undecidable rule", () => {
+    const e2 = new RuleEngine({ onUnknown: 'review' });
+    e2.loadRules([
+      { id: 'BIG', name: 'Big', condition: 'amount > 10000', action: 'REJECTED', reason: 'Too big', priority: 1 },
+      { id: 'ALL', name: 'Default', condition: 'true', action: 'APPROVED', reason: 'OK', priority: 2 },
+    ]);
+    const d = e2.evaluate({});
+    expect(d.result).toBe('REVIEW');
+    expect(d.reason).toMatch(/^Needs data: amount/);
+    expect(d.missingFacts).toEqual(['amount']);
+    expect(e2.evaluate({ amount: 5 }).result).toBe('APPROVED');
+  });
+
+  test('explain mode traces every rule tested', () => {
+    const e2 = new RuleEngine({ threeValued: true });
+    e2.loadRules([
+      { id: 'HIGH', name: 'High score', condition: 'score >= 80', action: 'APPROVED', reason: 'High', priority: 1 },
+      { id: 'KYC', name: 'KYC missing', condition: 'kycDone === false', action: 'REJECTED', reason: 'No KYC', priority: 2 },
+      { id: 'MID', name: 'Mid score', condition: 'score >= 50 && country === "AE"', action: 'REVIEW', reason: 'Mid', priority: 3 },
+      { id: 'LOW', name: 'Low score', condition: 'score < 50', action: 'REJECTED', reason: 'Low', priority: 4 },
+    ]);
+    const d = e2.evaluate({ score: 72, country: 'AE' }, { explain: true });
+    expect(d.matchedRule.id).toBe('MID');
+    expect(d.trace.map(t => [t.ruleId, t.outcome])).toEqual([
+      ['HIGH', 'not-matched'], ['KYC', 'unknown'], ['MID', 'matched'],
+    ]);
+    expect(d.trace[0].steps).toEqual([{ expression: 'score >= 80', evaluated: '72 >= 80', result: 'false' }]);
+    expect(d.trace[1].missingFacts).toEqual(['kycDone']);
+    expect(d.trace[2].steps.map(s => s.result)).toEqual(['true', 'true', 'true']);
+  });
+
+  test('explain mode records rules that error', () => {
+    const e2 = new RuleEngine();
+    e2.loadRules([
+      { id: 'DIV', name: 'Ratio', condition: 'a / b > 1', action: 'APPROVED', reason: 'Ratio', priority: 1 },
+    ]);
+    const d = e2.evaluate({ a: 1, b: 0 }, { explain: true });
+    expect(d.result).toBe('REVIEW');
+    expect(d.trace[0].outcome).toBe('error');
+    expect(d.trace[0].error).toMatch(/zero/i);
+  });
+
+  test('decisions carry no trace unless explain is set', () => {
+    const e2 = new RuleEngine();
+    e2.loadRules([{ id: 'R', name: 'R', condition: 'x > 1', action: 'APPROVED', reason: 'ok', priority: 1 }]);
+    expect(e2.evaluate({ x: 2 }).trace).toBeUndefined();
+  });
+
+  describe('resolution strategies', () => {
+    const rules = [
+      { id: 'GCC', name: 'GCC resident', condition: 'country in ["AE", "SA"]', action: 'APPROVED', reason: 'GCC', priority: 1, weight: 1 },
+      { id: 'PEP', name: 'PEP check', condition: 'pep === true', action: 'REVIEW', reason: 'PEP', priority: 2, weight: 2 },
+      { id: 'SAN', name: 'Sanctions', condition: 'sanctioned === true', action: 'REJECTED', reason: 'Sanctioned', priority: 3, weight: 3 },
+    ];
+    const engineWith = (options) => {
+      const e2 = new RuleEngine(options);
+      e2.loadRules(rules.map(r => ({ ...r })));
+      return e2;
+    };
+
+    test('first-match stays the default and lists only the deciding rule', () => {
+      const d = engineWith().evaluate({ country: 'AE', pep: true, sanctioned: true });
+      expect(d.matchedRule.id).toBe('GCC');
+      expect(d.matchedRules.map(r => r.id)).toEqual(['GCC']);
+    });
+
+    test('most-restrictive: REJECTED beats APPROVED', () => {
+      const e2 = engineWith({ strategy: 'most-restrictive' });
+      const d = e2.evaluate({ country: 'AE', pep: true, sanctioned: true });
+      expect(d.result).toBe('REJECTED');
+      expect(d.matchedRule.id).toBe('SAN');
+      expect(d.matchedRules.map(r => r.id)).toEqual(['GCC', 'PEP', 'SAN']);
+      expect(e2.evaluate({ country: 'AE', pep: true, sanctioned: false }).result).toBe('REVIEW');
+    });
+
+    test('unanimous: any non-approving match vetoes', () => {
+      const e2 = engineWith({ strategy: 'unanimous' });
+      expect(e2.evaluate({ country: 'AE', pep: false, sanctioned: false }).result).toBe('APPROVED');
+      const d = e2.evaluate({ country: 'AE', pep: true, sanctioned: false });
+      expect(d.result).toBe('REJECTED');
+      expect(d.matchedRule.id).toBe('PEP');
+      expect(d.reason).toContain('Not unanimous');
+    });
+
+    test('weighted: averages scores by weight against thresholds', () => {
+      const e2 = engineWith({ strategy: 'weighted' });
+      // (85*1 + 50*2) / 3 = 61.67 → REVIEW
+      const d = e2.evaluate({ country: 'AE', pep: true, sanctioned: false });
+      expect(d.result).toBe('REVIEW');
+      expect(d.score).toBeCloseTo(61.67, 2);
+      expect(d.matchedRule.id).toBe('PEP');
+      expect(e2.evaluate({ country: 'AE', pep: false, sanctioned: false }).result).toBe('APPROVED');
+      // (85 + 100 + 45) / 6 = 38.33 → REVIEW with default thresholds, REJECTED with a higher bar
+      const strictBar = engineWith({ strategy: 'weighted', thresholds: { approve: 90, reject: 40 } });
+      expect(strictBar.evaluate({ country: 'AE', pep: true, sanctioned: true }).result).toBe('REJECTED');
+    });
+
+    test('no match is still REVIEW with an empty matchedRules', () => {
+      const d = engineWith({ strategy: 'weighted' }).evaluate({ country: 'US', pep: false, sanctioned: false });
+      expect(d.result).toBe('REVIEW');
+      expect(d.matchedRules).toEqual([]);
+    });
+  });
+  describe('validity windows, groups and active flag', () => {
+    const base = { action: 'APPROVED', reason: 'ok', priority: 1 };
+    const limits = [
+      { ...base, id: 'LIMIT_2025', name: 'Limit 2025', condition: 'amount <= 50000', validTo: '2026-01-01' },
+      { ...base, id: 'LIMIT_2026', name: 'Limit 2026', condition: 'amount <= 30000', validFrom: '2026-01-01' },
+    ];
+    const clock = () => new Date('2026-03-01T00:00:00Z');
+
+    test('asOf selects the rules in force on that date', () => {
+      const e2 = new RuleEngine({ clock });
+      e2.loadRules(limits.map(r => ({ ...r })));
+      expect(e2.evaluate({ amount: 40000 }).result).toBe('REVIEW');
+      const past = e2.evaluate({ amount: 40000 }, { asOf: '2025-06-30' });
+      expect(past.result).toBe('APPROVED');
+      expect(past.matchedRule.id).toBe('LIMIT_2025');
+      // validTo is exclusive, validFrom inclusive
+      expect(e2.evaluate({ amount: 20000 }, { asOf: '2026-01-01' }).matchedRule.id).toBe('LIMIT_2026');
+      expect(e2.getActiveRules('2025-12-31').map(r => r.id)).toEqual(['LIMIT_2025']);
+    });
+
+    test('asOf is what now() sees during evaluation', () => {
+      const e2 = new RuleEngine({ clock });
+      e2.loadRules([{ ...base, id: 'Y', name: 'Y', condition: 'daysBetween(now(), "2024-05-02") === 1' }]);
+      expect(e2.evaluate({}, { asOf: new Date('2024-05-01') }).result).toBe('APPROVED');
+      expect(e2.evaluate({}).result).toBe('REVIEW');
+    });
+
+    test('a nested evaluate() does not move the outer call\'s asOf', () => {
+      const e2 = new RuleEngine({ clock });
+      e2.registerFunction('innerResult', () => e2.evaluate({ nested: true }, { asOf: '2020-01-01' }).result);
+      e2.loadRules([{
+        ...base, id: 'OUTER', name: 'Outer',
+        condition: '(nested === true || innerResult() === "REVIEW") && daysBetween(now(), "2024-05-02") === 1',
+      }]);
+      // The inner call, as of 2020, decides REVIEW; the outer one still reads 2024-05-01 afterwards
+      expect(e2.evaluate({ nested: false }, { asOf: '2024-05-01' }).result).toBe('APPROVED');
+      expect(e2.evaluate({ nested: false }, { asOf: '2024-05-01', explain: true }).result).toBe('APPROVED');
+    });
+
+    test('invalid dates are rejected', () => {
+      const e2 = new RuleEngine();
+      expect(() => e2.loadRules([{ ...base, id: 'X', name: 'X', condition: 'true', validFrom: 'soon' }]))
+        .toThrow('invalid validFrom');
+      expect(() => e2.loadRules([{ ...base, id: 'X', name: 'X', condition: 'true', validFrom: '2026-02-01', validTo: '2026-01-01' }]))
+        .toThrow('validFrom must be before validTo');
+      expect(() => e2.evaluate({}, { asOf: 'yesterday' })).toThrow('Invalid asOf');
+    });
+
+    test('inactive rules and disabled groups are skipped', () => {
+      const e2 = new RuleEngine();
+      e2.loadRules([
+        { ...base, id: 'OFF', name: 'Off', condition: 'true', action: 'REJECTED', active: false },
+        { ...base, id: 'PROMO', name: 'Promo', condition: 'amount < 100', group: 'promotions', priority: 2 },
+        { ...base, id: 'ALL', name: 'All', condition: 'true', action: 'REVIEW', priority: 3 },
+      ]);
+      expect(e2.evaluate({ amount: 10 }).matchedRule.id).toBe('PROMO');
+      e2.disableGroup('promotions');
+      expect(e2.isGroupEnabled('promotions')).toBe(false);
+      expect(e2.evaluate({ amount: 10 }).matchedRule.id).toBe('ALL');
+      expect(e2.getRules()).toHaveLength(3);
+      expect(e2.getActiveRules().map(r => r.id)).toEqual(['ALL']);
+      e2.enableGroup('promotions');
+      expect(e2.evaluate({ amount: 10 }).matchedRule.id).toBe('PROMO');
+    });
+
+    test('analyze() only compares rules in force', () => {
+      const e2 = new RuleEngine({ clock });
+      e2.loadRules(limits.map(r => ({ ...r, action: r.id === 'LIMIT_2025' ? 'APPROVED' : 'REJECTED' })));
+      expect(e2.analyze().overlaps).toEqual([]);
+    });
+  });
+});
+
+describe('RuleEngine derivations', () => {
+  const decisions = [
+    { id: 'HIGH', name: 'High risk', condition: 'riskTier === "HIGH"', action: 'REJECTED', reason: 'High risk', priority: 1 },
+    { id: 'OK', name: 'Default', condition: 'true', action: 'APPROVED', reason: 'OK', priority: 2 },
+  ];
+  const derivations = [
+    { id: 'PEP', name: 'PEP is high risk', condition: 'pep', set: { riskTier: 'HIGH' } },
+    { id: 'CASH', name: 'Large cash', condition: 'cash > 50000', set: { largeCash: true } },
+    { id: 'CHAIN', name: 'Large cash abroad', condition: 'largeCash && country !== "AE"', set: { riskTier: 'HIGH' }, priority: -1 },
+  ];
+
+  function engine(options) {
+    const e = new RuleEngine(options);
+    e.loadRules(decisions.map(r => ({ ...r })));
+    e.loadDerivations(derivations);
+    return e;
+  }
+
+  test('derived facts feed decision rules', () => {
+    const d = engine().evaluate({ pep: true, cash: 0, country: 'AE' });
+    expect(d.result).toBe('REJECTED');
+    expect(d.derivedFacts).toEqual({ riskTier: 'HIGH' });
+    expect(engine().evaluate({ pep: false, cash: 0, country: 'AE' }).derivedFacts).toBeUndefined();
+  });
+
+  test('derivations chain to a fixed point regardless of priority', () => {
+    // CHAIN runs first in each pass but only fires once CASH has set largeCash
+    const d = engine().evaluate({ pep: false, cash: 90000, country: 'SA' }, { explain: true });
+    expect(d.result).toBe('REJECTED');
+    expect(d.derivedFacts).toEqual({ largeCash: true, riskTier: 'HIGH' });
+    expect(d.derivations.map(x => [x.ruleId, x.assigned])).toEqual([
+      ['CASH', { largeCash: true }],
+      ['CHAIN', { riskTier: 'HIGH' }],
+    ]);
+    expect(d.derivations[0].steps.map(s => s.evaluated)).toEqual(['90000 > 50000']);
+  });
+
+  test('a derivation does not fire when its facts are already set', () => {
+    // CHAIN's condition holds once largeCash is set, but PEP already made riskTier HIGH
+    const d = engine().evaluate({ pep: true, cash: 90000, country: 'SA' }, { explain: true });
+    expect(d.derivations.map(x => x.ruleId)).toEqual(['PEP', 'CASH']);
+  });
+
+  test('cycles are detected instead of looping', () => {
+    const e = new RuleEngine();
+    e.loadDerivations([
+      { id: 'UP', name: 'Up', condition: 'tier === "LOW"', set: { tier: 'HIGH' } },
+      { id: 'DOWN', name: 'Down', condition: 'tier === "HIGH"', set: { tier: 'LOW' } },
+    ]);
+    let error;
+    try { e.evaluate({ tier: 'LOW' }); } catch (err) { error = err; }
+    expect(error).toBeInstanceOf(DerivationCycleError);
+    expect(error.cycle).toEqual(['UP', 'DOWN']);
+  });
+
+  test('invalid derivations are rejected at load time', () => {
+    const e = new RuleEngine();
+    expect(() => e.loadDerivations([{ id: 'X', name: 'X', condition: 'amount >', set: { a: 1 } }])).toThrow(RuleValidationError);
+    expect(() => e.loadDerivations([{ id: 'X', name: 'X', condition: 'true', set: {} }])).toThrow('at least one fact');
+    expect(() => e.loadDerivations([{ id: 'X', name: 'X', condition: 'true', set: { 'a.b': 1 } }])).toThrow('not a valid fact name');
+  });
+
+  test('input facts are not mutated', () => {
+    const facts = { pep: true, cash: 0, country: 'AE' };
+    engine().evaluate(facts);
+    expect(facts).toEqual({ pep: true, cash: 0, country: 'AE' });
+  });
+});
+
+describe('RuleEngine scorecard', () => {
+  const card = [
+    { id: 'INCOME', name: 'Stable income', condition: 'income >= 10000', points: 40 },
+    { id: 'TENURE', name: 'Long tenure', condition: 'yearsEmployed >= 3', points: 25 },
+    { id: 'DEFAULTS', name: 'Past defaults', condition: 'defaults > 0', points: -50 },
+  ];
+
+  function engine(options, scorecardOptions) {
+    const e = new RuleEngine(options);
+    e.loadRules([{ id: 'SAN', name: 'Sanctioned', condition: 'sanctioned === true', action: 'REJECTED', reason: 'Sanctioned', priority: 1 }]);
+    e.loadScorecard(card, scorecardOptions);
+    return e;
+  }
+
+  test('adds points of matching scoring rules and maps them to a result', () => {
+    const d = engine({}, { base: 10 }).evaluate({ sanctioned: false, income: 12000, yearsEmployed: 5, defaults: 0 });
+    expect(d.result).toBe('APPROVED');
+    expect(d.score).toBe(75);
+    expect(d.matchedRule).toBeNull();
+    expect(d.reason).toBe('Scorecard: 75 points (approve at 70+, reject at 30 or less)');
+    expect(d.scorecard.contributions).toEqual([
+      { ruleId: 'INCOME', ruleName: 'Stable income', outcome: 'matched', points: 40 },
+      { ruleId: 'TENURE', ruleName: 'Long tenure', outcome: 'matched', points: 25 },
+      { ruleId: 'DEFAULTS', ruleName: 'Past defaults', outcome: 'not-matched', points: 0 },
+    ]);
+  });
+
+  test('negative points and scorecard thresholds', () => {
+    const e = engine({}, { base: 600, thresholds: { approve: 650, reject: 580 } });
+    const d = e.evaluate({ sanctioned: false, income: 12000, yearsEmployed: 1, defaults: 2 });
+    expect(d.score).toBe(590);
+    expect(d.result).toBe('REVIEW');
+    expect(d.scorecard.thresholds).toEqual({ approve: 650, reject: 580 });
+    expect(e.evaluate({ sanctioned: false, income: 0, yearsEmployed: 0, defaults: 1 }).result).toBe('REJECTED');
+  });
+
+  test('decision rules knock out before the scorecard', () => {
+    const d = engine().evaluate({ sanctioned: true, income: 12000, yearsEmployed: 5, defaults: 0 });
+    expect(d.matchedRule.id).toBe('SAN');
+    expect(d.scorecard).toBeUndefined();
+  });
+
+  test('missing facts score nothing and are reported', () => {
+    const d = engine({ threeValued: true }).evaluate({ sanctioned: false, income: 12000, defaults: 0 });
+    expect(d.scorecard.contributions[1]).toMatchObject({ outcome: 'unknown', points: 0 });
+    expect(d.missingFacts).toEqual(['yearsEmployed']);
+    const r = engine({ onUnknown: 'review' }).evaluate({ sanctioned: false, income: 12000, defaults: 0 });
+    expect(r.result).toBe('REVIEW');
+    expect(r.reason).toContain('scoring rule "Long tenure" cannot be decided');
+  });
+
+  test('invalid scoring rules are rejected', () => {
+    const e = new RuleEngine();
+    expect(() => e.loadScorecard([{ id: 'X', name: 'X', condition: 'a >', points: 1 }])).toThrow(RuleValidationError);
+    expect(() => e.loadScorecard([{ id: 'X', name: 'X', condition: 'a', points: '5' }])).toThrow('finite number');
+  });
 });
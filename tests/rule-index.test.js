@@ -0,0 +1,127 @@
+const { ExpressionEvaluator, RuleEngine, RuleIndex } = require('../dist');
+
+const rule = (id, condition, action = 'REVIEW', priority = 1) => ({ id, name: id, condition, action, reason: id, priority });
+
+// Deterministic pseudo-random numbers so failures reproduce
+function rng(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+const strip = ({ auditId, ...decision }) => decision;
+
+function engines(rules, options = {}) {
+  return [false, true].map(index => {
+    const engine = new RuleEngine({ ...options, index });
+    engine.loadRules(rules.map(r => ({ ...r })));
+    return engine;
+  });
+}
+
+describe('RuleIndex', () => {
+  const rules = [
+    rule('SAN', 'name in ["Ivan", "Olga"] && country !== "AE"', 'REJECTED', 1),
+    rule('BAND1', 'amount >= 0 && amount < 1000 && country === "AE"', 'APPROVED', 2),
+    rule('BAND2', '1000 <= amount && amount <= 5000', 'REVIEW', 3),
+    rule('OPEN', 'amount > 5000', 'REJECTED', 4),
+    rule('NEG', 'amount === -1', 'REJECTED', 5),
+    rule('TIER', 'user.tier === "gold" && len(docs) >= 2', 'APPROVED', 6),
+    rule('NULL', 'user.tier === null', 'REVIEW', 7),
+    rule('ANY', 'pep || score > 90', 'REVIEW', 8),
+  ];
+
+  test('candidates leave out only rules whose indexed test is false', () => {
+    const index = new RuleIndex(rules);
+    expect(index.candidates({ name: 'Ivan', amount: 2000, country: 'SA', user: { tier: 'gold' } })).toEqual([0, 2, 5, 7]);
+    expect(index.candidates({ name: 'Bob', amount: 5000, user: null })).toEqual([1, 2, 6, 7]);
+    // Missing facts keep their rules: they may be unknown rather than false
+    expect(index.candidates({})).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    // Strings compare with coercion, so range rules stay candidates
+    expect(index.candidates({ name: 'Bob', amount: '2000', user: {} })).toEqual([1, 2, 3, 5, 6, 7]);
+    expect(index.stats()).toEqual({
+      rules: 8,
+      indexed: 7,
+      fields: { name: { equality: 1, range: 0 }, country: { equality: 1, range: 0 }, amount: { equality: 1, range: 2 }, 'user.tier': { equality: 2, range: 0 } },
+    });
+  });
+
+  test.each([
+    ['first-match', {}],
+    ['most-restrictive', { strategy: 'most-restrictive' }],
+    ['onUnknown review', { onUnknown: 'review' }],
+  ])('decisions are identical to linear evaluation (%s)', (_, options) => {
+    const [linear, indexed] = engines(rules, options);
+    const random = rng(42);
+    const pick = list => list[Math.floor(random() * list.length)];
+    for (let i = 0; i < 2000; i++) {
+      const facts = {};
+      if (random() < 0.8) facts.name = pick(['Ivan', 'Olga', 'Bob']);
+      if (random() < 0.8) facts.country = pick(['AE', 'SA', null]);
+      if (random() < 0.9) facts.amount = pick([-1, 0, 999, 1000, 5000, 5001, '1500', null]);
+      if (random() < 0.7) facts.user = pick([{ tier: 'gold' }, { tier: null }, {}, null]);
+      if (random() < 0.5) facts.docs = pick([['a'], ['a', 'b']]);
+      if (random() < 0.5) facts.pep = random() < 0.3;
+      if (random() < 0.5) facts.score = Math.floor(random() * 100);
+      expect(strip(indexed.evaluate(facts))).toEqual(strip(linear.evaluate(facts)));
+    }
+  });
+
+  test('adding a rule rebuilds the index', () => {
+    const [, engine] = engines([rule('A', 'country === "AE"', 'APPROVED', 1)]);
+    expect(engine.evaluate({ country: 'SA' }).matchedRule).toBeNull();
+    engine.addRule(rule('B', 'country === "SA"', 'REJECTED', 2));
+    expect(engine.evaluate({ country: 'SA' }).matchedRule.id).toBe('B');
+  });
+
+  test('evaluateBatch decides every facts object as of one moment', () => {
+    const engine = new RuleEngine({ clock: () => new Date('2026-01-01T00:00:00Z') });
+    engine.loadRules([
+      { ...rule('NEW', 'amount > 100', 'REJECTED', 1), validFrom: '2026-06-01' },
+      rule('OLD', 'amount > 100', 'REVIEW', 2),
+    ]);
+    const facts = [{ amount: 50 }, { amount: 500 }];
+    expect(engine.evaluateBatch(facts).map(d => d.result)).toEqual(['REVIEW', 'REVIEW']);
+    expect(engine.evaluateBatch(facts, { asOf: '2026-07-01' }).map(d => d.matchedRule?.id ?? null)).toEqual([null, 'NEW']);
+  });
+});
+
+describe('RuleIndex — bulk-screening rule set', () => {
+  // Sanctions list, tariff bands and product rules; throughput is measured by `npm run bench`
+  const big = [];
+  for (let i = 0; i < 2000; i++) big.push(rule(`SAN${i}`, `name === "Person ${i}"`, 'REJECTED', 1));
+  for (let i = 0; i < 2000; i++) {
+    big.push(rule(`TAR${i}`, `hsCode === ${i % 200} && value >= ${i * 100} && value < ${(i + 1) * 100}`, 'REVIEW', 2));
+  }
+  for (let i = 0; i < 1000; i++) big.push(rule(`PRD${i}`, `product in ["P${i}", "Q${i}"] && qty > 10`, 'REVIEW', 3));
+
+  const random = rng(7);
+  const facts = Array.from({ length: 100 }, () => ({
+    name: `Person ${Math.floor(random() * 4000)}`,
+    hsCode: Math.floor(random() * 400),
+    value: Math.floor(random() * 400000),
+    product: `P${Math.floor(random() * 2000)}`,
+    qty: Math.floor(random() * 20),
+  }));
+
+  test('candidates keep every rule that matches and drop most that cannot', () => {
+    const index = new RuleIndex(big);
+    const evaluator = new ExpressionEvaluator();
+    const tests = big.map(r => evaluator.compile(r.condition));
+    let matched = 0;
+    for (const f of facts) {
+      const candidates = index.candidates(f);
+      const matching = tests.flatMap((test, i) => (test(f) ? [i] : []));
+      matched += matching.length;
+      expect(candidates).toEqual(expect.arrayContaining(matching));
+      expect(candidates.length).toBeLessThan(big.length / 10);
+    }
+    expect(matched).toBeGreaterThan(0);
+  });
+
+  test('indexed evaluateBatch matches linear evaluation', () => {
+    const [linear, indexed] = engines(big);
+    expect(indexed.evaluateBatch(facts).map(strip)).toEqual(linear.evaluateBatch(facts).map(strip));
+  });
+});
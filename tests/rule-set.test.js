@@ -0,0 +1,136 @@
+const { RuleEngine, RuleSet, RuleSetError, hashRules, compareVersions, RuleValidationError } = require('../dist');
+
+const rule = (id, condition, action = 'APPROVED', priority = 1) => ({
+  id, name: id, condition, action, reason: id, priority,
+});
+
+const v1 = [rule('LIMIT', 'amount <= 50000'), rule('BLOCK', 'sanctioned', 'REJECTED', 0)];
+const v2 = [rule('LIMIT', 'amount <= 30000'), rule('BLOCK', 'sanctioned', 'REJECTED', 0)];
+
+const clock = () => new Date('2026-01-01T00:00:00Z');
+
+function policy() {
+  const set = new RuleSet('aml', { clock });
+  set.publish(v1, { version: '1.0.0', author: 'alice', changelog: 'Initial policy' });
+  set.publish(v2, { version: '1.1.0', author: 'bob', changelog: 'Lower limit' });
+  return set;
+}
+
+describe('RuleSet', () => {
+  test('publish records version, metadata and content hash', () => {
+    const set = policy();
+    const current = set.current();
+    expect(current).toMatchObject({ version: '1.1.0', author: 'bob', changelog: 'Lower limit', publishedAt: '2026-01-01T00:00:00.000Z' });
+    expect(current.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(current.hash).toBe(hashRules(v2));
+    expect(set.history().map(v => v.version)).toEqual(['1.0.0', '1.1.0']);
+    expect(set.get(current.hash)).toBe(current);
+  });
+
+  test('hash ignores key order but not content or evaluation order', () => {
+    const reordered = v1.map(r => Object.fromEntries(Object.entries(r).reverse()));
+    expect(hashRules(reordered)).toBe(hashRules(v1));
+    expect(hashRules(v2)).not.toBe(hashRules(v1));
+    const a = [rule('A', 'x', 'APPROVED', 1), rule('B', 'y', 'REJECTED', 1)];
+    expect(hashRules([...a].reverse())).not.toBe(hashRules(a));
+  });
+
+  test('published versions are immutable', () => {
+    const set = policy();
+    const { rules } = set.current();
+    expect(Object.isFrozen(rules)).toBe(true);
+    expect(Object.isFrozen(rules[0])).toBe(true);
+    v2[0].condition = 'true';
+    expect(set.current().rules[0].condition).toBe('amount <= 30000');
+    v2[0].condition = 'amount <= 30000';
+  });
+
+  test('versions must be semantic and increasing', () => {
+    const set = policy();
+    expect(() => set.publish(v1, { version: 'v2' })).toThrow(RuleSetError);
+    expect(() => set.publish(v1, { version: '1.1.0' })).toThrow('must be greater than 1.1.0');
+    expect(() => set.publish(v1, { version: '1.1.0-rc.1' })).toThrow('must be greater than');
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('2.0.0-rc.2', '2.0.0-rc.10')).toBeLessThan(0);
+    expect(compareVersions('2.0.0-rc.1', '2.0.0')).toBeLessThan(0);
+  });
+
+  test('rollback re-activates an earlier version and keeps history', () => {
+    const set = policy();
+    expect(set.rollback().version).toBe('1.0.0');
+    expect(() => set.rollback()).toThrow('no earlier version');
+    expect(set.rollback('1.1.0').version).toBe('1.1.0');
+    expect(() => set.rollback('9.9.9')).toThrow('no version 9.9.9');
+    expect(set.history()).toHaveLength(2);
+  });
+
+  test('toJSON / fromJSON round-trip and reject tampered versions', () => {
+    const set = policy();
+    set.rollback();
+    const json = JSON.parse(JSON.stringify(set));
+    const restored = RuleSet.fromJSON(json);
+    expect(restored.current().version).toBe('1.0.0');
+    expect(restored.history().map(v => v.hash)).toEqual(set.history().map(v => v.hash));
+
+    json.versions[0].rules[0].condition = 'amount <= 99999999';
+    expect(() => RuleSet.fromJSON(json)).toThrow('hash does not match');
+  });
+});
+
+describe('RuleEngine with a RuleSet', () => {
+  test('decisions carry the rule-set hash and version', () => {
+    const engine = new RuleEngine();
+    const set = policy();
+    engine.loadRuleSet(set);
+    const d = engine.evaluate({ amount: 40000, sanctioned: false });
+    expect(d.result).toBe('REVIEW');
+    expect(d.ruleSetVersion).toBe('1.1.0');
+    expect(d.ruleSetHash).toBe(set.current().hash);
+    expect(engine.getRuleSetInfo()).toEqual({ hash: set.current().hash, version: '1.1.0', name: 'aml' });
+  });
+
+  test('rollback() reloads the previous version', () => {
+    const engine = new RuleEngine();
+    engine.loadRuleSet(policy());
+    const target = engine.rollback();
+    expect(target.version).toBe('1.0.0');
+    const d = engine.evaluate({ amount: 40000, sanctioned: false });
+    expect(d.result).toBe('APPROVED');
+    expect(d.ruleSetVersion).toBe('1.0.0');
+    expect(d.ruleSetHash).toBe(target.hash);
+  });
+
+  test('rolling back to a version that no longer compiles changes nothing', () => {
+    const set = new RuleSet('custom');
+    set.publish([rule('FN', 'isGcc(country)')], { version: '1.0.0' });
+    set.publish([rule('AE', 'country === "AE"')], { version: '2.0.0' });
+    const engine = new RuleEngine();
+    engine.loadRuleSet(set);
+    expect(() => engine.rollback()).toThrow(RuleValidationError);
+    expect(set.current().version).toBe('2.0.0');
+    expect(engine.evaluate({ country: 'AE' }).ruleSetVersion).toBe('2.0.0');
+  });
+
+  test('plain loadRules() and addRule() still stamp a content hash', () => {
+    const engine = new RuleEngine();
+    engine.loadRules(v1.map(r => ({ ...r })));
+    const before = engine.evaluate({ amount: 1, sanctioned: false });
+    expect(before.ruleSetHash).toBe(hashRules(v1));
+    expect(before.ruleSetVersion).toBeUndefined();
+
+    engine.loadRuleSet(policy());
+    engine.addRule(rule('EXTRA', 'amount > 1000000', 'REVIEW', 5));
+    const after = engine.evaluate({ amount: 1, sanctioned: false });
+    expect(after.ruleSetVersion).toBeUndefined();
+    expect(after.ruleSetHash).toBe(hashRules(engine.getRules()));
+    expect(() => engine.rollback()).not.toThrow();
+  });
+
+  test('rollback() needs a loaded rule set', () => {
+    expect(() => new RuleEngine().rollback()).toThrow(RuleSetError);
+  });
+
+  test('loadRuleSet() needs a published version', () => {
+    expect(() => new RuleEngine().loadRuleSet(new RuleSet('empty'))).toThrow('no published version');
+  });
+});
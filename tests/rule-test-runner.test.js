@@ -0,0 +1,93 @@
+const { RuleEngine, RuleTestRunner, toJUnitXML } = require('../dist');
+
+const rules = [
+  { id: 'CASH', name: 'Cash limit', condition: 'amount > 1000000', action: 'REJECTED', reason: 'Over the limit', priority: 1 },
+  { id: 'GCC', name: 'GCC customer', condition: 'country in ["AE", "SA"]', action: 'APPROVED', reason: 'GCC', priority: 2 },
+  { id: 'PEP', name: 'PEP review', condition: 'pep === true', action: 'REVIEW', reason: 'PEP', priority: 3 },
+];
+
+const schema = { amount: { type: 'number' }, country: { type: 'string' }, pep: { type: 'boolean' } };
+
+function runner(options) {
+  const engine = new RuleEngine(options);
+  engine.loadRules(rules);
+  return new RuleTestRunner(engine);
+}
+
+describe('RuleTestRunner', () => {
+  test('passing cases and rule coverage', () => {
+    const report = runner().run([
+      { name: 'large cash', facts: { amount: 2000000, country: 'AE' }, expect: { result: 'REJECTED', ruleId: 'CASH' } },
+      { name: 'gcc', facts: { amount: 500, country: 'SA' }, expect: { result: 'APPROVED', ruleId: 'GCC', score: { min: 1 } } },
+    ]);
+    expect(report).toMatchObject({ total: 2, passed: 2, failed: 0 });
+    expect(report.cases[0]).toMatchObject({ passed: true, failures: [], actual: { result: 'REJECTED', ruleId: 'CASH' } });
+    expect(report.cases[0].trace).toBeUndefined();
+    expect(report.coverage).toEqual({
+      rules: 3,
+      exercised: ['CASH', 'GCC'],
+      unexercised: [{ id: 'PEP', name: 'PEP review' }],
+      ratio: 2 / 3,
+    });
+  });
+
+  test('coverage counts the rules in force at each case\'s asOf', () => {
+    const engine = new RuleEngine({ clock: () => new Date('2026-06-01T00:00:00Z') });
+    engine.loadRules([
+      { ...rules[0], validTo: '2026-01-01' },
+      { ...rules[1], id: 'GCC2026', validFrom: '2026-01-01' },
+      rules[2],
+    ]);
+    const report = new RuleTestRunner(engine).run([
+      { name: 'old cash limit', facts: { amount: 2000000 }, asOf: '2025-06-01', expect: { ruleId: 'CASH' } },
+      { name: 'gcc today', facts: { country: 'AE' }, expect: { ruleId: 'GCC2026' } },
+    ]);
+    expect(report.failed).toBe(0);
+    expect(report.coverage).toEqual({
+      rules: 3,
+      exercised: ['CASH', 'GCC2026'],
+      unexercised: [{ id: 'PEP', name: 'PEP review' }],
+      ratio: 2 / 3,
+    });
+  });
+
+  test('failures list every unmet expectation with the decision trace', () => {
+    const [result] = runner().run([
+      { name: 'us', facts: { amount: 5, country: 'US', pep: false }, expect: { result: 'APPROVED', ruleId: 'GCC', score: { max: -1 } } },
+    ]).cases;
+    expect(result.passed).toBe(false);
+    expect(result.failures).toEqual([
+      'result: expected APPROVED, got REVIEW',
+      'rule: expected GCC, got no rule',
+      `score: expected at most -1, got ${result.actual.score}`,
+    ]);
+    expect(result.trace).toContain('GCC (GCC customer) — not-matched: country in ["AE", "SA"]');
+    expect(result.trace).toContain('    country in ["AE", "SA"] → "US" in ["AE","SA"] → false');
+  });
+
+  test('ruleId null expects no rule to match; evaluation errors fail the case', () => {
+    const report = runner({ schema }).run([
+      { name: 'falls through', facts: { amount: 5 }, expect: { result: 'REVIEW', ruleId: null } },
+      { name: 'bad facts', facts: { amount: 'lots' }, expect: { result: 'REVIEW' } },
+    ]);
+    expect(report.cases.map(c => c.passed)).toEqual([true, false]);
+    expect(report.cases[1].failures[0]).toMatch(/^error: /);
+    expect(report.cases[1].actual).toBeUndefined();
+  });
+
+  test('JUnit XML has a testcase per case, failures, errors and coverage', () => {
+    const report = runner({ schema }).run([
+      { name: 'ok', facts: { amount: 2000000 }, expect: { result: 'REJECTED' } },
+      { name: 'wrong <result>', facts: { amount: 5 }, expect: { result: 'APPROVED' } },
+      { name: 'bad facts', facts: { amount: 'lots' }, expect: {} },
+    ]);
+    const xml = toJUnitXML(report, 'rules.test.json');
+    expect(xml).toMatch(/<testsuite name="rules.test.json" tests="3" failures="1" errors="1" time="[\d.]+">/);
+    expect(xml).toMatch(/<testcase name="ok" classname="rules.test.json" time="[\d.]+"\/>/);
+    expect(xml).toContain('<testcase name="wrong &lt;result&gt;"');
+    expect(xml).toContain('<failure message="result: expected APPROVED, got REVIEW">');
+    expect(xml).toContain('CASH (Cash limit) — not-matched: amount &gt; 1000000');
+    expect(xml).toContain('<error message="error: ');
+    expect(xml).toContain('<property name="coverage.unexercised" value="GCC,PEP"/>');
+  });
+});
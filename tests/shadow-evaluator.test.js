@@ -0,0 +1,116 @@
+const { ShadowEvaluator, RuleEngine, MizanAgent } = require('../dist');
+const path = require('path');
+const fs = require('fs');
+
+const rule = (id, condition, action = 'APPROVED', priority = 1) => ({
+  id, name: id, condition, action, reason: id, priority,
+});
+
+function engineWith(rules, options) {
+  const engine = new RuleEngine(options);
+  engine.loadRules(rules.map(r => ({ ...r })));
+  return engine;
+}
+
+const championRules = [rule('LIMIT', 'amount <= 50000')];
+const challengerRules = [rule('LIMIT', 'amount <= 30000'), rule('MID', 'amount <= 40000', 'REVIEW', 2)];
+
+describe('ShadowEvaluator', () => {
+  const dataDir = path.join(__dirname, '..', 'data');
+  const shadowFile = path.join(dataDir, 'test-shadow.jsonl');
+
+  beforeEach(() => {
+    if (fs.existsSync(shadowFile)) fs.unlinkSync(shadowFile);
+  });
+
+  afterAll(() => {
+    for (const f of ['test-shadow.jsonl', 'test-shadow-audit.jsonl', 'test-shadow-memory.json']) {
+      if (fs.existsSync(path.join(dataDir, f))) fs.unlinkSync(path.join(dataDir, f));
+    }
+  });
+
+  test('divergence timestamps come from the injected clock', () => {
+    const clock = () => new Date('2026-05-01T08:30:00Z');
+    const shadow = new ShadowEvaluator(engineWith(challengerRules), { logPath: null, clock });
+    engineWith(championRules).setShadow(shadow).evaluate({ amount: 45000 });
+    expect(shadow.getDivergences().map(d => d.timestamp)).toEqual(['2026-05-01T08:30:00.000Z']);
+  });
+
+  test('only the champion decides; divergences go to the shadow log', () => {
+    const shadow = new ShadowEvaluator(engineWith(challengerRules), { logPath: shadowFile });
+    const engine = engineWith(championRules).setShadow(shadow);
+
+    const d = engine.evaluate({ amount: 35000 });
+    expect(d.result).toBe('APPROVED');
+    expect(engine.evaluate({ amount: 10000 }).result).toBe('APPROVED');
+
+    const lines = fs.readFileSync(shadowFile, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      auditId: d.auditId,
+      input: { amount: 35000 },
+      champion: { result: 'APPROVED', ruleId: 'LIMIT', ruleSetHash: d.ruleSetHash },
+      challenger: { result: 'REVIEW', ruleId: 'MID' },
+    });
+    expect(shadow.getDivergences()).toEqual(lines);
+  });
+
+  test('aggregates divergence stats by challenger rule', () => {
+    const shadow = new ShadowEvaluator(engineWith(challengerRules), { logPath: null });
+    const engine = engineWith(championRules).setShadow(shadow);
+    for (const amount of [10000, 35000, 36000, 45000]) engine.evaluate({ amount });
+
+    expect(shadow.stats()).toEqual({
+      evaluated: 4,
+      diverged: 3,
+      divergenceRate: 0.75,
+      transitions: { 'APPROVED → REVIEW': 3 },
+      byRule: [
+        { ruleId: 'MID', ruleName: 'MID', divergences: 2, transitions: { 'APPROVED → REVIEW': 2 } },
+        { ruleId: null, ruleName: null, divergences: 1, transitions: { 'APPROVED → REVIEW': 1 } },
+      ],
+      errors: 0,
+    });
+    shadow.reset();
+    expect(shadow.stats()).toMatchObject({ evaluated: 0, diverged: 0, byRule: [] });
+  });
+
+  test('challenger errors are counted, never thrown', () => {
+    const strictChallenger = engineWith([rule('S', 'amount > "x"')], { strict: true });
+    const shadow = new ShadowEvaluator(strictChallenger, { logPath: null });
+    const engine = engineWith(championRules).setShadow(shadow);
+    expect(engine.evaluate({ amount: 1 }).result).toBe('APPROVED');
+    expect(shadow.stats()).toMatchObject({ evaluated: 0, errors: 1 });
+  });
+
+  test('maxRecent bounds the in-memory divergences', () => {
+    const shadow = new ShadowEvaluator(engineWith(challengerRules), { logPath: null, maxRecent: 2 });
+    const engine = engineWith(championRules).setShadow(shadow);
+    for (const amount of [31000, 32000, 33000]) engine.evaluate({ amount });
+    expect(shadow.getDivergences().map(d => d.input.amount)).toEqual([32000, 33000]);
+    expect(shadow.stats().diverged).toBe(3);
+  });
+
+  test('setShadow(null) stops shadowing', () => {
+    const shadow = new ShadowEvaluator(engineWith(challengerRules), { logPath: null });
+    const engine = engineWith(championRules).setShadow(shadow).setShadow(null);
+    engine.evaluate({ amount: 35000 });
+    expect(shadow.stats().evaluated).toBe(0);
+  });
+
+  test('MizanAgent shadows both pre- and post-checks', async () => {
+    class EchoAgent extends MizanAgent {
+      async think() { return 'ok'; }
+    }
+    const shadow = new ShadowEvaluator(engineWith(challengerRules), { logPath: null });
+    const agent = new EchoAgent({
+      rules: championRules.map(r => ({ ...r })),
+      auditPath: path.join(dataDir, 'test-shadow-audit.jsonl'),
+      memoryPath: path.join(dataDir, 'test-shadow-memory.json'),
+      shadow,
+    });
+    const res = await agent.run({ amount: 35000 });
+    expect(res.decisions.map(d => d.result)).toEqual(['APPROVED', 'APPROVED']);
+    expect(shadow.stats()).toMatchObject({ evaluated: 2, diverged: 2 });
+  });
+});